@@ -6,8 +6,15 @@
 // This is typically needed in Node.js environments for fetch API functionality.
 import fetch from 'node-fetch';
 
-// Import jsonwebtoken for decoding JWTs (specifically the ID Token from Auth0).
-import jwt from 'jsonwebtoken';
+// Shared helper that verifies Okta-issued JWTs (signature via JWKS, iss, aud, exp, iat, nonce).
+import { verifyOktaJwt } from '../lib/okta-jwt.js';
+import { getOktaBaseUrl } from '../lib/okta-config.js';
+// Server-side sessions (SESSION_MODE=cookie): tokens stay on the server behind an HttpOnly cookie.
+import { isCookieSessionMode, createSession, getSession, updateSession } from '../lib/session.js';
+// Structured, redacted logs: codes, tokens and profile data never reach the log.
+import { createLogger, runWithLogContext, setLogContext } from '../lib/logger.js';
+
+const log = createLogger('api/auth');
 
 /**
  * Helper function to send standardized error responses.
@@ -19,9 +26,8 @@ import jwt from 'jsonwebtoken';
  * which can be an Error object or a string.
  */
 function sendError(res, statusCode, message, errorDetails) {
-    // Log the error details to the console for debugging on the server.
-    // Use optional chaining for errorDetails.message as it might be a string or object.
-    console.error("[Auth API Error]", message, errorDetails?.message || errorDetails);
+    // Log the error details for debugging on the server (redacted by the logger).
+    log[statusCode >= 500 ? 'error' : 'warn'](message, { statusCode, details: errorDetails?.message || errorDetails });
 
     // Send the error response to the client in JSON format.
     res.status(statusCode).json({ error: message, details: errorDetails?.message || errorDetails });
@@ -35,27 +41,175 @@ function sendError(res, statusCode, message, errorDetails) {
 // const ROLES_NAMESPACE = process.env.AUTH0_ROLES_NAMESPACE; // Commented out for Okta integration
 
 /**
- * Main request handler for the /api/auth endpoint.
+ * Extracts the user's roles from the verified ID token's `groups` claim.
+ * @param {object} idTokenClaims - The verified ID token payload.
+ * @returns {string[]} The group names, or an empty array if the claim is absent or malformed.
+ */
+function extractRoles(idTokenClaims) {
+    // Assuming 'groups' claim contains roles for Okta
+    let userRoles = idTokenClaims.groups || [];
+    if (!Array.isArray(userRoles)) {
+        // If groups claim is present but not an array, log a warning and default to empty array.
+        // This handles cases where the claim might be unexpectedly formatted.
+        if (idTokenClaims.groups !== undefined) {
+            log.warn("'groups' claim from ID token is not an array.", { groupsType: typeof idTokenClaims.groups });
+        }
+        userRoles = [];
+    }
+    log.debug("User roles extracted from 'groups' claim.", { roles: userRoles });
+    return userRoles;
+}
+
+/**
+ * Builds the profile object returned to the frontend from the verified ID token's claims.
+ * @param {object} idTokenClaims - The verified ID token payload.
+ * @returns {object} The user profile (id, firstName, lastName, email, name, picture).
+ */
+function buildUserProfile(idTokenClaims) {
+    return {
+        id: idTokenClaims.sub,
+        firstName: idTokenClaims.given_name || idTokenClaims.nickname || '',
+        lastName: idTokenClaims.family_name || '',
+        email: idTokenClaims.email,
+        name: idTokenClaims.name || `${idTokenClaims.given_name || ''} ${idTokenClaims.family_name || ''}`.trim() || idTokenClaims.email,
+        picture: idTokenClaims.picture,
+    };
+}
+
+/**
+ * Handles the refresh mode of /api/auth (`grant_type: 'refresh_token'`).
+ * Exchanges the refresh token for a fresh token set at Okta's token endpoint. When refresh token
+ * rotation is enabled in Okta, a new refresh token is returned and the old one stops working,
+ * so the client must always store the `refreshToken` from this response.
+ * In cookie session mode the refresh token is read from (and the new tokens written back to) the
+ * server-side session instead, and no tokens are returned to the browser.
+ * @param {object} req - The request object. `req.body.refresh_token` holds the current refresh token.
+ * @param {object} res - The response object.
+ */
+async function handleRefreshTokenGrant(req, res) {
+    try {
+        let session = null;
+        let refresh_token = req.body.refresh_token;
+        if (isCookieSessionMode()) {
+            session = await getSession(req);
+            if (!session) {
+                return sendError(res, 401, 'No active session to refresh.');
+            }
+            refresh_token = session.data.refreshToken;
+        }
+        if (!refresh_token) {
+            return sendError(res, 400, 'Refresh token is missing from the request body.');
+        }
+
+        const oktaTokenUrl = `${getOktaBaseUrl()}/oauth2/default/v1/token`;
+        const tokenParams = new URLSearchParams({
+            grant_type: 'refresh_token',
+            client_id: process.env.AUTH0_CLIENT_ID,
+            refresh_token,
+            scope: 'openid profile email offline_access groups'
+        });
+        if (process.env.AUTH0_CLIENT_SECRET) {
+            tokenParams.set('client_secret', process.env.AUTH0_CLIENT_SECRET);
+        }
+
+        log.info('Sending refresh token request to Okta.', { url: oktaTokenUrl });
+        const tokenResponse = await fetch(oktaTokenUrl, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: tokenParams.toString(),
+        });
+        const tokenData = await tokenResponse.json().catch(() => ({}));
+
+        if (!tokenResponse.ok) {
+            // invalid_grant means the refresh token is expired, revoked or was already rotated:
+            // report it as 401 so the client knows to start a fresh login.
+            const statusCode = tokenData.error === 'invalid_grant' ? 401 : tokenResponse.status;
+            return sendError(res, statusCode, 'Okta refresh token grant failed.', { error: tokenData.error, error_description: tokenData.error_description });
+        }
+
+        const responseBody = {
+            accessToken: tokenData.access_token,
+            idToken: tokenData.id_token,
+            // With rotation Okta issues a new refresh token; without it the current one stays valid.
+            refreshToken: tokenData.refresh_token || refresh_token,
+            expiresIn: tokenData.expires_in,
+        };
+
+        // Re-derive profile and roles when a new ID token is issued, so group changes take effect.
+        // Refreshed ID tokens carry no nonce, so only signature, iss, aud, exp and iat are checked.
+        if (tokenData.id_token) {
+            let decodedIdToken;
+            try {
+                decodedIdToken = await verifyOktaJwt(tokenData.id_token, { audience: process.env.AUTH0_CLIENT_ID });
+            } catch (verifyError) {
+                return sendError(res, 401, 'ID token verification failed.', verifyError.message);
+            }
+            setLogContext({ actor: decodedIdToken.sub });
+            responseBody.profile = buildUserProfile(decodedIdToken);
+            responseBody.roles = extractRoles(decodedIdToken);
+        }
+
+        log.info('Token refresh successful.', { refreshTokenRotated: Boolean(tokenData.refresh_token && tokenData.refresh_token !== refresh_token) });
+
+        if (session) {
+            const { accessToken, idToken, refreshToken, ...publicFields } = responseBody;
+            await updateSession(session, {
+                ...responseBody,
+                idToken: idToken || session.data.idToken,
+                accessTokenExpiresAt: Date.now() + (responseBody.expiresIn || 0) * 1000,
+            });
+            return res.status(200).json({ ...publicFields, sessionMode: 'cookie' });
+        }
+        res.status(200).json(responseBody);
+    } catch (error) {
+        log.error('Internal server error during token refresh.', { error });
+        sendError(res, 500, 'Internal server error during token refresh.', error.message || error);
+    }
+}
+
+/**
+ * Main request handler for the /api/auth endpoint. Runs the request with its log context: the action
+ * ('login' or 'refreshToken') and, once the ID token is verified, the user as the actor.
+ * @param {object} req - The request object.
+ * @param {object} res - The response object.
+ * @returns {Promise<void>}
+ */
+export default function handler(req, res) {
+    const action = req.method !== 'POST' ? null : req.body?.grant_type === 'refresh_token' ? 'refreshToken' : 'login';
+    return runWithLogContext({ action, requestId: req.headers['x-vercel-id'] || null }, () => handleAuthRequest(req, res));
+}
+
+/**
+ * Handles an /api/auth request.
  * This function is designed to be a Vercel Serverless Function.
  * It handles POST requests containing the authorization code from the frontend,
  * exchanges it with Auth0 for tokens, and returns user data to the client.
+ * A POST with `grant_type: 'refresh_token'` instead renews the tokens (see handleRefreshTokenGrant).
  * @param {object} req - The request object (from Node.js HTTP server, extended by Vercel).
  * For POST requests, `req.body` will contain the JSON payload.
  * @param {object} res - The response object (from Node.js HTTP server, extended by Vercel).
  */
-export default async function handler(req, res) {
-    // Log incoming request details for debugging.
-    console.log(`[Auth API Handler] Received request: ${req.method} ${req.url}`);
+async function handleAuthRequest(req, res) {
+    // Log incoming request details for debugging. The body holds the authorization code and PKCE verifier
+    // (or the refresh token), which the logger redacts; the code is logged as `authorizationCode` so it is
+    // recognized as one.
+    log.info('Received request.', { method: req.method, url: req.url });
     if (req.method === 'POST') {
-        console.log(`[Auth API Handler] Request body:`, req.body);
+        const { code, ...body } = req.body || {};
+        log.debug('Request body.', { body: { ...body, ...(code !== undefined ? { authorizationCode: code } : {}) } });
     }
 
     // This endpoint is specifically designed to handle the POST request
     // from your frontend's /callback.html page.
     if (req.method === 'POST') {
-        // Extract the authorization `code` AND `redirect_uri` from the request body.
+        // Refresh mode: renew the session's tokens instead of completing a login.
+        if (req.body?.grant_type === 'refresh_token') {
+            return handleRefreshTokenGrant(req, res);
+        }
+
+        // Extract the authorization `code`, `redirect_uri` and PKCE `code_verifier` from the request body.
         // The frontend sends these after receiving them from Auth0's redirect.
-        const { code, redirect_uri } = req.body; // <-- MODIFIED HERE: Extracting redirect_uri from req.body
+        const { code, redirect_uri, code_verifier, nonce } = req.body; // <-- MODIFIED HERE: Extracting redirect_uri from req.body
 
         // Basic validation: Check if an authorization code and redirect_uri were actually provided.
         if (!code) {
@@ -64,27 +218,46 @@ export default async function handler(req, res) {
         if (!redirect_uri) {
             return sendError(res, 400, 'Redirect URI is missing from the request body. It is required for token exchange.');
         }
+        // PKCE (RFC 7636): the verifier must be 43-128 characters from the unreserved URL character set.
+        if (!code_verifier) {
+            return sendError(res, 400, 'PKCE code_verifier is missing from the request body. It is required for token exchange.');
+        }
+        if (!/^[A-Za-z0-9\-._~]{43,128}$/.test(code_verifier)) {
+            return sendError(res, 400, 'PKCE code_verifier is malformed.');
+        }
+        // The nonce sent on the authorize request; the ID token must echo it back (replay protection).
+        if (!nonce) {
+            return sendError(res, 400, 'Nonce is missing from the request body. It is required to validate the ID token.');
+        }
 
 
         try {
             // --- Okta Authorization Code Exchange ---
             // Construct the URL for Okta's token endpoint.
-            const oktaTokenUrl = `https://${process.env.AUTH0_DOMAIN}/oauth2/default/v1/token`;
+            const oktaTokenUrl = `${getOktaBaseUrl()}/oauth2/default/v1/token`;
 
             // Prepare the form-urlencoded body
-            const requestBody = new URLSearchParams({
+            const tokenParams = new URLSearchParams({
                 grant_type: 'authorization_code',
                 client_id: process.env.AUTH0_CLIENT_ID,
-                client_secret: process.env.AUTH0_CLIENT_SECRET,
                 code: code,
+                code_verifier: code_verifier,
                 redirect_uri: redirect_uri,
                 audience: process.env.AUTH0_AUDIENCE,
                 scope: 'openid profile email offline_access groups'
-            }).toString();
+            });
+            // A confidential client also authenticates with its secret. When AUTH0_CLIENT_SECRET is not set,
+            // the app runs as a public client and PKCE alone binds the code to this login attempt.
+            if (process.env.AUTH0_CLIENT_SECRET) {
+                tokenParams.set('client_secret', process.env.AUTH0_CLIENT_SECRET);
+            }
+            const requestBody = tokenParams.toString();
 
-            // Log the details of the token exchange request being sent to Okta.
-            console.log(`[Auth API] Sending token exchange request to Okta. URL: ${oktaTokenUrl}`);
-            console.log(`[Auth API] Payload (excluding secret): ${requestBody}`); // Log the actual body
+            // Log the details of the token exchange request being sent to Okta (never the code or secret).
+            log.info('Sending token exchange request to Okta.', {
+                url: oktaTokenUrl,
+                clientAuthentication: process.env.AUTH0_CLIENT_SECRET ? 'client_secret' : 'none (public client)',
+            });
 
 
             // Make a POST request to Okta's `/oauth/token` endpoint.
@@ -95,15 +268,13 @@ export default async function handler(req, res) {
                 body: requestBody, // MODIFIED HERE
             });
 
-            // Clone the response to safely read its body for logging, then process the original response.
-            const responseBodyForLogging = await tokenResponse.clone().json().catch(() => tokenResponse.clone().text());
-            console.log(`[Auth API] Okta token exchange response. Status: ${tokenResponse.status}, Body:`, responseBodyForLogging);
+            // Only the status is logged: the body holds the tokens.
+            log.info('Okta token exchange response.', { status: tokenResponse.status });
 
 
             // Check if the token exchange request to Okta was successful.
             if (!tokenResponse.ok) {
                 const errorData = await tokenResponse.json(); // Parse Okta's error response.
-                console.error("[Auth API Error] Okta Token Exchange Failed:", errorData);
                 return sendError(res, tokenResponse.status, 'Okta token exchange failed.', errorData);
             }
 
@@ -112,64 +283,66 @@ export default async function handler(req, res) {
 
             // Ensure an ID token was returned. The 'openid' scope should guarantee this.
             if (!tokenData.id_token) {
-                console.error("[Auth API Error] ID Token missing after successful exchange.");
                 return sendError(res, 500, 'Token exchange successful, but ID token was not returned.', 'Ensure "openid" scope is requested in your Okta application setup.');
             }
 
-            // --- ID Token Decoding ---
+            // --- ID Token Verification ---
+            // Roles are read from this token, so it must be verified rather than merely decoded:
+            // signature against the org's JWKS, issuer, audience (our client ID), expiry, issued-at and nonce.
             let decodedIdToken;
             try {
-                decodedIdToken = jwt.decode(tokenData.id_token);
-                if (!decodedIdToken) {
-                    throw new Error('ID token could not be decoded or is malformed.');
-                }
-                console.log(`[Auth API] Successfully decoded ID Token. User ID: ${decodedIdToken.sub}`);
-            } catch (decodeError) {
-                console.error("[Auth API Error] Error decoding ID token:", decodeError);
-                return sendError(res, 500, 'Failed to process user identity from ID token.', decodeError.message);
+                decodedIdToken = await verifyOktaJwt(tokenData.id_token, {
+                    audience: process.env.AUTH0_CLIENT_ID,
+                    nonce,
+                });
+                setLogContext({ actor: decodedIdToken.sub });
+                log.info('Verified ID token.');
+            } catch (verifyError) {
+                return sendError(res, 401, 'ID token verification failed.', verifyError.message);
             }
 
-            // --- Roles Extraction ---
-            // Assuming 'groups' claim contains roles for Okta
-            let userRoles = decodedIdToken.groups || [];
-            if (!Array.isArray(userRoles)) {
-                // If groups claim is present but not an array, log a warning and default to empty array.
-                // This handles cases where the claim might be unexpectedly formatted.
-                if (decodedIdToken.groups !== undefined) {
-                    console.warn(`[Auth API Warning] 'groups' claim from ID token is not an array:`, decodedIdToken.groups);
-                }
-                userRoles = [];
-            }
-            console.log(`[Auth API] User roles extracted from 'groups' claim:`, userRoles);
-
-            // --- User Profile Construction ---
-            const userProfile = {
-                id: decodedIdToken.sub,
-                firstName: decodedIdToken.given_name || decodedIdToken.nickname || '',
-                lastName: decodedIdToken.family_name || '',
-                email: decodedIdToken.email,
-                name: decodedIdToken.name || `${decodedIdToken.given_name || ''} ${decodedIdToken.family_name || ''}`.trim() || decodedIdToken.email,
-                picture: decodedIdToken.picture,
-            };
-            console.log(`[Auth API] User profile constructed:`, userProfile);
+            // --- Roles Extraction & User Profile Construction ---
+            const userRoles = extractRoles(decodedIdToken);
+            const userProfile = buildUserProfile(decodedIdToken);
+            log.debug('User profile constructed.', { profile: userProfile });
 
             // --- Successful Response ---
+            log.info('Authentication successful.');
+
+            // Cookie session mode: keep the tokens server-side and only hand the browser a session cookie.
+            if (isCookieSessionMode()) {
+                await createSession(res, {
+                    accessToken: tokenData.access_token,
+                    idToken: tokenData.id_token,
+                    refreshToken: tokenData.refresh_token,
+                    accessTokenExpiresAt: Date.now() + (tokenData.expires_in || 0) * 1000,
+                    profile: userProfile,
+                    roles: userRoles
+                });
+                log.info('Server-side session created.');
+                return res.status(200).json({
+                    expiresIn: tokenData.expires_in,
+                    profile: userProfile,
+                    roles: userRoles,
+                    sessionMode: 'cookie'
+                });
+            }
+
             // Send back the essential user information and tokens to the frontend.
-            console.log(`[Auth API] Authentication successful for user ${userProfile.email}.`);
             res.status(200).json({
                 accessToken: tokenData.access_token,
                 idToken: tokenData.id_token,
                 refreshToken: tokenData.refresh_token,
+                expiresIn: tokenData.expires_in,
                 profile: userProfile,
                 roles: userRoles
             });
 
         } catch (error) {
-            console.error("[Auth API Error] Internal server error during authentication process:", error);
+            log.error('Internal server error during authentication process.', { error });
             sendError(res, error.status || 500, 'Internal server error during authentication process.', error.message || error);
         }
     } else {
-        console.warn(`[Auth API Handler] Method Not Allowed: ${req.method}`);
         res.setHeader('Allow', ['POST']);
         sendError(res, 405, `Method ${req.method} Not Allowed`);
     }
@@ -1,25 +1,42 @@
 // api/config.js
-export default async function handler(req, res) {
+import { getRolePermissions } from '../lib/permissions.js';
+import { getOktaBaseUrl } from '../lib/okta-config.js';
+import { createLogger, runWithLogContext } from '../lib/logger.js';
+
+const log = createLogger('api/config');
+
+export default function handler(req, res) {
+    return runWithLogContext({ action: 'getConfig', requestId: req.headers['x-vercel-id'] || null }, () => handleConfigRequest(req, res));
+}
+
+async function handleConfigRequest(req, res) {
     if (req.method === 'GET') {
         try {
             const config = {
                 oktaDomain: process.env.AUTH0_DOMAIN, // Reusing AUTH0_DOMAIN for Okta domain
+                // Base of the authorize and logout URLs: https://<oktaDomain>, or OKTA_BASE_URL (e.g. the local mock Okta).
+                oktaBaseUrl: getOktaBaseUrl(),
                 oktaClientId: process.env.AUTH0_CLIENT_ID, // Reusing AUTH0_CLIENT_ID for Okta client ID
                 oktaAudience: process.env.AUTH0_AUDIENCE, // Reusing AUTH0_AUDIENCE for Okta audience
+                // 'cookie' when tokens are kept server-side behind an HttpOnly session cookie, else 'token'.
+                sessionMode: process.env.SESSION_MODE === 'cookie' ? 'cookie' : 'token',
+                // Okta group -> permissions policy, so the UI can hide controls the user cannot use.
+                // The backend enforces the same policy on every management action.
+                rolePermissions: getRolePermissions(),
                 // Add any other client-side specific configs here if needed
             };
 
             // Basic validation to ensure essential configs are present
-            if (!config.oktaDomain || !config.oktaClientId) {
-                console.error('[API Config Error] Essential Okta configuration (domain or client ID) is missing from environment variables.');
+            if (!config.oktaBaseUrl || !config.oktaClientId) {
+                log.error('Essential Okta configuration (domain or client ID) is missing from environment variables.');
                 return res.status(500).json({ error: 'Server configuration error: Essential client configurations are missing.' });
             }
 
-            console.log('[API Config] Sending client configuration:', { oktaDomain: config.oktaDomain, oktaClientId: config.oktaClientId, oktaAudience: config.oktaAudience ? 'Present' : 'Not Present' });
+            log.debug('Sending client configuration.', { oktaBaseUrl: config.oktaBaseUrl, oktaClientId: config.oktaClientId, oktaAudience: config.oktaAudience ? 'Present' : 'Not Present' });
             res.status(200).json(config);
 
         } catch (error) {
-            console.error('[API Config Error] Failed to retrieve configuration:', error);
+            log.error('Failed to retrieve configuration.', { error });
             res.status(500).json({ error: 'Internal server error while retrieving configuration.' });
         }
     } else {
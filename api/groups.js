@@ -0,0 +1,94 @@
+// api/groups.js
+// Groups and their memberships as REST resources, alongside the action API in api/okta-user-management.js:
+//   GET    /api/groups                              list groups (`q` filters by name prefix)
+//   POST   /api/groups                              create a group
+//   GET    /api/groups/:groupId                     read a group
+//   PATCH  /api/groups/:groupId                     rename a group and change its description
+//   DELETE /api/groups/:groupId                     delete a group
+//   GET    /api/groups/:groupId/members             list a group's members
+//   PUT    /api/groups/:groupId/members/:userId     add a user to a group
+//   DELETE /api/groups/:groupId/members/:userId     remove a user from a group
+// vercel.json routes the sub-paths here with `groupId`, `members` and `userId` in the query string.
+// Each route runs the same action, with the same permission, input schema and audit trail, as its action API counterpart.
+import { handleAdminAction, sendError, setNextPageLink } from '../lib/admin-api.js';
+import { RESOURCE_REQUEST_SCHEMAS } from '../lib/request-schemas.js';
+import {
+    getPaginationParams,
+    listGroups,
+    getGroup,
+    createGroup,
+    renameGroup,
+    deleteGroup,
+    listGroupMembers,
+    setGroupMembership,
+} from '../lib/user-management.js';
+
+/**
+ * Handles the /api/groups routes.
+ * @param {object} req - The request object. `req.query.groupId`, `req.query.members` and `req.query.userId` identify the sub-path.
+ * @param {object} res - The response object.
+ */
+export default async function handler(req, res) {
+    const { groupId, members, userId } = req.query;
+
+    // The action each method runs on the requested path.
+    let actions;
+    if (!groupId) {
+        actions = { GET: 'listGroups', POST: 'createGroup' };
+    } else if (userId) {
+        actions = { PUT: 'addGroupMember', DELETE: 'removeGroupMember' };
+    } else if (members) {
+        actions = { GET: 'listGroupMembers' };
+    } else {
+        actions = { GET: 'getGroup', PATCH: 'renameGroup', DELETE: 'deleteGroup' };
+    }
+    const action = actions[req.method];
+    if (!action) {
+        res.setHeader('Allow', Object.keys(actions));
+        return sendError(res, 405, `Method ${req.method} Not Allowed`);
+    }
+
+    const body = req.body || {};
+    const target = groupId ? { type: 'group', id: groupId } : null;
+    await handleAdminAction(req, res, { name: action, target, schema: RESOURCE_REQUEST_SCHEMAS[action] }, async ({ audit }) => {
+        if (action === 'listGroups') {
+            const pagination = getPaginationParams(req.query);
+            if (pagination.error) {
+                return sendError(res, 400, pagination.error);
+            }
+            const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+            const { groups, nextCursor } = await listGroups(q, pagination);
+            setNextPageLink(res, '/api/groups', q ? { q } : {}, pagination.limit, nextCursor);
+            return res.status(200).json(groups);
+        } else if (action === 'createGroup') {
+            const newGroup = await createGroup(body, audit);
+            res.setHeader('Location', `/api/groups/${encodeURIComponent(newGroup.id)}`);
+            return res.status(201).json(newGroup);
+        } else if (action === 'getGroup') {
+            return res.status(200).json(await getGroup(groupId));
+        } else if (action === 'renameGroup') {
+            return res.status(200).json(await renameGroup(groupId, body, audit));
+        } else if (action === 'deleteGroup') {
+            await deleteGroup(groupId, audit);
+            return res.status(204).send();
+        } else if (action === 'listGroupMembers') {
+            const pagination = getPaginationParams(req.query);
+            if (pagination.error) {
+                return sendError(res, 400, pagination.error);
+            }
+            const { members: groupMembers, nextCursor } = await listGroupMembers(groupId, pagination);
+            setNextPageLink(res, `/api/groups/${encodeURIComponent(groupId)}/members`, {}, pagination.limit, nextCursor);
+            return res.status(200).json(groupMembers);
+        } else {
+            await setGroupMembership(groupId, userId, action === 'addGroupMember', audit);
+            return res.status(204).send();
+        }
+    });
+}
+
+// Vercel specific configuration: enables body parsing for POST/PATCH requests.
+export const config = {
+    api: {
+        bodyParser: true,
+    },
+};
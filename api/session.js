@@ -0,0 +1,208 @@
+// api/session.js
+// Session endpoints.
+//   GET    /api/session -> the current user (profile, roles) from the session cookie, or 401 (SESSION_MODE=cookie).
+//   DELETE /api/session -> logout: revokes the access and refresh tokens at Okta, destroys the server-side session
+//                          (cookie mode), optionally clears all of the user's Okta sessions ("sign out everywhere"),
+//                          and returns the Okta logout URL for the browser to follow.
+// In cookie mode the tokens never leave the server; see lib/session.js for the cookie format.
+import fetch from 'node-fetch';
+import { isCookieSessionMode, getSession, destroySession } from '../lib/session.js';
+import { fetchOktaAPI } from '../lib/okta-management-client.js';
+import { getOktaBaseUrl } from '../lib/okta-config.js';
+import { createLogger, runWithLogContext, setLogContext } from '../lib/logger.js';
+
+const log = createLogger('api/session');
+
+// Log context action of each method.
+const SESSION_ACTIONS = { GET: 'getSession', DELETE: 'logout' };
+
+/**
+ * Helper function to send standardized error responses.
+ * @param {object} res - The response object.
+ * @param {number} statusCode - The HTTP status code to send.
+ * @param {string} message - A human-readable error message.
+ * @param {object|string} [errorDetails] - Optional additional details about the error.
+ */
+function sendError(res, statusCode, message, errorDetails) {
+    log[statusCode >= 500 ? 'error' : 'warn'](message, { statusCode, details: errorDetails?.message || errorDetails });
+    res.status(statusCode).json({ error: message, details: errorDetails?.message || errorDetails });
+}
+
+/**
+ * Revokes a token at the default authorization server's /v1/revoke endpoint (RFC 7009).
+ * @param {string} token - The access or refresh token to revoke.
+ * @param {'access_token'|'refresh_token'} tokenTypeHint - The kind of token.
+ * @returns {Promise<boolean>} True if Okta accepted the revocation.
+ */
+async function revokeToken(token, tokenTypeHint) {
+    const params = new URLSearchParams({
+        token,
+        token_type_hint: tokenTypeHint,
+        client_id: process.env.AUTH0_CLIENT_ID,
+    });
+    if (process.env.AUTH0_CLIENT_SECRET) {
+        params.set('client_secret', process.env.AUTH0_CLIENT_SECRET);
+    }
+    try {
+        const response = await fetch(`${getOktaBaseUrl()}/oauth2/default/v1/revoke`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+            body: params.toString(),
+        });
+        if (!response.ok) {
+            const errorData = await response.json().catch(() => ({}));
+            log.error('Token revocation failed.', { tokenType: tokenTypeHint, status: response.status, error: errorData.error });
+            return false;
+        }
+        log.info('Token revoked.', { tokenType: tokenTypeHint });
+        return true;
+    } catch (error) {
+        log.error('Network error revoking token.', { tokenType: tokenTypeHint, error });
+        return false;
+    }
+}
+
+/**
+ * Resolves the Okta user ID behind an access token via the /userinfo endpoint.
+ * Used for "sign out everywhere" in token mode, so the target user comes from a token Okta vouches for
+ * rather than from an ID in the request body.
+ * @param {string} accessToken - The end-user's access token.
+ * @returns {Promise<string|null>} The user's `sub`, or null if the token is not valid.
+ */
+async function getUserIdFromAccessToken(accessToken) {
+    const response = await fetch(`${getOktaBaseUrl()}/oauth2/default/v1/userinfo`, {
+        headers: { 'Authorization': `Bearer ${accessToken}`, 'Accept': 'application/json' }
+    });
+    if (!response.ok) {
+        return null;
+    }
+    const userinfo = await response.json();
+    return userinfo.sub || null;
+}
+
+/**
+ * Handles DELETE /api/session (logout).
+ * Tokens come from the server-side session in cookie mode, or from the request body in token mode.
+ * @param {object} req - The request object. Body: `{ access_token?, refresh_token?, id_token?, global?, post_logout_redirect_uri? }`.
+ * @param {object} res - The response object.
+ */
+async function handleLogout(req, res) {
+    const body = req.body || {};
+    let tokens;
+    let userId = null;
+
+    if (isCookieSessionMode()) {
+        const sessionData = await destroySession(req, res);
+        tokens = {
+            accessToken: sessionData?.accessToken,
+            refreshToken: sessionData?.refreshToken,
+            idToken: sessionData?.idToken,
+        };
+        userId = sessionData?.profile?.id || null;
+        setLogContext({ actor: userId });
+        log.info(sessionData ? 'Session destroyed.' : 'No active session to destroy.');
+    } else {
+        tokens = { accessToken: body.access_token, refreshToken: body.refresh_token, idToken: body.id_token };
+    }
+
+    // --- Global sign-out ("sign out everywhere") ---
+    // Must run before the access token is revoked, since in token mode it identifies the user.
+    let globalSignOut = false;
+    let globalSignOutError;
+    if (body.global === true) {
+        try {
+            if (!userId && tokens.accessToken) {
+                userId = await getUserIdFromAccessToken(tokens.accessToken);
+                setLogContext({ actor: userId });
+            }
+            if (!userId) {
+                globalSignOutError = 'Could not identify the user from a valid token.';
+            } else {
+                // Clears every Okta session of the user and revokes all OAuth tokens issued to them.
+                await fetchOktaAPI(`/users/${encodeURIComponent(userId)}/sessions?oauthTokens=true`, 'DELETE');
+                globalSignOut = true;
+                log.info('All Okta sessions of the user cleared.', { userId });
+            }
+        } catch (error) {
+            log.error('Global sign-out failed.', { error });
+            globalSignOutError = error.message;
+        }
+    }
+
+    // --- Token revocation ---
+    // Revoking the refresh token also invalidates the access tokens minted from it, but revoke both
+    // explicitly so a copied access token is dead immediately either way.
+    const [accessTokenRevoked, refreshTokenRevoked] = await Promise.all([
+        tokens.accessToken ? revokeToken(tokens.accessToken, 'access_token') : false,
+        tokens.refreshToken ? revokeToken(tokens.refreshToken, 'refresh_token') : false,
+    ]);
+
+    let logoutUrl = null;
+    if (tokens.idToken && getOktaBaseUrl()) {
+        const postLogoutRedirectUri = body.post_logout_redirect_uri;
+        logoutUrl = `${getOktaBaseUrl()}/oauth2/default/v1/logout?id_token_hint=${encodeURIComponent(tokens.idToken)}` +
+            (postLogoutRedirectUri ? `&post_logout_redirect_uri=${encodeURIComponent(postLogoutRedirectUri)}` : '');
+    }
+
+    return res.status(200).json({
+        logoutUrl,
+        revoked: { accessToken: accessTokenRevoked, refreshToken: refreshTokenRevoked },
+        globalSignOut,
+        ...(globalSignOutError ? { globalSignOutError } : {}),
+    });
+}
+
+/**
+ * Main request handler for the /api/session endpoint. Runs the request with its log context
+ * ('getSession' or 'logout', and the user once known).
+ * @param {object} req - The request object. The session is identified by its HttpOnly cookie.
+ * @param {object} res - The response object.
+ * @returns {Promise<void>}
+ */
+export default function handler(req, res) {
+    const context = { action: SESSION_ACTIONS[req.method] || null, requestId: req.headers['x-vercel-id'] || null };
+    return runWithLogContext(context, () => handleSessionRequest(req, res));
+}
+
+/**
+ * Handles an /api/session request.
+ * @param {object} req - The request object.
+ * @param {object} res - The response object.
+ */
+async function handleSessionRequest(req, res) {
+    log.info('Received request.', { method: req.method, url: req.url });
+
+    try {
+        if (req.method === 'GET') {
+            if (!isCookieSessionMode()) {
+                return sendError(res, 404, 'Server-side sessions are not enabled (SESSION_MODE is not "cookie").');
+            }
+            const session = await getSession(req);
+            if (!session) {
+                return sendError(res, 401, 'No active session.');
+            }
+            const { profile, roles, accessTokenExpiresAt } = session.data;
+            setLogContext({ actor: profile?.id || null });
+            return res.status(200).json({
+                profile,
+                roles,
+                // Seconds until the stored access token expires, so the client can schedule a refresh.
+                expiresIn: Math.max(Math.floor((accessTokenExpiresAt - Date.now()) / 1000), 0),
+                sessionMode: 'cookie'
+            });
+        } else if (req.method === 'DELETE') {
+            return await handleLogout(req, res);
+        } else {
+            res.setHeader('Allow', ['GET', 'DELETE']);
+            sendError(res, 405, `Method ${req.method} Not Allowed`);
+        }
+    } catch (error) {
+        sendError(res, 500, 'Internal server error while processing the session request.', error.message || error);
+    }
+}
+
+export const config = {
+    api: {
+        bodyParser: true, // DELETE carries tokens (token mode), `global` and `post_logout_redirect_uri`
+    },
+};
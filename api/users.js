@@ -0,0 +1,103 @@
+// api/users.js
+// Users as REST resources, alongside the action API in api/okta-user-management.js:
+//   GET    /api/users                               list users, or search them when search parameters are given
+//   POST   /api/users                               create (or, with `invite: true`, invite) a user
+//   GET    /api/users/:id                           read a user
+//   PATCH  /api/users/:id                           change a user's first and last name
+//   DELETE /api/users/:id                           deactivate and delete a user
+//   POST   /api/users/:id/lifecycle/:operation      activate, suspend, unlock, reset_password, ...
+// vercel.json routes the sub-paths here with `id` and `operation` in the query string.
+// Each route runs the same action, with the same permission, input schema and audit trail, as its action API counterpart.
+import { handleAdminAction, sendError, setNextPageLink } from '../lib/admin-api.js';
+import { RESOURCE_REQUEST_SCHEMAS } from '../lib/request-schemas.js';
+import {
+    getPaginationParams,
+    listUsers,
+    searchUsers,
+    getUser,
+    createUser,
+    updateUser,
+    deleteUser,
+    runLifecycleAction,
+} from '../lib/user-management.js';
+
+// Lifecycle operations accepted in /api/users/:id/lifecycle/:operation, and the action each one runs.
+const LIFECYCLE_OPERATIONS = {
+    activate: 'activateUser',
+    reactivate: 'reactivateUser',
+    deactivate: 'deactivateUser',
+    suspend: 'suspendUser',
+    unsuspend: 'unsuspendUser',
+    unlock: 'unlockUser',
+    resend_activation: 'resendActivation',
+    reset_password: 'resetPassword',
+    expire_password: 'expirePassword',
+};
+
+// Query parameters of GET /api/users that are not search parameters.
+const NON_SEARCH_PARAMS = ['id', 'operation', 'limit', 'after'];
+
+/**
+ * Handles the /api/users routes.
+ * @param {object} req - The request object. `req.query.id` and `req.query.operation` identify the sub-path.
+ * @param {object} res - The response object.
+ */
+export default async function handler(req, res) {
+    const { id, operation } = req.query;
+
+    const searchParams = Object.fromEntries(Object.entries(req.query).filter(([key]) => !NON_SEARCH_PARAMS.includes(key)));
+
+    // The action each method runs on the requested path.
+    let actions;
+    if (!id) {
+        actions = { GET: Object.keys(searchParams).length > 0 ? 'searchUsers' : 'listUsers', POST: 'createUser' };
+    } else if (!operation) {
+        actions = { GET: 'getUser', PATCH: 'updateUser', DELETE: 'deleteUser' };
+    } else if (Object.hasOwn(LIFECYCLE_OPERATIONS, operation)) {
+        actions = { POST: LIFECYCLE_OPERATIONS[operation] };
+    } else {
+        return sendError(res, 404, `Unknown lifecycle operation '${operation}'. Supported: ${Object.keys(LIFECYCLE_OPERATIONS).join(', ')}.`);
+    }
+    const action = actions[req.method];
+    if (!action) {
+        res.setHeader('Allow', Object.keys(actions));
+        return sendError(res, 405, `Method ${req.method} Not Allowed`);
+    }
+
+    const body = req.body || {};
+    const target = id ? { type: 'user', id } : null;
+    await handleAdminAction(req, res, { name: action, target, schema: RESOURCE_REQUEST_SCHEMAS[action] }, async ({ audit }) => {
+        if (action === 'listUsers' || action === 'searchUsers') {
+            const pagination = getPaginationParams(req.query);
+            if (pagination.error) {
+                return sendError(res, 400, pagination.error);
+            }
+            const { users, nextCursor } = action === 'searchUsers'
+                ? await searchUsers(searchParams, pagination)
+                : await listUsers(pagination);
+            setNextPageLink(res, '/api/users', searchParams, pagination.limit, nextCursor);
+            return res.status(200).json(users);
+        } else if (action === 'createUser') {
+            const newUser = await createUser(body, audit);
+            res.setHeader('Location', `/api/users/${encodeURIComponent(newUser.id)}`);
+            return res.status(201).json(newUser);
+        } else if (action === 'getUser') {
+            return res.status(200).json(await getUser(id));
+        } else if (action === 'updateUser') {
+            return res.status(200).json(await updateUser(id, body, audit));
+        } else if (action === 'deleteUser') {
+            await deleteUser(id, audit);
+            return res.status(204).send();
+        } else {
+            const options = { sendEmail: body.sendEmail, tempPassword: body.tempPassword };
+            return res.status(200).json(await runLifecycleAction(action, id, options, audit));
+        }
+    });
+}
+
+// Vercel specific configuration: enables body parsing for POST/PATCH requests.
+export const config = {
+    api: {
+        bodyParser: true,
+    },
+};
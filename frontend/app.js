@@ -32,6 +32,43 @@ if (window.location.hostname === 'localhost' || window.location.hostname === '12
   OKTA_REDIRECT_URI = `https://okta-ciam-application.vercel.app/callback.html`;
 }
 
+// --- PKCE (Proof Key for Code Exchange) Helpers ---
+
+/**
+ * Generates a cryptographically random, URL-safe string.
+ * Used for the PKCE code_verifier, the OAuth `state` parameter and the OIDC `nonce`.
+ * @param {number} [byteLength=32] - Number of random bytes to generate before encoding.
+ * @returns {string} A base64url-encoded random string.
+ */
+function generateRandomString(byteLength = 32) {
+  const bytes = new Uint8Array(byteLength);
+  window.crypto.getRandomValues(bytes);
+  return base64UrlEncode(bytes);
+}
+
+/**
+ * Encodes bytes as base64url (RFC 4648 §5) without padding, as required by PKCE.
+ * @param {Uint8Array|ArrayBuffer} bytes - The bytes to encode.
+ * @returns {string} The base64url-encoded string.
+ */
+function base64UrlEncode(bytes) {
+  const byteArray = bytes instanceof Uint8Array ? bytes : new Uint8Array(bytes);
+  let binary = '';
+  byteArray.forEach(b => { binary += String.fromCharCode(b); });
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Derives the S256 code_challenge for a given code_verifier.
+ * code_challenge = BASE64URL(SHA256(ASCII(code_verifier)))
+ * @param {string} codeVerifier - The PKCE code_verifier.
+ * @returns {Promise<string>} The base64url-encoded SHA-256 hash of the verifier.
+ */
+async function createCodeChallenge(codeVerifier) {
+  const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(codeVerifier));
+  return base64UrlEncode(digest);
+}
+
 /**
  * Fetches application configuration from the backend.
  * This should be called before any auth-related initializations.
@@ -46,7 +83,7 @@ async function fetchAppConfig() {
     console.log('[App.js] Configuration fetched:', appConfig);
 
     // Validate essential config
-    if (!appConfig.oktaDomain || !appConfig.oktaClientId) {
+    if (!appConfig.oktaBaseUrl || !appConfig.oktaClientId) {
         console.error('Okta domain or client ID is missing from fetched config.');
         showToast('Error: Client configuration is missing. Authentication may not work.', 'error', 5000);
         // Potentially block further auth actions if config is incomplete
@@ -58,30 +95,290 @@ async function fetchAppConfig() {
   }
 }
 
+// --- Role-Based Permissions ---
+
+// Used until /api/config provides the policy (or if it cannot be fetched): the 'Admin' group may do everything.
+const DEFAULT_ROLE_PERMISSIONS = { Admin: ['users:read', 'users:write', 'users:lifecycle', 'users:credentials', 'users:delete', 'roles:manage', 'groups:manage', 'audit:read', 'logs:read'] };
+
+// Pages of the admin area and the permission each one requires (admin.html only needs some permission).
+const ADMIN_PAGE_PERMISSIONS = {
+  'admin-user-crud.html': 'users:read',
+  'admin-group.html': 'users:read',
+  'admin-audit.html': 'audit:read',
+};
+
+/**
+ * Resolves the permissions granted to a user by their roles (Okta groups), using the
+ * role-to-permission policy from /api/config. Group names match case-insensitively.
+ * The backend enforces the same policy; this only decides which controls to show.
+ * @param {object|null} authenticatedUser - The parsed `authenticatedUser` from localStorage.
+ * @returns {string[]} The granted permissions (e.g. 'users:read').
+ */
+function getUserPermissions(authenticatedUser) {
+  const roles = (authenticatedUser?.roles || []).filter(role => typeof role === 'string').map(role => role.toLowerCase());
+  const policy = appConfig.rolePermissions || DEFAULT_ROLE_PERMISSIONS;
+  const permissions = new Set();
+  Object.entries(policy).forEach(([groupName, groupPermissions]) => {
+    if (roles.includes(groupName.toLowerCase())) {
+      groupPermissions.forEach(permission => permissions.add(permission));
+    }
+  });
+  return [...permissions];
+}
+
+/**
+ * Checks whether the current user has a permission.
+ * @param {string} permission - The permission, e.g. 'users:delete'.
+ * @returns {boolean} True if one of the user's roles grants it.
+ */
+function hasPermission(permission) {
+  return getUserPermissions(JSON.parse(localStorage.getItem('authenticatedUser'))).includes(permission);
+}
+
+/**
+ * Returns the URL of the next page advertised by a paginated /api/okta-user-management response.
+ * The backend mirrors Okta's pagination: a `Link` header with rel="next" (absent on the last page).
+ * @param {Response} response - The fetch response of a list action.
+ * @returns {string|null} The URL to fetch for the next page, or null if there are no more pages.
+ */
+function getNextPageUrl(response) {
+  const linkHeader = response.headers.get('Link');
+  const match = linkHeader && linkHeader.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Hides every element marked with `data-requires-permission` whose permission the current user lacks.
+ */
+function applyPermissionVisibility() {
+  document.querySelectorAll('[data-requires-permission]').forEach(element => {
+    if (!hasPermission(element.dataset.requiresPermission)) {
+      element.style.display = 'none';
+    }
+  });
+}
+
+/**
+ * In cookie session mode, reconciles the locally cached user with the server-side session via GET /api/session.
+ * The HttpOnly cookie is invisible to JavaScript, so this is the only way to know whether the session is still alive.
+ * Clears the cached user when the server reports no active session. No-op in token mode.
+ */
+async function syncServerSession() {
+  if (appConfig.sessionMode !== 'cookie' || window.LOCAL_TESTING_MODE) {
+    return;
+  }
+  try {
+    const response = await fetch('/api/session', { credentials: 'same-origin' });
+    if (response.ok) {
+      const sessionUser = await response.json();
+      storeAuthenticatedUser(sessionUser);
+    } else if (response.status === 401) {
+      localStorage.removeItem('authenticatedUser');
+    }
+  } catch (error) {
+    console.error('Error checking server-side session:', error);
+  }
+}
+
 
 /**
- * Logs the user out by clearing their session information from localStorage and redirecting to the login page.
- * This now also initiates a logout request with Okta to terminate their session there.
+ * Logs the user out: asks the backend to revoke the access and refresh tokens at Okta (and, in cookie mode,
+ * destroy the server-side session), clears local session information, and redirects to Okta's logout endpoint
+ * to terminate the Okta session there.
  * @async
+ * @param {object} [options]
+ * @param {boolean} [options.everywhere=false] - Also clear all of the user's Okta sessions and OAuth tokens on every device.
  */
-async function logout() {
-    const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+async function logout({ everywhere = false } = {}) {
+    let authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+    clearTimeout(tokenRefreshTimer); // Stop any scheduled session refresh
+    const postLogoutRedirectUri = window.location.origin + '/index.html'; // Or login.html
+    let logoutUrl = null;
+
+    if (hasApiCredentials(authenticatedUser)) {
+        const isCookieSession = authenticatedUser.sessionMode === 'cookie';
+        // In token mode the backend identifies the user for a global sign-out from the access token, so it must be current.
+        if (everywhere && !isCookieSession && authenticatedUser.expiresAt && authenticatedUser.expiresAt <= Date.now()) {
+            await refreshSession();
+            authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser')) || authenticatedUser;
+        }
+        try {
+            const response = await fetch('/api/session', {
+                method: 'DELETE',
+                headers: { 'Content-Type': 'application/json' },
+                credentials: 'same-origin',
+                body: JSON.stringify({
+                    // Cookie mode: the backend reads the tokens from the session; token mode: send them to be revoked.
+                    ...(isCookieSession ? {} : {
+                        access_token: authenticatedUser.accessToken,
+                        refresh_token: authenticatedUser.refreshToken,
+                        id_token: authenticatedUser.idToken
+                    }),
+                    global: everywhere,
+                    post_logout_redirect_uri: postLogoutRedirectUri
+                })
+            });
+            const result = await response.json().catch(() => ({}));
+            logoutUrl = result.logoutUrl;
+            if (everywhere && !result.globalSignOut) {
+                console.error('Global sign-out failed:', result.globalSignOutError || result.error);
+                showToast(`Could not sign out of all devices: ${result.globalSignOutError || result.error || 'Server error'}`, 'error', 4000);
+                await new Promise(resolve => setTimeout(resolve, 2500)); // Let the user read the toast before redirecting
+            }
+        } catch (error) {
+            console.error('Error revoking tokens during logout:', error);
+        }
+    }
+
     localStorage.removeItem('authenticatedUser');
     localStorage.removeItem('okta_state'); // Also clear any stored state for Okta
+    localStorage.removeItem('okta_code_verifier'); // And any leftover PKCE verifier
+    localStorage.removeItem('okta_nonce'); // And any leftover ID token nonce
 
-    if (appConfig.oktaDomain && authenticatedUser?.idToken) {
-        const postLogoutRedirectUri = window.location.origin + '/index.html'; // Or login.html
+    if (logoutUrl) {
+        window.location.href = logoutUrl;
+    } else if (appConfig.oktaBaseUrl && authenticatedUser?.idToken) {
         // For Okta, the client_id is not sent to /logout. Instead, id_token_hint and post_logout_redirect_uri are used.
-        const oktaLogoutUrl = `https://${appConfig.oktaDomain}/oauth2/default/v1/logout?id_token_hint=${authenticatedUser.idToken}&post_logout_redirect_uri=${encodeURIComponent(postLogoutRedirectUri)}`;
+        const oktaLogoutUrl = `${appConfig.oktaBaseUrl}/oauth2/default/v1/logout?id_token_hint=${authenticatedUser.idToken}&post_logout_redirect_uri=${encodeURIComponent(postLogoutRedirectUri)}`;
         window.location.href = oktaLogoutUrl;
     } else {
         // Fallback if config or idToken isn't available
         console.warn('Okta config or ID token not available for full logout. Clearing local session and redirecting.');
-        window.location.href = window.location.origin + '/index.html';
+        window.location.href = postLogoutRedirectUri;
     }
 }
 
 
+// --- Session Renewal (Refresh Token Grant) ---
+
+// Refresh this many milliseconds before the access token actually expires.
+const TOKEN_REFRESH_LEEWAY_MS = 60 * 1000;
+// Timer handle for the proactive refresh, and the in-flight refresh promise (so concurrent callers share one request).
+let tokenRefreshTimer = null;
+let refreshInFlight = null;
+
+/**
+ * Whether the stored user can call protected backend APIs: either it holds an access token
+ * (token mode) or the tokens are kept server-side behind the HttpOnly session cookie (cookie mode).
+ * @param {object|null} authenticatedUser - The parsed `authenticatedUser` from localStorage.
+ * @returns {boolean} True if API calls can be authenticated.
+ */
+function hasApiCredentials(authenticatedUser) {
+  return Boolean(authenticatedUser && (authenticatedUser.accessToken || authenticatedUser.sessionMode === 'cookie'));
+}
+
+/**
+ * Persists the authenticated user object in localStorage, stamping it with the absolute
+ * access-token expiry (`expiresAt`, ms since epoch) derived from `expiresIn` (seconds).
+ * In cookie session mode the object holds no tokens, only profile, roles and expiry.
+ * @param {object} user - The user object returned by /api/auth (tokens, profile, roles, expiresIn).
+ */
+function storeAuthenticatedUser(user) {
+  if (user.expiresIn) {
+    user.expiresAt = Date.now() + user.expiresIn * 1000;
+  }
+  localStorage.setItem('authenticatedUser', JSON.stringify(user));
+}
+
+/**
+ * Renews the session using the stored refresh token via /api/auth's refresh mode.
+ * Concurrent calls share the same in-flight request, since a rotated refresh token can only be used once.
+ * @returns {Promise<boolean>} True if new tokens were obtained and stored, false otherwise.
+ */
+async function refreshSession() {
+  if (refreshInFlight) {
+    return refreshInFlight;
+  }
+  refreshInFlight = (async () => {
+    const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+    const isCookieSession = authenticatedUser?.sessionMode === 'cookie';
+    if (!authenticatedUser?.refreshToken && !isCookieSession) {
+      return false;
+    }
+    try {
+      // In cookie mode the backend reads the refresh token from the session itself.
+      const response = await fetch('/api/auth', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(isCookieSession
+          ? { grant_type: 'refresh_token' }
+          : { grant_type: 'refresh_token', refresh_token: authenticatedUser.refreshToken })
+      });
+      if (!response.ok) {
+        const error = await response.json().catch(() => ({ error: 'Unknown error from backend.' }));
+        console.warn('Session refresh failed:', error);
+        return false;
+      }
+      const refreshed = await response.json();
+      // Keep profile/roles from the original login unless the refresh returned a new ID token.
+      storeAuthenticatedUser({ ...authenticatedUser, ...refreshed });
+      console.log('Session refreshed. New access token expires in', refreshed.expiresIn, 'seconds.');
+      scheduleTokenRefresh();
+      return true;
+    } catch (error) {
+      console.error('Network error during session refresh:', error);
+      return false;
+    }
+  })().finally(() => {
+    refreshInFlight = null;
+  });
+  return refreshInFlight;
+}
+
+/**
+ * Schedules a proactive session refresh shortly before the stored access token expires.
+ * Does nothing if there is no stored expiry or refresh token (e.g., LOCAL_TESTING_MODE users).
+ */
+function scheduleTokenRefresh() {
+  clearTimeout(tokenRefreshTimer);
+  const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+  if (!authenticatedUser?.expiresAt || !(authenticatedUser.refreshToken || authenticatedUser.sessionMode === 'cookie')) {
+    return;
+  }
+  const delay = Math.max(authenticatedUser.expiresAt - Date.now() - TOKEN_REFRESH_LEEWAY_MS, 0);
+  tokenRefreshTimer = setTimeout(async () => {
+    const refreshed = await refreshSession();
+    if (!refreshed) {
+      showToast('Your session has expired. Please log in again.', 'error');
+      logout();
+    }
+  }, delay);
+}
+
+/**
+ * Wrapper around fetch() for calls to protected backend APIs.
+ * Adds the stored access token as a Bearer header (in cookie session mode the HttpOnly session
+ * cookie authenticates the request instead). On a 401 it refreshes the session once
+ * and retries the request; if the refresh fails the user is logged out.
+ * @param {string} url - The request URL.
+ * @param {object} [options={}] - fetch() options. Headers are merged with the Authorization header.
+ * @returns {Promise<Response>} The fetch response.
+ */
+async function authorizedFetch(url, options = {}) {
+  const send = () => {
+    const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+    const headers = { ...options.headers };
+    if (authenticatedUser?.accessToken) {
+      headers['Authorization'] = `Bearer ${authenticatedUser.accessToken}`; // Send user's access token
+    }
+    return fetch(url, { ...options, headers, credentials: 'same-origin' });
+  };
+
+  const response = await send();
+  if (response.status !== 401) {
+    return response;
+  }
+
+  console.warn(`Request to ${url} returned 401. Attempting session refresh before retrying once.`);
+  if (await refreshSession()) {
+    return send();
+  }
+  showToast('Your session has expired. Please log in again.', 'error');
+  logout();
+  return response;
+}
+
+
 /**
  * Checks the user's authentication state (from localStorage) and roles.
  * Manages page access by redirecting users based on their auth status and roles.
@@ -139,6 +436,9 @@ function checkAuthAndRedirect() {
   if (authenticatedUser) {
     // User is considered "authenticated" (either via a real login or LOCAL_TESTING_MODE simulation).
 
+    // Keep the session alive by refreshing the access token shortly before it expires.
+    scheduleTokenRefresh();
+
     // Populate user profile information on pages like protected.html.
     if (userProfileNameEl && authenticatedUser.profile) {
       userProfileNameEl.textContent = authenticatedUser.profile.name || authenticatedUser.profile.firstName || authenticatedUser.profile.email || 'User';
@@ -157,12 +457,13 @@ function checkAuthAndRedirect() {
       userProfileRolesEl.textContent = authenticatedUser.roles?.join(', ') || 'No roles assigned';
     }
 
-    // Determine if the authenticated user has an 'admin' role.
-    const isAdmin = authenticatedUser.roles && authenticatedUser.roles.some(role => typeof role === 'string' && role.toLowerCase() === 'admin');
+    // Resolve the user's permissions from their roles; any permission at all opens the admin area.
+    const permissions = getUserPermissions(authenticatedUser);
+    const canAccessAdminArea = permissions.length > 0;
 
-    // Show or hide the admin links container based on whether the user is an admin.
+    // Show or hide the admin links container based on whether the user has any management permission.
     if (adminLinksContainerEl) {
-      adminLinksContainerEl.style.display = isAdmin ? 'block' : 'none';
+      adminLinksContainerEl.style.display = canAccessAdminArea ? 'block' : 'none';
       // Staggered entry for dashboard cards if on protected.html
       if (currentPage.endsWith('protected.html')) {
         const userInfoCard = document.getElementById('user-info-details');
@@ -173,12 +474,15 @@ function checkAuthAndRedirect() {
     }
 
     // Redirection logic for logged-in users.
-    if (isAdmin) {
+    const adminPage = Object.keys(ADMIN_PAGE_PERMISSIONS).find(page => currentPage.endsWith(page));
+    const canViewPage = adminPage ? permissions.includes(ADMIN_PAGE_PERMISSIONS[adminPage]) : canAccessAdminArea;
+    if (canViewPage) {
+      applyPermissionVisibility();
       if (currentPage.endsWith('login.html') || currentPage.endsWith('callback.html')) {
         window.location.href = 'protected.html';
       }
     } else {
-      const isAdminPage = currentPage.endsWith('admin.html') || currentPage.endsWith('admin-group.html') || currentPage.endsWith('admin-user-crud.html');
+      const isAdminPage = currentPage.endsWith('admin.html') || currentPage.endsWith('admin-group.html') || currentPage.endsWith('admin-user-crud.html') || currentPage.endsWith('admin-audit.html');
       if (isAdminPage) {
         // Use toast notification instead of alert for access denied
         showToast('Access Denied: You do not have permission to view this page.', 'error');
@@ -260,6 +564,131 @@ function showToast(message, type = 'info', duration = 3000) {
   }, duration);
 }
 
+/**
+ * Highlights the form inputs named in a validation error response (`{ error, code, fields }`) and describes
+ * each problem using the input's label. Marks are cleared when the input is edited or the form is validated again.
+ * @param {HTMLFormElement} form - The form holding the inputs.
+ * @param {object} [fields] - Error messages by request field, from the response's `fields`.
+ * @param {object} inputIds - Input element IDs by request field, e.g. `{ 'userData.email': 'email' }`.
+ * @returns {string|null} A message listing the problems with the highlighted inputs, or null if none of the fields belongs to the form.
+ */
+function showFieldErrors(form, fields, inputIds) {
+  clearFieldErrors(form);
+  const problems = [];
+  Object.entries(fields || {}).forEach(([field, message]) => {
+    const input = inputIds[field] ? document.getElementById(inputIds[field]) : null;
+    if (!input || !form.contains(input)) return;
+    input.setAttribute('aria-invalid', 'true');
+    input.title = message;
+    input.closest('.input-with-icon')?.classList.add('input-invalid');
+    input.addEventListener('input', () => clearFieldError(input), { once: true });
+    const label = form.querySelector(`label[for="${input.id}"]`)?.textContent.trim() || field;
+    problems.push(`${label} ${message}.`);
+  });
+  const firstInvalid = form.querySelector('[aria-invalid="true"]');
+  if (firstInvalid) firstInvalid.focus();
+  return problems.length > 0 ? problems.join(' ') : null;
+}
+
+/**
+ * Removes the highlight added by showFieldErrors from one input.
+ * @param {HTMLElement} input - The input.
+ */
+function clearFieldError(input) {
+  input.removeAttribute('aria-invalid');
+  input.removeAttribute('title');
+  input.closest('.input-with-icon')?.classList.remove('input-invalid');
+}
+
+/**
+ * Removes every highlight added by showFieldErrors from a form.
+ * @param {HTMLFormElement} form - The form.
+ */
+function clearFieldErrors(form) {
+  form.querySelectorAll('[aria-invalid="true"]').forEach(clearFieldError);
+}
+
+/**
+ * Describes a failed API response for an error message. Errors Okta returned carry its error ID, which is
+ * added so the admin can quote it to Okta support; the server already includes Okta's causes in `error`.
+ * @param {object} error - The error response body (`{ error, code, details, causes?, upstream? }`).
+ * @param {string} fallback - The message to use if the response has none.
+ * @returns {string} The message.
+ */
+function describeApiError(error, fallback) {
+  const message = error.error || error.message || fallback;
+  return error.upstream?.errorId ? `${message} (Okta error ID: ${error.upstream.errorId})` : message;
+}
+
+/**
+ * Describes a failed form submission and highlights the inputs it concerns: the fields of a validation error,
+ * or the profile attributes named in the causes of an error Okta returned (e.g. 'login: An object with this
+ * field already exists in the current organization'), which `inputIds` lists as `okta.<attribute>`.
+ * @param {HTMLFormElement} form - The form holding the inputs.
+ * @param {object} error - The error response body.
+ * @param {object} inputIds - Input element IDs by request field or `okta.<attribute>` (see showFieldErrors).
+ * @param {string} fallback - The message to use if the response has none.
+ * @returns {string} The message.
+ */
+function describeFormError(form, error, inputIds, fallback) {
+  if (error.fields) {
+    return showFieldErrors(form, error.fields, inputIds) || describeApiError(error, fallback);
+  }
+  const causeFields = {};
+  (error.causes || []).forEach(cause => {
+    const match = cause.match(/^([\w.]+):\s*(.+)$/);
+    if (match) causeFields[`okta.${match[1]}`] = match[2];
+  });
+  showFieldErrors(form, causeFields, inputIds);
+  return describeApiError(error, fallback);
+}
+
+/**
+ * Displays a one-time secret (reset link, temporary password...) in a modal with a Copy button.
+ * The value is only held in the DOM while the modal is open.
+ * @param {string} title - The modal title.
+ * @param {string} message - Instructions shown above the value.
+ * @param {string} secret - The value to display.
+ */
+function showSecretModal(title, message, secret) {
+  document.getElementById('secret-modal')?.remove();
+  document.body.insertAdjacentHTML('beforeend', `
+        <div id="secret-modal" class="modal modal-active" aria-labelledby="secret-modal-title" aria-modal="true" role="dialog">
+            <div class="modal-content card modal-open">
+                <header class="modal-header">
+                    <h3 id="secret-modal-title" class="card-title"></h3>
+                    <button class="modal-close-btn" aria-label="Close dialog">&times;</button>
+                </header>
+                <div class="modal-body">
+                    <p class="secret-modal-message"></p>
+                    <code class="secret-value"></code>
+                </div>
+                <footer class="modal-footer">
+                    <button id="secret-copy-btn" class="btn btn-primary">Copy</button>
+                    <button id="secret-close-btn" class="btn btn-secondary">Close</button>
+                </footer>
+            </div>
+        </div>
+    `);
+  const modalElement = document.getElementById('secret-modal');
+  // Set as text, not HTML: the values come from Okta.
+  modalElement.querySelector('#secret-modal-title').textContent = title;
+  modalElement.querySelector('.secret-modal-message').textContent = message;
+  modalElement.querySelector('.secret-value').textContent = secret;
+
+  const close = () => modalElement.remove();
+  modalElement.querySelector('.modal-close-btn').addEventListener('click', close);
+  modalElement.querySelector('#secret-close-btn').addEventListener('click', close);
+  modalElement.querySelector('#secret-copy-btn').addEventListener('click', async () => {
+    try {
+      await navigator.clipboard.writeText(secret);
+      showToast('Copied to clipboard.', 'success');
+    } catch (error) {
+      showToast('Could not copy automatically. Select the value and copy it manually.', 'error');
+    }
+  });
+}
+
 /**
  * Creates and displays a custom confirmation modal.
  * @param {string} title - The title of the confirmation.
@@ -375,6 +804,8 @@ function showConfirmModal(title, message, onConfirmCallback, onCancelCallback =
 document.addEventListener('DOMContentLoaded', async () => {
   // Fetch configuration first
   await fetchAppConfig();
+  // In cookie session mode, make sure the cached user still has a live server-side session.
+  await syncServerSession();
 
   // Initialize other parts of the application that might depend on appConfig
   initializePageSpecificFeatures(); // Encapsulate page-specific logic
@@ -416,23 +847,43 @@ document.addEventListener('DOMContentLoaded', async () => {
       }
 
       oktaLoginButton.addEventListener('click', async () => {
-        if (!appConfig.oktaDomain || !appConfig.oktaClientId) {
+        if (!appConfig.oktaBaseUrl || !appConfig.oktaClientId) {
           showToast('Okta configuration is missing. Cannot initiate login.', 'error');
           console.error('Okta configuration (domain or client ID) not available for login.');
           return;
         }
 
-        const state = Math.random().toString(36).substring(2, 15) + Math.random().toString(36).substring(2, 15);
+        const state = generateRandomString(16);
         localStorage.setItem('okta_state', state); // Use okta_state
 
+        // The nonce is echoed back inside the ID token; the backend rejects tokens whose nonce doesn't match.
+        const nonce = generateRandomString(16);
+        localStorage.setItem('okta_nonce', nonce);
+
+        // PKCE: the verifier stays in the browser across the redirect and is only sent
+        // to our backend (which forwards it to Okta); the authorize request carries its hash.
+        const codeVerifier = generateRandomString(32);
+        localStorage.setItem('okta_code_verifier', codeVerifier);
+        let codeChallenge;
+        try {
+          codeChallenge = await createCodeChallenge(codeVerifier);
+        } catch (pkceError) {
+          console.error('Failed to create PKCE code challenge:', pkceError);
+          showToast('Your browser does not support secure login (Web Crypto unavailable).', 'error');
+          return;
+        }
+
         // Construct Okta authorize URL
-        const oktaAuthorizeUrl = `https://${appConfig.oktaDomain}/oauth2/default/v1/authorize?` +
+        const oktaAuthorizeUrl = `${appConfig.oktaBaseUrl}/oauth2/default/v1/authorize?` +
           `response_type=code&` +
           `client_id=${appConfig.oktaClientId}&` +
           `redirect_uri=${encodeURIComponent(OKTA_REDIRECT_URI)}&` + // Use OKTA_REDIRECT_URI
           `scope=openid%20profile%20email%20offline_access%20groups&` + // Added 'groups' for roles
           (appConfig.oktaAudience ? `audience=${encodeURIComponent(appConfig.oktaAudience)}&` : '') + // Audience might be handled differently by Okta or not needed for default server
-          `state=${state}`;
+          `state=${state}&` +
+          `nonce=${nonce}&` +
+          `code_challenge=${codeChallenge}&` +
+          `code_challenge_method=S256`;
 
         oktaLoginButton.classList.add('loading');
         const errorMessageElement = document.getElementById('error-message');
@@ -455,10 +906,14 @@ document.addEventListener('DOMContentLoaded', async () => {
     const errorDescription = urlParams.get('error_description');
 
     const storedState = localStorage.getItem('okta_state'); // Retrieve stored okta_state
+    const codeVerifier = localStorage.getItem('okta_code_verifier'); // Retrieve stored PKCE verifier
+    const nonce = localStorage.getItem('okta_nonce'); // Retrieve stored ID token nonce
 
     if (error) {
       showToast(`Okta Error: ${errorDescription || error}`, 'error');
       console.error('Okta Callback Error:', error, errorDescription);
+      localStorage.removeItem('okta_code_verifier');
+      localStorage.removeItem('okta_nonce');
       window.location.href = 'login.html';
       return;
     }
@@ -467,15 +922,26 @@ document.addEventListener('DOMContentLoaded', async () => {
       showToast('Invalid state parameter. Possible CSRF attack detected.', 'error');
       console.error('State mismatch: Expected', storedState, 'Received', state);
       localStorage.removeItem('okta_state'); // Clear potentially compromised state
+      localStorage.removeItem('okta_code_verifier');
+      localStorage.removeItem('okta_nonce');
       window.location.href = 'login.html';
       return;
     }
 
     localStorage.removeItem('okta_state'); // State has been used, clear it
+    localStorage.removeItem('okta_code_verifier'); // The verifier is single-use as well
+    localStorage.removeItem('okta_nonce'); // So is the nonce
+
+    if (!codeVerifier || !nonce) {
+      showToast('Login session expired (PKCE verifier or nonce missing). Please sign in again.', 'error');
+      console.error('PKCE code_verifier or nonce not found in localStorage.');
+      window.location.href = 'login.html';
+      return;
+    }
 
     if (code) {
       showToast('Authentication successful, exchanging code with backend...', 'info');
-      exchangeCodeWithBackend(code);
+      exchangeCodeWithBackend(code, codeVerifier, nonce);
     } else {
       showToast('No authorization code found in callback URL.', 'error');
       window.location.href = 'login.html';
@@ -485,8 +951,10 @@ document.addEventListener('DOMContentLoaded', async () => {
   /**
    * Helper function to send the authorization code to the backend for token exchange.
    * @param {string} code - The authorization code received from Okta.
+   * @param {string} codeVerifier - The PKCE code_verifier generated before the authorize redirect.
+   * @param {string} nonce - The nonce sent on the authorize request, checked against the ID token.
    */
-  async function exchangeCodeWithBackend(code) {
+  async function exchangeCodeWithBackend(code, codeVerifier, nonce) {
     if (!OKTA_REDIRECT_URI) {
         console.error("OKTA_REDIRECT_URI is not defined. Cannot exchange code.");
         showToast('Configuration error: Redirect URI is missing.', 'error');
@@ -497,12 +965,12 @@ document.addEventListener('DOMContentLoaded', async () => {
       const response = await fetch('/api/auth', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
-        body: JSON.stringify({ code, redirect_uri: OKTA_REDIRECT_URI }) // Use OKTA_REDIRECT_URI
+        body: JSON.stringify({ code, redirect_uri: OKTA_REDIRECT_URI, code_verifier: codeVerifier, nonce }) // Use OKTA_REDIRECT_URI
       });
 
       if (response.ok) {
         const user = await response.json();
-        localStorage.setItem('authenticatedUser', JSON.stringify(user));
+        storeAuthenticatedUser(user);
         console.log('User data received from backend after code exchange and stored:', user);
         showToast('Successfully logged in!', 'success');
         window.location.href = 'protected.html';
@@ -523,7 +991,19 @@ document.addEventListener('DOMContentLoaded', async () => {
   // Add event listener for the global logout button if it exists.
   const globalLogoutButton = document.getElementById('logout-button');
   if (globalLogoutButton) {
-    globalLogoutButton.addEventListener('click', logout);
+    globalLogoutButton.addEventListener('click', () => logout());
+  }
+
+  // "Sign out everywhere": also ends the user's Okta sessions and revokes their tokens on all devices.
+  const logoutEverywhereButton = document.getElementById('logout-everywhere-button');
+  if (logoutEverywhereButton) {
+    logoutEverywhereButton.addEventListener('click', () => {
+      showConfirmModal(
+        'Sign Out Everywhere',
+        'This signs you out of this app and Okta on all of your devices. Continue?',
+        () => logout({ everywhere: true })
+      );
+    });
   }
 
   // Add ripple effect to all buttons
@@ -541,123 +1021,541 @@ document.addEventListener('DOMContentLoaded', async () => {
   });
 
 
-  // Setup for the Admin Group Management page (admin-group.html).
-  if (window.location.pathname.endsWith('admin-group.html')) {
-    const addToAdminRoleButton = document.getElementById('add-to-admin-role-button');
-    const removeFromAdminRoleButton = document.getElementById('remove-from-admin-role-button');
-    const userIdInput = document.getElementById('admin-role-userId');
-    const messageDiv = document.getElementById('admin-role-message'); // Renamed from messageDiv for clarity
-    const loadAdminUsersButton = document.getElementById('load-admin-users-button');
-    const adminUsersList = document.getElementById('admin-users-list');
-    const loadAdminUsersMessage = document.getElementById('load-admin-users-message');
-
-    async function manageAdminRole(action, buttonElement) {
-      const userIdToManage = userIdInput.value;
-      if (!userIdToManage) {
-        showToast('Please enter a User ID (Auth0 `sub`).', 'error'); // Use toast for validation
-        return;
-      }
+  // Setup for the Audit Log page (admin-audit.html).
+  if (window.location.pathname.endsWith('admin-audit.html')) {
+    const auditFilterForm = document.getElementById('audit-filter-form');
+    const auditEventsList = document.getElementById('audit-events-list');
+    const auditMessage = document.getElementById('audit-message');
+    const loadMoreAuditButton = document.getElementById('load-more-audit-button');
+    let auditNextPageUrl = null; // Set from the Link header of the last loaded page
+    let activeAuditFilters = ''; // Query string of the submitted filters
+
+    // Badge style for each event result.
+    const AUDIT_RESULT_BADGES = { success: 'status-active', partial: 'status-provisioned', failure: 'status-suspended' };
+
+    /**
+     * Builds the getAuditLog query string from the filter form.
+     * @returns {string} The filter parameters ('' when no filter is set).
+     */
+    function buildAuditFilterQuery() {
+      const params = new URLSearchParams();
+      const fields = { actor: 'audit-actor', eventAction: 'audit-action', targetId: 'audit-target', result: 'audit-result' };
+      Object.entries(fields).forEach(([param, id]) => {
+        const value = document.getElementById(id).value.trim();
+        if (value) params.set(param, value);
+      });
+      // Dates are whole days in the admin's time zone.
+      const since = document.getElementById('audit-since').value;
+      const until = document.getElementById('audit-until').value;
+      if (since) params.set('since', new Date(`${since}T00:00:00`).toISOString());
+      if (until) params.set('until', new Date(`${until}T23:59:59.999`).toISOString());
+      return params.toString();
+    }
+
+    /**
+     * Renders one audit event. Values come from user input and Okta, so they are set with textContent.
+     * @param {object} event - The audit event.
+     * @param {number} index - Its position on the page, for the staggered animation.
+     * @returns {HTMLLIElement} The list item.
+     */
+    function renderAuditEvent(event, index) {
+      const li = document.createElement('li');
+      const info = document.createElement('div');
+      info.className = 'user-item-info';
+      const addLine = (className, text) => {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        info.appendChild(span);
+        return span;
+      };
+
+      addLine('user-name', event.action);
+      addLine(`status-badge ${AUDIT_RESULT_BADGES[event.result] || ''}`, event.result);
+      const target = event.target ? `${event.target.type} ${event.target.label || event.target.id}` : 'no target';
+      addLine('user-email', `${event.actor?.email || event.actor?.sub} → ${target}`);
+      Object.entries(event.changes || {}).forEach(([field, { from, to }]) => {
+        addLine('user-id', `${field}: ${from ?? '∅'} → ${to ?? '∅'}`);
+      });
+      if (event.error) addLine('user-id', `Error: ${event.error}`);
+      if (event.details) addLine('user-id', `Details: ${JSON.stringify(event.details)}`);
+      addLine('user-id', `${new Date(event.timestamp).toLocaleString()} · Request ${event.requestId}`);
+
+      li.appendChild(info);
+      li.classList.add('animated-item'); // Add class for animation
+      li.style.setProperty('--item-index', `${index * 0.05}s`); // Set delay for staggered animation
+      return li;
+    }
+
+    /**
+     * Loads audit events matching the active filters, one page at a time.
+     * @param {boolean} [loadMore=false] - Append the next page instead of reloading from the first page.
+     */
+    async function loadAuditEvents(loadMore = false) {
+      displayMessage(auditMessage, 'Loading audit events...', 'info');
+      if (!loadMore) auditEventsList.innerHTML = '';
+      if (loadMore && loadMoreAuditButton) loadMoreAuditButton.classList.add('loading');
 
-      // --- ADDED: Get authenticated user's access token for server-side authorization ---
       const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-      if (!authenticatedUser || !authenticatedUser.accessToken) {
-          showToast('Authentication required to perform this action.', 'error');
+      if (!hasApiCredentials(authenticatedUser)) {
+          displayMessage(auditMessage, 'Authentication required.', 'error');
+          if (loadMoreAuditButton) loadMoreAuditButton.classList.remove('loading');
           return;
       }
-      const accessToken = authenticatedUser.accessToken;
-      // --- END ADDED ---
 
       try {
-          if (buttonElement) buttonElement.classList.add('loading');
-          const response = await fetch('/api/okta-user-management', {
-              method: 'PUT',
-              headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${accessToken}` // Send user's access token
-              },
-              body: JSON.stringify({ action: action, userId: userIdToManage, roles: ['Admin'] })
-          });
-
-          if (response.ok) {
-              const successMessage = action === 'assignRoles' ? 'User added to admin role successfully.' : 'User removed from admin role successfully.';
-              showToast(successMessage, 'success'); // Use toast for success
-              userIdInput.value = ''; // Clear input
-              loadAdminUsers(); // Refresh the list
+        const firstPageUrl = '/api/okta-user-management?action=getAuditLog' + (activeAuditFilters ? `&${activeAuditFilters}` : '');
+        const response = await authorizedFetch(loadMore && auditNextPageUrl ? auditNextPageUrl : firstPageUrl);
+        if (response.ok) {
+          const events = await response.json();
+          auditNextPageUrl = getNextPageUrl(response);
+          if (loadMoreAuditButton) loadMoreAuditButton.style.display = auditNextPageUrl ? 'inline-flex' : 'none';
+          if (events.length === 0 && !loadMore) {
+            auditEventsList.innerHTML = activeAuditFilters ? '<li>No audit events match your filters.</li>' : '<li>No audit events recorded yet.</li>';
           } else {
-              const errorData = await response.json().catch(() => ({ error: 'Unknown server error.' }));
-              showToast(`Failed to update roles: ${errorData.error || 'Server error'}`, 'error'); // Use toast for error
+            events.forEach((event, index) => auditEventsList.appendChild(renderAuditEvent(event, index)));
           }
-        } catch (error) {
-          console.error("Error updating roles:", error);
-          showToast('Client-side error: ' + error.message, 'error'); // Use toast for network errors
-        } finally {
-          if (buttonElement) buttonElement.classList.remove('loading');
+          displayMessage(auditMessage, '', 'info');
+        } else {
+          const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+          displayMessage(auditMessage, `Error: ${error.error || 'Failed to load audit events.'}`, 'error');
         }
+      } catch (err) {
+        console.error("Load audit events error:", err);
+        displayMessage(auditMessage, `Network error: ${err.message}`, 'error');
+      } finally {
+        if (loadMoreAuditButton) loadMoreAuditButton.classList.remove('loading');
       }
+    }
 
-    if (addToAdminRoleButton) {
-      addToAdminRoleButton.addEventListener('click', () => manageAdminRole('assignRoles', addToAdminRoleButton));
+    if (auditFilterForm) {
+      auditFilterForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        activeAuditFilters = buildAuditFilterQuery();
+        loadAuditEvents();
+      });
+      document.getElementById('clear-audit-filter-button').addEventListener('click', () => {
+        auditFilterForm.reset();
+        activeAuditFilters = '';
+        loadAuditEvents();
+      });
+    }
+    if (loadMoreAuditButton) {
+      loadMoreAuditButton.addEventListener('click', () => loadAuditEvents(true));
     }
-    if (removeFromAdminRoleButton) {
-      removeFromAdminRoleButton.addEventListener('click', () => manageAdminRole('unassignRoles', removeFromAdminRoleButton));
+    if (auditEventsList) {
+      loadAuditEvents();
     }
+  }
 
-    async function loadAdminUsers() {
-      displayMessage(loadAdminUsersMessage, 'Loading admin users...', 'info');
-      adminUsersList.innerHTML = '';
-      if (loadAdminUsersButton) loadAdminUsersButton.classList.add('loading');
+  // Setup for the Group Management page (admin-group.html).
+  if (window.location.pathname.endsWith('admin-group.html')) {
+    const createGroupForm = document.getElementById('create-group-form');
+    const createGroupMessage = document.getElementById('create-group-message');
+    const groupSearchForm = document.getElementById('group-search-form');
+    const clearGroupSearchButton = document.getElementById('clear-group-search-button');
+    const groupsList = document.getElementById('groups-list');
+    const groupsMessage = document.getElementById('groups-message');
+    const loadMoreGroupsButton = document.getElementById('load-more-groups-button');
+    const groupDetails = document.getElementById('group-details');
+    const renameGroupForm = document.getElementById('rename-group-form');
+    const deleteGroupButton = document.getElementById('delete-group-button');
+    const addMemberForm = document.getElementById('add-member-form');
+    const membersList = document.getElementById('group-members-list');
+    const membersMessage = document.getElementById('group-members-message');
+    const loadMoreMembersButton = document.getElementById('load-more-members-button');
+    let groupsNextPageUrl = null; // Set from the Link header of the last loaded page
+    let membersNextPageUrl = null;
+    let activeGroupSearch = ''; // Name prefix of the current search, '' when listing all groups
+    let selectedGroup = null; // The group shown in the details panel
+    const roleAssignmentForm = document.getElementById('role-assignment-form');
+    const roleCheckboxes = document.getElementById('role-checkboxes');
+    const roleAssignmentResults = document.getElementById('role-assignment-results');
+
+    // How each per-role outcome of assignRoles / unassignRoles is shown, and the badge style it uses.
+    const ROLE_CHANGE_OUTCOMES = {
+      assigned: { label: 'Added', badge: 'status-active' },
+      unassigned: { label: 'Removed', badge: 'status-active' },
+      already_member: { label: 'Already a member', badge: 'status-provisioned' },
+      not_member: { label: 'Was not a member', badge: 'status-provisioned' },
+      not_found: { label: 'Role not found', badge: 'status-suspended' },
+      failed: { label: 'Failed', badge: 'status-suspended' },
+    };
+
+    /**
+     * Sends a group management action to the backend.
+     * @param {string} method - The HTTP method (POST, PUT or DELETE).
+     * @param {object} body - The request body, including `action`.
+     * @returns {Promise<object|null>} The response body, or null for 204 responses.
+     * @throws {Error} With the server's error message if the request fails.
+     */
+    async function sendGroupAction(method, body) {
+      const response = await authorizedFetch('/api/okta-user-management', {
+        method,
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (!response.ok) {
+        const errorData = await response.json().catch(() => ({ error: 'Unknown server error.' }));
+        throw new Error(describeApiError(errorData, 'Server error'));
+      }
+      return response.status === 204 ? null : response.json();
+    }
+
+    /**
+     * Loads groups (optionally filtered by name prefix), one page at a time.
+     * @param {boolean} [loadMore=false] - Append the next page instead of reloading from the first page.
+     */
+    async function loadGroups(loadMore = false) {
+      displayMessage(groupsMessage, 'Loading groups...', 'info');
+      if (!loadMore) groupsList.innerHTML = '';
+      if (loadMore && loadMoreGroupsButton) loadMoreGroupsButton.classList.add('loading');
 
-      // --- ADDED: Get authenticated user's access token for server-side authorization ---
       const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-      if (!authenticatedUser || !authenticatedUser.accessToken) {
-          showToast('Authentication required to load admin users.', 'error');
-          displayMessage(loadAdminUsersMessage, 'Authentication required.', 'error');
-          if (loadAdminUsersButton) loadAdminUsersButton.classList.remove('loading');
+      if (!hasApiCredentials(authenticatedUser)) {
+          displayMessage(groupsMessage, 'Authentication required.', 'error');
+          if (loadMoreGroupsButton) loadMoreGroupsButton.classList.remove('loading');
           return;
       }
-      const accessToken = authenticatedUser.accessToken;
-      // --- END ADDED ---
 
       try {
-        // Fix: Use 'Admin' (capital A) to match Okta group name case
-        const response = await fetch('/api/okta-user-management?action=listUsersInRole&roleName=Admin', { // Fixed: 'Admin'
-            headers: {
-                'Authorization': `Bearer ${accessToken}` // Send user's access token
-            }
-        });
+        const firstPageUrl = '/api/okta-user-management?action=listGroups' + (activeGroupSearch ? `&q=${encodeURIComponent(activeGroupSearch)}` : '');
+        const response = await authorizedFetch(loadMore && groupsNextPageUrl ? groupsNextPageUrl : firstPageUrl);
         if (response.ok) {
-          const users = await response.json();
-          if (users.length === 0) {
-            adminUsersList.innerHTML = '<li>No users currently in the admin role.</li>';
+          const groups = await response.json();
+          groupsNextPageUrl = getNextPageUrl(response);
+          if (loadMoreGroupsButton) loadMoreGroupsButton.style.display = groupsNextPageUrl ? 'inline-flex' : 'none';
+          if (groups.length === 0 && !loadMore) {
+            groupsList.innerHTML = activeGroupSearch ? '<li>No groups match your search.</li>' : '<li>No groups found.</li>';
           } else {
-            users.forEach((user, index) => {
+            groups.forEach((group, index) => {
               const li = document.createElement('li');
-              li.textContent = `${user.name || user.email} (ID: ${user.user_id || user.id})`;
+              // Group names and descriptions are free text, so they are set with textContent.
+              const info = document.createElement('div');
+              info.className = 'user-item-info';
+              const name = document.createElement('span');
+              name.className = 'user-name';
+              name.textContent = group.name;
+              info.appendChild(name);
+              if (group.protected) {
+                const badge = document.createElement('span');
+                badge.className = 'status-badge';
+                badge.textContent = 'Protected';
+                info.appendChild(badge);
+              }
+              const description = document.createElement('span');
+              description.className = 'user-email';
+              description.textContent = group.description;
+              const id = document.createElement('span');
+              id.className = 'user-id';
+              id.textContent = `ID: ${group.id}`;
+              info.append(description, id);
+
+              const actions = document.createElement('div');
+              actions.className = 'user-item-actions';
+              const manageButton = document.createElement('button');
+              manageButton.className = 'btn btn-secondary btn-sm';
+              manageButton.textContent = 'Members';
+              manageButton.addEventListener('click', () => selectGroup(group));
+              actions.appendChild(manageButton);
+
+              li.append(info, actions);
               li.classList.add('animated-item'); // Add class for animation
               li.style.setProperty('--item-index', `${index * 0.05}s`); // Set delay for staggered animation
-              adminUsersList.appendChild(li);
+              groupsList.appendChild(li);
             });
           }
-          displayMessage(loadAdminUsersMessage, '', 'info');
+          displayMessage(groupsMessage, '', 'info');
         } else {
           const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
-          displayMessage(loadAdminUsersMessage, `Error: ${error.error || 'Failed to load admin users.'}`, 'error');
+          displayMessage(groupsMessage, `Error: ${error.error || 'Failed to load groups.'}`, 'error');
         }
       } catch (err) {
-        console.error("Load admin users error:", err);
-        displayMessage(loadAdminUsersMessage, `Network error: ${err.message}`, 'error');
+        console.error("Load groups error:", err);
+        displayMessage(groupsMessage, `Network error: ${err.message}`, 'error');
       } finally {
-        if (loadAdminUsersButton) loadAdminUsersButton.classList.remove('loading');
+        if (loadMoreGroupsButton) loadMoreGroupsButton.classList.remove('loading');
       }
     }
 
-    if (loadAdminUsersButton) {
-      loadAdminUsersButton.addEventListener('click', loadAdminUsers);
-      // Trigger initial load on page load if the list is empty (optional)
-      if (adminUsersList.children.length === 0) { // Check if the container has content
-        loadAdminUsers();
+    /**
+     * Shows a group in the details panel and loads its members.
+     * Rename and delete are only offered for unprotected groups (the backend enforces this too).
+     * @param {object} group - The group, as returned by listGroups.
+     */
+    function selectGroup(group) {
+      selectedGroup = group;
+      document.getElementById('group-details-title').textContent = group.name;
+      document.getElementById('group-details-description').textContent = group.description;
+      document.getElementById('group-protected-note').style.display = group.protected ? '' : 'none';
+      document.getElementById('rename-group-name').value = group.name;
+      document.getElementById('rename-group-description').value = group.description;
+      if (renameGroupForm) {
+        renameGroupForm.style.display = hasPermission('groups:manage') && !group.protected ? '' : 'none';
+      }
+      groupDetails.style.display = '';
+      loadGroupMembers();
+      groupDetails.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+
+    /**
+     * Loads the members of the selected group, one page at a time.
+     * @param {boolean} [loadMore=false] - Append the next page instead of reloading from the first page.
+     */
+    async function loadGroupMembers(loadMore = false) {
+      if (!selectedGroup) return;
+      displayMessage(membersMessage, 'Loading members...', 'info');
+      if (!loadMore) membersList.innerHTML = '';
+      if (loadMore && loadMoreMembersButton) loadMoreMembersButton.classList.add('loading');
+
+      try {
+        const firstPageUrl = `/api/okta-user-management?action=listGroupMembers&groupId=${encodeURIComponent(selectedGroup.id)}`;
+        const response = await authorizedFetch(loadMore && membersNextPageUrl ? membersNextPageUrl : firstPageUrl);
+        if (response.ok) {
+          const members = await response.json();
+          membersNextPageUrl = getNextPageUrl(response);
+          if (loadMoreMembersButton) loadMoreMembersButton.style.display = membersNextPageUrl ? 'inline-flex' : 'none';
+          if (members.length === 0 && !loadMore) {
+            membersList.innerHTML = '<li>This group has no members.</li>';
+          } else {
+            const canManageMembers = hasPermission('roles:manage');
+            members.forEach((member, index) => {
+              const li = document.createElement('li');
+              const label = document.createElement('span');
+              label.textContent = `${member.name || member.email} (ID: ${member.user_id || member.id})`;
+              li.appendChild(label);
+              if (canManageMembers) {
+                const removeButton = document.createElement('button');
+                removeButton.className = 'btn btn-danger btn-sm';
+                removeButton.textContent = 'Remove';
+                removeButton.addEventListener('click', () => removeGroupMember(member, removeButton));
+                li.appendChild(removeButton);
+              }
+              li.classList.add('animated-item'); // Add class for animation
+              li.style.setProperty('--item-index', `${index * 0.05}s`); // Set delay for staggered animation
+              membersList.appendChild(li);
+            });
+          }
+          displayMessage(membersMessage, '', 'info');
+        } else {
+          const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+          displayMessage(membersMessage, `Error: ${error.error || 'Failed to load members.'}`, 'error');
+        }
+      } catch (err) {
+        console.error("Load group members error:", err);
+        displayMessage(membersMessage, `Network error: ${err.message}`, 'error');
+      } finally {
+        if (loadMoreMembersButton) loadMoreMembersButton.classList.remove('loading');
+      }
+    }
+
+    /**
+     * Removes a user from the selected group after confirmation.
+     * @param {object} member - The member, as returned by listGroupMembers.
+     * @param {HTMLElement} buttonElement - The Remove button, shown as loading while the request runs.
+     */
+    function removeGroupMember(member, buttonElement) {
+      showConfirmModal('Remove Member', 'Are you sure you want to remove this user from the group?', async () => {
+        try {
+          buttonElement.classList.add('loading');
+          await sendGroupAction('PUT', { action: 'removeGroupMember', groupId: selectedGroup.id, userId: member.id });
+          showToast('User removed from the group.', 'success');
+          loadGroupMembers();
+        } catch (error) {
+          showToast(`Failed to remove member: ${error.message}`, 'error');
+          buttonElement.classList.remove('loading');
+        }
+      });
+    }
+
+    /**
+     * Fills the role checkboxes with the Okta-managed groups (the first 200; roles are groups).
+     */
+    async function loadRoleCheckboxes() {
+      try {
+        const response = await authorizedFetch('/api/okta-user-management?action=listGroups&limit=200');
+        if (!response.ok) {
+          const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+          roleCheckboxes.textContent = `Could not load roles: ${error.error || 'Server error'}`;
+          return;
+        }
+        const groups = await response.json();
+        roleCheckboxes.innerHTML = '';
+        groups.filter(group => group.type === 'OKTA_GROUP').forEach(group => {
+          const label = document.createElement('label');
+          const checkbox = document.createElement('input');
+          checkbox.type = 'checkbox';
+          checkbox.value = group.name;
+          label.append(checkbox, document.createTextNode(group.name));
+          roleCheckboxes.appendChild(label);
+        });
+      } catch (err) {
+        console.error("Load roles error:", err);
+        roleCheckboxes.textContent = `Network error: ${err.message}`;
+      }
+    }
+
+    /**
+     * Adds the user to, or removes them from, every ticked role and lists the outcome for each.
+     * @param {'assignRoles'|'unassignRoles'} action - The role action.
+     * @param {HTMLElement} buttonElement - The clicked button, shown as loading while the request runs.
+     */
+    async function updateSelectedRoles(action, buttonElement) {
+      const userIdToManage = document.getElementById('role-assignment-userId').value.trim();
+      const selectedRoles = [...roleCheckboxes.querySelectorAll('input:checked')].map(checkbox => checkbox.value);
+      if (!userIdToManage || selectedRoles.length === 0) {
+        showToast('Please enter a User ID and select at least one role.', 'error');
+        return;
+      }
+      roleAssignmentResults.innerHTML = '';
+      try {
+        buttonElement.classList.add('loading');
+        const { results } = await sendGroupAction('PUT', { action, userId: userIdToManage, roles: selectedRoles });
+        results.forEach((result, index) => {
+          const outcome = ROLE_CHANGE_OUTCOMES[result.outcome] || { label: result.outcome, badge: '' };
+          const li = document.createElement('li');
+          const role = document.createElement('span');
+          role.className = 'user-name';
+          role.textContent = result.role;
+          const badge = document.createElement('span');
+          badge.className = `status-badge ${outcome.badge}`;
+          badge.textContent = outcome.label;
+          if (result.error) badge.title = result.error;
+          li.append(role, badge);
+          li.classList.add('animated-item'); // Add class for animation
+          li.style.setProperty('--item-index', `${index * 0.05}s`); // Set delay for staggered animation
+          roleAssignmentResults.appendChild(li);
+        });
+        const failures = results.filter(result => result.status >= 400).length;
+        showToast(failures ? `${failures} of ${results.length} role changes failed.` : 'Roles updated.', failures ? 'error' : 'success');
+        if (selectedGroup && results.some(result => result.groupId === selectedGroup.id)) {
+          loadGroupMembers();
+        }
+      } catch (error) {
+        showToast(`Failed to update roles: ${error.message}`, 'error');
+      } finally {
+        buttonElement.classList.remove('loading');
       }
     }
+
+    if (roleAssignmentForm && hasPermission('roles:manage')) {
+      const assignRolesButton = document.getElementById('assign-roles-button');
+      const unassignRolesButton = document.getElementById('unassign-roles-button');
+      assignRolesButton.addEventListener('click', () => updateSelectedRoles('assignRoles', assignRolesButton));
+      unassignRolesButton.addEventListener('click', () => updateSelectedRoles('unassignRoles', unassignRolesButton));
+      loadRoleCheckboxes();
+    }
+
+    if (createGroupForm) {
+      createGroupForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const submitButton = document.getElementById('create-group-button');
+        const groupData = {
+          name: document.getElementById('create-group-name').value.trim(),
+          description: document.getElementById('create-group-description').value.trim()
+        };
+        try {
+          submitButton.classList.add('loading');
+          const newGroup = await sendGroupAction('POST', { action: 'createGroup', groupData });
+          displayMessage(createGroupMessage, `Group '${newGroup.name}' created.`, 'success', 'message-area', 5000);
+          createGroupForm.reset();
+          loadGroups();
+          if (roleCheckboxes) loadRoleCheckboxes();
+          selectGroup(newGroup);
+        } catch (error) {
+          displayMessage(createGroupMessage, `Failed to create group: ${error.message}`, 'error', 'message-area', 0, true);
+        } finally {
+          submitButton.classList.remove('loading');
+        }
+      });
+    }
+
+    if (groupSearchForm) {
+      groupSearchForm.addEventListener('submit', (event) => {
+        event.preventDefault();
+        activeGroupSearch = document.getElementById('group-search-term').value.trim();
+        loadGroups();
+      });
+    }
+    if (clearGroupSearchButton) {
+      clearGroupSearchButton.addEventListener('click', () => {
+        groupSearchForm.reset();
+        activeGroupSearch = '';
+        loadGroups();
+      });
+    }
+    if (loadMoreGroupsButton) {
+      loadMoreGroupsButton.addEventListener('click', () => loadGroups(true));
+    }
+    if (loadMoreMembersButton) {
+      loadMoreMembersButton.addEventListener('click', () => loadGroupMembers(true));
+    }
+
+    if (renameGroupForm) {
+      renameGroupForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const submitButton = document.getElementById('rename-group-button');
+        const groupData = {
+          name: document.getElementById('rename-group-name').value.trim(),
+          description: document.getElementById('rename-group-description').value.trim()
+        };
+        try {
+          submitButton.classList.add('loading');
+          const renamedGroup = await sendGroupAction('PUT', { action: 'renameGroup', groupId: selectedGroup.id, groupData });
+          showToast('Group updated.', 'success');
+          selectGroup(renamedGroup);
+          loadGroups();
+          if (roleCheckboxes) loadRoleCheckboxes();
+        } catch (error) {
+          showToast(`Failed to update group: ${error.message}`, 'error');
+        } finally {
+          submitButton.classList.remove('loading');
+        }
+      });
+    }
+
+    if (deleteGroupButton) {
+      deleteGroupButton.addEventListener('click', () => {
+        showConfirmModal('Delete Group', 'Are you sure you want to delete this group? Its members will lose any access it grants. This cannot be undone.', async () => {
+          try {
+            deleteGroupButton.classList.add('loading');
+            await sendGroupAction('DELETE', { action: 'deleteGroup', groupId: selectedGroup.id });
+            showToast('Group deleted.', 'success');
+            selectedGroup = null;
+            groupDetails.style.display = 'none';
+            loadGroups();
+            if (roleCheckboxes) loadRoleCheckboxes();
+          } catch (error) {
+            showToast(`Failed to delete group: ${error.message}`, 'error');
+          } finally {
+            deleteGroupButton.classList.remove('loading');
+          }
+        });
+      });
+    }
+
+    if (addMemberForm) {
+      addMemberForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const userIdInput = document.getElementById('add-member-userId');
+        const submitButton = document.getElementById('add-member-button');
+        try {
+          submitButton.classList.add('loading');
+          await sendGroupAction('PUT', { action: 'addGroupMember', groupId: selectedGroup.id, userId: userIdInput.value.trim() });
+          showToast('User added to the group.', 'success');
+          userIdInput.value = '';
+          loadGroupMembers();
+        } catch (error) {
+          showToast(`Failed to add member: ${error.message}`, 'error');
+        } finally {
+          submitButton.classList.remove('loading');
+        }
+      });
+    }
+
+    if (groupsList) {
+      loadGroups();
+    }
   }
 
   // Setup for the Admin User CRUD page (admin-user-crud.html).
@@ -668,6 +1566,176 @@ document.addEventListener('DOMContentLoaded', async () => {
     const userListContainer = document.getElementById('user-list-container');
     const listMessage = document.getElementById('list-message');
     const userListSkeleton = document.getElementById('user-list-skeleton'); // Skeleton loader
+    const loadMoreUsersButton = document.getElementById('load-more-users-button');
+    let usersNextPageUrl = null; // Set from the Link header of the last loaded page
+    const userSearchForm = document.getElementById('user-search-form');
+    const searchUsersButton = document.getElementById('search-users-button');
+    const clearSearchButton = document.getElementById('clear-search-button');
+    let activeUserSearch = null; // Query string of the submitted search, or null to list all users
+
+    // Okta user statuses and how they are shown in the status badge.
+    const USER_STATUS_LABELS = {
+      STAGED: 'Staged',
+      PROVISIONED: 'Pending Activation',
+      ACTIVE: 'Active',
+      RECOVERY: 'Recovery',
+      PASSWORD_EXPIRED: 'Password Expired',
+      LOCKED_OUT: 'Locked Out',
+      SUSPENDED: 'Suspended',
+      DEPROVISIONED: 'Deactivated',
+    };
+
+    // Lifecycle and credential actions offered in each user's Actions menu, the statuses they apply to,
+    // the permission they need and any extra request body fields.
+    // Mirrors LIFECYCLE_ACTIONS in lib/user-management.js, which enforces them.
+    const USER_LIFECYCLE_ACTIONS = [
+      { action: 'activateUser', label: 'Activate', from: ['STAGED', 'DEPROVISIONED'], permission: 'users:lifecycle' },
+      { action: 'resendActivation', label: 'Resend activation email', from: ['STAGED', 'PROVISIONED'], permission: 'users:lifecycle' },
+      { action: 'unlockUser', label: 'Unlock', from: ['LOCKED_OUT'], permission: 'users:lifecycle' },
+      { action: 'unsuspendUser', label: 'Unsuspend', from: ['SUSPENDED'], permission: 'users:lifecycle' },
+      { action: 'resetPassword', label: 'Send password reset email', from: ['ACTIVE', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'RECOVERY'], permission: 'users:credentials', body: { sendEmail: true } },
+      { action: 'resetPassword', label: 'Create one-time reset link', from: ['ACTIVE', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'RECOVERY'], permission: 'users:credentials', body: { sendEmail: false } },
+      { action: 'expirePassword', label: 'Expire password', from: ['ACTIVE'], permission: 'users:credentials', confirm: 'The user must choose a new password at their next sign-in.' },
+      { action: 'expirePassword', label: 'Expire password with temporary password', from: ['ACTIVE'], permission: 'users:credentials', body: { tempPassword: true }, confirm: 'Okta generates a temporary password that you must pass on to the user. They must change it at their next sign-in.' },
+      { action: 'suspendUser', label: 'Suspend', from: ['ACTIVE'], permission: 'users:lifecycle', confirm: 'The user will not be able to sign in until unsuspended.' },
+      { action: 'deactivateUser', label: 'Deactivate', from: ['STAGED', 'PROVISIONED', 'ACTIVE', 'RECOVERY', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'SUSPENDED'], permission: 'users:lifecycle', confirm: 'The user will lose access and their sessions will end. They can be activated again later.' },
+    ];
+
+    /**
+     * Renders the status badge for a user.
+     * @param {string} status - The Okta user status (e.g. 'ACTIVE').
+     * @returns {string} The badge HTML (empty if the status is unknown).
+     */
+    function renderStatusBadge(status) {
+      if (!status) return '';
+      return `<span class="status-badge status-${status.toLowerCase().replace(/_/g, '-')}">${USER_STATUS_LABELS[status] || status}</span>`;
+    }
+
+    /**
+     * Renders the Actions (context) menu for a user, listing only the transitions valid for their status.
+     * @param {string} userId - The Okta user ID.
+     * @param {string} status - The user's current status.
+     * @returns {string} The menu HTML, or '' if the user cannot manage lifecycles or no transition applies.
+     */
+    function renderLifecycleMenu(userId, status) {
+      const items = USER_LIFECYCLE_ACTIONS
+        .map((item, index) => ({ ...item, index }))
+        .filter(item => item.from.includes(status) && hasPermission(item.permission));
+      if (items.length === 0) return '';
+      return `
+        <div class="lifecycle-menu">
+          <button type="button" class="lifecycle-menu-toggle btn btn-secondary btn-sm" aria-haspopup="menu" aria-expanded="false">Actions &#9662;</button>
+          <div class="lifecycle-menu-items" role="menu" hidden>
+            ${items.map(item => `<button type="button" role="menuitem" data-userid="${userId}" data-lifecycle-index="${item.index}" class="${item.action === 'deactivateUser' ? 'danger' : ''}">${item.label}</button>`).join('')}
+          </div>
+        </div>`;
+    }
+
+    /**
+     * Closes every open Actions menu, except optionally one.
+     * @param {HTMLElement} [exceptMenu] - A menu to leave open.
+     */
+    function closeLifecycleMenus(exceptMenu) {
+      userListContainer.querySelectorAll('.lifecycle-menu').forEach(menu => {
+        if (menu === exceptMenu) return;
+        menu.querySelector('.lifecycle-menu-items').hidden = true;
+        menu.querySelector('.lifecycle-menu-toggle').setAttribute('aria-expanded', 'false');
+      });
+    }
+
+    /**
+     * Opens or closes a user's Actions menu.
+     * @param {HTMLElement} menu - The `.lifecycle-menu` element.
+     * @param {boolean} [open] - Force open (true) or closed (false); toggles if omitted.
+     */
+    function toggleLifecycleMenu(menu, open) {
+      const items = menu.querySelector('.lifecycle-menu-items');
+      const shouldOpen = open === undefined ? items.hidden : open;
+      closeLifecycleMenus(menu);
+      items.hidden = !shouldOpen;
+      menu.querySelector('.lifecycle-menu-toggle').setAttribute('aria-expanded', String(shouldOpen));
+      if (shouldOpen) items.querySelector('button')?.focus();
+    }
+
+    /**
+     * Runs a lifecycle transition for a user (after confirmation for disruptive ones) and updates
+     * the user's row with the new status.
+     * @param {HTMLElement} menuItem - The clicked menu item (carries data-userid and data-lifecycle-index).
+     */
+    async function handleLifecycleAction(menuItem) {
+      const userId = menuItem.dataset.userid;
+      const transition = USER_LIFECYCLE_ACTIONS[Number(menuItem.dataset.lifecycleIndex)];
+      const row = menuItem.closest('li.animated-item');
+      closeLifecycleMenus();
+
+      const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
+      if (!hasApiCredentials(authenticatedUser)) {
+        showToast('Authentication required to change user status.', 'error');
+        return;
+      }
+
+      const run = async () => {
+        displayMessage(listMessage, `${transition.label}: updating user...`, 'info');
+        try {
+          const response = await authorizedFetch('/api/okta-user-management', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ action: transition.action, userId, ...transition.body })
+          });
+          if (response.ok) {
+            const updatedUser = await response.json();
+            // One-time secrets are only returned when Okta did not email them; show them once to the admin.
+            if (updatedUser.resetPasswordUrl) {
+              showSecretModal('One-Time Password Reset Link', `Send this link to the user through a trusted channel. It can be used once.`, updatedUser.resetPasswordUrl);
+            } else if (updatedUser.tempPassword) {
+              showSecretModal('Temporary Password', `Pass this password on to the user. They must change it at their next sign-in.`, updatedUser.tempPassword);
+            } else if (updatedUser.activationUrl) {
+              showSecretModal('Activation Link', `Send this link to the user so they can activate their account.`, updatedUser.activationUrl);
+            }
+            if (row) {
+              row.querySelector('.status-badge')?.remove();
+              row.querySelector('.user-name').insertAdjacentHTML('afterend', renderStatusBadge(updatedUser.status));
+              row.querySelector('.lifecycle-menu')?.remove();
+              row.querySelector('.user-item-actions').insertAdjacentHTML('afterbegin', renderLifecycleMenu(userId, updatedUser.status));
+            }
+            showToast(`${transition.label}: done. User is ${USER_STATUS_LABELS[updatedUser.status] || updatedUser.status}.`, 'success');
+            displayMessage(listMessage, '', 'info');
+          } else {
+            const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+            displayMessage(listMessage, `Error: ${describeApiError(error, 'Failed to update user status.')}`, 'error', 'message-area', 0, true);
+          }
+        } catch (err) {
+          console.error("Lifecycle action network error:", err);
+          displayMessage(listMessage, `Network error: ${err.message}`, 'error');
+        }
+      };
+
+      if (transition.confirm) {
+        showConfirmModal(`Confirm ${transition.label}`, `${transition.label} user ${userId}? ${transition.confirm}`, run);
+      } else {
+        await run();
+      }
+    }
+
+    /**
+     * Builds the searchUsers query from the search bar. The term goes to Okta's `q` (name/email prefix)
+     * or to a `profile.<attribute>` starts-with search; status and dates become filters.
+     * @returns {string|null} The query string (without `action`), or null if no criteria are set.
+     */
+    function buildUserSearchQuery() {
+      const params = new URLSearchParams();
+      const term = document.getElementById('search-term').value.trim();
+      const field = document.getElementById('search-field').value;
+      const status = document.getElementById('search-status').value;
+      const updatedAfter = document.getElementById('search-updated-after').value;
+      const updatedBefore = document.getElementById('search-updated-before').value;
+      if (term) params.set(field, term);
+      if (status) params.set('status', status);
+      if (updatedAfter) params.set('lastUpdatedAfter', updatedAfter);
+      if (updatedBefore) params.set('lastUpdatedBefore', updatedBefore);
+      const query = params.toString();
+      return query || null;
+    }
 
     const editModal = document.getElementById('edit-user-modal');
     const editUserIdInput = document.getElementById('edit-userId');
@@ -676,7 +1744,35 @@ document.addEventListener('DOMContentLoaded', async () => {
     const editEmailInput = document.getElementById('edit-email');
     const saveEditButton = document.getElementById('save-edit-button');
     const editMessage = document.getElementById('edit-message');
+    const editUserForm = document.getElementById('edit-user-form');
+    // Form inputs by request field, and by the Okta profile attribute named in an error cause (see describeFormError).
+    const CREATE_USER_INPUTS = {
+      'userData.firstName': 'firstName', 'userData.lastName': 'lastName', 'userData.email': 'email', 'userData.password': 'password',
+      'okta.firstName': 'firstName', 'okta.lastName': 'lastName', 'okta.login': 'email', 'okta.email': 'email', 'okta.password': 'password'
+    };
+    const EDIT_USER_INPUTS = {
+      'updates.given_name': 'edit-firstName', 'updates.family_name': 'edit-lastName',
+      'okta.firstName': 'edit-firstName', 'okta.lastName': 'edit-lastName'
+    };
     const createUserSubmitButton = createUserForm ? createUserForm.querySelector('button[type="submit"]') : null;
+    const inviteUserCheckbox = document.getElementById('invite-user');
+    const passwordGroup = document.getElementById('password-group');
+    const passwordInput = document.getElementById('password');
+
+    // Invite mode (default) needs no password: Okta emails the user an activation link instead.
+    function syncInviteMode() {
+      const invite = inviteUserCheckbox ? inviteUserCheckbox.checked : false;
+      if (passwordGroup) passwordGroup.style.display = invite ? 'none' : '';
+      if (passwordInput) {
+        passwordInput.required = !invite;
+        if (invite) passwordInput.value = '';
+      }
+      if (createUserSubmitButton) createUserSubmitButton.textContent = invite ? 'Invite User' : 'Create User';
+    }
+    if (inviteUserCheckbox) {
+      inviteUserCheckbox.addEventListener('change', syncInviteMode);
+      syncInviteMode();
+    }
 
     // --- Modal Control Functions for Edit User Modal ---
     function showEditModal() {
@@ -740,6 +1836,337 @@ document.addEventListener('DOMContentLoaded', async () => {
     window.closeEditModal = closeEditModal;
 
 
+    // --- Recent activity (Okta System Log) for one user ---
+    const userActivitySection = document.getElementById('user-activity-section');
+    const activityTimeline = document.getElementById('user-activity-timeline');
+    const activityMessage = document.getElementById('activity-message');
+    const loadMoreActivityButton = document.getElementById('load-more-activity-button');
+    let activityUserId = null; // The user whose activity is shown
+    let activityNextPageUrl = null; // Set from the Link header of the last loaded page
+
+    // System Log filters for each "Show" option of the activity view.
+    const ACTIVITY_CATEGORIES = {
+      'failed-logins': {
+        eventType: 'user.session.start,user.authentication.sso,user.authentication.verify,user.authentication.auth_via_mfa',
+        outcome: 'FAILURE',
+      },
+      mfa: {
+        eventType: 'user.authentication.auth_via_mfa,user.mfa.factor.activate,user.mfa.factor.deactivate,user.mfa.factor.update,user.mfa.factor.reset_all,user.mfa.okta_verify.deny_push,system.push.send_factor_verify_push',
+      },
+      lifecycle: {
+        eventType: 'user.lifecycle.create,user.lifecycle.activate,user.lifecycle.deactivate,user.lifecycle.suspend,user.lifecycle.unsuspend,user.account.lock,user.account.unlock,user.account.reset_password,user.account.update_password',
+      },
+    };
+    // Outcomes shown as problems in the timeline.
+    const FAILED_OUTCOMES = ['FAILURE', 'DENY'];
+
+    /**
+     * Renders one System Log event as a timeline entry. Values come from Okta, so they are set with textContent.
+     * @param {object} event - The event, as returned by getSystemLog.
+     * @returns {HTMLLIElement} The timeline entry.
+     */
+    function renderActivityEvent(event) {
+      const li = document.createElement('li');
+      const failed = FAILED_OUTCOMES.includes(event.outcome?.result);
+      li.className = `activity-event${failed ? ' activity-event-failed' : ''}`;
+      const addLine = (className, text) => {
+        const span = document.createElement('span');
+        span.className = className;
+        span.textContent = text;
+        li.appendChild(span);
+      };
+      addLine('activity-time', new Date(event.published).toLocaleString());
+      addLine('activity-title', event.displayMessage || event.eventType);
+      const outcome = event.outcome ? `${event.outcome.result}${event.outcome.reason ? ` (${event.outcome.reason})` : ''}` : '';
+      addLine('activity-meta', [event.eventType, outcome].filter(Boolean).join(' · '));
+      const client = event.client ? [event.client.ipAddress, event.client.location].filter(Boolean).join(' · ') : '';
+      const actor = event.actor && event.actor.id !== activityUserId ? `by ${event.actor.alternateId || event.actor.displayName}` : '';
+      if (client || actor) addLine('activity-meta', [actor, client].filter(Boolean).join(' · '));
+      return li;
+    }
+
+    /**
+     * Loads the selected user's System Log events, one page at a time.
+     * @param {boolean} [loadMore=false] - Append the next page instead of reloading from the first page.
+     */
+    async function loadUserActivity(loadMore = false) {
+      displayMessage(activityMessage, 'Loading activity...', 'info');
+      if (!loadMore) activityTimeline.innerHTML = '';
+      if (loadMore && loadMoreActivityButton) loadMoreActivityButton.classList.add('loading');
+
+      let url = activityNextPageUrl;
+      if (!loadMore || !url) {
+        const params = new URLSearchParams({ action: 'getSystemLog', userId: activityUserId, limit: '25' });
+        Object.entries(ACTIVITY_CATEGORIES[document.getElementById('activity-category').value] || {})
+          .forEach(([param, value]) => params.set(param, value));
+        // Dates are whole days in the admin's time zone.
+        const since = document.getElementById('activity-since').value;
+        const until = document.getElementById('activity-until').value;
+        if (since) params.set('since', new Date(`${since}T00:00:00`).toISOString());
+        if (until) params.set('until', new Date(`${until}T23:59:59.999`).toISOString());
+        url = `/api/okta-user-management?${params.toString()}`;
+      }
+
+      try {
+        const response = await authorizedFetch(url);
+        if (response.ok) {
+          const events = await response.json();
+          activityNextPageUrl = getNextPageUrl(response);
+          if (loadMoreActivityButton) loadMoreActivityButton.style.display = activityNextPageUrl ? 'inline-flex' : 'none';
+          if (events.length === 0 && !loadMore) {
+            activityTimeline.innerHTML = '<li class="activity-event">No matching events. Okta keeps the System Log for 90 days.</li>';
+          } else {
+            events.forEach(event => activityTimeline.appendChild(renderActivityEvent(event)));
+          }
+          displayMessage(activityMessage, '', 'info');
+        } else {
+          const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+          displayMessage(activityMessage, `Error: ${error.error || 'Failed to load activity.'}`, 'error');
+        }
+      } catch (err) {
+        console.error("Load user activity error:", err);
+        displayMessage(activityMessage, `Network error: ${err.message}`, 'error');
+      } finally {
+        if (loadMoreActivityButton) loadMoreActivityButton.classList.remove('loading');
+      }
+    }
+
+    /**
+     * Opens the activity view for a user.
+     * @param {string} userId - The Okta user ID.
+     * @param {string} label - The user's name or email, for the heading.
+     */
+    function showUserActivity(userId, label) {
+      activityUserId = userId;
+      activityNextPageUrl = null;
+      document.getElementById('user-activity-title').textContent = `Recent Activity: ${label}`;
+      userActivitySection.style.display = '';
+      userActivitySection.scrollIntoView({ behavior: 'smooth', block: 'start' });
+      loadUserActivity();
+    }
+
+    if (userActivitySection) {
+      document.getElementById('user-activity-filter-form').addEventListener('submit', (event) => {
+        event.preventDefault();
+        loadUserActivity();
+      });
+      document.getElementById('close-activity-button').addEventListener('click', () => {
+        userActivitySection.style.display = 'none';
+        activityUserId = null;
+      });
+      loadMoreActivityButton?.addEventListener('click', () => loadUserActivity(true));
+    }
+
+    // --- Export: downloads all users matching the current search, with the chosen columns and format ---
+    const exportUsersForm = document.getElementById('export-users-form');
+    const exportMessage = document.getElementById('export-message');
+    if (exportUsersForm) {
+      exportUsersForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const exportButton = document.getElementById('export-users-button');
+        const columns = [...exportUsersForm.querySelectorAll('input[name="export-column"]:checked')].map(checkbox => checkbox.value);
+        if (columns.length === 0) {
+          displayMessage(exportMessage, 'Select at least one column.', 'error', 'message-area', 0, true);
+          return;
+        }
+        const format = document.getElementById('export-format').value;
+        // The export API uses the same filter parameters as searchUsers.
+        const url = `/api/okta-user-management?action=exportUsers&format=${format}&columns=${encodeURIComponent(columns.join(','))}` +
+          (activeUserSearch ? `&${activeUserSearch}` : '');
+        try {
+          exportButton.classList.add('loading');
+          displayMessage(exportMessage, 'Exporting users... Large exports (especially with groups) can take a while.', 'info');
+          const response = await authorizedFetch(url);
+          if (!response.ok) {
+            const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
+            displayMessage(exportMessage, `Error: ${error.error || 'Export failed.'}`, 'error', 'message-area', 0, true);
+            return;
+          }
+          const blob = await response.blob();
+          const fileName = response.headers.get('Content-Disposition')?.match(/filename="([^"]+)"/)?.[1] || `users.${format}`;
+          const link = document.createElement('a');
+          link.href = URL.createObjectURL(blob);
+          link.download = fileName;
+          link.click();
+          setTimeout(() => URL.revokeObjectURL(link.href), 0); // After the download has started
+          displayMessage(exportMessage, `Downloaded ${fileName}.`, 'success', 'message-area', 5000);
+        } catch (error) {
+          // Also reached when the server aborts a partially sent export.
+          console.error("Export error:", error);
+          displayMessage(exportMessage, `Export failed: ${error.message}`, 'error');
+        } finally {
+          exportButton.classList.remove('loading');
+        }
+      });
+    }
+
+    // --- Bulk import (CSV/JSON): validate first, then import, then offer the per-row report ---
+    const importUsersForm = document.getElementById('import-users-form');
+    const importFileInput = document.getElementById('import-file');
+    const startImportButton = document.getElementById('start-import-button');
+    const downloadImportReportButton = document.getElementById('download-import-report-button');
+    const importMessage = document.getElementById('import-message');
+    const importPreviewList = document.getElementById('import-preview-list');
+    let validatedImport = null; // { format, data } of the file that passed validation
+    let importReportCsv = null; // Per-row results of the last import, as CSV
+
+    // Badge label and style for each row state in the preview and report.
+    const IMPORT_ROW_STATES = {
+      valid: { label: 'Valid', badge: 'status-active' },
+      invalid: { label: 'Invalid', badge: 'status-suspended' },
+      created: { label: 'Created', badge: 'status-active' },
+      failed: { label: 'Failed', badge: 'status-suspended' },
+    };
+
+    /**
+     * Reads the selected import file.
+     * @returns {Promise<{ format: 'csv'|'json', data: string }>} The file format (from its extension or type) and contents.
+     */
+    async function readImportFile() {
+      const file = importFileInput.files[0];
+      const format = file.name.toLowerCase().endsWith('.json') || file.type === 'application/json' ? 'json' : 'csv';
+      return { format, data: await file.text() };
+    }
+
+    /**
+     * Lists import rows with their state, errors and warnings.
+     * @param {object[]} rows - Rows from validateImport, or report entries from importUsers.
+     */
+    function renderImportRows(rows) {
+      importPreviewList.innerHTML = '';
+      rows.forEach((row, index) => {
+        const state = row.result || (row.errors?.length ? 'invalid' : 'valid');
+        const li = document.createElement('li');
+        // Row values come from the uploaded file, so they are set with textContent.
+        const info = document.createElement('div');
+        info.className = 'user-item-info';
+        const name = document.createElement('span');
+        name.className = 'user-name';
+        name.textContent = `Row ${row.row}: ${row.firstName} ${row.lastName}`;
+        const badge = document.createElement('span');
+        badge.className = `status-badge ${IMPORT_ROW_STATES[state].badge}`;
+        badge.textContent = IMPORT_ROW_STATES[state].label;
+        const details = document.createElement('span');
+        details.className = 'user-email';
+        details.textContent = [
+          row.email,
+          row.login !== row.email ? `login ${row.login}` : '',
+          row.groups.length ? `groups: ${row.groups.join(', ')}` : '',
+          row.invite ? 'invite by email' : 'password set',
+        ].filter(Boolean).join(' · ');
+        info.append(name, badge, details);
+        [...(row.errors || []), ...(row.warnings || [])].forEach(text => {
+          const note = document.createElement('span');
+          note.className = 'user-id';
+          note.textContent = text;
+          info.appendChild(note);
+        });
+        li.appendChild(info);
+        li.classList.add('animated-item'); // Add class for animation
+        li.style.setProperty('--item-index', `${Math.min(index, 20) * 0.05}s`); // Set delay for staggered animation
+        importPreviewList.appendChild(li);
+      });
+    }
+
+    /**
+     * Sends the import file to validateImport or importUsers.
+     * @param {'validateImport'|'importUsers'} action - The import action.
+     * @param {{ format: string, data: string }} importFile - The file to send.
+     * @returns {Promise<{ response: Response, body: object }>} The response and its parsed body.
+     */
+    async function sendImportRequest(action, importFile) {
+      const response = await authorizedFetch('/api/okta-user-management', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ action, ...importFile })
+      });
+      const body = await response.json().catch(() => ({ error: 'Failed to parse server response.' }));
+      return { response, body };
+    }
+
+    if (importUsersForm) {
+      // A new file must be validated again before it can be imported.
+      importFileInput.addEventListener('change', () => {
+        validatedImport = null;
+        startImportButton.disabled = true;
+        importPreviewList.innerHTML = '';
+        displayMessage(importMessage, '', 'info');
+      });
+
+      importUsersForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        const validateButton = document.getElementById('validate-import-button');
+        validatedImport = null;
+        startImportButton.disabled = true;
+        downloadImportReportButton.style.display = 'none';
+        try {
+          validateButton.classList.add('loading');
+          displayMessage(importMessage, 'Validating...', 'info');
+          const importFile = await readImportFile();
+          const { response, body } = await sendImportRequest('validateImport', importFile);
+          if (!response.ok) {
+            importPreviewList.innerHTML = '';
+            displayMessage(importMessage, `Error: ${body.error || 'Validation failed.'}`, 'error', 'message-area', 0, true);
+            return;
+          }
+          renderImportRows(body.rows);
+          if (body.valid) {
+            validatedImport = importFile;
+            startImportButton.disabled = false;
+            displayMessage(importMessage, `All ${body.total} rows are valid. Review them, then click Import Users.`, 'success');
+          } else {
+            displayMessage(importMessage, `${body.invalid} of ${body.total} rows are invalid. Fix the file and validate again.`, 'error', 'message-area', 0, true);
+          }
+        } catch (error) {
+          console.error("Import validation error:", error);
+          displayMessage(importMessage, `Error: ${error.message}`, 'error');
+        } finally {
+          validateButton.classList.remove('loading');
+        }
+      });
+
+      startImportButton.addEventListener('click', () => {
+        if (!validatedImport) return;
+        showConfirmModal('Import Users', 'Create all users in the validated file? This cannot be undone as a batch.', async () => {
+          const importFile = validatedImport;
+          validatedImport = null;
+          startImportButton.disabled = true;
+          try {
+            startImportButton.classList.add('loading');
+            displayMessage(importMessage, 'Importing users... This can take a few minutes for large files.', 'info');
+            const { response, body } = await sendImportRequest('importUsers', importFile);
+            if (!response.ok) {
+              // The file no longer validates (e.g. a user was created meanwhile); show the rows that failed.
+              if (body.details?.rows) renderImportRows(body.details.rows);
+              displayMessage(importMessage, `Error: ${body.error || 'Import failed.'}`, 'error', 'message-area', 0, true);
+              return;
+            }
+            importReportCsv = body.reportCsv;
+            renderImportRows(body.report);
+            downloadImportReportButton.style.display = 'inline-flex';
+            displayMessage(importMessage, `Import finished: ${body.created} created, ${body.failed} failed.`, body.failed ? 'error' : 'success');
+            loadUsers();
+          } catch (error) {
+            console.error("Import error:", error);
+            displayMessage(importMessage, `Error: ${error.message}`, 'error');
+          } finally {
+            startImportButton.classList.remove('loading');
+          }
+        });
+      });
+
+      // The server formats the report (lib/csv.js guards against spreadsheet formulas in the values).
+      downloadImportReportButton.addEventListener('click', () => {
+        if (!importReportCsv) return;
+        const blob = new Blob([importReportCsv], { type: 'text/csv' });
+        const link = document.createElement('a');
+        link.href = URL.createObjectURL(blob);
+        link.download = `user-import-report-${new Date().toISOString().slice(0, 10)}.csv`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(link.href), 0); // After the download has started
+      });
+    }
+
     if (createUserForm) {
       createUserForm.addEventListener('submit', async (event) => {
         event.preventDefault();
@@ -747,40 +2174,47 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // --- ADDED: Get authenticated user's access token for server-side authorization ---
         const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-        if (!authenticatedUser || !authenticatedUser.accessToken) {
+        if (!hasApiCredentials(authenticatedUser)) {
             showToast('Authentication required to create user.', 'error');
             displayMessage(createMessage, 'Authentication required.', 'error', 'message-area', 0, true);
             return;
         }
-        const accessToken = authenticatedUser.accessToken;
         // --- END ADDED ---
 
+        const invite = inviteUserCheckbox ? inviteUserCheckbox.checked : false;
         const userData = {
           firstName: document.getElementById('firstName').value,
           lastName: document.getElementById('lastName').value,
           email: document.getElementById('email').value,
-          password: document.getElementById('password').value
+          ...(invite ? { invite: true } : { password: passwordInput.value })
         };
 
         if (createUserSubmitButton) createUserSubmitButton.classList.add('loading');
+        clearFieldErrors(createUserForm);
         try {
-          const response = await fetch('/api/okta-user-management', {
+          const response = await authorizedFetch('/api/okta-user-management', {
             method: 'POST',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${accessToken}` // Send user's access token
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ action: 'createUser', userData })
           });
 
           if (response.ok) {
             const newUser = await response.json();
-            showToast(`User ${newUser.email} created successfully!`, 'success'); // Use toast
+            if (newUser.invited && newUser.activationEmailSent === false) {
+              showToast(`User ${newUser.email} created, but the activation email could not be sent. Use "Resend activation email" to retry.`, 'error', 6000);
+            } else if (newUser.invited) {
+              showToast(`Invitation sent to ${newUser.email}.`, 'success');
+            } else {
+              showToast(`User ${newUser.email} created successfully!`, 'success'); // Use toast
+            }
             createUserForm.reset();
+            syncInviteMode();
             loadUsers();
           } else {
             const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
-            displayMessage(createMessage, `Error: ${error.error || error.message || 'Failed to create user.'}`, 'error', 'message-area', 0, true); // Shake on error
+            displayMessage(createMessage, `Error: ${describeFormError(createUserForm, error, CREATE_USER_INPUTS, 'Failed to create user.')}`, 'error', 'message-area', 0, true); // Shake on error
           }
         } catch (err) {
           console.error("Create user network error:", err);
@@ -791,37 +2225,52 @@ document.addEventListener('DOMContentLoaded', async () => {
       });
     }
 
-    async function loadUsers() {
+    /**
+     * Loads the user list, one page at a time.
+     * @param {boolean} [loadMore=false] - Append the next page instead of reloading from the first page.
+     */
+    async function loadUsers(loadMore = false) {
+      const activeButton = loadMore ? loadMoreUsersButton : loadUsersButton;
       displayMessage(listMessage, 'Loading users...', 'info');
-      userListContainer.innerHTML = ''; // Clear existing
-      if (loadUsersButton) loadUsersButton.classList.add('loading');
-      if (userListSkeleton) userListSkeleton.style.display = 'flex'; // Show skeleton
+      if (!loadMore) userListContainer.innerHTML = ''; // Clear existing
+      if (activeButton) activeButton.classList.add('loading');
+      if (userListSkeleton && !loadMore) userListSkeleton.style.display = 'flex'; // Show skeleton
 
       // --- ADDED: Get authenticated user's access token for server-side authorization ---
       const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-      if (!authenticatedUser || !authenticatedUser.accessToken) {
+      if (!hasApiCredentials(authenticatedUser)) {
           showToast('Authentication required to load users.', 'error');
           displayMessage(listMessage, 'Authentication required.', 'error');
-          if (loadUsersButton) loadUsersButton.classList.remove('loading');
+          if (activeButton) activeButton.classList.remove('loading');
           if (userListSkeleton) userListSkeleton.style.display = 'none'; // Hide skeleton
           return;
       }
-      const accessToken = authenticatedUser.accessToken;
       // --- END ADDED ---
 
       try {
-        const response = await fetch('/api/okta-user-management?action=listUsers', {
-            headers: {
-                'Authorization': `Bearer ${accessToken}` // Send user's access token
-            }
-        });
+        const firstPageUrl = activeUserSearch
+          ? `/api/okta-user-management?action=searchUsers&${activeUserSearch}`
+          : '/api/okta-user-management?action=listUsers';
+        const url = loadMore && usersNextPageUrl ? usersNextPageUrl : firstPageUrl;
+        const response = await authorizedFetch(url);
         if (response.ok) {
           const users = await response.json();
-          if (users.length === 0) {
-            userListContainer.innerHTML = '<p>No users found.</p>';
+          usersNextPageUrl = getNextPageUrl(response);
+          if (loadMoreUsersButton) loadMoreUsersButton.style.display = usersNextPageUrl ? 'inline-flex' : 'none';
+          if (users.length === 0 && !loadMore) {
+            userListContainer.innerHTML = activeUserSearch ? '<p>No users match your search.</p>' : '<p>No users found.</p>';
           } else {
-            const ul = document.createElement('ul');
-            ul.className = 'styled-list item-list';
+            // Append to the list rendered by earlier pages, if any.
+            let ul = loadMore ? userListContainer.querySelector('ul') : null;
+            if (!ul) {
+              ul = document.createElement('ul');
+              ul.className = 'styled-list item-list';
+              userListContainer.appendChild(ul);
+            }
+            // Only render the actions the user's permissions allow (the backend enforces them too).
+            const canEditUsers = hasPermission('users:write');
+            const canDeleteUsers = hasPermission('users:delete');
+            const canViewActivity = hasPermission('logs:read');
             users.forEach((user, index) => {
               const li = document.createElement('li');
               const userId = user.user_id || user.id || user.sub;
@@ -832,22 +2281,24 @@ document.addEventListener('DOMContentLoaded', async () => {
               li.innerHTML = `
                 <div class="user-item-info">
                   <span class="user-name">${firstName} ${lastName}</span>
+                  ${renderStatusBadge(user.status)}
                   <span class="user-email">${email}</span>
                   <span class="user-id">Auth0 ID: ${userId}</span>
                 </div>
                 <div class="user-item-actions">
-                  <button data-userid="${userId}" data-firstname="${firstName}" data-lastname="${lastName}" data-email="${email}" class="edit-user-btn btn btn-secondary btn-sm">Edit</button>
-                  <button data-userid="${userId}" class="delete-user-btn btn btn-danger btn-sm">Delete</button>
+                  ${renderLifecycleMenu(userId, user.status)}
+                  ${canEditUsers ? `<button data-userid="${userId}" data-firstname="${firstName}" data-lastname="${lastName}" data-email="${email}" class="edit-user-btn btn btn-secondary btn-sm">Edit</button>` : ''}
+                  ${canViewActivity ? `<button data-userid="${userId}" class="activity-user-btn btn btn-secondary btn-sm">Activity</button>` : ''}
+                  ${canDeleteUsers ? `<button data-userid="${userId}" class="delete-user-btn btn btn-danger btn-sm">Delete</button>` : ''}
                 </div>
               `;
               li.classList.add('animated-item'); // Add class for animation
               li.style.setProperty('--item-index', `${index * 0.05}s`); // Set delay for staggered animation
+              li.querySelector('.edit-user-btn')?.addEventListener('click', handleEditUser);
+              li.querySelector('.delete-user-btn')?.addEventListener('click', handleDeleteUser);
+              li.querySelector('.activity-user-btn')?.addEventListener('click', () => showUserActivity(userId, `${firstName} ${lastName}`.trim() || email));
               ul.appendChild(li);
             });
-            userListContainer.appendChild(ul);
-
-            document.querySelectorAll('.edit-user-btn').forEach(btn => btn.addEventListener('click', handleEditUser));
-            document.querySelectorAll('.delete-user-btn').forEach(btn => btn.addEventListener('click', handleDeleteUser));
           }
           displayMessage(listMessage, '', 'info');
         } else {
@@ -858,13 +2309,60 @@ document.addEventListener('DOMContentLoaded', async () => {
         console.error("Load users network error:", err);
         displayMessage(listMessage, `Network error: ${err.message}`, 'error');
       } finally {
-        if (loadUsersButton) loadUsersButton.classList.remove('loading');
+        if (activeButton) activeButton.classList.remove('loading');
         if (userListSkeleton) userListSkeleton.style.display = 'none'; // Hide skeleton
       }
     }
 
+    if (loadMoreUsersButton) {
+      loadMoreUsersButton.addEventListener('click', () => loadUsers(true));
+    }
+    if (userListContainer) {
+      // Actions menus: toggle button, menu items, right-click on a row, and Escape to close.
+      userListContainer.addEventListener('click', (event) => {
+        const menuItem = event.target.closest('[data-lifecycle-index]');
+        if (menuItem) {
+          handleLifecycleAction(menuItem);
+          return;
+        }
+        const toggle = event.target.closest('.lifecycle-menu-toggle');
+        if (toggle) {
+          event.stopPropagation();
+          toggleLifecycleMenu(toggle.closest('.lifecycle-menu'));
+        }
+      });
+      userListContainer.addEventListener('contextmenu', (event) => {
+        const menu = event.target.closest('li.animated-item')?.querySelector('.lifecycle-menu');
+        if (menu) {
+          event.preventDefault();
+          toggleLifecycleMenu(menu, true);
+        }
+      });
+      userListContainer.addEventListener('keydown', (event) => {
+        if (event.key === 'Escape') closeLifecycleMenus();
+      });
+      document.addEventListener('click', (event) => {
+        if (!event.target.closest('.lifecycle-menu')) closeLifecycleMenus();
+      });
+    }
+    if (userSearchForm) {
+      userSearchForm.addEventListener('submit', async (event) => {
+        event.preventDefault();
+        activeUserSearch = buildUserSearchQuery();
+        if (searchUsersButton) searchUsersButton.classList.add('loading');
+        await loadUsers();
+        if (searchUsersButton) searchUsersButton.classList.remove('loading');
+      });
+    }
+    if (clearSearchButton) {
+      clearSearchButton.addEventListener('click', () => {
+        userSearchForm.reset();
+        activeUserSearch = null;
+        loadUsers();
+      });
+    }
     if (loadUsersButton) {
-      loadUsersButton.addEventListener('click', loadUsers);
+      loadUsersButton.addEventListener('click', () => loadUsers());
       // Trigger initial load on page load if the list is empty (optional)
       if (userListContainer.children.length === 0) { // Check if the container has content
         loadUsers();
@@ -893,6 +2391,7 @@ document.addEventListener('DOMContentLoaded', async () => {
       editLastNameInput.value = btn.dataset.lastname;
       editEmailInput.value = btn.dataset.email;
 
+      if (editUserForm) clearFieldErrors(editUserForm);
       displayMessage(editMessage, '', 'info');
       showEditModal(); // Call the new function to show modal smoothly
     }
@@ -908,21 +2407,20 @@ document.addEventListener('DOMContentLoaded', async () => {
 
         // --- ADDED: Get authenticated user's access token for server-side authorization ---
         const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-        if (!authenticatedUser || !authenticatedUser.accessToken) {
+        if (!hasApiCredentials(authenticatedUser)) {
             showToast('Authentication required to save changes.', 'error');
             displayMessage(editMessage, 'Authentication required.', 'error', 'message-area', 0, true);
             return;
         }
-        const accessToken = authenticatedUser.accessToken;
         // --- END ADDED ---
 
         if (saveEditButton) saveEditButton.classList.add('loading');
+        if (editUserForm) clearFieldErrors(editUserForm);
         try {
-          const response = await fetch('/api/okta-user-management', {
+          const response = await authorizedFetch('/api/okta-user-management', {
             method: 'PUT',
             headers: {
-                'Content-Type': 'application/json',
-                'Authorization': `Bearer ${accessToken}` // Send user's access token
+                'Content-Type': 'application/json'
             },
             body: JSON.stringify({ action: 'updateUser', userId: userIdToUpdate, updates })
           });
@@ -933,7 +2431,8 @@ document.addEventListener('DOMContentLoaded', async () => {
             loadUsers();
           } else {
             const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
-            displayMessage(editMessage, `Error: ${error.error || error.message || 'Failed to update user.'}`, 'error', 'message-area', 0, true); // Shake on error
+            const message = editUserForm ? describeFormError(editUserForm, error, EDIT_USER_INPUTS, 'Failed to update user.') : describeApiError(error, 'Failed to update user.');
+            displayMessage(editMessage, `Error: ${message}`, 'error', 'message-area', 0, true); // Shake on error
           }
         } catch (err) {
           console.error("Update user network error:", err);
@@ -951,12 +2450,11 @@ document.addEventListener('DOMContentLoaded', async () => {
 
       // --- ADDED: Get authenticated user's access token for server-side authorization ---
       const authenticatedUser = JSON.parse(localStorage.getItem('authenticatedUser'));
-      if (!authenticatedUser || !authenticatedUser.accessToken) {
+      if (!hasApiCredentials(authenticatedUser)) {
           showToast('Authentication required to delete user.', 'error');
           displayMessage(listMessage, 'Authentication required.', 'error');
           return;
       }
-      const accessToken = authenticatedUser.accessToken;
       // --- END ADDED ---
 
       // Replace confirm() with custom modal
@@ -967,11 +2465,10 @@ document.addEventListener('DOMContentLoaded', async () => {
           displayMessage(listMessage, 'Deleting user...', 'info');
           btn.classList.add('loading');
           try {
-            const response = await fetch('/api/okta-user-management', {
+            const response = await authorizedFetch('/api/okta-user-management', {
               method: 'DELETE',
               headers: {
-                  'Content-Type': 'application/json',
-                  'Authorization': `Bearer ${accessToken}` // Send user's access token
+                  'Content-Type': 'application/json'
               },
               body: JSON.stringify({ action: 'deleteUser', userId: userIdToDelete })
             });
@@ -981,7 +2478,7 @@ document.addEventListener('DOMContentLoaded', async () => {
               loadUsers();
             } else {
               const error = await response.json().catch(() => ({ error: 'Failed to parse error response.' }));
-              displayMessage(listMessage, `Error deleting user: ${error.error || error.message || 'Failed to delete.'}`, 'error', 'message-area', 0, true); // Shake on error
+              displayMessage(listMessage, `Error deleting user: ${describeApiError(error, 'Failed to delete.')}`, 'error', 'message-area', 0, true); // Shake on error
             }
           } catch (err) {
             console.error("Delete user network error:", err);
@@ -0,0 +1,525 @@
+// lib/admin-api.js
+// What every admin endpoint does around the operation itself: authenticating the caller, checking the
+// permission the action requires, error responses, request IDs, the audit trail and pagination links.
+// Shared by the action API (/api/okta-user-management) and the resource routes (/api/users, /api/groups);
+// the operations live in lib/user-management.js.
+//
+// The caller's access token (Bearer header, or the session cookie in cookie session mode) is validated locally
+// against the authorization server's JWKS, falling back to /userinfo for opaque tokens, and the caller's
+// permissions are resolved from their groups (lib/permissions.js).
+import fetch from 'node-fetch';
+import crypto from 'crypto'; // For hashing access tokens into cache keys and generating request IDs
+import { isCookieSessionMode, getSession } from './session.js';
+import { isJwt, verifyOktaJwt } from './okta-jwt.js';
+import { getOktaBaseUrl } from './okta-config.js';
+import { getPermissionsForGroups } from './permissions.js';
+import { recordAuditEvent, diffSnapshots } from './audit-log.js';
+import { validateSchema, describeFieldErrors } from './validation.js';
+import { createLogger, runWithLogContext, setLogContext } from './logger.js';
+
+const log = createLogger('lib/admin-api');
+
+// Okta Configuration from environment variables
+const OKTA_BASE_URL = getOktaBaseUrl(); // https://<AUTH0_DOMAIN>, or OKTA_BASE_URL (e.g. the local mock Okta)
+// M2M Client Credentials (Client ID only, secret is replaced by private_key_jwt)
+const OKTA_M2M_CLIENT_ID = process.env.OKTA_M2M_CLIENT_ID;
+
+const OKTA_ISSUER = `${OKTA_BASE_URL}/oauth2/default`; // Issuer for user tokens (for userinfo endpoint)
+
+// Actions written to the audit trail: everything that changes Okta (all but the read-only actions and the import dry run).
+const AUDITED_ACTIONS = new Set();
+// Accepted format for a caller-supplied X-Request-Id header.
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+// Machine-readable `code` of error responses, by HTTP status, unless the error names a more specific one.
+const ERROR_CODES = {
+    400: 'INVALID_REQUEST',
+    401: 'UNAUTHORIZED',
+    403: 'FORBIDDEN',
+    404: 'NOT_FOUND',
+    405: 'METHOD_NOT_ALLOWED',
+    409: 'CONFLICT',
+    429: 'RATE_LIMITED',
+    500: 'INTERNAL_ERROR',
+    502: 'UPSTREAM_ERROR',
+    503: 'SERVICE_UNAVAILABLE',
+};
+
+// Response status for Okta error codes that say what was wrong with the request. Other Okta errors are mapped
+// by their HTTP status (see getOktaErrorStatus).
+const OKTA_ERROR_CODE_STATUSES = {
+    E0000001: 400, // Api validation failed (e.g. the password policy); 409 if a cause says the value already exists
+    E0000007: 404, // Not found
+    E0000014: 400, // Update of credentials failed (e.g. a recently used password)
+    E0000016: 409, // Activation failed because the user is already active
+    E0000038: 409, // This operation is not allowed in the user's current status
+    E0000080: 400, // The password does not meet the complexity requirements
+};
+// An Okta error cause saying a unique value (login, email, group name) is taken.
+const DUPLICATE_VALUE_CAUSE = /already exists/i;
+
+// Permission required by each action (see lib/permissions.js for the role-to-permission policy).
+const ACTION_PERMISSIONS = {
+    listUsers: 'users:read',
+    getUser: 'users:read',
+    listUsersInRole: 'users:read',
+    searchUsers: 'users:read',
+    exportUsers: 'users:read',
+    getAuditLog: 'audit:read',
+    getSystemLog: 'logs:read',
+    createUser: 'users:write',
+    validateImport: 'users:write',
+    importUsers: 'users:write',
+    updateUser: 'users:write',
+    deleteUser: 'users:delete',
+    activateUser: 'users:lifecycle',
+    reactivateUser: 'users:lifecycle',
+    deactivateUser: 'users:lifecycle',
+    suspendUser: 'users:lifecycle',
+    unsuspendUser: 'users:lifecycle',
+    unlockUser: 'users:lifecycle',
+    resendActivation: 'users:lifecycle',
+    resetPassword: 'users:credentials',
+    expirePassword: 'users:credentials',
+    listGroups: 'users:read',
+    getGroup: 'users:read',
+    listGroupMembers: 'users:read',
+    createGroup: 'groups:manage',
+    renameGroup: 'groups:manage',
+    deleteGroup: 'groups:manage',
+    addGroupMember: 'roles:manage',
+    removeGroupMember: 'roles:manage',
+    assignRoles: 'roles:manage',
+    unassignRoles: 'roles:manage',
+};
+Object.entries(ACTION_PERMISSIONS)
+    .filter(([action, permission]) => !permission.endsWith(':read') && action !== 'validateImport')
+    .forEach(([action]) => AUDITED_ACTIONS.add(action));
+
+// --- End-user access token validation settings ---
+// Expected `aud` of access tokens minted by the default authorization server.
+const ACCESS_TOKEN_AUDIENCE = process.env.AUTH0_AUDIENCE || 'api://default';
+// Scopes the access token must carry (space-separated, checked against the `scp` claim).
+const REQUIRED_ACCESS_TOKEN_SCOPES = (process.env.OKTA_REQUIRED_SCOPES || 'openid').split(' ').filter(Boolean);
+// Opaque (non-JWT) tokens, and JWTs without a `groups` claim, are resolved via /userinfo unless disabled.
+const USERINFO_FALLBACK_ENABLED = process.env.OKTA_USERINFO_FALLBACK !== 'false';
+// Validated tokens are cached for this long (never beyond their `exp`). Revocations take up to this long to be noticed.
+const ACCESS_TOKEN_CACHE_TTL_MS = (Number(process.env.ACCESS_TOKEN_CACHE_TTL_SECONDS) || 60) * 1000;
+const ACCESS_TOKEN_CACHE_MAX_ENTRIES = 500;
+
+// Cache of validated access tokens: sha256(token) -> { claims, expiresAt }
+const validatedTokenCache = new Map();
+
+/**
+ * Helper function to send standardized error responses: `{ error, code, details?, fields?, causes?, upstream? }`.
+ * @param {object} res - The Express response object.
+ * @param {number} statusCode - The HTTP status code to send.
+ * @param {string} message - A human-readable error message.
+ * @param {object|string} [errorDetails] - Optional additional details about the error.
+ * @param {object} [options]
+ * @param {string} [options.code] - The machine-readable error code; defaults to one for the status (see ERROR_CODES).
+ * @param {object} [options.fields] - Error messages by request field, for validation errors.
+ * @param {string[]} [options.causes] - Okta's explanation of a rejected request, e.g. 'login: An object with this field already exists...'.
+ * @param {object} [options.upstream] - Okta's `{ status, errorCode, errorId }` for an error Okta returned, to quote to Okta support.
+ */
+export function sendError(res, statusCode, message, errorDetails, { code, fields, causes, upstream } = {}) {
+    log[statusCode >= 500 ? 'error' : 'warn'](message, { statusCode, code, details: errorDetails?.message || errorDetails, fields, causes, upstream });
+    // Recorded in the audit trail for failed admin actions.
+    const detailsText = errorDetails?.message || errorDetails;
+    res.errorMessage = typeof detailsText === 'string' ? `${message} (${detailsText})` : message;
+    res.status(statusCode).json({
+        error: message,
+        code: code || ERROR_CODES[statusCode] || 'ERROR',
+        details: errorDetails?.message || errorDetails,
+        ...(fields ? { fields } : {}),
+        ...(causes?.length ? { causes } : {}),
+        ...(upstream ? { upstream } : {}),
+    });
+}
+
+/**
+ * Chooses the response status for an error Okta returned (an OktaApiError from lib/okta-management-client.js).
+ * Errors caused by the request keep their meaning: 404 stays 404, a duplicate login or name is a 409, and
+ * a rejected password or profile value a 400. Errors the caller cannot fix are upstream failures: Okta refusing
+ * this app's own credentials (401/403) or failing (5xx) gives 502, or 503 if Okta is unavailable.
+ * @param {Error} error - The OktaApiError.
+ * @returns {number} The HTTP status to respond with.
+ */
+function getOktaErrorStatus(error) {
+    if (error.errorCode === 'E0000001' && error.errorCauses.some(cause => DUPLICATE_VALUE_CAUSE.test(cause))) {
+        return 409;
+    }
+    if (OKTA_ERROR_CODE_STATUSES[error.errorCode]) {
+        return OKTA_ERROR_CODE_STATUSES[error.errorCode];
+    }
+    const status = error.upstreamStatus;
+    if ([400, 404, 409].includes(status)) return status;
+    return status === 503 ? 503 : 502;
+}
+
+/**
+ * Resolves the ID that identifies a request in logs and audit events: the caller's X-Request-Id if it looks
+ * like one, else Vercel's request ID, else a new UUID. It is echoed back in the X-Request-Id response header.
+ * @param {object} req - The request object.
+ * @returns {string} The request ID.
+ */
+function getRequestId(req) {
+    const requestIdHeader = req.headers['x-request-id'];
+    if (typeof requestIdHeader === 'string' && REQUEST_ID_PATTERN.test(requestIdHeader)) {
+        return requestIdHeader;
+    }
+    return req.headers['x-vercel-id'] || crypto.randomUUID();
+}
+
+/**
+ * Writes the audit event for an admin action once its response has been sent.
+ * The outcome comes from the response status: 4xx/5xx is a 'failure' (with the error message), a 207 whose
+ * per-item results include failures is 'partial', anything else 'success'.
+ * @param {object} res - The response object, after the handler has responded.
+ * @param {object} audit - The audit context filled in by the action: `{ requestId, actor, action, target, before, after, details, partial }`.
+ */
+async function recordAdminAction(res, audit) {
+    const statusCode = res.statusCode;
+    let result = 'success';
+    if (statusCode >= 400) {
+        result = 'failure';
+    } else if (audit.partial) {
+        result = 'partial';
+    }
+    // A failed action changed nothing, whatever snapshots were taken before it failed.
+    const changes = result === 'failure' ? undefined : diffSnapshots(audit.before, audit.after);
+    await recordAuditEvent({
+        requestId: audit.requestId,
+        actor: audit.actor,
+        action: audit.action,
+        target: audit.target,
+        result,
+        statusCode,
+        ...(result === 'failure' && res.errorMessage ? { error: res.errorMessage } : {}),
+        ...(changes && Object.keys(changes).length > 0 ? { changes } : {}),
+        ...(audit.details ? { details: audit.details } : {}),
+    });
+}
+
+/**
+ * Advertises the next page of a paginated action the way Okta does: a `Link` header with rel="next"
+ * pointing back at the endpoint with the `after` cursor. No header is set on the last page.
+ * @param {object} res - The Express response object.
+ * @param {string} path - The endpoint's path, e.g. '/api/okta-user-management' or '/api/users'.
+ * @param {object} params - The query parameters identifying the current request (e.g. `{ action, roleName }`).
+ * @param {number} limit - The page size in use.
+ * @param {string|null} nextCursor - The cursor for the next page, or null.
+ */
+export function setNextPageLink(res, path, params, limit, nextCursor) {
+    if (!nextCursor) return;
+    const nextQuery = new URLSearchParams({ ...params, limit: String(limit), after: nextCursor });
+    res.setHeader('Link', `<${path}?${nextQuery.toString()}>; rel="next"`);
+}
+
+/**
+ * Resolves the end-user's access token from the request.
+ * A `Bearer` Authorization header takes precedence; otherwise, in cookie session mode, the access token
+ * is read from the server-side session referenced by the HttpOnly session cookie.
+ * @param {object} req - The Express request object.
+ * @returns {Promise<{ token?: string, error?: string }>} The token, or an error message suitable for a 401.
+ */
+async function resolveUserAccessToken(req) {
+    const authHeader = req.headers.authorization;
+    if (authHeader) {
+        if (!authHeader.startsWith('Bearer ')) {
+            return { error: 'Unauthorized: Access token missing or malformed.' };
+        }
+        const token = authHeader.split(' ')[1];
+        return token ? { token } : { error: 'Unauthorized: Access token is empty.' };
+    }
+
+    if (isCookieSessionMode()) {
+        const session = await getSession(req);
+        if (!session) {
+            return { error: 'Unauthorized: No active session.' };
+        }
+        if (session.data.accessTokenExpiresAt && session.data.accessTokenExpiresAt <= Date.now()) {
+            // The client refreshes via /api/auth and retries when it sees this 401.
+            return { error: 'Unauthorized: Invalid or expired access token.' };
+        }
+        return { token: session.data.accessToken };
+    }
+
+    return { error: 'Unauthorized: Access token missing or malformed.' };
+}
+
+/**
+ * Calls Okta's /userinfo endpoint with the end-user's access token.
+ * Okta validates the token (active, correct issuer) and returns the user's claims, including `groups`.
+ * @param {string} userAccessToken - The end-user's access token.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<object|null>} The userinfo claims, or null after sending an error response.
+ */
+async function fetchUserinfo(userAccessToken, res) {
+    const userinfoUrl = `${OKTA_ISSUER}/v1/userinfo`;
+    log.debug('Fetching userinfo for authorization.', { url: userinfoUrl });
+
+    const userinfoResponse = await fetch(userinfoUrl, {
+        method: 'GET',
+        headers: {
+            'Authorization': `Bearer ${userAccessToken}`,
+            'Accept': 'application/json'
+        }
+    });
+
+    const userinfoData = await userinfoResponse.json();
+
+    // If the /userinfo call fails or returns an error status, the token is invalid or unauthorized.
+    if (!userinfoResponse.ok) {
+        let errorMessage = 'Unauthorized: Failed to validate user token with Okta.';
+        if (userinfoResponse.status === 401) {
+            errorMessage = 'Unauthorized: Invalid or expired access token.';
+        }
+        sendError(res, userinfoResponse.status, errorMessage, userinfoData);
+        return null;
+    }
+    return userinfoData;
+}
+
+/**
+ * Validates the end-user's access token and returns normalized user claims (`sub`, `email`, `groups`).
+ * JWT access tokens are verified locally against the authorization server's JWKS (signature, issuer,
+ * audience, expiry) and must carry the required scopes; groups come from the token's `groups` claim.
+ * Opaque tokens (or JWTs without a `groups` claim) fall back to /userinfo when OKTA_USERINFO_FALLBACK allows it.
+ * Validated tokens are cached briefly so repeated admin calls don't re-verify.
+ * @param {string} userAccessToken - The end-user's access token.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<object|null>} The user claims, or null after sending an error response.
+ */
+async function getValidatedUserClaims(userAccessToken, res) {
+    const cacheKey = crypto.createHash('sha256').update(userAccessToken).digest('hex');
+    const cached = validatedTokenCache.get(cacheKey);
+    if (cached && cached.expiresAt > Date.now()) {
+        log.debug('Using cached access token validation result.');
+        return cached.claims;
+    }
+    validatedTokenCache.delete(cacheKey);
+
+    let userClaims;
+    let tokenExpiresAt = Date.now() + ACCESS_TOKEN_CACHE_TTL_MS;
+
+    if (isJwt(userAccessToken)) {
+        let payload;
+        try {
+            payload = await verifyOktaJwt(userAccessToken, { audience: ACCESS_TOKEN_AUDIENCE });
+        } catch (verifyError) {
+            if (verifyError.name === 'JwksError' || verifyError.code) {
+                // The key set could not be fetched (JWKS error or network failure): an upstream problem, not a bad token.
+                sendError(res, 503, 'Service Unavailable: Unable to validate access token right now.', verifyError.message);
+            } else {
+                sendError(res, 401, 'Unauthorized: Invalid or expired access token.', verifyError.message);
+            }
+            return null;
+        }
+
+        const grantedScopes = Array.isArray(payload.scp) ? payload.scp : String(payload.scp || '').split(' ');
+        const missingScopes = REQUIRED_ACCESS_TOKEN_SCOPES.filter(scope => !grantedScopes.includes(scope));
+        if (missingScopes.length > 0) {
+            sendError(res, 403, `Forbidden: Access token is missing required scope(s): ${missingScopes.join(', ')}.`);
+            return null;
+        }
+
+        // In Okta access tokens `uid` is the user ID and `sub` is the login; normalize to the userinfo shape.
+        userClaims = {
+            sub: payload.uid || payload.sub,
+            email: payload.email || payload.sub,
+            groups: payload.groups,
+            scopes: grantedScopes,
+        };
+        tokenExpiresAt = Math.min(tokenExpiresAt, payload.exp * 1000);
+
+        if (!Array.isArray(payload.groups)) {
+            if (!USERINFO_FALLBACK_ENABLED) {
+                log.warn("Access token has no 'groups' claim. Add a groups claim to access tokens in the authorization server.");
+            } else {
+                log.warn("Access token has no 'groups' claim; reading groups from /userinfo.");
+                const userinfoData = await fetchUserinfo(userAccessToken, res);
+                if (!userinfoData) return null;
+                userClaims.groups = userinfoData.groups;
+                userClaims.email = userinfoData.email || userClaims.email;
+            }
+        }
+    } else if (USERINFO_FALLBACK_ENABLED) {
+        userClaims = await fetchUserinfo(userAccessToken, res);
+        if (!userClaims) return null;
+    } else {
+        sendError(res, 401, 'Unauthorized: Opaque access tokens are not accepted.');
+        return null;
+    }
+
+    // Bounded cache: drop the oldest entry (Map preserves insertion order) when full.
+    if (validatedTokenCache.size >= ACCESS_TOKEN_CACHE_MAX_ENTRIES) {
+        validatedTokenCache.delete(validatedTokenCache.keys().next().value);
+    }
+    validatedTokenCache.set(cacheKey, { claims: userClaims, expiresAt: tokenExpiresAt });
+    return userClaims;
+}
+
+/**
+ * Middleware-like function to authenticate and authorize the end-user for admin operations.
+ * This function validates the access token provided by the frontend (Bearer header or session cookie),
+ * locally as a JWT or via Okta's /userinfo endpoint, and resolves the permissions granted by the user's groups.
+ * Users whose groups grant no permission at all are rejected here; per-action checks happen in the handler.
+ * @param {object} req - The Express request object.
+ * @param {object} res - The Express response object.
+ * @returns {Promise<object|null>} The validated user claims plus `permissions` if authorized, otherwise sends an error response and returns null.
+ */
+async function authenticateUser(req, res) {
+    let resolved;
+    try {
+        resolved = await resolveUserAccessToken(req);
+    } catch (error) {
+        log.error('Error reading session.', { error });
+        sendError(res, 500, 'Internal server error during user authorization.', error.message);
+        return null;
+    }
+    if (resolved.error) {
+        sendError(res, 401, resolved.error);
+        return null;
+    }
+    const userAccessToken = resolved.token;
+
+    try {
+        const userClaims = await getValidatedUserClaims(userAccessToken, res);
+        if (!userClaims) {
+            return null; // getValidatedUserClaims already handled sending the error response
+        }
+
+        // Resolve the user's permissions from the 'groups' claim via the role-to-permission policy
+        const userRoles = userClaims.groups || [];
+        const permissions = getPermissionsForGroups(userRoles);
+        if (permissions.length === 0) {
+            sendError(res, 403, 'Forbidden: User does not have administrative privileges.');
+            return null;
+        }
+
+        setLogContext({ actor: userClaims.sub });
+        log.info('User authenticated.', { roles: userRoles, permissions });
+        return { ...userClaims, permissions }; // Return the validated claims (including sub, email, groups etc.) and permissions
+
+    } catch (error) {
+        log.error('Error during access token validation.', { error });
+        sendError(res, 500, 'Internal server error during user authorization.', error.message);
+        return null;
+    }
+}
+
+/**
+ * Runs one admin action for a request: authenticates the caller, checks that their permissions include the
+ * one the action requires, validates the request against the action's schema (lib/request-schemas.js), and
+ * calls `perform` to carry it out and respond. A request that does not match the schema gets a 400 with
+ * code 'VALIDATION_FAILED' and an error message for each offending field in `fields`. Errors thrown by `perform` are
+ * reported as follows: a UserManagementError with its own status and message, an exhausted Okta rate limit
+ * as 429 with Retry-After, an error response from Okta with a matching status (see getOktaErrorStatus) and its
+ * causes, Okta being unreachable or refusing this app a token as 502 (503 if Okta answered 503), anything else
+ * as a failed Okta operation (500). Mutating actions are written to the audit trail once the response is sent,
+ * including refused and failed ones. Log entries written while the action runs carry its name, the caller and
+ * the request ID (see lib/logger.js).
+ * @param {object} req - The request object.
+ * @param {object} res - The response object.
+ * @param {object} action
+ * @param {string} [action.name] - The action, e.g. 'createUser'. Unknown actions run without a permission check, so `perform` can reject them.
+ * @param {{ type: 'user'|'group', id: string }|null} [action.target] - What the action changes, for the audit trail.
+ * @param {{ body?: object, query?: object }} [action.schema] - Schemas for the request body and query string; parts without one are not checked.
+ * @param {function({ user: object, audit: object|null }): Promise<void>} perform - Carries out the action and sends the
+ *   response. `user` is the caller's validated claims and permissions; `audit` the audit context to fill in (null for read-only actions).
+ * @returns {Promise<void>}
+ */
+export async function handleAdminAction(req, res, action, perform) {
+    const requestId = getRequestId(req);
+    res.setHeader('X-Request-Id', requestId);
+    // Everything logged while the action runs carries its name, the caller (once authenticated) and the request ID.
+    await runWithLogContext({ action: action.name || null, requestId }, () => runAdminAction(req, res, requestId, action, perform));
+}
+
+/**
+ * Runs an admin action within its log context (see handleAdminAction).
+ * @param {object} req - The request object.
+ * @param {object} res - The response object.
+ * @param {string} requestId - The request ID (see getRequestId).
+ * @param {object} action - As for handleAdminAction.
+ * @param {function({ user: object, audit: object|null }): Promise<void>} perform - As for handleAdminAction.
+ * @returns {Promise<void>}
+ */
+async function runAdminAction(req, res, requestId, { name, target = null, schema = {} }, perform) {
+    // Bodies are only logged at debug level, redacted (e.g. the password of createUser).
+    log.info('Received request.', { method: req.method, url: req.url });
+    log.debug('Request parameters.', { query: req.query, body: req.body });
+
+    // --- Server-side authorization check ---
+    // This call will send an error response (401 or 403) and return null if not authorized.
+    const authorizedUser = await authenticateUser(req, res);
+    if (!authorizedUser) {
+        return; // authenticateUser already handled sending the error response
+    }
+
+    // Mutating actions are audited, including refused ones. Operations fill in the target, before/after
+    // snapshots and details; the event is written in the `finally` below, after the response.
+    const audit = req.method !== 'GET' && AUDITED_ACTIONS.has(name) ? {
+        requestId,
+        actor: { sub: authorizedUser.sub, email: authorizedUser.email || null },
+        action: name,
+        target,
+        before: null,
+        after: null,
+        details: null,
+        partial: false,
+    } : null;
+
+    try {
+        const requiredPermission = ACTION_PERMISSIONS[name];
+        if (requiredPermission && !authorizedUser.permissions.includes(requiredPermission)) {
+            return sendError(res, 403, `Forbidden: The '${name}' action requires the '${requiredPermission}' permission.`);
+        }
+
+        const fields = {
+            ...(schema.query ? validateSchema(schema.query, req.query) : {}),
+            ...(schema.body ? validateSchema(schema.body, req.body || {}) : {}),
+        };
+        if (Object.keys(fields).length > 0) {
+            return sendError(res, 400, describeFieldErrors(fields), undefined, { code: 'VALIDATION_FAILED', fields });
+        }
+
+        // Validate that OKTA_M2M_CLIENT_ID is configured (needed for getM2MAccessToken)
+        if (!OKTA_M2M_CLIENT_ID) {
+            return sendError(res, 500, 'Server configuration error: Okta M2M Client ID is missing. Cannot perform management operations.');
+        }
+        if (!OKTA_BASE_URL) {
+            return sendError(res, 500, 'Server configuration error: Okta domain (AUTH0_DOMAIN or OKTA_BASE_URL) is missing.');
+        }
+
+        await perform({ user: authorizedUser, audit });
+    } catch (error) {
+        if (error.name === 'UserManagementError') {
+            sendError(res, error.statusCode, error.message, error.details);
+        } else if (error.retryAfter) {
+            // Okta's rate limit was still exhausted after the client's retries.
+            res.setHeader('Retry-After', String(error.retryAfter));
+            sendError(res, 429, `Okta is rate limiting requests. Retry after ${error.retryAfter} s.`, error.message);
+        } else if (error.name === 'OktaApiError') {
+            const statusCode = getOktaErrorStatus(error);
+            const message = statusCode >= 500
+                ? 'Okta Management API operation failed.'
+                : `Okta rejected the request: ${error.errorCauses.length > 0 ? error.errorCauses.join('; ') : error.errorSummary}`;
+            sendError(res, statusCode, message, error.message, {
+                causes: error.errorCauses,
+                upstream: { status: error.upstreamStatus, errorCode: error.errorCode, errorId: error.errorId },
+            });
+        } else if (error.name === 'OktaUpstreamError') {
+            // Okta could not be reached, or would not issue this app a token.
+            sendError(res, error.statusCode, 'Okta Management API operation failed.', error.message, {
+                upstream: { status: error.upstreamStatus },
+            });
+        } else {
+            sendError(res, error.statusCode || 500, 'Okta Management API operation failed.', error.message || error);
+        }
+    } finally {
+        if (audit) {
+            await recordAdminAction(res, audit);
+        }
+    }
+}
@@ -0,0 +1,191 @@
+// lib/audit-log.js
+// Audit trail of the administrative actions performed through the action API (/api/okta-user-management) and
+// the REST routes (/api/users, /api/groups); both record the same events (see recordAdminAction in lib/admin-api.js).
+// Each event records who did what to which user or group, the fields that changed, the outcome, and when:
+//   { id, timestamp, requestId, actor: { sub, email }, action, target: { type, id, label },
+//     result: 'success' | 'partial' | 'failure', statusCode, error?, changes?: { <field>: { from, to } }, details? }
+// 'partial' marks a bulk action (e.g. assignRoles, importUsers) that succeeded for some items and failed for others.
+// Events go to a pluggable append-only store. A store is any object with two async methods:
+//   append(event)   -> persist the event (never update or delete existing ones)
+//   query(options)  -> { events, nextCursor }: matching events, newest first (see queryAuditLog)
+// Two implementations ship with the app: a JSON-lines file (default, AUDIT_STORE=file) and an in-memory
+// store (AUDIT_STORE=memory). Serverless deployments should plug in a durable shared store via setAuditStore(),
+// since the default file lives in the instance's temp dir.
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lib/audit-log');
+
+/**
+ * Whether an event matches the query filters.
+ * @param {object} event - The audit event.
+ * @param {object} filters - See queryAuditLog.
+ * @returns {boolean} True if every given filter matches.
+ */
+function matchesFilters(event, { actor, action, targetId, result, since, until }) {
+    if (actor) {
+        const needle = actor.toLowerCase();
+        if (event.actor?.sub?.toLowerCase() !== needle && event.actor?.email?.toLowerCase() !== needle) return false;
+    }
+    if (action && event.action !== action) return false;
+    if (targetId && event.target?.id !== targetId) return false;
+    if (result && event.result !== result) return false;
+    if (since && event.timestamp < since) return false;
+    if (until && event.timestamp > until) return false;
+    return true;
+}
+
+/**
+ * Selects one page of matching events from a list ordered oldest first.
+ * @param {object[]} events - All events, in append order.
+ * @param {object} options - See queryAuditLog.
+ * @returns {{ events: object[], nextCursor: string|null }} The page, newest first, and the cursor for the next one.
+ */
+function selectPage(events, { limit, after, ...filters }) {
+    let end = events.length;
+    if (after) {
+        const cursorIndex = events.findIndex(event => event.id === after);
+        if (cursorIndex === -1) return { events: [], nextCursor: null };
+        end = cursorIndex;
+    }
+    const page = [];
+    let index = end - 1;
+    for (; index >= 0 && page.length < limit; index--) {
+        if (matchesFilters(events[index], filters)) page.push(events[index]);
+    }
+    // More may match further back; the client finds out with one more request.
+    const nextCursor = page.length === limit && index >= 0 ? page[page.length - 1].id : null;
+    return { events: page, nextCursor };
+}
+
+/**
+ * Creates an audit store that keeps events in process memory (lost when the instance is recycled).
+ * @returns {object} An audit store.
+ */
+export function createMemoryAuditStore() {
+    const events = [];
+    return {
+        async append(event) {
+            events.push(event);
+        },
+        async query(options) {
+            return selectPage(events, options);
+        },
+    };
+}
+
+/**
+ * Creates an audit store backed by a JSON-lines file: one event per line, only ever appended to.
+ * The file contains user emails and profile changes, so it is created with owner-only permissions.
+ * @param {string} [filePath] - Location of the file. Defaults to AUDIT_LOG_FILE or a file in the OS temp dir.
+ * @returns {object} An audit store.
+ */
+export function createFileAuditStore(filePath = process.env.AUDIT_LOG_FILE || path.join(os.tmpdir(), 'application-demo-audit.jsonl')) {
+    async function readAll() {
+        let text;
+        try {
+            text = await fs.readFile(filePath, 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') return [];
+            throw error;
+        }
+        const events = [];
+        for (const line of text.split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                events.push(JSON.parse(line));
+            } catch {
+                log.warn('Skipping unreadable line in the audit log file.', { filePath });
+            }
+        }
+        return events;
+    }
+
+    return {
+        async append(event) {
+            await fs.appendFile(filePath, `${JSON.stringify(event)}\n`, { mode: 0o600 });
+        },
+        async query(options) {
+            return selectPage(await readAll(), options);
+        },
+    };
+}
+
+let auditStore = null;
+
+/**
+ * Returns the configured audit store, creating the default one on first use.
+ * AUDIT_STORE selects the implementation: 'file' (default) or 'memory'.
+ * @returns {object} The audit store.
+ */
+export function getAuditStore() {
+    if (!auditStore) {
+        auditStore = process.env.AUDIT_STORE === 'memory' ? createMemoryAuditStore() : createFileAuditStore();
+    }
+    return auditStore;
+}
+
+/**
+ * Replaces the audit store, e.g. with a database-backed implementation of the same interface.
+ * @param {object} store - An object implementing append/query.
+ */
+export function setAuditStore(store) {
+    auditStore = store;
+}
+
+/**
+ * Computes the fields that differ between two flat snapshots.
+ * @param {object|null} before - The state before the action (null if the target did not exist).
+ * @param {object|null} after - The state after the action (null if the target no longer exists).
+ * @returns {Object<string, { from: any, to: any }>|undefined} The changed fields, or undefined if neither snapshot is given.
+ */
+export function diffSnapshots(before, after) {
+    if (!before && !after) return undefined;
+    const changes = {};
+    for (const field of new Set([...Object.keys(before || {}), ...Object.keys(after || {})])) {
+        const from = before?.[field] ?? null;
+        const to = after?.[field] ?? null;
+        if (JSON.stringify(from) !== JSON.stringify(to)) {
+            changes[field] = { from, to };
+        }
+    }
+    return changes;
+}
+
+/**
+ * Appends an event to the audit trail, adding its ID and timestamp.
+ * Failures are logged rather than thrown: the action has already happened, and the caller's response
+ * should reflect that; the console error is the fallback record.
+ * @param {object} event - The event, without `id` and `timestamp`.
+ * @returns {Promise<object>} The stored event.
+ */
+export async function recordAuditEvent(event) {
+    const storedEvent = { id: crypto.randomUUID(), timestamp: new Date().toISOString(), ...event };
+    try {
+        await getAuditStore().append(storedEvent);
+    } catch (error) {
+        // The event goes to the log instead, so it is not lost (with personal data redacted).
+        log.error('Failed to store audit event.', { error, event: storedEvent });
+    }
+    return storedEvent;
+}
+
+/**
+ * Reads audit events, newest first.
+ * @param {object} [options]
+ * @param {string} [options.actor] - The actor's `sub` or email (case-insensitive).
+ * @param {string} [options.action] - The action name, e.g. 'deleteUser'.
+ * @param {string} [options.targetId] - The target user or group ID.
+ * @param {'success'|'failure'} [options.result] - The outcome.
+ * @param {string} [options.since] - ISO 8601 timestamp; only events at or after it.
+ * @param {string} [options.until] - ISO 8601 timestamp; only events at or before it.
+ * @param {number} [options.limit=50] - Page size.
+ * @param {string} [options.after] - Cursor from the previous page (an event ID).
+ * @returns {Promise<{ events: object[], nextCursor: string|null }>} The page and the cursor for the next one.
+ */
+export async function queryAuditLog({ limit = 50, ...options } = {}) {
+    return getAuditStore().query({ limit, ...options });
+}
@@ -0,0 +1,77 @@
+// lib/csv.js
+// Minimal RFC 4180 CSV parsing for file uploads (e.g. bulk user import) and formatting for exports.
+// Handles quoted fields (with embedded commas, quotes and line breaks), CRLF or LF line endings,
+// and a leading UTF-8 byte order mark. Every value is returned as a string.
+
+// Leading characters that make spreadsheet applications treat a cell as a formula.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+/**
+ * Parses CSV text into records.
+ * @param {string} text - The CSV text.
+ * @returns {string[][]} The records, each an array of field values. Blank lines are skipped.
+ * @throws {Error} If a quoted field is not closed.
+ */
+export function parseCsv(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+    const input = text.charCodeAt(0) === 0xFEFF ? text.slice(1) : text;
+
+    const endRecord = () => {
+        record.push(field);
+        // A blank line parses as a single empty field; skip it.
+        if (record.length > 1 || record[0] !== '') {
+            records.push(record);
+        }
+        record = [];
+        field = '';
+    };
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+        if (inQuotes) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"' && field === '') {
+            inQuotes = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            endRecord();
+        } else {
+            field += char;
+        }
+    }
+    if (inQuotes) {
+        throw new Error('CSV is malformed: a quoted field is not closed.');
+    }
+    if (field !== '' || record.length > 0) {
+        endRecord();
+    }
+    return records;
+}
+
+/**
+ * Formats one CSV record (without the line break).
+ * Values that spreadsheets would evaluate as formulas (starting with =, +, -, @, tab or CR) are
+ * prefixed with a single quote, so exported data cannot run formulas when opened in Excel.
+ * @param {Array<string|number|null|undefined>} values - The field values; null and undefined become empty fields.
+ * @returns {string} The record, with fields quoted where needed.
+ */
+export function formatCsvRow(values) {
+    return values.map(value => {
+        let field = value === null || value === undefined ? '' : String(value);
+        if (FORMULA_PREFIX.test(field)) field = `'${field}`;
+        return /[",\r\n]/.test(field) ? `"${field.replace(/"/g, '""')}"` : field;
+    }).join(',');
+}
@@ -0,0 +1,162 @@
+// lib/logger.js
+// Structured logging for the API handlers and the libraries they use. Each entry is one JSON line:
+//   { time, level, module, action, actor, requestId, msg, ...fields }
+// `module` names the file that logged it (e.g. 'lib/user-management'). `action`, `actor` (the caller's Okta user
+// ID) and `requestId` come from the request's log context (see runWithLogContext), so code deep inside an action
+// logs them without passing them along; outside a request they are null.
+//
+// Entries are redacted before they are written. Secrets (passwords, tokens, authorization codes, client
+// assertions, cookies, private keys, one-time links) and personal data (emails, logins, names, phone numbers)
+// are replaced by '[REDACTED]' wherever they appear as a field, at any depth; bearer tokens, JWTs and email
+// addresses inside strings (including the message itself) are masked too. Errors are logged by their name,
+// message and Okta status, with the stack only at debug level.
+//
+// LOG_LEVEL sets the verbosity: debug, info (default), warn, error or silent. Request and response bodies are
+// only logged at debug level.
+import { AsyncLocalStorage } from 'async_hooks';
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+const LOG_LEVEL = Object.hasOwn(LEVELS, process.env.LOG_LEVEL) ? process.env.LOG_LEVEL : 'info';
+
+const REDACTED = '[REDACTED]';
+// Field names (compared in lower case, without '_' and '-') whose values are never logged. Names are matched
+// exactly, so e.g. `tokenType` or `refreshTokenRotated` stay readable. A plain `code` is often an error code;
+// log an OAuth authorization code as `authorizationCode`.
+const SECRET_FIELDS = new Set([
+    'password', 'newpassword', 'oldpassword', 'temppassword', 'resetpasswordurl', 'activationurl',
+    'secret', 'clientsecret', 'privatekey',
+    'token', 'accesstoken', 'refreshtoken', 'idtoken', 'sessiontoken', 'activationtoken', 'recoverytoken', 'idtokenhint',
+    'clientassertion', 'authorizationcode', 'codeverifier', 'state', 'nonce',
+    'authorization', 'cookie', 'setcookie', 'sessionid',
+]);
+const PERSONAL_FIELDS = new Set([
+    'email', 'secondemail', 'login', 'username',
+    'firstname', 'lastname', 'givenname', 'familyname', 'displayname', 'nickname',
+    'mobilephone', 'primaryphone', 'phone', 'phonenumber',
+]);
+// Secrets and personal data inside free text.
+const STRING_PATTERNS = [
+    [/Bearer\s+[\w.~+/=-]+/gi, `Bearer ${REDACTED}`],
+    [/eyJ[\w-]*\.[\w-]+\.[\w-]*/g, REDACTED], // JWTs: ID tokens, access tokens, client assertions
+    [/[^\s@"'<>(),;:]+@[^\s@"'<>(),;:]+\.[^\s@"'<>(),;:]+/g, REDACTED], // email addresses
+];
+// Error properties worth logging besides the name and message (see lib/okta-management-client.js).
+const ERROR_PROPERTIES = ['statusCode', 'upstreamStatus', 'errorCode', 'errorId', 'errorCauses', 'retryAfter', 'code'];
+const MAX_DEPTH = 6;
+
+// The log context of the request being handled: { action, actor, requestId }.
+const logContext = new AsyncLocalStorage();
+
+/**
+ * Whether a field's value must not be logged.
+ * @param {string} name - The field name.
+ * @returns {boolean} True for secrets and personal data.
+ */
+function isSensitiveField(name) {
+    const normalized = name.toLowerCase().replace(/[_-]/g, '');
+    return SECRET_FIELDS.has(normalized) || PERSONAL_FIELDS.has(normalized);
+}
+
+/**
+ * Masks bearer tokens, JWTs and email addresses in a string.
+ * @param {string} text - The text.
+ * @returns {string} The masked text.
+ */
+function maskString(text) {
+    return STRING_PATTERNS.reduce((masked, [pattern, replacement]) => masked.replace(pattern, replacement), text);
+}
+
+/**
+ * Returns a copy of a value that is safe to log: sensitive fields replaced, strings masked, errors reduced
+ * to their name, message and status properties.
+ * @param {*} value - Anything: a request body, an Okta response, an error...
+ * @param {number} [depth=0] - How deep into the original value this is; deeper objects are summarized.
+ * @returns {*} The redacted copy.
+ */
+export function redact(value, depth = 0) {
+    if (typeof value === 'string') return maskString(value);
+    if (value === null || typeof value !== 'object') return value;
+    if (depth >= MAX_DEPTH) return '[Object]';
+    if (value instanceof Error) {
+        const error = { name: value.name, message: maskString(value.message) };
+        for (const property of ERROR_PROPERTIES) {
+            if (value[property] !== undefined) error[property] = redact(value[property], depth + 1);
+        }
+        if (LEVELS[LOG_LEVEL] <= LEVELS.debug && value.stack) error.stack = maskString(value.stack);
+        return error;
+    }
+    if (Array.isArray(value)) return value.map(item => redact(item, depth + 1));
+    const copy = {};
+    for (const [name, fieldValue] of Object.entries(value)) {
+        copy[name] = isSensitiveField(name) && fieldValue !== undefined && fieldValue !== null ? REDACTED : redact(fieldValue, depth + 1);
+    }
+    return copy;
+}
+
+/**
+ * Runs a function with a request's log context, so every entry logged while it runs (including in callbacks
+ * and awaited calls) carries the action, actor and request ID.
+ * @param {{ action?: string|null, actor?: string|null, requestId?: string|null }} context - The request's context.
+ * @param {function(): *} fn - The function to run.
+ * @returns {*} What `fn` returns.
+ */
+export function runWithLogContext(context, fn) {
+    return logContext.run({ action: null, actor: null, requestId: null, ...context }, fn);
+}
+
+/**
+ * Fills in the current request's log context once more is known, e.g. the actor after authentication.
+ * Does nothing outside runWithLogContext.
+ * @param {{ action?: string|null, actor?: string|null, requestId?: string|null }} updates - The values to set.
+ */
+export function setLogContext(updates) {
+    const context = logContext.getStore();
+    if (context) Object.assign(context, updates);
+}
+
+/**
+ * Writes one entry if its level is enabled.
+ * @param {string} module - The module that logged it.
+ * @param {'debug'|'info'|'warn'|'error'} level - The level.
+ * @param {string} message - What happened.
+ * @param {object} [fields] - Details, redacted before writing.
+ */
+function writeEntry(module, level, message, fields) {
+    if (LEVELS[level] < LEVELS[LOG_LEVEL]) return;
+    const { action = null, actor = null, requestId = null } = logContext.getStore() || {};
+    const entry = {
+        time: new Date().toISOString(),
+        level,
+        module,
+        action,
+        actor,
+        requestId,
+        msg: maskString(message),
+    };
+    // Fields never replace the entry's own keys.
+    for (const [name, value] of Object.entries(fields ? redact(fields) : {})) {
+        if (!Object.hasOwn(entry, name)) entry[name] = value;
+    }
+    const line = JSON.stringify(entry);
+    if (level === 'error') {
+        console.error(line);
+    } else if (level === 'warn') {
+        console.warn(line);
+    } else {
+        console.log(line);
+    }
+}
+
+/**
+ * Creates the logger of a module.
+ * @param {string} module - The module's path without extension, e.g. 'lib/user-management'.
+ * @returns {{ debug: function(string, object=): void, info: function(string, object=): void,
+ *   warn: function(string, object=): void, error: function(string, object=): void }} Log functions by level,
+ *   each taking a message and optional fields (e.g. `{ userId, error }`).
+ */
+export function createLogger(module) {
+    return Object.fromEntries(['debug', 'info', 'warn', 'error'].map(level => [
+        level,
+        (message, fields) => writeEntry(module, level, message, fields),
+    ]));
+}
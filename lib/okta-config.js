@@ -0,0 +1,16 @@
+// lib/okta-config.js
+// Where the Okta org is reached. Every Okta URL (authorize, token, userinfo, keys, logout, /api/v1) is built
+// from this base. It defaults to https://<AUTH0_DOMAIN>; OKTA_BASE_URL overrides it, e.g.
+//   OKTA_BASE_URL=http://localhost:4000
+// to run the whole app against the local Okta stand-in (mock-okta/server.js) with no network.
+
+/**
+ * Returns the base URL of the Okta org, without a trailing slash.
+ * @returns {string} E.g. `https://dev-123456.okta.com`, or '' if neither OKTA_BASE_URL nor AUTH0_DOMAIN is set.
+ */
+export function getOktaBaseUrl() {
+    if (process.env.OKTA_BASE_URL) {
+        return process.env.OKTA_BASE_URL.replace(/\/+$/, '');
+    }
+    return process.env.AUTH0_DOMAIN ? `https://${process.env.AUTH0_DOMAIN}` : '';
+}
@@ -0,0 +1,93 @@
+// lib/okta-jwt.js
+// Shared helpers for cryptographically verifying JWTs issued by the Okta authorization server.
+// Signing keys are fetched from the issuer's JWKS endpoint via jwks-rsa, which caches them and
+// transparently re-fetches the key set when a token is signed with an unknown `kid` (key rotation).
+import jwt from 'jsonwebtoken';
+import jwksClient from 'jwks-rsa';
+import { getOktaBaseUrl } from './okta-config.js';
+
+// Tolerated clock difference between this server and Okta, in seconds.
+const CLOCK_TOLERANCE_SECONDS = 60;
+
+// One JWKS client per JWKS URI, kept for the lifetime of the (warm) serverless instance.
+const jwksClients = new Map();
+
+/**
+ * Returns the issuer URL of the Okta "default" custom authorization server.
+ * @returns {string} The issuer, e.g. `https://dev-123456.okta.com/oauth2/default`.
+ */
+export function getOktaIssuer() {
+    return `${getOktaBaseUrl()}/oauth2/default`;
+}
+
+/**
+ * Returns a cached JWKS client for the given issuer.
+ * @param {string} issuer - The token issuer; its keys are served from `${issuer}/v1/keys`.
+ * @returns {import('jwks-rsa').JwksClient} The JWKS client.
+ */
+function getJwksClient(issuer) {
+    const jwksUri = `${issuer}/v1/keys`;
+    if (!jwksClients.has(jwksUri)) {
+        jwksClients.set(jwksUri, jwksClient({
+            jwksUri,
+            cache: true,               // Cache signing keys in memory...
+            cacheMaxEntries: 5,
+            cacheMaxAge: 10 * 60 * 1000, // ...for 10 minutes.
+            rateLimit: true,           // Unknown `kid`s trigger a re-fetch, but at most 10 per minute.
+            jwksRequestsPerMinute: 10,
+            timeout: 5000,
+        }));
+    }
+    return jwksClients.get(jwksUri);
+}
+
+/**
+ * Whether a token is a (structurally valid) JWT rather than an opaque token. Does not verify anything.
+ * @param {string} token - The token to inspect.
+ * @returns {boolean} True if the token decodes as a JWT.
+ */
+export function isJwt(token) {
+    return Boolean(jwt.decode(token, { complete: true }));
+}
+
+/**
+ * Verifies an Okta-issued JWT: signature (RS256, against the issuer's JWKS), `iss`, `aud`, `exp`
+ * and `iat`, and optionally the `nonce` claim.
+ * @param {string} token - The compact-serialized JWT.
+ * @param {object} options - Verification options.
+ * @param {string} options.audience - The expected `aud` claim (the client ID for ID tokens).
+ * @param {string} [options.issuer] - The expected `iss` claim. Defaults to the default authorization server.
+ * @param {string} [options.nonce] - If provided, the `nonce` claim must match exactly.
+ * @returns {Promise<object>} The verified token payload.
+ * @throws {Error} If the token is malformed, the signing key cannot be found, or any check fails.
+ */
+export async function verifyOktaJwt(token, { audience, issuer = getOktaIssuer(), nonce } = {}) {
+    const decoded = jwt.decode(token, { complete: true });
+    if (!decoded || !decoded.header) {
+        throw new Error('Token is malformed and could not be decoded.');
+    }
+    if (decoded.header.alg !== 'RS256') {
+        throw new Error(`Unexpected token signing algorithm '${decoded.header.alg}'.`);
+    }
+
+    const signingKey = await getJwksClient(issuer).getSigningKey(decoded.header.kid);
+
+    // Checks signature, `exp`, `nbf`, `iss` and `aud`. Throws on any failure.
+    const payload = jwt.verify(token, signingKey.getPublicKey(), {
+        algorithms: ['RS256'],
+        issuer,
+        audience,
+        clockTolerance: CLOCK_TOLERANCE_SECONDS,
+    });
+
+    const now = Math.floor(Date.now() / 1000);
+    if (typeof payload.iat !== 'number' || payload.iat > now + CLOCK_TOLERANCE_SECONDS) {
+        throw new Error('Token `iat` claim is missing or in the future.');
+    }
+
+    if (nonce !== undefined && payload.nonce !== nonce) {
+        throw new Error('Token `nonce` claim does not match the nonce sent with the authorization request.');
+    }
+
+    return payload;
+}
@@ -0,0 +1,460 @@
+// lib/okta-management-client.js
+// Client for the Okta Management API (/api/v1), shared by the API handlers.
+// Management API calls use an M2M access token obtained with the OAuth 2.0 Client Credentials Grant
+// and private_key_jwt client authentication against the Org Authorization Server.
+// Every request (including the token request) goes through fetchWithRetry, which follows Okta's rate limits:
+// it slows down when a rate-limit bucket is nearly used up, retries 429s after the bucket resets, and retries
+// transient failures (5xx, network errors) of idempotent requests with jittered exponential backoff.
+import fetch from 'node-fetch';
+import jwt from 'jsonwebtoken'; // Import jsonwebtoken for JWT creation
+import crypto from 'crypto'; // For generating JTI
+import { getOktaBaseUrl } from './okta-config.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lib/okta-management-client');
+
+// Okta Configuration from environment variables
+const OKTA_BASE_URL = getOktaBaseUrl(); // https://<AUTH0_DOMAIN>, or OKTA_BASE_URL (e.g. the local mock Okta)
+// M2M Client Credentials (Client ID only, secret is replaced by private_key_jwt)
+const OKTA_M2M_CLIENT_ID = process.env.OKTA_M2M_CLIENT_ID;
+
+const BASE_OKTA_API_URL = `${OKTA_BASE_URL}/api/v1`; // Base URL for Okta API
+
+// Retry policy. Waits are capped so a request still finishes within the function's time limit;
+// beyond that the caller gets a rate-limit error saying when to retry.
+const MAX_RETRIES = 3;
+const BASE_BACKOFF_MS = 250;
+const MAX_BACKOFF_MS = 4000;
+const MAX_TOTAL_WAIT_MS = 20000;
+// Up to this much random delay is added to waits, so concurrent requests do not retry in lockstep.
+const MAX_JITTER_MS = 500;
+// Below this share of a bucket's limit, requests are spread over the time left until it resets.
+const LOW_CAPACITY_RATIO = 0.1;
+// Statuses worth retrying: Okta or a proxy in front of it is briefly unavailable.
+const RETRYABLE_STATUSES = [500, 502, 503, 504];
+const IDEMPOTENT_METHODS = ['GET', 'HEAD', 'PUT', 'DELETE'];
+
+// Last rate-limit headers seen per bucket (see getRateLimitBucket): bucket -> { limit, remaining, resetAt (ms) }.
+// Per instance, so it only approximates Okta's org-wide counters.
+const rateLimitState = new Map();
+
+// Cache for M2M Access Token
+let m2mAccessToken = null;
+let m2mTokenExpiry = 0; // Unix timestamp in seconds
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Names the rate-limit bucket of an endpoint. Okta limits each endpoint family separately
+ * (e.g. `/api/v1/users` and `/api/v1/users/{id}`); this groups endpoints by their first path segment
+ * and whether they address a single resource.
+ * @param {string} endpoint - The Management API endpoint (e.g. '/users/00u1/groups?limit=200').
+ * @returns {string} The bucket name, e.g. '/users' or '/users/*'.
+ */
+function getRateLimitBucket(endpoint) {
+    const [collection, ...rest] = endpoint.split('?')[0].split('/').filter(Boolean);
+    return rest.length > 0 ? `/${collection}/*` : `/${collection}`;
+}
+
+/**
+ * Remembers the X-Rate-Limit-* headers of a response for its bucket.
+ * @param {string} bucket - The rate-limit bucket.
+ * @param {object} response - The fetch response.
+ */
+function recordRateLimit(bucket, response) {
+    const limit = parseInt(response.headers.get('x-rate-limit-limit'), 10);
+    const remaining = parseInt(response.headers.get('x-rate-limit-remaining'), 10);
+    const reset = parseInt(response.headers.get('x-rate-limit-reset'), 10); // Unix time in seconds
+    if ([limit, remaining, reset].some(Number.isNaN)) return;
+    rateLimitState.set(bucket, { limit, remaining, resetAt: reset * 1000 });
+}
+
+/**
+ * How long to wait before sending a request to a bucket, based on the last headers seen:
+ * nothing while capacity is comfortable, an even share of the time left once it runs low,
+ * and until the reset once it is used up.
+ * @param {string} bucket - The rate-limit bucket.
+ * @returns {number} The delay in milliseconds.
+ */
+function getThrottleDelay(bucket) {
+    const state = rateLimitState.get(bucket);
+    const untilReset = state ? state.resetAt - Date.now() : 0;
+    if (untilReset <= 0) return 0;
+    if (state.remaining <= 0) return untilReset + Math.floor(Math.random() * MAX_JITTER_MS);
+    if (state.remaining >= state.limit * LOW_CAPACITY_RATIO) return 0;
+    return Math.ceil(untilReset / (state.remaining + 1));
+}
+
+/**
+ * Counts a request against its bucket until the response brings fresh headers,
+ * so concurrent requests see the capacity they are about to use.
+ * @param {string} bucket - The rate-limit bucket.
+ */
+function countPendingRequest(bucket) {
+    const state = rateLimitState.get(bucket);
+    if (state && state.remaining > 0) state.remaining--;
+}
+
+/**
+ * Exponential backoff with full jitter for the given retry.
+ * @param {number} attempt - The number of attempts made so far, minus one.
+ * @returns {number} The delay in milliseconds.
+ */
+function getBackoffDelay(attempt) {
+    return Math.floor(Math.random() * Math.min(MAX_BACKOFF_MS, BASE_BACKOFF_MS * 2 ** (attempt + 1)));
+}
+
+/**
+ * Creates the error thrown when Okta's rate limit is still exhausted after waiting as long as allowed.
+ * The API handler turns it into a 429 response with a Retry-After header.
+ * @param {number} waitMs - How long until the rate limit resets, in milliseconds.
+ * @returns {Error} The error, with `statusCode` 429 and `retryAfter` in seconds.
+ */
+function createRateLimitError(waitMs) {
+    const retryAfter = Math.max(1, Math.ceil(waitMs / 1000));
+    const error = new Error(`Okta API rate limit exceeded; retry after ${retryAfter} s.`);
+    error.statusCode = 429;
+    error.retryAfter = retryAfter;
+    return error;
+}
+
+/**
+ * Creates the error thrown for a non-OK Management API response, keeping what Okta said about it.
+ * The API handler uses these to answer with a matching status (e.g. 404, or 409 for a duplicate login)
+ * and to pass the causes on to the client.
+ * @param {number} status - Okta's HTTP status.
+ * @param {object|string} errorBody - The parsed error body (`{ errorCode, errorSummary, errorId, errorCauses }`),
+ *   or the raw text if it was not JSON.
+ * @param {string} statusText - The HTTP status text, used when the body has no summary.
+ * @returns {Error} The error, named 'OktaApiError', with `upstreamStatus`, `errorCode`, `errorSummary`, `errorId`
+ *   and `errorCauses` (the summary of each cause, e.g. 'login: An object with this field already exists...').
+ */
+function createOktaApiError(status, errorBody, statusText) {
+    const body = errorBody && typeof errorBody === 'object' ? errorBody : {};
+    const errorSummary = body.errorSummary || statusText;
+    const error = new Error(`Okta API Error (${status}): ${errorSummary}`);
+    error.name = 'OktaApiError';
+    error.upstreamStatus = status; // Lets callers tell an outage from e.g. a missing resource
+    error.errorCode = body.errorCode || null;
+    error.errorSummary = errorSummary;
+    error.errorId = body.errorId || null;
+    error.errorCauses = (Array.isArray(body.errorCauses) ? body.errorCauses : [])
+        .map(cause => cause?.errorSummary)
+        .filter(summary => typeof summary === 'string' && summary);
+    return error;
+}
+
+/**
+ * Creates the error thrown when Okta gave no usable answer: the request failed on the network, or the M2M token
+ * request was refused or answered with something other than a token. The API handler answers with its
+ * `statusCode` instead of a 500, since the fault lies upstream.
+ * @param {string} message - What failed.
+ * @param {number|null} upstreamStatus - Okta's HTTP status, or null if no response arrived.
+ * @param {Error} [cause] - The underlying error, e.g. the network error.
+ * @returns {Error} The error, named 'OktaUpstreamError', with `upstreamStatus` and `statusCode`: 503 if Okta
+ *   answered 503 (unavailable), else 502.
+ */
+function createUpstreamError(message, upstreamStatus, cause) {
+    const error = new Error(message, cause ? { cause } : undefined);
+    error.name = 'OktaUpstreamError';
+    error.upstreamStatus = upstreamStatus;
+    error.statusCode = upstreamStatus === 503 ? 503 : 502;
+    return error;
+}
+
+/**
+ * Sends a request to Okta under the rate-limit and retry policy described at the top of this file.
+ * 429 responses are retried for every method, since Okta did not process the request; 5xx responses
+ * and network errors only for idempotent requests, so e.g. a user is never created twice.
+ * @param {string} url - The request URL.
+ * @param {function(): object} buildOptions - Returns the fetch options; called again for each attempt.
+ * @param {object} policy
+ * @param {string} policy.bucket - The rate-limit bucket (see getRateLimitBucket).
+ * @param {boolean} policy.idempotent - Whether 5xx responses and network errors may be retried.
+ * @returns {Promise<object>} The response: successful, not retryable, or the last 5xx once retries are used up.
+ * @throws {Error} A rate-limit error (see createRateLimitError), or an OktaUpstreamError (see createUpstreamError)
+ *   for the network error of the last attempt.
+ */
+async function fetchWithRetry(url, buildOptions, { bucket, idempotent }) {
+    let waitedMs = 0;
+    for (let attempt = 0; ; attempt++) {
+        const throttleMs = getThrottleDelay(bucket);
+        if (throttleMs > 0) {
+            if (waitedMs + throttleMs > MAX_TOTAL_WAIT_MS) {
+                throw createRateLimitError(throttleMs);
+            }
+            log.warn('Okta rate limit is running low; waiting.', { bucket, waitMs: throttleMs });
+            await sleep(throttleMs);
+            waitedMs += throttleMs;
+        }
+
+        const options = buildOptions();
+        countPendingRequest(bucket);
+        let response;
+        let delayMs;
+        try {
+            response = await fetch(url, options);
+        } catch (error) {
+            delayMs = getBackoffDelay(attempt);
+            if (!idempotent || attempt >= MAX_RETRIES || waitedMs + delayMs > MAX_TOTAL_WAIT_MS) {
+                throw createUpstreamError(`Could not reach Okta: ${error.message}`, null, error);
+            }
+            log.warn('Network error calling Okta; retrying.', { url, error, retry: attempt + 1, maxRetries: MAX_RETRIES, waitMs: delayMs });
+        }
+
+        if (response) {
+            recordRateLimit(bucket, response);
+            if (response.status === 429) {
+                const state = rateLimitState.get(bucket);
+                const untilReset = state ? state.resetAt - Date.now() : 0;
+                delayMs = Math.max(untilReset, getBackoffDelay(attempt)) + Math.floor(Math.random() * MAX_JITTER_MS);
+                if (attempt >= MAX_RETRIES || waitedMs + delayMs > MAX_TOTAL_WAIT_MS) {
+                    throw createRateLimitError(delayMs);
+                }
+                log.warn('Rate limited by Okta (429); retrying.', { bucket, retry: attempt + 1, maxRetries: MAX_RETRIES, waitMs: delayMs });
+            } else if (idempotent && RETRYABLE_STATUSES.includes(response.status)) {
+                delayMs = getBackoffDelay(attempt);
+                if (attempt >= MAX_RETRIES || waitedMs + delayMs > MAX_TOTAL_WAIT_MS) {
+                    return response;
+                }
+                log.warn('Okta failed; retrying.', { url, status: response.status, retry: attempt + 1, maxRetries: MAX_RETRIES, waitMs: delayMs });
+            } else {
+                return response;
+            }
+        }
+
+        await sleep(delayMs);
+        waitedMs += delayMs;
+    }
+}
+
+/**
+ * Fetches an M2M access token from Okta using the Client Credentials Grant flow
+ * with private_key_jwt client authentication. Caches the token and refreshes it when expired.
+ * @returns {Promise<string>} A promise that resolves to the M2M access token.
+ * @throws {Error} If the key is missing; an OktaUpstreamError (see createUpstreamError) if Okta cannot be reached,
+ *   refuses the token request or answers without a token.
+ */
+export async function getM2MAccessToken() {
+    const currentTime = Math.floor(Date.now() / 1000); // Current time in seconds
+
+    // Return cached token if not expired
+    if (m2mAccessToken && m2mTokenExpiry > currentTime + 30) { // Refresh 30 seconds before actual expiry
+        log.debug('Using cached M2M access token.');
+        return m2mAccessToken;
+    }
+
+    log.info('Fetching new M2M access token using private_key_jwt.');
+
+    if (!OKTA_M2M_CLIENT_ID) {
+        throw new Error('Server configuration error: Okta M2M Client ID is missing.');
+    }
+
+    // --- CORRECTED SECTION STARTS HERE ---
+    let privateKeyBase64 = process.env.OKTA_M2M_PRIVATE_KEY; // Declare and assign it here first
+
+    if (!privateKeyBase64) { // Then you can check its value
+        log.error('Environment variable OKTA_M2M_PRIVATE_KEY is not set.');
+        throw new Error('Server configuration error: OKTA_M2M_PRIVATE_KEY environment variable is missing.');
+    }
+
+    let privateKey;
+    try {
+        // Decode the base64 string back to the original private key PEM format
+        privateKey = Buffer.from(privateKeyBase64, 'base64').toString('utf8');
+    } catch (err) {
+        log.error('Failed to decode private key from environment variable.', { error: err });
+        throw new Error('Server configuration error: Private key decoding failed. Check base64 encoding.');
+    }
+    // --- CORRECTED SECTION ENDS HERE ---
+
+    // --- Create client_assertion JWT ---
+    // A fresh assertion is created for every attempt: Okta rejects a reused `jti`.
+    const createClientAssertion = () => {
+        const issuedAt = Math.floor(Date.now() / 1000);
+        // JWT Header
+        const header = {
+            alg: 'RS256', // Algorithm used to sign the JWT
+            typ: 'JWT',   // Type of the token
+        };
+
+        // JWT Claims (Payload)
+        // The 'aud' (Audience) must be the token endpoint URL for the Org Authorization Server.
+        const claims = {
+            iss: OKTA_M2M_CLIENT_ID, // Issuer (your client_id)
+            sub: OKTA_M2M_CLIENT_ID, // Subject (your client_id)
+            aud: `${OKTA_BASE_URL}/oauth2/v1/token`, // Audience (Okta's token endpoint for Org Auth Server)
+            exp: issuedAt + 300, // Expiration time (e.g., 5 minutes from now)
+            iat: issuedAt, // Issued at time
+            jti: crypto.randomBytes(16).toString('hex'), // Unique JWT ID
+        };
+
+        try {
+            const clientAssertion = jwt.sign(claims, privateKey, { algorithm: 'RS256', header });
+            log.debug('client_assertion JWT created.');
+            return clientAssertion;
+        } catch (err) {
+            log.error('Failed to sign the client_assertion JWT.', { error: err });
+            throw new Error('Failed to create signed JWT client assertion. Check private key format or jwt library usage.');
+        }
+    };
+    // --- End client_assertion JWT creation ---
+
+    // The token endpoint for the Okta Org Authorization Server (without '/default')
+    const tokenUrl = `${OKTA_BASE_URL}/oauth2/v1/token`;
+
+    const buildTokenRequest = () => ({
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'client_credentials',
+            client_id: OKTA_M2M_CLIENT_ID, // Still needs to be sent as part of the request body
+            client_assertion_type: 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer', // Required type
+            client_assertion: createClientAssertion(), // The signed JWT
+            scope: 'okta.users.manage okta.groups.manage okta.users.read okta.groups.read okta.logs.read' // Scopes for Okta Management API
+        }).toString(),
+    });
+
+    try {
+        // Issuing a token has no side effects, so it is retried like an idempotent request.
+        const response = await fetchWithRetry(tokenUrl, buildTokenRequest, { bucket: '/oauth2/v1/token', idempotent: true });
+
+        // A proxy or an outage page may answer with HTML instead of JSON.
+        const responseText = await response.text();
+        let responseData = {};
+        try {
+            responseData = JSON.parse(responseText) || {};
+        } catch (e) {
+            // Not JSON; reported below by status
+        }
+
+        if (!response.ok) {
+            log.error('Failed to get M2M access token.', { status: response.status, error: responseData.error, errorDescription: responseData.error_description });
+            const reason = responseData.error_description || responseData.error || response.statusText;
+            throw createUpstreamError(`Okta M2M Token Error (${response.status}): ${reason}`, response.status);
+        }
+        if (typeof responseData.access_token !== 'string') {
+            throw createUpstreamError(`Okta M2M Token Error (${response.status}): The response contains no access token.`, response.status);
+        }
+
+        m2mAccessToken = responseData.access_token;
+        m2mTokenExpiry = currentTime + responseData.expires_in;
+        log.info('Obtained new M2M access token.', { expiresIn: responseData.expires_in });
+        return m2mAccessToken;
+
+    } catch (error) {
+        log.error('M2M access token request failed.', { error });
+        throw error;
+    }
+}
+
+/**
+ * Extracts the `after` cursor of the rel="next" link from an Okta `Link` response header.
+ * Okta paginates collections with headers like:
+ *   Link: <https://.../api/v1/users?limit=200>; rel="self", <https://.../api/v1/users?after=00u1&limit=200>; rel="next"
+ * @param {string|null} linkHeader - The raw `Link` header value.
+ * @returns {string|null} The cursor for the next page, or null if this is the last page.
+ */
+function parseNextCursor(linkHeader) {
+    if (!linkHeader) return null;
+    for (const link of linkHeader.split(',')) {
+        const match = link.match(/<([^>]+)>\s*;\s*rel="?next"?/);
+        if (match) {
+            return new URL(match[1]).searchParams.get('after');
+        }
+    }
+    return null;
+}
+
+/**
+ * Fetches one page of an Okta Management API collection.
+ * @param {string} endpoint - The collection endpoint, optionally with query parameters (e.g., '/users?search=...').
+ * @param {object} [options] - Pagination options.
+ * @param {number} [options.limit] - Page size.
+ * @param {string} [options.after] - Cursor returned as `nextCursor` by the previous page.
+ * @returns {Promise<{ data: object[], nextCursor: string|null }>} The page and the cursor for the next one (null on the last page).
+ * @throws {Error} If the API request fails or returns an error.
+ */
+export async function fetchOktaAPIPage(endpoint, { limit, after } = {}) {
+    const params = new URLSearchParams();
+    if (limit) params.set('limit', String(limit));
+    if (after) params.set('after', after);
+    const query = params.toString();
+    const separator = endpoint.includes('?') ? '&' : '?';
+    return requestOktaAPI(query ? `${endpoint}${separator}${query}` : endpoint);
+}
+
+/**
+ * Helper function to make requests to the Okta Management API (using M2M token).
+ * @param {string} endpoint - The API endpoint (e.g., '/users', '/groups').
+ * @param {string} [method='GET'] - HTTP method.
+ * @param {object} [body=null] - Request body for POST, PUT, etc.
+ * @returns {Promise<object>} A promise that resolves to the JSON response from Okta.
+ * @throws {Error} If the API request fails or returns an error.
+ */
+export async function fetchOktaAPI(endpoint, method = 'GET', body = null) {
+    const { data } = await requestOktaAPI(endpoint, method, body);
+    return data;
+}
+
+/**
+ * Performs a Management API request and returns the parsed body together with the
+ * next-page cursor from the `Link` header.
+ * @param {string} endpoint - The API endpoint.
+ * @param {string} [method='GET'] - HTTP method.
+ * @param {object} [body=null] - Request body for POST, PUT, etc.
+ * @returns {Promise<{ data: object|null, nextCursor: string|null }>} The JSON response (null on 204) and the next cursor.
+ * @throws {Error} If the API request fails; for an error response, an OktaApiError (see createOktaApiError).
+ */
+async function requestOktaAPI(endpoint, method = 'GET', body = null) {
+    const url = `${BASE_OKTA_API_URL}${endpoint}`;
+
+    // Get the M2M access token
+    const token = await getM2MAccessToken();
+
+    const headers = {
+        'Authorization': `Bearer ${token}`, // Use Bearer token for M2M
+        'Accept': 'application/json',
+        'Content-Type': 'application/json',
+    };
+
+    const options = { method, headers };
+    if (body) {
+        options.body = JSON.stringify(body);
+    }
+
+    log.debug('Okta API request.', { method, url, body });
+
+    try {
+        const response = await fetchWithRetry(url, () => options, {
+            bucket: getRateLimitBucket(endpoint),
+            idempotent: IDEMPOTENT_METHODS.includes(method.toUpperCase()),
+        });
+        const responseText = await response.text();
+        let responseBody = responseText;
+        try {
+            responseBody = responseText ? JSON.parse(responseText) : null;
+        } catch (e) {
+            // Keep as text if not JSON
+        }
+        log.info('Okta API response.', { method, url, status: response.status });
+        log.debug('Okta API response body.', { method, url, body: responseBody });
+
+        if (!response.ok) {
+            throw createOktaApiError(response.status, responseBody, response.statusText);
+        }
+
+        if (response.status === 204) {
+            return { data: null, nextCursor: null };
+        }
+        return {
+            data: JSON.parse(responseText),
+            nextCursor: parseNextCursor(response.headers.get('link')),
+        };
+    } catch (error) {
+        // Okta rejecting a request (e.g. a missing user) is the caller's to handle; failures to get an answer are errors.
+        const level = error.upstreamStatus && error.upstreamStatus < 500 ? 'warn' : 'error';
+        log[level]('Okta API request failed.', { method, url, error });
+        throw error;
+    }
+}
@@ -0,0 +1,73 @@
+// lib/permissions.js
+// Role-to-permission policy for the management API.
+// Okta groups (roles) map to permissions; each management action requires one permission.
+// The policy is read from the ROLE_PERMISSIONS environment variable, a JSON object such as
+//   {"Admin": ["*"], "Helpdesk": ["users:read"]}
+// and defaults to giving the 'Admin' group every permission. Group names are matched case-insensitively.
+// /api/config exposes the same policy so the frontend can hide controls the user cannot use.
+import { createLogger } from './logger.js';
+
+const log = createLogger('lib/permissions');
+
+/** Every permission known to the management API. */
+export const PERMISSIONS = ['users:read', 'users:write', 'users:lifecycle', 'users:credentials', 'users:delete', 'roles:manage', 'groups:manage', 'audit:read', 'logs:read'];
+
+// Grants every permission in PERMISSIONS.
+const WILDCARD_PERMISSION = '*';
+
+const DEFAULT_ROLE_PERMISSIONS = {
+    Admin: [WILDCARD_PERMISSION],
+};
+
+/**
+ * Returns the configured role-to-permission policy, with wildcards expanded and unknown permissions dropped.
+ * @returns {Object<string, string[]>} Group names mapped to the permissions they grant.
+ * @throws {Error} If ROLE_PERMISSIONS is set but is not a JSON object of string arrays.
+ */
+export function getRolePermissions() {
+    let policy = DEFAULT_ROLE_PERMISSIONS;
+    if (process.env.ROLE_PERMISSIONS) {
+        try {
+            policy = JSON.parse(process.env.ROLE_PERMISSIONS);
+        } catch (error) {
+            throw new Error('Server configuration error: ROLE_PERMISSIONS is not valid JSON.');
+        }
+        if (!policy || typeof policy !== 'object' || Array.isArray(policy) ||
+            !Object.values(policy).every(Array.isArray)) {
+            throw new Error('Server configuration error: ROLE_PERMISSIONS must map group names to arrays of permissions.');
+        }
+    }
+
+    const rolePermissions = {};
+    for (const [groupName, permissions] of Object.entries(policy)) {
+        const granted = new Set();
+        for (const permission of permissions) {
+            if (permission === WILDCARD_PERMISSION) {
+                PERMISSIONS.forEach(p => granted.add(p));
+            } else if (PERMISSIONS.includes(permission)) {
+                granted.add(permission);
+            } else {
+                log.warn('Ignoring unknown permission.', { permission, groupName });
+            }
+        }
+        rolePermissions[groupName] = [...granted];
+    }
+    return rolePermissions;
+}
+
+/**
+ * Resolves the permissions granted by a user's groups.
+ * @param {string[]} groups - The user's Okta group names (the `groups` claim).
+ * @returns {string[]} The granted permissions, in PERMISSIONS order.
+ */
+export function getPermissionsForGroups(groups) {
+    if (!Array.isArray(groups)) return [];
+    const userGroups = new Set(groups.filter(g => typeof g === 'string').map(g => g.toLowerCase()));
+    const granted = new Set();
+    for (const [groupName, permissions] of Object.entries(getRolePermissions())) {
+        if (userGroups.has(groupName.toLowerCase())) {
+            permissions.forEach(p => granted.add(p));
+        }
+    }
+    return PERMISSIONS.filter(p => granted.has(p));
+}
@@ -0,0 +1,222 @@
+// lib/request-schemas.js
+// The input schemas of the admin actions (see lib/validation.js for the schema format), checked by
+// handleAdminAction (lib/admin-api.js) before an action runs. A request that does not match gets a 400 with
+// an error for each offending field, and unexpected parameters are rejected rather than ignored.
+//
+// ACTION_REQUEST_SCHEMAS covers the action API (/api/okta-user-management), keyed by HTTP method and action:
+// GET actions validate the query string, the others the JSON body. RESOURCE_REQUEST_SCHEMAS covers the
+// resource routes (/api/users, /api/groups), keyed by the action each route runs; their query strings
+// include the path segments vercel.json passes along. Both are built from the same field schemas, so an
+// action accepts the same values through either API. Checks that need Okta, or that depend on the values
+// (e.g. reserved group names, search syntax), stay in lib/user-management.js.
+import {
+    LIFECYCLE_ACTIONS,
+    MAX_PAGE_LIMIT,
+    MAX_SEARCH_TERM_LENGTH,
+    SEARCHABLE_PROFILE_ATTRIBUTES,
+    MAX_GROUP_NAME_LENGTH,
+    MAX_GROUP_DESCRIPTION_LENGTH,
+    MAX_SYSTEM_LOG_FILTER_LENGTH,
+} from './user-management.js';
+import { MAX_NAME_LENGTH, MAX_EMAIL_LENGTH } from './validation.js';
+
+// Longest accepted password; Okta's password policy decides everything else about it.
+const MAX_PASSWORD_LENGTH = 256;
+// Most roles assignRoles / unassignRoles accept at once.
+const MAX_ROLES_PER_REQUEST = 50;
+
+// --- Field schemas ---
+
+// An Okta user or group ID (user IDs may also be a login).
+const OKTA_ID = { type: 'string', minLength: 1, maxLength: 255, pattern: /^\S+$/, message: 'must not contain spaces' };
+const PERSON_NAME = { type: 'string', minLength: 1, maxLength: MAX_NAME_LENGTH };
+const GROUP_NAME = { type: 'string', minLength: 1, maxLength: MAX_GROUP_NAME_LENGTH };
+const SEARCH_TERM = { type: 'string', maxLength: MAX_SEARCH_TERM_LENGTH };
+const DATE = { type: 'string', format: 'date-time' };
+const LOG_FILTER = { type: 'string', maxLength: MAX_SYSTEM_LOG_FILTER_LENGTH };
+
+const PAGINATION_PROPERTIES = {
+    limit: { type: 'string', format: 'integer', minimum: 1, maximum: MAX_PAGE_LIMIT },
+    after: { type: 'string', maxLength: 512 },
+};
+
+// searchUsers / exportUsers filters. Status values are matched case-insensitively by buildUserSearchQuery.
+const USER_SEARCH_PROPERTIES = {
+    q: SEARCH_TERM,
+    status: SEARCH_TERM,
+    lastUpdatedAfter: DATE,
+    lastUpdatedBefore: DATE,
+    ...Object.fromEntries(SEARCHABLE_PROFILE_ATTRIBUTES.map(attribute => [`profile.${attribute}`, SEARCH_TERM])),
+};
+
+const USER_DATA = {
+    type: 'object',
+    properties: {
+        firstName: PERSON_NAME,
+        lastName: PERSON_NAME,
+        email: { type: 'string', format: 'email', maxLength: MAX_EMAIL_LENGTH },
+        password: { type: 'string', maxLength: MAX_PASSWORD_LENGTH },
+        invite: { type: 'boolean' },
+    },
+    required: ['firstName', 'lastName', 'email'],
+    additionalProperties: false,
+    // Invited users choose their own password.
+    check: userData => {
+        if (userData.invite === true) {
+            return userData.password !== undefined ? { password: 'is not allowed when invite is true' } : null;
+        }
+        return userData.password ? null : { password: 'is required unless invite is true' };
+    },
+};
+
+const USER_UPDATES = {
+    type: 'object',
+    properties: { given_name: PERSON_NAME, family_name: PERSON_NAME },
+    additionalProperties: false,
+    minProperties: 1,
+    message: 'must include given_name or family_name',
+};
+
+const GROUP_DATA = {
+    type: 'object',
+    properties: {
+        name: GROUP_NAME,
+        description: { type: 'string', maxLength: MAX_GROUP_DESCRIPTION_LENGTH },
+    },
+    required: ['name'],
+    additionalProperties: false,
+};
+
+const ROLE_NAMES = { type: 'array', minItems: 1, maxItems: MAX_ROLES_PER_REQUEST, items: GROUP_NAME };
+
+const IMPORT_PROPERTIES = {
+    format: { type: 'string', enum: ['csv', 'json'] },
+    // CSV text, or a JSON array of user objects (or its text); lib/user-import.js checks the contents.
+    data: { type: ['string', 'array'] },
+};
+
+const AUDIT_LOG_PROPERTIES = {
+    ...PAGINATION_PROPERTIES,
+    actor: SEARCH_TERM,
+    eventAction: SEARCH_TERM,
+    targetId: SEARCH_TERM,
+    result: { type: 'string', enum: ['success', 'partial', 'failure'] },
+    since: DATE,
+    until: DATE,
+};
+
+const SYSTEM_LOG_PROPERTIES = {
+    ...PAGINATION_PROPERTIES,
+    userId: LOG_FILTER,
+    actorId: LOG_FILTER,
+    targetId: LOG_FILTER,
+    eventType: LOG_FILTER,
+    outcome: LOG_FILTER,
+    since: DATE,
+    until: DATE,
+};
+
+/**
+ * The options a lifecycle action accepts in its request body (see LIFECYCLE_ACTIONS).
+ * @param {string} action - A key of LIFECYCLE_ACTIONS.
+ * @returns {object} The option properties: `sendEmail` and/or `tempPassword`, or none.
+ */
+function lifecycleOptionProperties(action) {
+    const { sendsEmail, tempPasswordOption } = LIFECYCLE_ACTIONS[action];
+    return {
+        ...(sendsEmail ? { sendEmail: { type: 'boolean' } } : {}),
+        ...(tempPasswordOption ? { tempPassword: { type: 'boolean' } } : {}),
+    };
+}
+
+/**
+ * Builds the schema of an object that allows only the given properties.
+ * @param {object} properties - The property schemas.
+ * @param {string[]} [required=[]] - The required properties.
+ * @returns {object} The object schema.
+ */
+function strictObject(properties, required = []) {
+    return { type: 'object', properties, required, additionalProperties: false };
+}
+
+// --- Action API (/api/okta-user-management) ---
+
+/**
+ * Builds an action API request schema: the given properties plus `action`.
+ * @param {object} properties - The property schemas.
+ * @param {string[]} [required=[]] - The required properties.
+ * @returns {object} The object schema.
+ */
+function actionRequest(properties, required = []) {
+    return strictObject({ action: { type: 'string' }, ...properties }, required);
+}
+
+// Requests naming no action known for their method: only `action` itself is checked, so a request without one
+// (e.g. a POST without a body) gets a field error, and an unknown action is rejected by the handler.
+export const ACTION_NAME_SCHEMA = { type: 'object', properties: { action: { type: 'string' } }, required: ['action'] };
+
+export const ACTION_REQUEST_SCHEMAS = {
+    GET: {
+        listUsers: actionRequest(PAGINATION_PROPERTIES),
+        searchUsers: actionRequest({ ...PAGINATION_PROPERTIES, ...USER_SEARCH_PROPERTIES }),
+        exportUsers: actionRequest({
+            format: { type: 'string', enum: ['csv', 'json'] },
+            columns: { type: 'string', maxLength: 1000 },
+            ...USER_SEARCH_PROPERTIES,
+        }),
+        getUser: actionRequest({ userId: OKTA_ID }, ['userId']),
+        listUsersInRole: actionRequest({ roleName: GROUP_NAME, ...PAGINATION_PROPERTIES }, ['roleName']),
+        listGroups: actionRequest({ q: SEARCH_TERM, ...PAGINATION_PROPERTIES }),
+        listGroupMembers: actionRequest({ groupId: OKTA_ID, ...PAGINATION_PROPERTIES }, ['groupId']),
+        getAuditLog: actionRequest(AUDIT_LOG_PROPERTIES),
+        getSystemLog: actionRequest(SYSTEM_LOG_PROPERTIES),
+    },
+    POST: {
+        createUser: actionRequest({ userData: USER_DATA }, ['userData']),
+        validateImport: actionRequest(IMPORT_PROPERTIES, ['format', 'data']),
+        importUsers: actionRequest(IMPORT_PROPERTIES, ['format', 'data']),
+        createGroup: actionRequest({ groupData: GROUP_DATA }, ['groupData']),
+        ...Object.fromEntries(Object.keys(LIFECYCLE_ACTIONS).map(action => [
+            action,
+            actionRequest({ userId: OKTA_ID, ...lifecycleOptionProperties(action) }, ['userId']),
+        ])),
+    },
+    PUT: {
+        updateUser: actionRequest({ userId: OKTA_ID, updates: USER_UPDATES }, ['userId', 'updates']),
+        assignRoles: actionRequest({ userId: OKTA_ID, roles: ROLE_NAMES }, ['userId', 'roles']),
+        unassignRoles: actionRequest({ userId: OKTA_ID, roles: ROLE_NAMES }, ['userId', 'roles']),
+        renameGroup: actionRequest({ groupId: OKTA_ID, groupData: GROUP_DATA }, ['groupId', 'groupData']),
+        addGroupMember: actionRequest({ groupId: OKTA_ID, userId: OKTA_ID }, ['groupId', 'userId']),
+        removeGroupMember: actionRequest({ groupId: OKTA_ID, userId: OKTA_ID }, ['groupId', 'userId']),
+    },
+    DELETE: {
+        deleteUser: actionRequest({ userId: OKTA_ID }, ['userId']),
+        deleteGroup: actionRequest({ groupId: OKTA_ID }, ['groupId']),
+    },
+};
+
+// --- Resource routes (/api/users, /api/groups) ---
+
+const USER_PATH = { id: OKTA_ID };
+const GROUP_PATH = { groupId: OKTA_ID };
+
+export const RESOURCE_REQUEST_SCHEMAS = {
+    listUsers: { query: strictObject(PAGINATION_PROPERTIES) },
+    searchUsers: { query: strictObject({ ...PAGINATION_PROPERTIES, ...USER_SEARCH_PROPERTIES }) },
+    createUser: { query: strictObject({}), body: USER_DATA },
+    getUser: { query: strictObject(USER_PATH, ['id']) },
+    updateUser: { query: strictObject(USER_PATH, ['id']), body: USER_UPDATES },
+    deleteUser: { query: strictObject(USER_PATH, ['id']) },
+    ...Object.fromEntries(Object.keys(LIFECYCLE_ACTIONS).map(action => [action, {
+        query: strictObject({ ...USER_PATH, operation: { type: 'string' } }, ['id', 'operation']),
+        body: strictObject(lifecycleOptionProperties(action)),
+    }])),
+    listGroups: { query: strictObject({ q: SEARCH_TERM, ...PAGINATION_PROPERTIES }) },
+    createGroup: { query: strictObject({}), body: GROUP_DATA },
+    getGroup: { query: strictObject(GROUP_PATH, ['groupId']) },
+    renameGroup: { query: strictObject(GROUP_PATH, ['groupId']), body: GROUP_DATA },
+    deleteGroup: { query: strictObject(GROUP_PATH, ['groupId']) },
+    listGroupMembers: { query: strictObject({ ...GROUP_PATH, members: { type: 'string' }, ...PAGINATION_PROPERTIES }, ['groupId']) },
+    addGroupMember: { query: strictObject({ ...GROUP_PATH, userId: OKTA_ID }, ['groupId', 'userId']) },
+    removeGroupMember: { query: strictObject({ ...GROUP_PATH, userId: OKTA_ID }, ['groupId', 'userId']) },
+};
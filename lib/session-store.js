@@ -0,0 +1,121 @@
+// lib/session-store.js
+// Pluggable storage for server-side sessions (used when SESSION_MODE=cookie).
+// A store is any object with three async methods:
+//   get(id)                 -> the session data, or null if missing/expired
+//   set(id, data, expiresAt)-> persist data until `expiresAt` (ms since epoch)
+//   destroy(id)             -> remove the session
+// Two implementations ship with the app: an in-memory store (default) and a JSON file store
+// (SESSION_STORE=file) that survives restarts of `vercel dev`. Production deployments with
+// several serverless instances should plug in a shared store (e.g. Redis) via setSessionStore().
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lib/session-store');
+
+/**
+ * Creates a session store that keeps sessions in process memory.
+ * Sessions are lost when the process (or serverless instance) is recycled.
+ * @returns {object} A session store.
+ */
+export function createMemorySessionStore() {
+    const sessions = new Map();
+    return {
+        async get(id) {
+            const entry = sessions.get(id);
+            if (!entry) return null;
+            if (entry.expiresAt <= Date.now()) {
+                sessions.delete(id);
+                return null;
+            }
+            return entry.data;
+        },
+        async set(id, data, expiresAt) {
+            sessions.set(id, { data, expiresAt });
+        },
+        async destroy(id) {
+            sessions.delete(id);
+        },
+    };
+}
+
+/**
+ * Creates a session store backed by a single JSON file. Expired sessions are pruned on every write.
+ * The file holds access and refresh tokens, so it is created with owner-only permissions.
+ * @param {string} [filePath] - Location of the file. Defaults to SESSION_STORE_FILE or a file in the OS temp dir.
+ * @returns {object} A session store.
+ */
+export function createFileSessionStore(filePath = process.env.SESSION_STORE_FILE || path.join(os.tmpdir(), 'application-demo-sessions.json')) {
+    // Serialize read-modify-write cycles within this process.
+    let queue = Promise.resolve();
+    const withLock = (fn) => {
+        const run = queue.then(fn, fn);
+        queue = run.catch(() => {});
+        return run;
+    };
+
+    async function readAll() {
+        try {
+            return JSON.parse(await fs.readFile(filePath, 'utf8'));
+        } catch (error) {
+            if (error.code === 'ENOENT') return {};
+            log.warn('Could not read session file, starting empty.', { filePath, error });
+            return {};
+        }
+    }
+
+    async function writeAll(sessions) {
+        const now = Date.now();
+        for (const [id, entry] of Object.entries(sessions)) {
+            if (entry.expiresAt <= now) delete sessions[id];
+        }
+        await fs.writeFile(filePath, JSON.stringify(sessions), { mode: 0o600 });
+    }
+
+    return {
+        get(id) {
+            return withLock(async () => {
+                const entry = (await readAll())[id];
+                if (!entry || entry.expiresAt <= Date.now()) return null;
+                return entry.data;
+            });
+        },
+        set(id, data, expiresAt) {
+            return withLock(async () => {
+                const sessions = await readAll();
+                sessions[id] = { data, expiresAt };
+                await writeAll(sessions);
+            });
+        },
+        destroy(id) {
+            return withLock(async () => {
+                const sessions = await readAll();
+                delete sessions[id];
+                await writeAll(sessions);
+            });
+        },
+    };
+}
+
+let sessionStore = null;
+
+/**
+ * Returns the configured session store, creating the default one on first use.
+ * SESSION_STORE selects the implementation: 'memory' (default) or 'file'.
+ * @returns {object} The session store.
+ */
+export function getSessionStore() {
+    if (!sessionStore) {
+        sessionStore = process.env.SESSION_STORE === 'file' ? createFileSessionStore() : createMemorySessionStore();
+    }
+    return sessionStore;
+}
+
+/**
+ * Replaces the session store, e.g. with a Redis-backed implementation of the same interface.
+ * @param {object} store - An object implementing get/set/destroy.
+ */
+export function setSessionStore(store) {
+    sessionStore = store;
+}
@@ -0,0 +1,182 @@
+// lib/session.js
+// Server-side sessions carried by an encrypted, signed, HttpOnly cookie (SESSION_MODE=cookie).
+// The browser only ever holds the cookie; the access, ID and refresh tokens live in the session store.
+// The cookie payload ({ sid, exp }) is encrypted with AES-256-GCM and the ciphertext is additionally
+// signed with HMAC-SHA256, both with keys derived from SESSION_SECRET.
+import crypto from 'crypto';
+import { getSessionStore } from './session-store.js';
+
+export const SESSION_COOKIE_NAME = 'app_session';
+
+// Default absolute session lifetime: 8 hours (override with SESSION_TTL_SECONDS).
+const DEFAULT_SESSION_TTL_SECONDS = 8 * 60 * 60;
+
+/**
+ * Whether the app is configured to keep tokens server-side behind a session cookie.
+ * @returns {boolean} True when SESSION_MODE is 'cookie'.
+ */
+export function isCookieSessionMode() {
+    return process.env.SESSION_MODE === 'cookie';
+}
+
+/**
+ * Derives the encryption and signing keys from SESSION_SECRET.
+ * @returns {{ encryptionKey: Buffer, signingKey: Buffer }} The derived keys.
+ * @throws {Error} If SESSION_SECRET is not set or is too short.
+ */
+function getKeys() {
+    const secret = process.env.SESSION_SECRET;
+    if (!secret || secret.length < 32) {
+        throw new Error('Server configuration error: SESSION_SECRET must be set to at least 32 characters when SESSION_MODE=cookie.');
+    }
+    const derive = (info) => Buffer.from(crypto.hkdfSync('sha256', secret, 'application-demo-session', info, 32));
+    return { encryptionKey: derive('encryption'), signingKey: derive('signing') };
+}
+
+/**
+ * Encrypts and signs a cookie payload.
+ * @param {object} payload - The payload to seal.
+ * @returns {string} `<base64url(iv|ciphertext|tag)>.<base64url(hmac)>`
+ */
+function sealCookieValue(payload) {
+    const { encryptionKey, signingKey } = getKeys();
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey, iv);
+    const ciphertext = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+    const sealed = Buffer.concat([iv, ciphertext, cipher.getAuthTag()]).toString('base64url');
+    const signature = crypto.createHmac('sha256', signingKey).update(sealed).digest('base64url');
+    return `${sealed}.${signature}`;
+}
+
+/**
+ * Verifies and decrypts a cookie value produced by sealCookieValue.
+ * @param {string} value - The raw cookie value.
+ * @returns {object|null} The payload, or null if the value was tampered with or cannot be decrypted.
+ */
+function unsealCookieValue(value) {
+    const { encryptionKey, signingKey } = getKeys();
+    const [sealed, signature] = String(value).split('.');
+    if (!sealed || !signature) return null;
+
+    const expected = crypto.createHmac('sha256', signingKey).update(sealed).digest();
+    const actual = Buffer.from(signature, 'base64url');
+    if (actual.length !== expected.length || !crypto.timingSafeEqual(actual, expected)) {
+        return null;
+    }
+
+    try {
+        const raw = Buffer.from(sealed, 'base64url');
+        const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey, raw.subarray(0, 12));
+        decipher.setAuthTag(raw.subarray(raw.length - 16));
+        const plaintext = Buffer.concat([decipher.update(raw.subarray(12, raw.length - 16)), decipher.final()]);
+        return JSON.parse(plaintext.toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Parses the Cookie request header.
+ * @param {object} req - The request object.
+ * @returns {Object<string, string>} Cookie names mapped to their (URI-decoded) values.
+ */
+export function parseCookies(req) {
+    const cookies = {};
+    const header = req.headers?.cookie;
+    if (!header) return cookies;
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index < 0) continue;
+        const name = part.slice(0, index).trim();
+        try {
+            cookies[name] = decodeURIComponent(part.slice(index + 1).trim());
+        } catch (error) {
+            cookies[name] = part.slice(index + 1).trim();
+        }
+    }
+    return cookies;
+}
+
+/**
+ * Builds a Set-Cookie header value for the session cookie.
+ * `Secure` is always set (browsers accept it on http://localhost); set SESSION_COOKIE_SECURE=false
+ * only for local setups served over plain HTTP on another hostname.
+ * @param {string} value - The cookie value ('' to clear).
+ * @param {number} maxAgeSeconds - Cookie lifetime (0 to clear).
+ * @returns {string} The Set-Cookie header value.
+ */
+function serializeSessionCookie(value, maxAgeSeconds) {
+    const attributes = [
+        `${SESSION_COOKIE_NAME}=${encodeURIComponent(value)}`,
+        'Path=/',
+        `Max-Age=${maxAgeSeconds}`,
+        'HttpOnly',
+        'SameSite=Strict',
+    ];
+    if (process.env.SESSION_COOKIE_SECURE !== 'false') {
+        attributes.push('Secure');
+    }
+    return attributes.join('; ');
+}
+
+/**
+ * Creates a server-side session holding `data` and sets the session cookie on the response.
+ * @param {object} res - The response object.
+ * @param {object} data - Session data (tokens, profile, roles...).
+ * @returns {Promise<string>} The new session ID.
+ */
+export async function createSession(res, data) {
+    const ttlSeconds = Number(process.env.SESSION_TTL_SECONDS) || DEFAULT_SESSION_TTL_SECONDS;
+    const sid = crypto.randomBytes(32).toString('base64url');
+    const expiresAt = Date.now() + ttlSeconds * 1000;
+
+    const cookieValue = sealCookieValue({ sid, exp: expiresAt });
+    await getSessionStore().set(sid, { ...data, sessionExpiresAt: expiresAt }, expiresAt);
+    res.setHeader('Set-Cookie', serializeSessionCookie(cookieValue, ttlSeconds));
+    return sid;
+}
+
+/**
+ * Loads the session referenced by the request's session cookie.
+ * @param {object} req - The request object.
+ * @returns {Promise<{ sid: string, data: object }|null>} The session, or null if there is no valid session.
+ */
+export async function getSession(req) {
+    const cookieValue = parseCookies(req)[SESSION_COOKIE_NAME];
+    if (!cookieValue) return null;
+
+    const payload = unsealCookieValue(cookieValue);
+    if (!payload || !payload.sid || payload.exp <= Date.now()) {
+        return null;
+    }
+    const data = await getSessionStore().get(payload.sid);
+    return data ? { sid: payload.sid, data } : null;
+}
+
+/**
+ * Replaces the data of an existing session, keeping its original expiry.
+ * @param {{ sid: string, data: object }} session - The session returned by getSession.
+ * @param {object} updates - Fields to merge into the session data.
+ * @returns {Promise<object>} The updated session data.
+ */
+export async function updateSession(session, updates) {
+    const data = { ...session.data, ...updates };
+    await getSessionStore().set(session.sid, data, data.sessionExpiresAt);
+    session.data = data;
+    return data;
+}
+
+/**
+ * Destroys the request's session (if any) and clears the session cookie.
+ * @param {object} req - The request object.
+ * @param {object} res - The response object.
+ * @returns {Promise<object|null>} The destroyed session's data, or null if there was none.
+ */
+export async function destroySession(req, res) {
+    const session = await getSession(req);
+    if (session) {
+        await getSessionStore().destroy(session.sid);
+    }
+    res.setHeader('Set-Cookie', serializeSessionCookie('', 0));
+    return session ? session.data : null;
+}
@@ -0,0 +1,121 @@
+// lib/user-import.js
+// Parsing and local validation for bulk user import (the importUsers / validateImport actions).
+// Accepts CSV (a header row, then one user per row) or JSON (an array of user objects) with the columns
+//   firstName, lastName, email        (required)
+//   login                             (optional, defaults to email)
+//   password                          (optional; rows without one are invited by activation email)
+//   groups                            (optional; CSV: names separated by ';', JSON: an array of names)
+// Header names are matched case-insensitively, ignoring spaces, '_' and '-' (so "First Name" works).
+// Checks that need Okta (existing users, unknown groups) are done by validateImport in lib/user-management.js.
+import { parseCsv } from './csv.js';
+import { MAX_NAME_LENGTH, MAX_EMAIL_LENGTH, EMAIL_PATTERN } from './validation.js';
+
+/** Largest number of users accepted in one import. */
+export const MAX_IMPORT_ROWS = 500;
+
+// Normalized header name -> row field.
+const IMPORT_COLUMNS = {
+    firstname: 'firstName',
+    lastname: 'lastName',
+    email: 'email',
+    login: 'login',
+    password: 'password',
+    groups: 'groups',
+};
+
+/**
+ * Converts one raw record (CSV columns or a JSON object) into an import row.
+ * @param {object} record - Field values keyed by column name.
+ * @param {number} rowNumber - The 1-based position of the row among the data rows.
+ * @returns {object} The row: `{ row, firstName, lastName, email, login, password, groups }`.
+ */
+function normalizeRow(record, rowNumber) {
+    const row = { row: rowNumber, firstName: '', lastName: '', email: '', login: '', password: '', groups: [] };
+    for (const [key, value] of Object.entries(record)) {
+        const field = IMPORT_COLUMNS[key.toLowerCase().replace(/[\s_-]/g, '')];
+        if (!field) continue;
+        if (field === 'groups') {
+            const names = Array.isArray(value) ? value : String(value ?? '').split(';');
+            row.groups = [...new Set(names.map(name => String(name).trim()).filter(Boolean))];
+        } else {
+            // Passwords are taken verbatim: surrounding spaces may be intended.
+            row[field] = field === 'password' ? String(value ?? '') : String(value ?? '').trim();
+        }
+    }
+    row.login = row.login || row.email;
+    return row;
+}
+
+/**
+ * Parses an uploaded import file into rows.
+ * @param {'csv'|'json'} format - The file format.
+ * @param {string|object[]} data - CSV text, or a JSON array (or its text).
+ * @returns {{ rows?: object[], error?: string }} The rows, or an error message suitable for a 400.
+ */
+export function parseImportRows(format, data) {
+    let records;
+    try {
+        if (format === 'csv') {
+            if (typeof data !== 'string') {
+                return { error: 'CSV imports must send the file contents as a string.' };
+            }
+            const [header, ...lines] = parseCsv(data);
+            if (!header) {
+                return { error: 'The CSV file is empty.' };
+            }
+            records = lines.map(values => Object.fromEntries(header.map((name, i) => [name, values[i] ?? ''])));
+        } else if (format === 'json') {
+            records = typeof data === 'string' ? JSON.parse(data) : data;
+            if (!Array.isArray(records) || !records.every(record => record && typeof record === 'object' && !Array.isArray(record))) {
+                return { error: 'JSON imports must be an array of user objects.' };
+            }
+        } else {
+            return { error: "Import format must be 'csv' or 'json'." };
+        }
+    } catch (error) {
+        return { error: `The import file could not be parsed: ${error.message}` };
+    }
+
+    if (records.length === 0) {
+        return { error: 'The import file contains no users.' };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+        return { error: `An import may contain at most ${MAX_IMPORT_ROWS} users; this file has ${records.length}.` };
+    }
+    return { rows: records.map((record, index) => normalizeRow(record, index + 1)) };
+}
+
+/**
+ * Checks each row's fields, and that no email or login appears twice in the file.
+ * @param {object[]} rows - Rows from parseImportRows.
+ * @returns {Map<number, string[]>} Error messages by row number (only rows with errors).
+ */
+export function validateImportRows(rows) {
+    const errors = new Map();
+    const addError = (row, message) => errors.set(row.row, [...(errors.get(row.row) || []), message]);
+    const firstRowByIdentifier = new Map();
+
+    for (const row of rows) {
+        for (const field of ['firstName', 'lastName', 'email']) {
+            if (!row[field]) addError(row, `${field} is required.`);
+        }
+        if (row.firstName.length > MAX_NAME_LENGTH || row.lastName.length > MAX_NAME_LENGTH) {
+            addError(row, `firstName and lastName must be at most ${MAX_NAME_LENGTH} characters.`);
+        }
+        for (const field of ['email', 'login']) {
+            if (row[field] && (row[field].length > MAX_EMAIL_LENGTH || !EMAIL_PATTERN.test(row[field]))) {
+                addError(row, `${field} '${row[field]}' is not a valid email address.`);
+            }
+        }
+        // Okta only requires logins to be unique. This app also allows one user per primary email, so an
+        // import never creates two accounts for the same person: each email or login may appear in one row only.
+        for (const identifier of new Set([row.email, row.login].filter(Boolean).map(value => value.toLowerCase()))) {
+            if (firstRowByIdentifier.has(identifier)) {
+                addError(row, `'${identifier}' is also used in row ${firstRowByIdentifier.get(identifier)}.`);
+            } else {
+                firstRowByIdentifier.set(identifier, row.row);
+            }
+        }
+    }
+    return errors;
+}
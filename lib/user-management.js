@@ -0,0 +1,1242 @@
+// lib/user-management.js
+// The user, group and log operations behind the admin APIs: the action API (/api/okta-user-management)
+// and the resource routes (/api/users, /api/groups). Both authenticate the caller and check permissions
+// in lib/admin-api.js, then call these functions, so an action behaves the same whichever API it came through.
+// Operations call Okta through lib/okta-management-client.js and return plain data in the shapes the APIs
+// respond with. They throw a UserManagementError (see createUserManagementError) when the request itself
+// is wrong (missing fields, invalid status transitions, protected groups); other errors come from Okta.
+// Mutating operations take an optional audit context and fill in its target, before/after snapshots and details.
+import { fetchOktaAPI, fetchOktaAPIPage } from './okta-management-client.js';
+import { getRolePermissions } from './permissions.js';
+import { parseImportRows, validateImportRows } from './user-import.js';
+import { formatCsvRow } from './csv.js';
+import { queryAuditLog } from './audit-log.js';
+import { createLogger } from './logger.js';
+
+const log = createLogger('lib/user-management');
+
+// Define your default group name here.
+// Ensure this group exists in Okta and is assigned to your application.
+const DEFAULT_ACCESS_GROUP_NAME = "AccessBoardUsers";
+
+// Page size for listUsers / listUsersInRole when no `limit` is given, and the largest accepted `limit`
+// (Okta caps users and group members at 200 per page).
+const DEFAULT_PAGE_LIMIT = 50;
+export const MAX_PAGE_LIMIT = 200;
+
+// User statuses accepted by searchUsers (Okta user lifecycle states).
+const USER_STATUSES = ['STAGED', 'PROVISIONED', 'ACTIVE', 'RECOVERY', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'SUSPENDED', 'DEPROVISIONED'];
+// Profile attributes searchUsers may match on (`profile.<attribute>=<prefix>` query parameters).
+export const SEARCHABLE_PROFILE_ATTRIBUTES = ['login', 'email', 'firstName', 'lastName', 'department', 'title'];
+// Longest accepted search term, to keep expressions sent to Okta bounded.
+export const MAX_SEARCH_TERM_LENGTH = 100;
+
+// Lifecycle actions: the Okta /lifecycle/<operation> they call and the user statuses they are valid from.
+// `operation` may map statuses to operations when the right call depends on the current status.
+// `sendsEmail` actions accept `sendEmail` (default true); `tempPasswordOption` actions accept `tempPassword`.
+export const LIFECYCLE_ACTIONS = {
+    activateUser: { operation: 'activate', from: ['STAGED', 'DEPROVISIONED'], sendsEmail: true },
+    reactivateUser: { operation: 'reactivate', from: ['PROVISIONED'], sendsEmail: true },
+    deactivateUser: { operation: 'deactivate', from: ['STAGED', 'PROVISIONED', 'ACTIVE', 'RECOVERY', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'SUSPENDED'] },
+    suspendUser: { operation: 'suspend', from: ['ACTIVE'] },
+    unsuspendUser: { operation: 'unsuspend', from: ['SUSPENDED'] },
+    unlockUser: { operation: 'unlock', from: ['LOCKED_OUT'] },
+    // Staged users (e.g. invited with activate=false) are activated; provisioned users get the email again.
+    resendActivation: { operation: { STAGED: 'activate', PROVISIONED: 'reactivate' }, from: ['STAGED', 'PROVISIONED'], sendsEmail: true },
+    // sendEmail=false returns a one-time reset link instead of emailing it.
+    resetPassword: { operation: 'reset_password', from: ['ACTIVE', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'RECOVERY'], sendsEmail: true },
+    expirePassword: { operation: 'expire_password', from: ['ACTIVE'], tempPasswordOption: true },
+};
+
+// Longest accepted group name and description (Okta's limits).
+export const MAX_GROUP_NAME_LENGTH = 255;
+export const MAX_GROUP_DESCRIPTION_LENGTH = 1024;
+
+// Okta System Log event outcomes accepted by getSystemLog's `outcome` filter.
+const SYSTEM_LOG_OUTCOMES = ['SUCCESS', 'FAILURE', 'ALLOW', 'DENY', 'CHALLENGE', 'SKIPPED', 'UNKNOWN'];
+// Event types are dotted names such as `user.session.start`; at most this many per request.
+const SYSTEM_LOG_EVENT_TYPE_PATTERN = /^[a-z0-9_]+(\.[a-z0-9_]+)*$/i;
+const MAX_SYSTEM_LOG_EVENT_TYPES = 10;
+// Longest accepted System Log filter value.
+export const MAX_SYSTEM_LOG_FILTER_LENGTH = 512;
+
+// Users created in parallel by importUsers, and emails per Okta search when checking for existing users.
+const IMPORT_CONCURRENCY = 5;
+const IMPORT_LOOKUP_BATCH_SIZE = 10;
+// Columns of the downloadable import report (importUsers' `reportCsv`).
+const IMPORT_REPORT_COLUMNS = ['row', 'email', 'login', 'result', 'userId', 'status', 'errors', 'warnings'];
+
+// Columns exportUsers can include, and how each is read from an Okta user. `groups` (the user's group
+// names) is not listed here because it needs an extra Okta call per user.
+const EXPORT_COLUMNS = {
+    id: user => user.id,
+    login: user => user.profile.login,
+    email: user => user.profile.email,
+    firstName: user => user.profile.firstName,
+    lastName: user => user.profile.lastName,
+    department: user => user.profile.department,
+    title: user => user.profile.title,
+    status: user => user.status,
+    created: user => user.created,
+    activated: user => user.activated,
+    lastLogin: user => user.lastLogin,
+    lastUpdated: user => user.lastUpdated,
+    passwordChanged: user => user.passwordChanged,
+};
+const EXPORT_GROUPS_COLUMN = 'groups';
+const DEFAULT_EXPORT_COLUMNS = ['id', 'login', 'email', 'firstName', 'lastName', 'status', 'created', 'lastLogin'];
+// Users whose groups are fetched in parallel when the export includes the groups column.
+const EXPORT_CONCURRENCY = 5;
+
+// Group IDs found by name are cached for this long. Groups created, renamed or deleted through this API
+// update the cache at once; changes made elsewhere in Okta are picked up when the entry expires.
+const GROUP_CACHE_TTL_MS = (Number(process.env.GROUP_CACHE_TTL_SECONDS) || 300) * 1000;
+
+// Cache of group lookups: group name -> { id, expiresAt }. Only found groups are cached, so a group
+// created outside this API is found on the next lookup.
+const groupIdCache = new Map();
+
+/**
+ * Creates the error thrown when a request cannot be carried out as asked. The APIs respond with its
+ * `statusCode` and message, unlike Okta errors, which are reported as failed Okta operations.
+ * @param {number} statusCode - The HTTP status to respond with (400, 403, 404 or 409).
+ * @param {string} message - A human-readable error message.
+ * @param {object} [details] - Extra detail for the response, e.g. per-row import errors.
+ * @returns {Error} The error, named 'UserManagementError'.
+ */
+export function createUserManagementError(statusCode, message, details) {
+    const error = new Error(message);
+    error.name = 'UserManagementError';
+    error.statusCode = statusCode;
+    if (details !== undefined) error.details = details;
+    return error;
+}
+
+/**
+ * Helper function to find an Okta group ID by its name. Found IDs are cached (see GROUP_CACHE_TTL_MS).
+ * @param {string} groupName - The name of the group to find.
+ * @returns {Promise<string|null>} The group ID if found, otherwise null.
+ * @throws {Error} If Okta could not be asked: a rate-limit error (429) passes through unchanged, anything
+ *   else becomes an error with `statusCode` 503 (Okta unreachable or unavailable) or 502 (other upstream errors),
+ *   so an outage is never reported as a missing group.
+ */
+async function getGroupIdByName(groupName) {
+    if (!groupName) {
+        log.warn('getGroupIdByName called with no groupName.');
+        return null;
+    }
+    const cached = groupIdCache.get(groupName);
+    if (cached && cached.expiresAt > Date.now()) {
+        return cached.id;
+    }
+    groupIdCache.delete(groupName);
+
+    let groups;
+    try {
+        groups = await fetchOktaAPI(`/groups?q=${encodeURIComponent(groupName)}`);
+    } catch (error) {
+        log.error('Error finding group ID.', { groupName, error });
+        if (error.retryAfter) throw error;
+        const lookupError = new Error(`Could not look up group '${groupName}' in Okta: ${error.message}`);
+        lookupError.statusCode = !error.upstreamStatus || error.upstreamStatus === 503 ? 503 : 502;
+        throw lookupError;
+    }
+    const foundGroup = (groups || []).find(group => group.profile.name === groupName);
+    if (!foundGroup) {
+        log.info('Group not found.', { groupName });
+        return null;
+    }
+    log.debug('Group found.', { groupName, groupId: foundGroup.id });
+    cacheGroupId(groupName, foundGroup.id);
+    return foundGroup.id;
+}
+
+/**
+ * Caches a group's ID under its name.
+ * @param {string} groupName - The group name.
+ * @param {string} groupId - The Okta group ID.
+ */
+function cacheGroupId(groupName, groupId) {
+    groupIdCache.set(groupName, { id: groupId, expiresAt: Date.now() + GROUP_CACHE_TTL_MS });
+}
+
+/**
+ * Drops every cached name of a group, after it was renamed or deleted.
+ * @param {string} groupId - The Okta group ID.
+ */
+function evictCachedGroup(groupId) {
+    for (const [groupName, entry] of groupIdCache) {
+        if (entry.id === groupId) groupIdCache.delete(groupName);
+    }
+}
+
+/**
+ * Assigns a user to, or removes them from, each of the given roles (groups), one at a time.
+ * A failure for one role does not stop the others; each gets its own result:
+ *   `status` 200 with `outcome` 'assigned' / 'unassigned' on success,
+ *   200 with 'already_member' / 'not_member' if there was nothing to change,
+ *   404 'not_found' if no group has that name, and 502 'failed' if Okta rejected the change
+ *   ('failed' with 503 or 429 if the group could not be looked up because Okta was unavailable or rate limiting).
+ * @param {'assignRoles'|'unassignRoles'} action - Whether to add or remove memberships.
+ * @param {string} userId - The Okta user ID.
+ * @param {string[]} roleNames - The group names, without duplicates.
+ * @returns {Promise<Array<{ role: string, groupId?: string, status: number, outcome: string, error?: string }>>} One result per role, in order.
+ */
+async function applyRoleChanges(action, userId, roleNames) {
+    const assign = action === 'assignRoles';
+    // The user's current groups, to report no-op changes instead of repeating them. Throws (failing the
+    // whole request) if the user does not exist.
+    const currentGroups = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}/groups`);
+    const currentGroupIds = new Set(currentGroups.map(group => group.id));
+
+    const results = [];
+    for (const roleName of roleNames) {
+        let groupId;
+        try {
+            groupId = await getGroupIdByName(roleName);
+        } catch (error) {
+            results.push({ role: roleName, status: error.statusCode || 502, outcome: 'failed', error: error.message });
+            continue;
+        }
+        if (!groupId) {
+            results.push({ role: roleName, status: 404, outcome: 'not_found', error: `Group (role) '${roleName}' not found.` });
+            continue;
+        }
+        if (assign === currentGroupIds.has(groupId)) {
+            results.push({ role: roleName, groupId, status: 200, outcome: assign ? 'already_member' : 'not_member' });
+            continue;
+        }
+        try {
+            await fetchOktaAPI(`/groups/${groupId}/users/${encodeURIComponent(userId)}`, assign ? 'PUT' : 'DELETE');
+            log.info(assign ? 'User assigned to group.' : 'User unassigned from group.', { userId, groupId, role: roleName });
+            results.push({ role: roleName, groupId, status: 200, outcome: assign ? 'assigned' : 'unassigned' });
+        } catch (error) {
+            log.error('Role change failed.', { userId, role: roleName, error });
+            // The cached ID may belong to a group deleted outside this API.
+            if (error.upstreamStatus === 404) evictCachedGroup(groupId);
+            results.push({ role: roleName, groupId, status: 502, outcome: 'failed', error: error.message });
+        }
+    }
+    return results;
+}
+
+/**
+ * Creates an Okta user, adds them to groups, and in invite mode sends the activation email.
+ * Only the creation itself can fail the call; failed group assignments and activation emails are
+ * logged and reported back, since the user already exists by then.
+ * @param {{ firstName: string, lastName: string, email: string, login: string, password?: string }} userData - The new user's profile and password.
+ * @param {object} options
+ * @param {boolean} options.invite - Create the user without a password and email them an activation link.
+ * @param {string[]} [options.groupIds=[]] - Groups to add the user to (normally including the default access group).
+ * @returns {Promise<{ newUser: object, status: string, activationEmailSent?: boolean, failedGroupIds: string[] }>} The created user and what happened after.
+ * @throws {Error} If Okta rejects the user.
+ */
+async function createOktaUser(userData, { invite, groupIds = [] }) {
+    const oktaUserPayload = {
+        profile: {
+            firstName: userData.firstName,
+            lastName: userData.lastName,
+            email: userData.email,
+            login: userData.login
+        }
+    };
+    if (!invite) {
+        oktaUserPayload.credentials = {
+            password: { value: userData.password }
+        };
+    }
+    const newUser = await fetchOktaAPI(`/users?activate=${!invite}`, 'POST', oktaUserPayload);
+
+    const failedGroupIds = [];
+    for (const groupId of groupIds) {
+        try {
+            await fetchOktaAPI(`/groups/${groupId}/users/${encodeURIComponent(newUser.id)}`, 'PUT');
+            log.info('New user assigned to group.', { userId: newUser.id, groupId });
+        } catch (groupAssignError) {
+            log.warn('Failed to assign new user to group.', { userId: newUser.id, groupId, error: groupAssignError });
+            failedGroupIds.push(groupId);
+        }
+    }
+
+    // Invite mode: activate only after the group assignments, so the user has access when they follow the link.
+    let status = newUser.status;
+    let activationEmailSent;
+    if (invite) {
+        try {
+            await fetchOktaAPI(`/users/${encodeURIComponent(newUser.id)}/lifecycle/activate?sendEmail=true`, 'POST');
+            status = 'PROVISIONED';
+            activationEmailSent = true;
+            log.info('Activation email sent to invited user.', { userId: newUser.id });
+        } catch (activationError) {
+            // The user exists (STAGED); the admin can retry with resendActivation.
+            log.warn('Failed to send activation email.', { userId: newUser.id, error: activationError });
+            activationEmailSent = false;
+        }
+    }
+    return { newUser, status, activationEmailSent, failedGroupIds };
+}
+
+/**
+ * Runs an async worker over items with at most `concurrency` calls in flight.
+ * The worker must not throw; it should turn failures into results.
+ * @param {Array} items - The items to process.
+ * @param {number} concurrency - The maximum number of concurrent calls.
+ * @param {(item: any, index: number) => Promise<any>} worker - Called once per item.
+ * @returns {Promise<Array>} The worker results, in item order.
+ */
+async function mapWithConcurrency(items, concurrency, worker) {
+    const results = new Array(items.length);
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(concurrency, items.length) }, async () => {
+        while (nextIndex < items.length) {
+            const index = nextIndex++;
+            results[index] = await worker(items[index], index);
+        }
+    });
+    await Promise.all(runners);
+    return results;
+}
+
+/**
+ * Validates every row of a bulk import: fields and in-file duplicates (lib/user-import.js), then that
+ * no row's email or login already belongs to an Okta user (as the login or, by this app's rule, the primary
+ * email) and that every listed group exists.
+ * @param {object[]} rows - Rows from parseImportRows.
+ * @returns {Promise<{ rowErrors: Map<number, string[]>, groupIdsByName: Map<string, string> }>} Error messages by row number, and the resolved groups.
+ */
+async function validateImport(rows) {
+    const rowErrors = validateImportRows(rows);
+    const addError = (row, message) => rowErrors.set(row.row, [...(rowErrors.get(row.row) || []), message]);
+
+    // Existing users: search in batches, matching either login or email against either column.
+    const identifiers = [...new Set(rows.flatMap(row => [row.email, row.login]).filter(Boolean).map(value => value.toLowerCase()))];
+    const existingIdentifiers = new Set();
+    for (let i = 0; i < identifiers.length; i += IMPORT_LOOKUP_BATCH_SIZE) {
+        const expression = identifiers.slice(i, i + IMPORT_LOOKUP_BATCH_SIZE)
+            .map(value => `profile.login eq ${quoteExpressionValue(value)} or profile.email eq ${quoteExpressionValue(value)}`)
+            .join(' or ');
+        const matches = await fetchOktaAPI(`/users?search=${encodeURIComponent(expression)}&limit=${MAX_PAGE_LIMIT}`);
+        matches.forEach(user => {
+            existingIdentifiers.add(user.profile.login.toLowerCase());
+            if (user.profile.email) existingIdentifiers.add(user.profile.email.toLowerCase());
+        });
+    }
+
+    const groupIdsByName = new Map();
+    for (const groupName of new Set(rows.flatMap(row => row.groups))) {
+        groupIdsByName.set(groupName, await getGroupIdByName(groupName));
+    }
+
+    for (const row of rows) {
+        for (const identifier of new Set([row.email, row.login].filter(Boolean).map(value => value.toLowerCase()))) {
+            if (existingIdentifiers.has(identifier)) addError(row, `A user with '${identifier}' already exists in Okta.`);
+        }
+        for (const groupName of row.groups) {
+            if (!groupIdsByName.get(groupName)) addError(row, `Group '${groupName}' not found.`);
+        }
+    }
+    return { rowErrors, groupIdsByName };
+}
+
+/**
+ * Describes an import row for validateImport / importUsers responses (never includes the password).
+ * @param {object} row - The import row.
+ * @param {string[]} [errors] - The row's validation errors.
+ * @returns {object} The row summary.
+ */
+function summarizeImportRow(row, errors) {
+    return {
+        row: row.row,
+        firstName: row.firstName,
+        lastName: row.lastName,
+        email: row.email,
+        login: row.login,
+        groups: row.groups,
+        invite: !row.password,
+        ...(errors ? { errors } : {}),
+    };
+}
+
+/**
+ * Formats importUsers' per-row report as CSV for download, with the same formula guard as exportUsers.
+ * @param {object[]} report - The report entries.
+ * @returns {string} The CSV text: a header row, then one line per entry.
+ */
+function formatImportReport(report) {
+    const lines = report.map(entry => formatCsvRow(IMPORT_REPORT_COLUMNS.map(column =>
+        Array.isArray(entry[column]) ? entry[column].join('; ') : entry[column])));
+    return [formatCsvRow(IMPORT_REPORT_COLUMNS), ...lines].join('\r\n');
+}
+
+/**
+ * Reads and validates the `columns` parameter of exportUsers.
+ * @param {string|undefined} columnsParam - Comma-separated column names, or undefined for the defaults.
+ * @returns {{ columns?: string[], error?: string }} The columns in the requested order, or an error message suitable for a 400.
+ */
+function getExportColumns(columnsParam) {
+    if (columnsParam === undefined) {
+        return { columns: DEFAULT_EXPORT_COLUMNS };
+    }
+    const available = [...Object.keys(EXPORT_COLUMNS), EXPORT_GROUPS_COLUMN];
+    const columns = [...new Set(String(columnsParam).split(',').map(column => column.trim()).filter(Boolean))];
+    const unknown = columns.filter(column => !available.includes(column));
+    if (columns.length === 0 || unknown.length > 0) {
+        return { error: `columns must be a comma-separated list of: ${available.join(', ')}.` };
+    }
+    return { columns };
+}
+
+/**
+ * Streams every user matching an Okta /users query to the response as CSV or JSON, following pagination.
+ * Each page is written as soon as it arrives, so memory use does not grow with the number of users.
+ * Once the first page has been sent the status can no longer change: if a later page fails, the
+ * connection is aborted so the client sees a failed download rather than a silently truncated file.
+ * @param {object} res - The response object.
+ * @param {string} endpoint - The Okta /users path, including any search parameters.
+ * @param {string[]} columns - The columns to include, from getExportColumns.
+ * @param {'csv'|'json'} format - The output format.
+ */
+async function streamUserExport(res, endpoint, columns, format) {
+    const includeGroups = columns.includes(EXPORT_GROUPS_COLUMN);
+    let after;
+    let exportedCount = 0;
+
+    do {
+        let page;
+        try {
+            page = await fetchOktaAPIPage(endpoint, { limit: MAX_PAGE_LIMIT, after });
+        } catch (error) {
+            if (!res.headersSent) throw error;
+            log.error('User export aborted.', { exportedCount, error });
+            return res.destroy(error);
+        }
+
+        const groupNames = includeGroups
+            ? await mapWithConcurrency(page.data, EXPORT_CONCURRENCY, async (user) => {
+                try {
+                    const groups = await fetchOktaAPI(`/users/${encodeURIComponent(user.id)}/groups`);
+                    return groups.map(group => group.profile.name);
+                } catch (error) {
+                    log.warn('Could not read groups of user for export.', { userId: user.id, error });
+                    return null;
+                }
+            })
+            : [];
+        const records = page.data.map((user, index) => Object.fromEntries(columns.map(column => [
+            column,
+            column === EXPORT_GROUPS_COLUMN ? groupNames[index] : (EXPORT_COLUMNS[column](user) ?? null),
+        ])));
+
+        if (!res.headersSent) {
+            const extension = format === 'csv' ? 'csv' : 'json';
+            res.status(200);
+            res.setHeader('Content-Type', format === 'csv' ? 'text/csv; charset=utf-8' : 'application/json; charset=utf-8');
+            res.setHeader('Content-Disposition', `attachment; filename="users-${new Date().toISOString().slice(0, 10)}.${extension}"`);
+            res.write(format === 'csv' ? `${formatCsvRow(columns)}\r\n` : '[');
+        }
+        for (const record of records) {
+            if (format === 'csv') {
+                // Group names are joined with ';'; a user whose groups could not be read gets an empty cell.
+                res.write(`${formatCsvRow(columns.map(column => Array.isArray(record[column]) ? record[column].join(';') : record[column]))}\r\n`);
+            } else {
+                res.write(`${exportedCount > 0 ? ',' : ''}\n${JSON.stringify(record)}`);
+            }
+            exportedCount++;
+        }
+        after = page.nextCursor;
+    } while (after);
+
+    if (format === 'json') res.write('\n]\n');
+    log.info('Users exported.', { exportedCount, format });
+    res.end();
+}
+
+/**
+ * The user fields recorded in audit events (never credentials).
+ * @param {object} user - The Okta user object.
+ * @returns {object} The snapshot.
+ */
+function userAuditSnapshot(user) {
+    return {
+        login: user.profile.login,
+        email: user.profile.email,
+        firstName: user.profile.firstName,
+        lastName: user.profile.lastName,
+        status: user.status,
+    };
+}
+
+/**
+ * Reads and validates the `limit` and `after` pagination parameters from the query string.
+ * @param {object} query - The request query.
+ * @returns {{ limit?: number, after?: string, error?: string }} The pagination options, or an error message suitable for a 400.
+ */
+export function getPaginationParams(query) {
+    const limit = query.limit === undefined ? DEFAULT_PAGE_LIMIT : Number(query.limit);
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_PAGE_LIMIT) {
+        return { error: `limit must be an integer between 1 and ${MAX_PAGE_LIMIT}.` };
+    }
+    const after = query.after || undefined;
+    if (after !== undefined && typeof after !== 'string') {
+        return { error: 'after must be a single cursor value.' };
+    }
+    return { limit, after };
+}
+
+/**
+ * Quotes a value for use in an Okta filter or search expression.
+ * Backslashes and double quotes are escaped so user input cannot terminate the string literal
+ * and inject additional operators.
+ * @param {string} value - The raw value.
+ * @returns {string} The value as a double-quoted expression literal.
+ */
+function quoteExpressionValue(value) {
+    return `"${String(value).replace(/\\/g, '\\\\').replace(/"/g, '\\"')}"`;
+}
+
+/**
+ * Builds the Okta /users query for the searchUsers action from validated request parameters:
+ *   q                  -> Okta `q` (prefix match on first name, last name and email)
+ *   status             -> `status eq "..."`
+ *   lastUpdatedAfter   -> `lastUpdated gt "..."` (ISO 8601 date or date-time)
+ *   lastUpdatedBefore  -> `lastUpdated lt "..."`
+ *   profile.<attribute> -> `profile.<attribute> sw "..."` (Okta `search`, starts-with)
+ * Status and date conditions go into `filter`, unless profile attributes are searched, in which case
+ * everything is sent as one `search` expression (Okta does not combine `filter` with `search`).
+ * @param {object} query - The request query.
+ * @returns {{ params?: URLSearchParams, error?: string }} The Okta query parameters, or an error message suitable for a 400.
+ */
+function buildUserSearchQuery(query) {
+    const filterClauses = [];
+    const searchClauses = [];
+
+    for (const [key, value] of Object.entries(query)) {
+        if (typeof value !== 'string' && value !== undefined) {
+            return { error: `Parameter '${key}' must be given once.` };
+        }
+        if (typeof value === 'string' && value.length > MAX_SEARCH_TERM_LENGTH) {
+            return { error: `Parameter '${key}' must be at most ${MAX_SEARCH_TERM_LENGTH} characters.` };
+        }
+    }
+
+    if (query.status) {
+        const status = query.status.toUpperCase();
+        if (!USER_STATUSES.includes(status)) {
+            return { error: `status must be one of ${USER_STATUSES.join(', ')}.` };
+        }
+        filterClauses.push(`status eq ${quoteExpressionValue(status)}`);
+    }
+
+    for (const [param, operator] of [['lastUpdatedAfter', 'gt'], ['lastUpdatedBefore', 'lt']]) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${param} must be an ISO 8601 date.` };
+        }
+        filterClauses.push(`lastUpdated ${operator} ${quoteExpressionValue(date.toISOString())}`);
+    }
+
+    for (const [key, value] of Object.entries(query)) {
+        if (!key.startsWith('profile.') || !value) continue;
+        const attribute = key.slice('profile.'.length);
+        if (!SEARCHABLE_PROFILE_ATTRIBUTES.includes(attribute)) {
+            return { error: `Searching by '${key}' is not supported. Searchable attributes: ${SEARCHABLE_PROFILE_ATTRIBUTES.map(a => `profile.${a}`).join(', ')}.` };
+        }
+        searchClauses.push(`profile.${attribute} sw ${quoteExpressionValue(value.trim())}`);
+    }
+
+    const q = query.q?.trim();
+    if (q && searchClauses.length > 0) {
+        return { error: 'q cannot be combined with profile attribute searches.' };
+    }
+    if (!q && filterClauses.length === 0 && searchClauses.length === 0) {
+        return { error: 'Provide at least one of q, status, lastUpdatedAfter, lastUpdatedBefore or a profile.<attribute> search.' };
+    }
+
+    const params = new URLSearchParams();
+    if (q) params.set('q', q);
+    if (searchClauses.length > 0) {
+        params.set('search', [...searchClauses, ...filterClauses].join(' and '));
+    } else if (filterClauses.length > 0) {
+        params.set('filter', filterClauses.join(' and '));
+    }
+    return { params };
+}
+
+/**
+ * Translates getSystemLog query parameters into Okta System Log (/api/v1/logs) parameters:
+ *   userId    -> events where the user is the actor or a target (`actor.id eq "..." or target.id eq "..."`)
+ *   actorId   -> `actor.id eq "..."`;  targetId -> `target.id eq "..."`
+ *   eventType -> comma-separated event types (`eventType eq "..." or ...`)
+ *   outcome   -> `outcome.result eq "..."`
+ *   since / until -> ISO 8601 time range. `until` defaults to now: without it Okta treats the request as
+ *                    a poll and always returns a next link, so the last page could never be detected.
+ * Events are returned newest first.
+ * @param {object} query - The request query.
+ * @returns {{ params?: URLSearchParams, error?: string }} The Okta query parameters, or an error message suitable for a 400.
+ */
+function buildSystemLogQuery(query) {
+    for (const param of ['userId', 'actorId', 'targetId', 'eventType', 'outcome', 'since', 'until']) {
+        const value = query[param];
+        if (value !== undefined && (typeof value !== 'string' || value.length > MAX_SYSTEM_LOG_FILTER_LENGTH)) {
+            return { error: `Parameter '${param}' must be given once and be at most ${MAX_SYSTEM_LOG_FILTER_LENGTH} characters.` };
+        }
+    }
+    const clauses = [];
+    if (query.userId) {
+        clauses.push(`(actor.id eq ${quoteExpressionValue(query.userId)} or target.id eq ${quoteExpressionValue(query.userId)})`);
+    }
+    if (query.actorId) clauses.push(`actor.id eq ${quoteExpressionValue(query.actorId)}`);
+    if (query.targetId) clauses.push(`target.id eq ${quoteExpressionValue(query.targetId)}`);
+    if (query.eventType) {
+        const eventTypes = [...new Set(query.eventType.split(',').map(type => type.trim()).filter(Boolean))];
+        if (eventTypes.length > MAX_SYSTEM_LOG_EVENT_TYPES || !eventTypes.every(type => SYSTEM_LOG_EVENT_TYPE_PATTERN.test(type))) {
+            return { error: `eventType must be up to ${MAX_SYSTEM_LOG_EVENT_TYPES} comma-separated event types, e.g. user.session.start.` };
+        }
+        clauses.push(`(${eventTypes.map(type => `eventType eq ${quoteExpressionValue(type)}`).join(' or ')})`);
+    }
+    if (query.outcome) {
+        const outcome = query.outcome.toUpperCase();
+        if (!SYSTEM_LOG_OUTCOMES.includes(outcome)) {
+            return { error: `outcome must be one of ${SYSTEM_LOG_OUTCOMES.join(', ')}.` };
+        }
+        clauses.push(`outcome.result eq ${quoteExpressionValue(outcome)}`);
+    }
+
+    const params = new URLSearchParams({ sortOrder: 'DESCENDING' });
+    const range = {};
+    for (const param of ['since', 'until']) {
+        if (!query[param]) continue;
+        const date = new Date(query[param]);
+        if (Number.isNaN(date.getTime())) {
+            return { error: `${param} must be an ISO 8601 date.` };
+        }
+        range[param] = date;
+    }
+    range.until = range.until || new Date();
+    if (range.since && range.since >= range.until) {
+        return { error: 'since must be before until.' };
+    }
+    if (range.since) params.set('since', range.since.toISOString());
+    params.set('until', range.until.toISOString());
+    if (clauses.length > 0) params.set('filter', clauses.join(' and '));
+    return { params };
+}
+
+/**
+ * Maps an Okta System Log event to the shape returned by getSystemLog.
+ * @param {object} event - The Okta LogEvent.
+ * @returns {object} The adapted event.
+ */
+function adaptSystemLogEvent(event) {
+    return {
+        id: event.uuid,
+        published: event.published,
+        eventType: event.eventType,
+        displayMessage: event.displayMessage,
+        severity: event.severity,
+        outcome: event.outcome ? { result: event.outcome.result, reason: event.outcome.reason || null } : null,
+        actor: event.actor ? { id: event.actor.id, type: event.actor.type, displayName: event.actor.displayName, alternateId: event.actor.alternateId } : null,
+        client: event.client ? {
+            ipAddress: event.client.ipAddress || null,
+            userAgent: event.client.userAgent?.rawUserAgent || null,
+            location: [event.client.geographicalContext?.city, event.client.geographicalContext?.country].filter(Boolean).join(', ') || null,
+        } : null,
+        targets: (event.target || []).map(target => ({ id: target.id, type: target.type, displayName: target.displayName, alternateId: target.alternateId })),
+    };
+}
+
+/**
+ * Maps an Okta user to the summary shape returned by the list and search actions.
+ * @param {object} user - The Okta user object.
+ * @returns {object} The adapted user.
+ */
+function adaptUserSummary(user) {
+    return {
+        id: user.id,
+        user_id: user.id,
+        given_name: user.profile.firstName,
+        family_name: user.profile.lastName,
+        email: user.profile.email,
+        status: user.status,
+        last_updated: user.lastUpdated,
+    };
+}
+
+/**
+ * Performs a lifecycle operation (activate, suspend, unlock, reset password...) after checking that it is
+ * valid for the user's current status.
+ * @param {string} action - A key of LIFECYCLE_ACTIONS.
+ * @param {string} userId - The Okta user ID.
+ * @param {object} [options] - Action options from the request body.
+ * @param {boolean} [options.sendEmail=true] - For activation and password reset: whether Okta emails the link.
+ * @param {boolean} [options.tempPassword=false] - For expirePassword: whether Okta generates a temporary password.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object>} The user's updated summary, plus any one-time link or temporary password Okta returned.
+ * @throws {Error} A UserManagementError (409) if the action is not valid for the user's status.
+ */
+export async function runLifecycleAction(action, userId, { sendEmail = true, tempPassword = false } = {}, audit = null) {
+    const { operation: operationSpec, from, sendsEmail, tempPasswordOption } = LIFECYCLE_ACTIONS[action];
+    const user = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`);
+    if (audit) {
+        audit.target.label = user.profile.login;
+        audit.before = { status: user.status };
+    }
+    if (!from.includes(user.status)) {
+        throw createUserManagementError(409, `The '${action}' action is not valid for a user whose status is ${user.status}. Allowed from: ${from.join(', ')}.`);
+    }
+    const operation = typeof operationSpec === 'string' ? operationSpec : operationSpec[user.status];
+
+    const params = new URLSearchParams();
+    if (sendsEmail) params.set('sendEmail', String(sendEmail !== false));
+    if (tempPasswordOption) params.set('tempPassword', String(tempPassword === true));
+    const query = params.toString() ? `?${params.toString()}` : '';
+    const result = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}/lifecycle/${operation}${query}`, 'POST');
+    log.info('Lifecycle operation performed.', { userId, operation, previousStatus: user.status });
+
+    const updatedUser = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`);
+    if (audit) {
+        // One-time links and temporary passwords are deliberately not audited.
+        audit.after = { status: updatedUser.status };
+        audit.details = { operation, ...(sendsEmail ? { sendEmail: sendEmail !== false } : {}) };
+    }
+    const response = adaptUserSummary(updatedUser);
+    // With sendEmail=false, activation and reset return a one-time link instead of emailing it;
+    // expire_password with tempPassword=true returns the generated password. Passed through to the caller.
+    for (const field of ['activationUrl', 'resetPasswordUrl', 'tempPassword']) {
+        if (result?.[field]) {
+            response[field] = result[field];
+        }
+    }
+    return response;
+}
+
+/**
+ * Names of the groups that may not be renamed or deleted, and that no other group may be created or renamed as:
+ * the default access group, every group named in the role-to-permission policy (which includes 'Admin'),
+ * and any listed in PROTECTED_GROUPS (comma-separated).
+ * Renaming another group to one of these names would silently grant its members access or permissions.
+ * @returns {string[]} The protected group names, lower-cased.
+ */
+function getProtectedGroupNames() {
+    const extraGroups = (process.env.PROTECTED_GROUPS || '').split(',').map(name => name.trim()).filter(Boolean);
+    return [DEFAULT_ACCESS_GROUP_NAME, ...Object.keys(getRolePermissions()), ...extraGroups].map(name => name.toLowerCase());
+}
+
+/**
+ * Whether a group is protected from being renamed or deleted through this API.
+ * Okta's own BUILT_IN (e.g. Everyone) and APP_GROUP groups are never managed here.
+ * @param {object} group - The Okta group object.
+ * @returns {boolean} True if the group is protected.
+ */
+function isProtectedGroup(group) {
+    return group.type !== 'OKTA_GROUP' || getProtectedGroupNames().includes(group.profile.name.toLowerCase());
+}
+
+/**
+ * Validates the name and description for createGroup / renameGroup.
+ * @param {object} groupData - `{ name, description }` from the request body.
+ * @returns {{ profile?: { name: string, description: string }, error?: string, status?: number }} The Okta group profile, or an error and its HTTP status.
+ */
+function validateGroupProfile(groupData) {
+    const name = typeof groupData?.name === 'string' ? groupData.name.trim() : '';
+    const description = typeof groupData?.description === 'string' ? groupData.description.trim() : '';
+    if (!name) {
+        return { error: 'Group name is required.', status: 400 };
+    }
+    if (name.length > MAX_GROUP_NAME_LENGTH || description.length > MAX_GROUP_DESCRIPTION_LENGTH) {
+        return { error: `Group name must be at most ${MAX_GROUP_NAME_LENGTH} and description at most ${MAX_GROUP_DESCRIPTION_LENGTH} characters.`, status: 400 };
+    }
+    if (getProtectedGroupNames().includes(name.toLowerCase())) {
+        return { error: `The group name '${name}' is reserved for a protected group.`, status: 409 };
+    }
+    return { profile: { name, description } };
+}
+
+/**
+ * Maps an Okta group to the shape returned by the group actions.
+ * @param {object} group - The Okta group object.
+ * @returns {object} The adapted group.
+ */
+function adaptGroup(group) {
+    return {
+        id: group.id,
+        name: group.profile.name,
+        description: group.profile.description || '',
+        type: group.type,
+        protected: isProtectedGroup(group),
+    };
+}
+
+/**
+ * Maps an Okta user to the shape returned for group members.
+ * @param {object} user - The Okta user object.
+ * @returns {object} The adapted member.
+ */
+function adaptGroupMember(user) {
+    return {
+        id: user.id,
+        user_id: user.id,
+        name: `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim() || user.profile.email,
+        email: user.profile.email,
+    };
+}
+
+// --- Users ---
+
+/**
+ * Lists users, a page at a time.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ users: object[], nextCursor: string|null }>} The page of user summaries and the cursor for the next one.
+ */
+export async function listUsers(pagination) {
+    const { data: users, nextCursor } = await fetchOktaAPIPage('/users', pagination);
+    return { users: users.map(adaptUserSummary), nextCursor };
+}
+
+/**
+ * Searches users by name or email prefix, status, last update and profile attributes (see buildUserSearchQuery).
+ * @param {object} searchParams - The search parameters, without pagination.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ users: object[], nextCursor: string|null }>} The page of user summaries and the cursor for the next one.
+ * @throws {Error} A UserManagementError (400) if the search parameters are invalid.
+ */
+export async function searchUsers(searchParams, pagination) {
+    const search = buildUserSearchQuery(searchParams);
+    if (search.error) {
+        throw createUserManagementError(400, search.error);
+    }
+    const { data: users, nextCursor } = await fetchOktaAPIPage(`/users?${search.params.toString()}`, pagination);
+    return { users: users.map(adaptUserSummary), nextCursor };
+}
+
+/**
+ * Reads one user.
+ * @param {string} userId - The Okta user ID or login.
+ * @returns {Promise<object>} The user summary.
+ */
+export async function getUser(userId) {
+    const user = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`);
+    return adaptUserSummary(user);
+}
+
+/**
+ * Creates a user in the default access group. With `invite`, the user has no password and is emailed an activation link.
+ * @param {{ firstName: string, lastName: string, email: string, password?: string, invite?: boolean }} userData - The new user.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object>} The created user: `{ id, user_id, email, status }`, plus `invited` and `activationEmailSent` for invitations.
+ * @throws {Error} A UserManagementError (400) if required fields are missing.
+ */
+export async function createUser(userData, audit = null) {
+    const invite = userData?.invite === true;
+    if (!userData || !userData.email || (!invite && !userData.password) || !userData.firstName || !userData.lastName) {
+        throw createUserManagementError(400, invite
+            ? 'Missing required fields for user invitation (firstName, lastName, email).'
+            : 'Missing required fields for user creation (firstName, lastName, email, password).');
+    }
+    const defaultGroupId = await getGroupIdByName(DEFAULT_ACCESS_GROUP_NAME);
+    if (!defaultGroupId) {
+        log.warn('Default access group not found. User will be created but not automatically assigned to the application.', { groupName: DEFAULT_ACCESS_GROUP_NAME });
+    }
+    const { newUser, status, activationEmailSent } = await createOktaUser(
+        { ...userData, login: userData.email },
+        { invite, groupIds: defaultGroupId ? [defaultGroupId] : [] }
+    );
+
+    if (audit) {
+        audit.target = { type: 'user', id: newUser.id, label: newUser.profile.login };
+        audit.after = { ...userAuditSnapshot(newUser), status };
+        audit.details = { invite };
+    }
+    return {
+        id: newUser.id,
+        user_id: newUser.id,
+        email: newUser.profile.email,
+        status,
+        ...(invite ? { invited: true, activationEmailSent } : {}),
+    };
+}
+
+/**
+ * Updates a user's first and last name.
+ * @param {string} userId - The Okta user ID.
+ * @param {{ given_name?: string, family_name?: string }} updates - The new names.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object>} The updated user: `{ id, user_id, given_name, family_name, email }`.
+ * @throws {Error} A UserManagementError (400) if there is nothing to update.
+ */
+export async function updateUser(userId, updates, audit = null) {
+    if (!updates) {
+        throw createUserManagementError(400, 'Update data is required.');
+    }
+    const oktaUpdatePayload = {
+        profile: {}
+    };
+    if (updates.given_name) oktaUpdatePayload.profile.firstName = updates.given_name;
+    if (updates.family_name) oktaUpdatePayload.profile.lastName = updates.family_name;
+
+    if (Object.keys(oktaUpdatePayload.profile).length === 0) {
+        throw createUserManagementError(400, 'No valid fields to update provided.');
+    }
+
+    const existingUser = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`);
+    if (audit) {
+        audit.target.label = existingUser.profile.login;
+        audit.before = userAuditSnapshot(existingUser);
+    }
+    const updatedUser = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`, 'POST', oktaUpdatePayload);
+    if (audit) audit.after = userAuditSnapshot(updatedUser);
+    return {
+        id: updatedUser.id,
+        user_id: updatedUser.id,
+        given_name: updatedUser.profile.firstName,
+        family_name: updatedUser.profile.lastName,
+        email: updatedUser.profile.email,
+    };
+}
+
+/**
+ * Deactivates (if needed) and deletes a user.
+ * @param {string} userId - The Okta user ID.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<void>}
+ */
+export async function deleteUser(userId, audit = null) {
+    const existingUser = await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`);
+    if (audit) {
+        audit.target.label = existingUser.profile.login;
+        audit.before = userAuditSnapshot(existingUser);
+    }
+    try {
+        await fetchOktaAPI(`/users/${encodeURIComponent(userId)}/lifecycle/deactivate`, 'POST');
+        log.info('User deactivated.', { userId });
+    } catch (deactivateError) {
+        log.warn('Deactivating user encountered an issue (might be already deactivated or not found).', { userId, error: deactivateError });
+    }
+
+    await fetchOktaAPI(`/users/${encodeURIComponent(userId)}`, 'DELETE');
+    log.info('User deleted.', { userId });
+}
+
+/**
+ * Assigns a user to, or removes them from, roles (groups) by name; see applyRoleChanges for the per-role results.
+ * @param {'assignRoles'|'unassignRoles'} action - Whether to add or remove memberships.
+ * @param {string} userId - The Okta user ID.
+ * @param {string[]} roleNames - The group names.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object[]>} One result per distinct role.
+ */
+export async function changeUserRoles(action, userId, roleNames, audit = null) {
+    const results = await applyRoleChanges(action, userId, [...new Set(roleNames.map(role => role.trim()))]);
+    if (audit) {
+        audit.partial = results.some(result => result.status >= 400);
+        audit.details = { results: results.map(({ role, groupId, outcome, error }) => ({ role, groupId, outcome, ...(error ? { error } : {}) })) };
+    }
+    return results;
+}
+
+/**
+ * Parses an import file and checks every row without creating anyone (the import dry run).
+ * @param {'csv'|'json'} format - The file format.
+ * @param {string|object[]} data - The file contents.
+ * @param {object} options
+ * @param {boolean} options.allowGroups - Whether rows may add users to groups (the caller may manage roles).
+ * @returns {Promise<{ valid: boolean, total: number, invalid: number, rows: object[] }>} The per-row validation report.
+ * @throws {Error} A UserManagementError: 400 if the file cannot be parsed, 403 if rows list groups but `allowGroups` is false.
+ */
+export async function validateUserImport(format, data, { allowGroups }) {
+    const { rows, report, invalid } = await checkImport(format, data, allowGroups);
+    return { valid: invalid === 0, total: rows.length, invalid, rows: report };
+}
+
+/**
+ * Creates every user in an import file, after checking all rows. Nothing is created if any row is invalid.
+ * Each user is added to the default access group and their listed groups; rows without a password are invited.
+ * @param {'csv'|'json'} format - The file format.
+ * @param {string|object[]} data - The file contents.
+ * @param {object} options
+ * @param {boolean} options.allowGroups - Whether rows may add users to groups (the caller may manage roles).
+ * @param {object} [options.audit] - The audit context to fill in.
+ * @returns {Promise<{ total: number, created: number, failed: number, report: object[], reportCsv: string }>} The outcome
+ *   of every row, as entries and as a CSV download.
+ * @throws {Error} A UserManagementError: 400 if the file cannot be parsed or a row is invalid, 403 as for validateUserImport.
+ */
+export async function importUsers(format, data, { allowGroups, audit = null }) {
+    const { rows, report: validationReport, invalid, groupIdsByName } = await checkImport(format, data, allowGroups);
+    if (invalid > 0) {
+        throw createUserManagementError(400, `${invalid} of ${rows.length} rows are invalid; no users were imported.`, { rows: validationReport });
+    }
+
+    const defaultGroupId = await getGroupIdByName(DEFAULT_ACCESS_GROUP_NAME);
+    log.info('Importing users.', { total: rows.length });
+    const report = await mapWithConcurrency(rows, IMPORT_CONCURRENCY, async (row) => {
+        const groupIds = [defaultGroupId, ...row.groups.map(name => groupIdsByName.get(name))].filter(Boolean);
+        try {
+            const { newUser, status, activationEmailSent, failedGroupIds } =
+                await createOktaUser(row, { invite: !row.password, groupIds });
+            const warnings = failedGroupIds.map(id => `Could not add the user to group ${id}.`);
+            if (activationEmailSent === false) warnings.push('The activation email could not be sent; use resendActivation.');
+            return { ...summarizeImportRow(row), result: 'created', userId: newUser.id, status, ...(warnings.length ? { warnings } : {}) };
+        } catch (createError) {
+            // Okta's causes (e.g. the password policy) say more about the row than its error summary.
+            const errors = createError.errorCauses?.length > 0 ? createError.errorCauses : [createError.message];
+            return { ...summarizeImportRow(row), result: 'failed', errors };
+        }
+    });
+    const created = report.filter(entry => entry.result === 'created').length;
+    log.info('Import finished.', { created, failed: report.length - created });
+    if (audit) {
+        audit.partial = created < report.length;
+        audit.details = {
+            total: report.length,
+            created: report.filter(entry => entry.result === 'created').map(entry => ({ row: entry.row, userId: entry.userId, login: entry.login })),
+            failed: report.filter(entry => entry.result === 'failed').map(entry => ({ row: entry.row, login: entry.login, errors: entry.errors })),
+        };
+    }
+    return { total: report.length, created, failed: report.length - created, report, reportCsv: formatImportReport(report) };
+}
+
+/**
+ * Parses and validates an import file for validateUserImport / importUsers.
+ * @param {'csv'|'json'} format - The file format.
+ * @param {string|object[]} data - The file contents.
+ * @param {boolean} allowGroups - Whether rows may list groups.
+ * @returns {Promise<{ rows: object[], report: object[], invalid: number, groupIdsByName: Map<string, string> }>} The rows, their summaries with errors, and the resolved groups.
+ */
+async function checkImport(format, data, allowGroups) {
+    const parsed = parseImportRows(format, data);
+    if (parsed.error) {
+        throw createUserManagementError(400, parsed.error);
+    }
+    // Group memberships are role changes, so they need the same permission as assignRoles.
+    if (parsed.rows.some(row => row.groups.length > 0) && !allowGroups) {
+        throw createUserManagementError(403, "Forbidden: Importing users into groups requires the 'roles:manage' permission.");
+    }
+    const { rowErrors, groupIdsByName } = await validateImport(parsed.rows);
+    const report = parsed.rows.map(row => summarizeImportRow(row, rowErrors.get(row.row) || []));
+    return { rows: parsed.rows, report, invalid: rowErrors.size, groupIdsByName };
+}
+
+/**
+ * Streams every user, or every user matching a search, to the response as a CSV or JSON download.
+ * The parameters are checked before anything is written, so invalid ones can still get an error response.
+ * @param {object} res - The response object.
+ * @param {object} options
+ * @param {string} [options.format='csv'] - 'csv' or 'json'.
+ * @param {string} [options.columns] - Comma-separated columns (see EXPORT_COLUMNS); the defaults if unset.
+ * @param {object} [options.searchParams] - searchUsers parameters; every user is exported if empty.
+ * @returns {Promise<void>}
+ * @throws {Error} A UserManagementError (400) if a parameter is invalid.
+ */
+export async function exportUsers(res, { format = 'csv', columns, searchParams = {} }) {
+    if (format !== 'csv' && format !== 'json') {
+        throw createUserManagementError(400, "format must be 'csv' or 'json'.");
+    }
+    const exportColumns = getExportColumns(columns);
+    if (exportColumns.error) {
+        throw createUserManagementError(400, exportColumns.error);
+    }
+    let endpoint = '/users';
+    if (Object.keys(searchParams).length > 0) {
+        const search = buildUserSearchQuery(searchParams);
+        if (search.error) {
+            throw createUserManagementError(400, search.error);
+        }
+        endpoint = `/users?${search.params.toString()}`;
+    }
+    await streamUserExport(res, endpoint, exportColumns.columns, format);
+}
+
+// --- Groups ---
+
+/**
+ * Lists groups, optionally only those whose name starts with `q`.
+ * @param {string} q - The name prefix; every group if empty.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ groups: object[], nextCursor: string|null }>} The page of groups and the cursor for the next one.
+ * @throws {Error} A UserManagementError (400) if `q` is too long.
+ */
+export async function listGroups(q, pagination) {
+    if (q.length > MAX_SEARCH_TERM_LENGTH) {
+        throw createUserManagementError(400, `q must be at most ${MAX_SEARCH_TERM_LENGTH} characters.`);
+    }
+    const endpoint = q ? `/groups?q=${encodeURIComponent(q)}` : '/groups';
+    const { data: groups, nextCursor } = await fetchOktaAPIPage(endpoint, pagination);
+    return { groups: groups.map(adaptGroup), nextCursor };
+}
+
+/**
+ * Reads one group.
+ * @param {string} groupId - The Okta group ID.
+ * @returns {Promise<object>} The group.
+ */
+export async function getGroup(groupId) {
+    const group = await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}`);
+    return adaptGroup(group);
+}
+
+/**
+ * Lists the members of a group, a page at a time.
+ * @param {string} groupId - The Okta group ID.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ members: object[], nextCursor: string|null }>} The page of members and the cursor for the next one.
+ */
+export async function listGroupMembers(groupId, pagination) {
+    const { data: members, nextCursor } = await fetchOktaAPIPage(`/groups/${encodeURIComponent(groupId)}/users`, pagination);
+    return { members: members.map(adaptGroupMember), nextCursor };
+}
+
+/**
+ * Lists the members of a group found by name.
+ * @param {string} roleName - The group (role) name.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ members: object[], nextCursor: string|null }>} The page of members and the cursor for the next one.
+ * @throws {Error} A UserManagementError (404) if no group has that name.
+ */
+export async function listUsersInRole(roleName, pagination) {
+    const groupId = await getGroupIdByName(roleName);
+    if (!groupId) {
+        throw createUserManagementError(404, `Group (role) '${roleName}' not found.`);
+    }
+    const { data: usersInGroup, nextCursor } = await fetchOktaAPIPage(`/groups/${groupId}/users`, pagination);
+    return { members: usersInGroup.map(adaptGroupMember), nextCursor };
+}
+
+/**
+ * Creates a group.
+ * @param {{ name: string, description?: string }} groupData - The group's name and description.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object>} The created group.
+ * @throws {Error} A UserManagementError: 400 for an invalid name or description, 409 for a protected name.
+ */
+export async function createGroup(groupData, audit = null) {
+    const validation = validateGroupProfile(groupData);
+    if (validation.error) {
+        throw createUserManagementError(validation.status, validation.error);
+    }
+    const newGroup = await fetchOktaAPI('/groups', 'POST', { profile: validation.profile });
+    if (audit) {
+        audit.target = { type: 'group', id: newGroup.id, label: newGroup.profile.name };
+        audit.after = { name: newGroup.profile.name, description: newGroup.profile.description || '' };
+    }
+    log.info('Group created.', { groupId: newGroup.id, groupName: newGroup.profile.name });
+    cacheGroupId(newGroup.profile.name, newGroup.id);
+    return adaptGroup(newGroup);
+}
+
+/**
+ * Renames a group, and changes its description if one is given.
+ * @param {string} groupId - The Okta group ID.
+ * @param {{ name?: string, description?: string }} groupData - The new name and description.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<object>} The updated group.
+ * @throws {Error} A UserManagementError: 403 for a protected group, 400 or 409 as for createGroup.
+ */
+export async function renameGroup(groupId, groupData, audit = null) {
+    const group = await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}`);
+    if (audit) audit.target.label = group.profile.name;
+    if (isProtectedGroup(group)) {
+        throw createUserManagementError(403, `The group '${group.profile.name}' is protected and cannot be renamed.`);
+    }
+    const validation = validateGroupProfile({ description: group.profile.description, ...groupData });
+    if (validation.error) {
+        throw createUserManagementError(validation.status, validation.error);
+    }
+    const renamedGroup = await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}`, 'PUT', { profile: validation.profile });
+    evictCachedGroup(groupId);
+    cacheGroupId(renamedGroup.profile.name, renamedGroup.id);
+    if (audit) {
+        audit.before = { name: group.profile.name, description: group.profile.description || '' };
+        audit.after = { name: renamedGroup.profile.name, description: renamedGroup.profile.description || '' };
+    }
+    log.info('Group renamed.', { groupId, from: group.profile.name, to: renamedGroup.profile.name });
+    return adaptGroup(renamedGroup);
+}
+
+/**
+ * Deletes a group.
+ * @param {string} groupId - The Okta group ID.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<void>}
+ * @throws {Error} A UserManagementError (403) for a protected group.
+ */
+export async function deleteGroup(groupId, audit = null) {
+    const group = await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}`);
+    if (audit) {
+        audit.target.label = group.profile.name;
+        audit.before = { name: group.profile.name, description: group.profile.description || '' };
+    }
+    if (isProtectedGroup(group)) {
+        throw createUserManagementError(403, `The group '${group.profile.name}' is protected and cannot be deleted.`);
+    }
+    await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}`, 'DELETE');
+    evictCachedGroup(groupId);
+    log.info('Group deleted.', { groupId, groupName: group.profile.name });
+}
+
+/**
+ * Adds a user to a group or removes them from it.
+ * @param {string} groupId - The Okta group ID.
+ * @param {string} userId - The Okta user ID.
+ * @param {boolean} member - True to add, false to remove.
+ * @param {object} [audit] - The audit context to fill in.
+ * @returns {Promise<void>}
+ */
+export async function setGroupMembership(groupId, userId, member, audit = null) {
+    if (audit) audit.details = { userId };
+    await fetchOktaAPI(`/groups/${encodeURIComponent(groupId)}/users/${encodeURIComponent(userId)}`, member ? 'PUT' : 'DELETE');
+    log.info(member ? 'User added to group.' : 'User removed from group.', { userId, groupId });
+}
+
+// --- Logs ---
+
+/**
+ * Reads Okta System Log events, newest first (see buildSystemLogQuery for the filters).
+ * @param {object} query - The filter parameters.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ events: object[], nextCursor: string|null, until: string }>} The page of events, the cursor for the
+ *   next one, and the end of the time range, which later pages must repeat.
+ * @throws {Error} A UserManagementError (400) if a filter is invalid.
+ */
+export async function getSystemLog(query, pagination) {
+    const logQuery = buildSystemLogQuery(query);
+    if (logQuery.error) {
+        throw createUserManagementError(400, logQuery.error);
+    }
+    const { data: logEvents, nextCursor } = await fetchOktaAPIPage(`/logs?${logQuery.params.toString()}`, pagination);
+    return { events: logEvents.map(adaptSystemLogEvent), nextCursor, until: logQuery.params.get('until') };
+}
+
+/**
+ * Reads the audit trail of admin actions, newest first.
+ * @param {object} query - Filters: `actor`, `eventAction`, `targetId`, `result`, `since`, `until`.
+ * @param {{ limit: number, after?: string }} pagination - From getPaginationParams.
+ * @returns {Promise<{ events: object[], nextCursor: string|null, filters: object }>} The page of events, the cursor for the
+ *   next one, and the filters applied (keyed by query parameter).
+ * @throws {Error} A UserManagementError (400) if a filter is invalid.
+ */
+export async function getAuditLog(query, pagination) {
+    const filters = {};
+    for (const param of ['actor', 'eventAction', 'targetId', 'result', 'since', 'until']) {
+        const value = query[param];
+        if (value === undefined || value === '') continue;
+        if (typeof value !== 'string' || value.length > MAX_SEARCH_TERM_LENGTH) {
+            throw createUserManagementError(400, `Parameter '${param}' must be given once and be at most ${MAX_SEARCH_TERM_LENGTH} characters.`);
+        }
+        filters[param] = value.trim();
+    }
+    if (filters.result && !['success', 'partial', 'failure'].includes(filters.result)) {
+        throw createUserManagementError(400, "result must be 'success', 'partial' or 'failure'.");
+    }
+    for (const param of ['since', 'until']) {
+        if (!filters[param]) continue;
+        const date = new Date(filters[param]);
+        if (Number.isNaN(date.getTime())) {
+            throw createUserManagementError(400, `${param} must be an ISO 8601 date.`);
+        }
+        filters[param] = date.toISOString();
+    }
+    const { eventAction, ...otherFilters } = filters;
+    const { events, nextCursor } = await queryAuditLog({ ...otherFilters, action: eventAction, ...pagination });
+    return { events, nextCursor, filters };
+}
@@ -0,0 +1,165 @@
+// lib/validation.js
+// A small declarative validator for request bodies and query strings. Schemas follow a subset of JSON Schema:
+//   { type: 'object', properties: { name: schema }, required: ['name'], additionalProperties: false, minProperties }
+//   { type: 'string', minLength, maxLength, pattern, enum, format: 'email' | 'date-time' | 'integer', minimum, maximum }
+//   { type: 'boolean' }
+//   { type: 'array', items: schema, minItems, maxItems }
+// `type` may also list several types, e.g. ['string', 'array']. Query strings only hold strings (or arrays of
+// them when a parameter is repeated), so numeric query parameters use `format: 'integer'` with `minimum` /
+// `maximum`. Object schemas may add a `check(value)` function for rules that span fields; it returns extra
+// field errors keyed by property name. Any schema may set `message` to replace its own format, pattern or
+// range errors (not `required` or type errors).
+//
+// validateSchema returns every problem at once, keyed by the dotted path of the offending field
+// (e.g. `userData.email`), so forms can highlight each input.
+
+// Okta's limits for names and logins, also used by bulk import (lib/user-import.js).
+export const MAX_NAME_LENGTH = 50;
+export const MAX_EMAIL_LENGTH = 100;
+export const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+/**
+ * Names the JSON type of a value, distinguishing arrays and null from objects.
+ * @param {*} value - The value.
+ * @returns {string} 'array', 'null', or the `typeof` result.
+ */
+function typeOf(value) {
+    if (Array.isArray(value)) return 'array';
+    if (value === null) return 'null';
+    return typeof value;
+}
+
+/**
+ * Checks a string against the string keywords of a schema.
+ * @param {object} schema - The string schema.
+ * @param {string} value - The value.
+ * @returns {string|null} The error message, or null if the value is valid.
+ */
+function checkString(schema, value) {
+    if (schema.minLength !== undefined && value.trim().length < schema.minLength) {
+        return schema.minLength === 1 ? 'must not be empty' : `must be at least ${schema.minLength} characters`;
+    }
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) {
+        return `must be at most ${schema.maxLength} characters`;
+    }
+    if (schema.enum && !schema.enum.includes(value)) {
+        return schema.message || `must be one of ${schema.enum.join(', ')}`;
+    }
+    if (schema.pattern && !schema.pattern.test(value)) {
+        return schema.message || 'has an invalid format';
+    }
+    if (schema.format === 'email' && !EMAIL_PATTERN.test(value)) {
+        return schema.message || 'must be a valid email address';
+    }
+    if (schema.format === 'date-time' && Number.isNaN(new Date(value).getTime())) {
+        return schema.message || 'must be an ISO 8601 date';
+    }
+    if (schema.format === 'integer') {
+        const number = Number(value);
+        if (!/^-?\d+$/.test(value) || number < (schema.minimum ?? -Infinity) || number > (schema.maximum ?? Infinity)) {
+            return schema.message || (schema.minimum !== undefined && schema.maximum !== undefined
+                ? `must be an integer between ${schema.minimum} and ${schema.maximum}`
+                : 'must be an integer');
+        }
+    }
+    return null;
+}
+
+/**
+ * Validates a value against a schema, collecting errors into `fields`.
+ * @param {object} schema - The schema.
+ * @param {*} value - The value (never undefined; missing properties are reported by their parent).
+ * @param {string} path - The dotted path of the value, '' for the root.
+ * @param {object} fields - Error messages by path, filled in.
+ */
+function validateValue(schema, value, path, fields) {
+    const types = [].concat(schema.type);
+    const actualType = typeOf(value);
+    if (!types.includes(actualType)) {
+        // A repeated query parameter arrives as an array of strings.
+        fields[path] = types.length === 1 && types[0] === 'string' && actualType === 'array'
+            ? 'must be given once'
+            : `must be ${types.map(type => (type === 'array' || type === 'object' ? `an ${type}` : `a ${type}`)).join(' or ')}`;
+        return;
+    }
+
+    if (actualType === 'string') {
+        const error = checkString(schema, value);
+        if (error) fields[path] = error;
+    } else if (actualType === 'array') {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            fields[path] = schema.minItems === 1 ? 'must not be empty' : `must have at least ${schema.minItems} items`;
+        } else if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            fields[path] = `must have at most ${schema.maxItems} items`;
+        } else if (schema.items) {
+            value.forEach((item, index) => validateValue(schema.items, item, `${path}[${index}]`, fields));
+        }
+    } else if (actualType === 'object') {
+        validateObject(schema, value, path, fields);
+    }
+}
+
+/**
+ * Validates an object's properties: required ones, each known one, and unexpected ones.
+ * @param {object} schema - The object schema.
+ * @param {object} value - The object.
+ * @param {string} path - The dotted path of the object, '' for the root.
+ * @param {object} fields - Error messages by path, filled in.
+ */
+function validateObject(schema, value, path, fields) {
+    const properties = schema.properties || {};
+    const propertyPath = name => (path ? `${path}.${name}` : name);
+    const errorCount = Object.keys(fields).length;
+    const givenNames = Object.keys(value).filter(name => value[name] !== undefined);
+
+    for (const name of schema.required || []) {
+        if (value[name] === undefined || value[name] === null) {
+            fields[propertyPath(name)] = 'is required';
+        }
+    }
+    for (const name of givenNames) {
+        if (Object.hasOwn(fields, propertyPath(name))) continue;
+        if (Object.hasOwn(properties, name)) {
+            validateValue(properties[name], value[name], propertyPath(name), fields);
+        } else if (schema.additionalProperties === false) {
+            fields[propertyPath(name)] = 'is not allowed';
+        }
+    }
+    if (schema.minProperties !== undefined && givenNames.length < schema.minProperties) {
+        fields[path] = schema.message || `must have at least ${schema.minProperties} of: ${Object.keys(properties).join(', ')}`;
+    }
+    // Rules that span fields only run once the fields themselves are valid.
+    if (schema.check && Object.keys(fields).length === errorCount) {
+        for (const [name, message] of Object.entries(schema.check(value) || {})) {
+            fields[propertyPath(name)] = message;
+        }
+    }
+}
+
+/**
+ * Validates a value against a schema.
+ * @param {object} schema - The schema (see the top of this file).
+ * @param {*} value - The value, e.g. a request body or query object. `undefined` is validated as `{}`.
+ * @returns {object} Error messages by dotted field path, e.g. `{ 'userData.email': 'must be a valid email address' }`;
+ *   empty if the value is valid.
+ */
+export function validateSchema(schema, value) {
+    const fields = {};
+    validateValue(schema, value === undefined ? {} : value, '', fields);
+    // An error about the value as a whole (e.g. the body is not an object) is reported as '(root)'.
+    if (Object.hasOwn(fields, '')) {
+        fields['(root)'] = fields[''];
+        delete fields[''];
+    }
+    return fields;
+}
+
+/**
+ * Describes field errors in one sentence, for the `error` message of a 400 response.
+ * @param {object} fields - Error messages by field path, from validateSchema.
+ * @returns {string} E.g. "Invalid request: userData.email must be a valid email address; userData.password is required."
+ */
+export function describeFieldErrors(fields) {
+    const problems = Object.entries(fields).map(([field, message]) => (field === '(root)' ? `the request ${message}` : `${field} ${message}`));
+    return `Invalid request: ${problems.join('; ')}.`;
+}
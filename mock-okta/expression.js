@@ -0,0 +1,181 @@
+// mock-okta/expression.js
+// Evaluates the filter and search expressions Okta accepts on /api/v1/users, /groups and /logs, e.g.
+//   status eq "ACTIVE" and (profile.login sw "jo" or profile.email eq "jane@example.com")
+// Supported: the operators eq, ne, sw, co, gt, ge, lt, le and pr; `and`, `or`, `not` and parentheses;
+// string, number, boolean and null literals. String comparisons are case-insensitive, as in Okta search.
+// Attribute paths that pass through an array (e.g. `target.id` on a log event) match if any element matches.
+
+const OPERATORS = ['eq', 'ne', 'sw', 'co', 'gt', 'ge', 'lt', 'le'];
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|("(?:[^"\\]|\\.)*")|([^\s()"]+))/y;
+
+/**
+ * Splits an expression into tokens.
+ * @param {string} expression - The expression text.
+ * @returns {Array<{ type: 'open'|'close'|'string'|'word', value: string }>} The tokens.
+ * @throws {Error} If the expression contains an unterminated string.
+ */
+function tokenize(expression) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < expression.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        const match = TOKEN_PATTERN.exec(expression);
+        if (!match) {
+            if (expression.slice(start).trim() === '') break;
+            throw new Error(`Unexpected input at position ${start}.`);
+        }
+        if (match[1]) tokens.push({ type: 'open', value: '(' });
+        else if (match[2]) tokens.push({ type: 'close', value: ')' });
+        else if (match[3]) tokens.push({ type: 'string', value: match[3].slice(1, -1).replace(/\\(.)/g, '$1') });
+        else if (match[4]) tokens.push({ type: 'word', value: match[4] });
+    }
+    return tokens;
+}
+
+/**
+ * Converts a literal token into a value.
+ * @param {{ type: string, value: string }} token - A string or word token.
+ * @returns {string|number|boolean|null} The value.
+ */
+function literalValue(token) {
+    if (token.type === 'string') return token.value;
+    if (token.value === 'true') return true;
+    if (token.value === 'false') return false;
+    if (token.value === 'null') return null;
+    const number = Number(token.value);
+    if (Number.isNaN(number)) {
+        throw new Error(`'${token.value}' is not a valid value; strings must be double-quoted.`);
+    }
+    return number;
+}
+
+/**
+ * Parses an expression into a predicate tree.
+ * @param {string} expression - The expression text.
+ * @returns {object} The parsed tree.
+ * @throws {Error} If the expression is malformed.
+ */
+function parse(expression) {
+    const tokens = tokenize(expression);
+    let position = 0;
+    const peekWord = () => tokens[position]?.type === 'word' ? tokens[position].value.toLowerCase() : null;
+
+    function parseOr() {
+        let node = parseAnd();
+        while (peekWord() === 'or') {
+            position++;
+            node = { type: 'or', left: node, right: parseAnd() };
+        }
+        return node;
+    }
+
+    function parseAnd() {
+        let node = parseUnary();
+        while (peekWord() === 'and') {
+            position++;
+            node = { type: 'and', left: node, right: parseUnary() };
+        }
+        return node;
+    }
+
+    function parseUnary() {
+        if (peekWord() === 'not') {
+            position++;
+            return { type: 'not', operand: parseUnary() };
+        }
+        const token = tokens[position++];
+        if (!token) throw new Error('Unexpected end of expression.');
+        if (token.type === 'open') {
+            const node = parseOr();
+            if (tokens[position++]?.type !== 'close') throw new Error('Missing closing parenthesis.');
+            return node;
+        }
+        if (token.type !== 'word') throw new Error(`Expected an attribute name, found "${token.value}".`);
+        const operator = peekWord();
+        position++;
+        if (operator === 'pr') return { type: 'present', path: token.value };
+        if (!OPERATORS.includes(operator)) throw new Error(`Unknown operator after '${token.value}'.`);
+        const valueToken = tokens[position++];
+        if (!valueToken || (valueToken.type !== 'string' && valueToken.type !== 'word')) {
+            throw new Error(`Missing value for '${token.value} ${operator}'.`);
+        }
+        return { type: 'compare', path: token.value, operator, value: literalValue(valueToken) };
+    }
+
+    const tree = parseOr();
+    if (position < tokens.length) throw new Error(`Unexpected "${tokens[position].value}".`);
+    return tree;
+}
+
+/**
+ * Collects the values at an attribute path, descending into arrays.
+ * @param {object} resource - The resource.
+ * @param {string} path - A dotted attribute path, e.g. 'profile.login'.
+ * @returns {any[]} The values found (empty if the path does not exist).
+ */
+function resolvePath(resource, path) {
+    let values = [resource];
+    for (const key of path.split('.')) {
+        values = values.flatMap(value => {
+            const next = value?.[key];
+            return Array.isArray(next) ? next : [next];
+        });
+    }
+    return values.filter(value => value !== undefined);
+}
+
+/**
+ * Compares one attribute value with an expression literal.
+ * @param {any} actual - The attribute value.
+ * @param {string} operator - One of OPERATORS.
+ * @param {any} expected - The literal.
+ * @returns {boolean} Whether the comparison holds.
+ */
+function compare(actual, operator, expected) {
+    const normalize = value => typeof value === 'string' ? value.toLowerCase() : value;
+    const left = normalize(actual);
+    const right = normalize(expected);
+    switch (operator) {
+        case 'eq': return left === right;
+        case 'ne': return left !== right;
+        case 'sw': return typeof left === 'string' && left.startsWith(String(right));
+        case 'co': return typeof left === 'string' && left.includes(String(right));
+        case 'gt': return left !== null && left > right;
+        case 'ge': return left !== null && left >= right;
+        case 'lt': return left !== null && left < right;
+        case 'le': return left !== null && left <= right;
+        default: return false;
+    }
+}
+
+/**
+ * Evaluates a parsed tree against a resource.
+ * @param {object} node - A node from parse().
+ * @param {object} resource - The resource.
+ * @returns {boolean} Whether the resource matches.
+ */
+function evaluate(node, resource) {
+    switch (node.type) {
+        case 'or': return evaluate(node.left, resource) || evaluate(node.right, resource);
+        case 'and': return evaluate(node.left, resource) && evaluate(node.right, resource);
+        case 'not': return !evaluate(node.operand, resource);
+        case 'present': return resolvePath(resource, node.path).some(value => value !== null && value !== '');
+        case 'compare': {
+            const values = resolvePath(resource, node.path);
+            if (node.operator === 'ne') return values.every(value => compare(value, 'ne', node.value));
+            return values.some(value => compare(value, node.operator, node.value));
+        }
+        default: return false;
+    }
+}
+
+/**
+ * Compiles an expression into a predicate.
+ * @param {string} expression - The filter or search expression.
+ * @returns {function(object): boolean} Returns true for resources that match.
+ * @throws {Error} If the expression is malformed (the server answers 400 Invalid search criteria).
+ */
+export function compileExpression(expression) {
+    const tree = parse(expression);
+    return resource => evaluate(tree, resource);
+}
@@ -0,0 +1,146 @@
+// mock-okta/http.js
+// Request parsing and response helpers shared by the mock Okta routes.
+
+// Request bodies larger than this are rejected; fixtures-sized requests are far smaller.
+const MAX_BODY_BYTES = 1024 * 1024;
+
+/**
+ * Reads and parses a request body: JSON, or form-urlencoded (returned as a plain object).
+ * @param {import('http').IncomingMessage} req - The request.
+ * @returns {Promise<object>} The parsed body ({} when empty).
+ * @throws {Error} If the body is too large or is not valid JSON.
+ */
+export async function readBody(req) {
+    const chunks = [];
+    let size = 0;
+    for await (const chunk of req) {
+        size += chunk.length;
+        if (size > MAX_BODY_BYTES) throw new Error('Request body is too large.');
+        chunks.push(chunk);
+    }
+    const text = Buffer.concat(chunks).toString('utf8');
+    if (!text) return {};
+    const contentType = req.headers['content-type'] || '';
+    if (contentType.includes('application/x-www-form-urlencoded')) {
+        return Object.fromEntries(new URLSearchParams(text));
+    }
+    return JSON.parse(text);
+}
+
+/**
+ * Sends a JSON response.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {any} body - The body; omitted for 204.
+ * @param {object} [headers] - Extra headers.
+ */
+export function sendJson(res, status, body, headers = {}) {
+    if (status === 204) {
+        res.writeHead(204, headers);
+        res.end();
+        return;
+    }
+    res.writeHead(status, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Sends a Management API error in Okta's format.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {string} errorCode - The Okta error code, e.g. 'E0000007'.
+ * @param {string} errorSummary - The message.
+ * @param {string[]} [causes] - Messages for `errorCauses`.
+ */
+export function sendOktaError(res, status, errorCode, errorSummary, causes = []) {
+    sendJson(res, status, {
+        errorCode,
+        errorSummary,
+        errorLink: errorCode,
+        errorId: `oae${Math.random().toString(36).slice(2, 12)}`,
+        errorCauses: causes.map(cause => ({ errorSummary: cause })),
+    });
+}
+
+/**
+ * Sends an OAuth 2.0 error response (token, userinfo and revoke endpoints).
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {string} error - The OAuth error code, e.g. 'invalid_grant'.
+ * @param {string} description - The error description.
+ */
+export function sendOAuthError(res, status, error, description) {
+    const headers = status === 401 ? { 'WWW-Authenticate': `Bearer error="${error}", error_description="${description}"` } : {};
+    sendJson(res, status, { error, error_description: description }, headers);
+}
+
+/**
+ * Redirects the browser.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {string} location - The target URL.
+ */
+export function redirect(res, location) {
+    res.writeHead(302, { Location: location, 'Cache-Control': 'no-store' });
+    res.end();
+}
+
+/**
+ * Sends an HTML page.
+ * @param {import('http').ServerResponse} res - The response.
+ * @param {number} status - The HTTP status.
+ * @param {string} html - The page.
+ */
+export function sendHtml(res, status, html) {
+    res.writeHead(status, { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' });
+    res.end(html);
+}
+
+/**
+ * Escapes text for HTML content and attribute values.
+ * @param {any} value - The value.
+ * @returns {string} The escaped text.
+ */
+export function escapeHtml(value) {
+    return String(value ?? '').replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+/**
+ * Selects one page of a list using Okta's cursor pagination: `after` is the ID of the last item of the previous page.
+ * @param {object[]} items - All matching items, in order.
+ * @param {URLSearchParams} query - The request query (`limit`, `after`).
+ * @param {object} limits
+ * @param {number} limits.defaultLimit - Page size when `limit` is not given.
+ * @param {number} limits.maxLimit - Largest accepted page size.
+ * @param {function(object): string} [limits.cursorOf] - Returns an item's cursor (defaults to its `id`).
+ * @returns {{ page: object[], nextCursor: string|null }} The page and the cursor of the next one.
+ */
+export function paginate(items, query, { defaultLimit, maxLimit, cursorOf = item => item.id }) {
+    const requested = Number(query.get('limit'));
+    const limit = Number.isInteger(requested) && requested > 0 ? Math.min(requested, maxLimit) : defaultLimit;
+    let start = 0;
+    const after = query.get('after');
+    if (after) {
+        const index = items.findIndex(item => cursorOf(item) === after);
+        start = index === -1 ? items.length : index + 1;
+    }
+    const page = items.slice(start, start + limit);
+    const nextCursor = start + limit < items.length ? cursorOf(page[page.length - 1]) : null;
+    return { page, nextCursor };
+}
+
+/**
+ * Builds an Okta-style `Link` header: rel="self", plus rel="next" when there is a next page.
+ * @param {string} baseUrl - The server's public base URL.
+ * @param {URL} url - The request URL.
+ * @param {string|null} nextCursor - The cursor of the next page, or null.
+ * @returns {string} The header value.
+ */
+export function buildLinkHeader(baseUrl, url, nextCursor) {
+    const links = [`<${baseUrl}${url.pathname}${url.search}>; rel="self"`];
+    if (nextCursor) {
+        const nextQuery = new URLSearchParams(url.search);
+        nextQuery.set('after', nextCursor);
+        links.push(`<${baseUrl}${url.pathname}?${nextQuery.toString()}>; rel="next"`);
+    }
+    return links.join(', ');
+}
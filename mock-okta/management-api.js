@@ -0,0 +1,443 @@
+// mock-okta/management-api.js
+// The Management API (/api/v1) endpoints the app uses, backed by the mock store:
+//   /users               list (q, filter, search, limit, after) and create (?activate=)
+//   /users/{id}          get, update (POST partial, PUT full), delete (deactivates first, like Okta)
+//   /users/{id}/groups   the user's groups
+//   /users/{id}/lifecycle/{operation}   activate, reactivate, deactivate, suspend, unsuspend, unlock,
+//                                       reset_password, expire_password
+//   /users/{id}/sessions                clear sessions (and OAuth tokens with ?oauthTokens=true)
+//   /groups, /groups/{id}, /groups/{id}/users, /groups/{id}/users/{userId}
+//   /logs                System Log events recorded by the mock (filter, since, until, sortOrder, limit, after)
+// Requests need a bearer token from /oauth2/v1/token with the matching okta.*.read/manage scope.
+// Responses carry X-Rate-Limit-* headers; a bucket's limit per minute is configurable (rateLimit).
+import crypto from 'crypto';
+import { compileExpression } from './expression.js';
+import { userRef, groupRef, clientRef } from './store.js';
+import { sendJson, sendOktaError, paginate, buildLinkHeader } from './http.js';
+
+const USER_PAGE = { defaultLimit: 200, maxLimit: 200 };
+const GROUP_PAGE = { defaultLimit: 200, maxLimit: 10000 };
+const MEMBER_PAGE = { defaultLimit: 1000, maxLimit: 1000 };
+const LOG_PAGE = { defaultLimit: 100, maxLimit: 1000, cursorOf: event => event.uuid };
+// Without `since`, /logs returns the last 7 days, as Okta does.
+const DEFAULT_LOG_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+const MIN_PASSWORD_LENGTH = 8;
+const LOGIN_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const REQUIRED_PROFILE_FIELDS = ['login', 'email', 'firstName', 'lastName'];
+
+// Lifecycle operations: the statuses they apply to, the resulting status, and the System Log event.
+const LIFECYCLE_OPERATIONS = {
+    activate: { from: ['STAGED', 'DEPROVISIONED'], eventType: 'user.lifecycle.activate', displayMessage: 'Activate Okta user' },
+    reactivate: { from: ['PROVISIONED'], to: 'PROVISIONED', eventType: 'user.lifecycle.reactivate', displayMessage: 'Reactivate Okta user' },
+    deactivate: { from: ['STAGED', 'PROVISIONED', 'ACTIVE', 'RECOVERY', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'SUSPENDED'], to: 'DEPROVISIONED', eventType: 'user.lifecycle.deactivate', displayMessage: 'Deactivate Okta user' },
+    suspend: { from: ['ACTIVE'], to: 'SUSPENDED', eventType: 'user.lifecycle.suspend', displayMessage: 'Suspend Okta user' },
+    unsuspend: { from: ['SUSPENDED'], to: 'ACTIVE', eventType: 'user.lifecycle.unsuspend', displayMessage: 'Unsuspend Okta user' },
+    unlock: { from: ['LOCKED_OUT'], to: 'ACTIVE', eventType: 'user.account.unlock', displayMessage: 'Unlock user account' },
+    reset_password: { from: ['ACTIVE', 'PASSWORD_EXPIRED', 'LOCKED_OUT', 'RECOVERY'], to: 'RECOVERY', eventType: 'user.account.reset_password', displayMessage: 'Reset user password' },
+    expire_password: { from: ['ACTIVE'], to: 'PASSWORD_EXPIRED', eventType: 'user.account.expire_password', displayMessage: 'Expire user password' },
+};
+
+/**
+ * Names the rate-limit bucket of a request path, e.g. '/users' or '/users/*'.
+ * @param {string} path - The path below /api/v1.
+ * @returns {string} The bucket name.
+ */
+function getRateLimitBucket(path) {
+    const [collection, ...rest] = path.split('/').filter(Boolean);
+    return rest.length > 0 ? `/${collection}/*` : `/${collection}`;
+}
+
+/**
+ * Creates the Management API routes.
+ * @param {object} store - The mock store.
+ * @param {object} config - Server configuration (see createMockOktaServer).
+ * @param {object} oauth - The OAuth routes, for authenticating callers and revoking user tokens.
+ * @returns {{ handle: function(object): Promise<boolean> }}
+ */
+export function createManagementApiRoutes(store, config, oauth) {
+    const rateLimitWindows = new Map(); // bucket -> { resetAt (s), count }
+
+    /**
+     * Counts a request against its bucket's per-minute limit.
+     * @param {string} bucket - The rate-limit bucket.
+     * @returns {{ headers: object, exceeded: boolean }} The X-Rate-Limit-* headers and whether the limit is exceeded.
+     */
+    function countRequest(bucket) {
+        const now = Math.floor(Date.now() / 1000);
+        let window = rateLimitWindows.get(bucket);
+        if (!window || window.resetAt <= now) {
+            window = { resetAt: now + 60, count: 0 };
+            rateLimitWindows.set(bucket, window);
+        }
+        window.count += 1;
+        return {
+            headers: {
+                'X-Rate-Limit-Limit': String(config.rateLimit),
+                'X-Rate-Limit-Remaining': String(Math.max(0, config.rateLimit - window.count)),
+                'X-Rate-Limit-Reset': String(window.resetAt),
+            },
+            exceeded: window.count > config.rateLimit,
+        };
+    }
+
+    const notFound = (res, id, type) => sendOktaError(res, 404, 'E0000007', `Not found: Resource not found: ${id} (${type})`);
+    const validationFailed = (res, field, causes) => sendOktaError(res, 400, 'E0000001', `Api validation failed: ${field}`, causes);
+    const forbidden = res => sendOktaError(res, 403, 'E0000006', 'You do not have permission to perform the requested action');
+
+    /**
+     * Sends one page of a list with Okta's Link header.
+     * @param {object} ctx - The request context.
+     * @param {object[]} items - All matching items.
+     * @param {object} pageOptions - Page limits (see paginate).
+     * @param {function(object): object} toResource - Converts an item to its API representation.
+     * @param {string|null} [forcedNextCursor] - A next cursor to advertise even on the last page (System Log polling).
+     */
+    function sendPage(ctx, items, pageOptions, toResource, forcedNextCursor) {
+        const { page, nextCursor } = paginate(items, ctx.url.searchParams, pageOptions);
+        const next = nextCursor || forcedNextCursor || null;
+        sendJson(ctx.res, 200, page.map(toResource), { ...ctx.headers, Link: buildLinkHeader(config.baseUrl, ctx.url, next) });
+    }
+
+    /**
+     * Applies `filter` / `search` expressions to a list.
+     * @param {object} ctx - The request context.
+     * @param {object[]} items - The items.
+     * @param {function(object): object} toResource - Converts an item to the shape the expression refers to.
+     * @returns {object[]|null} The matching items, or null after sending a 400 for an invalid expression.
+     */
+    function applyExpressions(ctx, items, toResource) {
+        let matching = items;
+        for (const param of ['filter', 'search']) {
+            const expression = ctx.url.searchParams.get(param);
+            if (!expression) continue;
+            let predicate;
+            try {
+                predicate = compileExpression(expression);
+            } catch (error) {
+                sendOktaError(ctx.res, 400, 'E0000031', 'Invalid search criteria.', [`${param}: ${error.message}`]);
+                return null;
+            }
+            matching = matching.filter(item => predicate(toResource(item)));
+        }
+        return matching;
+    }
+
+    /**
+     * Checks a user profile for create and update, collecting Okta-style validation causes.
+     * @param {object} profile - The complete profile after the change.
+     * @param {string|undefined} password - A new password, if one is being set.
+     * @param {string} [userId] - The user being updated.
+     * @returns {{ field: string, causes: string[] }|null} The first invalid field and all causes, or null if valid.
+     */
+    function validateProfile(profile, password, userId) {
+        const causes = [];
+        const fields = [];
+        const addCause = (field, message) => {
+            fields.push(field);
+            causes.push(`${field}: ${message}`);
+        };
+        for (const field of REQUIRED_PROFILE_FIELDS) {
+            if (!profile[field]) addCause(field, 'The field cannot be left blank');
+        }
+        if (profile.login && !LOGIN_PATTERN.test(profile.login)) addCause('login', 'Username must be in the form of an email address');
+        if (profile.email && !LOGIN_PATTERN.test(profile.email)) addCause('email', 'Does not match required pattern');
+        if (profile.login && store.isLoginTaken(profile.login, userId)) addCause('login', 'An object with this field already exists in the current organization');
+        if (password !== undefined && String(password).length < MIN_PASSWORD_LENGTH) {
+            addCause('password', `Password requirements were not met. Password requirements: at least ${MIN_PASSWORD_LENGTH} characters.`);
+        }
+        return causes.length > 0 ? { field: fields[0], causes } : null;
+    }
+
+    /**
+     * Records a Management API change in the System Log, with the calling client as the actor.
+     * @param {object} ctx - The request context.
+     * @param {string} eventType - The event type.
+     * @param {string} displayMessage - The display message.
+     * @param {object[]} targets - The affected users or groups.
+     */
+    function recordChange(ctx, eventType, displayMessage, targets) {
+        store.recordEvent({ eventType, displayMessage, actor: clientRef(ctx.caller.clientId), targets, client: ctx.client });
+    }
+
+    // --- Users ---
+
+    function listUsers(ctx) {
+        const query = ctx.url.searchParams;
+        let users = applyExpressions(ctx, store.listUsers(), store.toOktaUser);
+        if (!users) return;
+        // Like Okta, a plain listing leaves out deactivated users; filter and search include them.
+        if (!query.get('filter') && !query.get('search')) {
+            users = users.filter(user => user.status !== 'DEPROVISIONED');
+        }
+        const q = query.get('q')?.toLowerCase();
+        if (q) {
+            users = users.filter(user => ['firstName', 'lastName', 'email'].some(field => (user.profile[field] || '').toLowerCase().startsWith(q)));
+        }
+        sendPage(ctx, users, USER_PAGE, store.toOktaUser);
+    }
+
+    function createUser(ctx) {
+        const profile = ctx.body.profile || {};
+        const password = ctx.body.credentials?.password?.value;
+        const invalid = validateProfile(profile, password);
+        if (invalid) return validationFailed(ctx.res, invalid.field, invalid.causes);
+
+        const activate = ctx.url.searchParams.get('activate') !== 'false';
+        const status = !activate ? 'STAGED' : password ? 'ACTIVE' : 'PROVISIONED';
+        const user = store.createUser({ profile, password, status });
+        recordChange(ctx, 'user.lifecycle.create', 'Create Okta user', [userRef(user)]);
+        if (activate) recordChange(ctx, 'user.lifecycle.activate', 'Activate Okta user', [userRef(user)]);
+        for (const groupId of ctx.body.groupIds || []) {
+            const group = store.findGroup(groupId);
+            if (group && group.type !== 'BUILT_IN') store.setMembership(group, user, true);
+        }
+        sendJson(ctx.res, 200, store.toOktaUser(user), ctx.headers);
+    }
+
+    function getUser(ctx, user) {
+        sendJson(ctx.res, 200, store.toOktaUser(user), ctx.headers);
+    }
+
+    function updateUser(ctx, user) {
+        // POST is a partial update; PUT replaces the whole profile.
+        const profile = ctx.method === 'PUT' ? { ...ctx.body.profile } : { ...user.profile, ...ctx.body.profile };
+        const password = ctx.body.credentials?.password?.value;
+        const invalid = validateProfile(profile, password, user.id);
+        if (invalid) return validationFailed(ctx.res, invalid.field, invalid.causes);
+
+        user.profile = profile;
+        user.lastUpdated = new Date().toISOString();
+        if (password !== undefined) {
+            user.password = password;
+            user.passwordChanged = user.lastUpdated;
+        }
+        recordChange(ctx, 'user.account.update_profile', 'Update user profile for Okta', [userRef(user)]);
+        sendJson(ctx.res, 200, store.toOktaUser(user), ctx.headers);
+    }
+
+    function deleteUser(ctx, user) {
+        // The first DELETE deactivates; deleting a deactivated user removes them.
+        if (user.status !== 'DEPROVISIONED') {
+            store.setStatus(user, 'DEPROVISIONED');
+            recordChange(ctx, 'user.lifecycle.deactivate', 'Deactivate Okta user', [userRef(user)]);
+        } else {
+            store.deleteUser(user);
+            recordChange(ctx, 'user.lifecycle.delete.completed', 'Delete Okta user completed', [userRef(user)]);
+        }
+        sendJson(ctx.res, 204, null, ctx.headers);
+    }
+
+    function listUserGroups(ctx, user) {
+        sendJson(ctx.res, 200, store.listUserGroups(user).map(store.toOktaGroup), ctx.headers);
+    }
+
+    function performLifecycle(ctx, user, operationName) {
+        const operation = LIFECYCLE_OPERATIONS[operationName];
+        if (!operation) return notFound(ctx.res, `lifecycle/${operationName}`, 'Operation');
+        if (!operation.from.includes(user.status)) {
+            return sendOktaError(ctx.res, 403, 'E0000038', "This operation is not allowed in the user's current status.");
+        }
+        const query = ctx.url.searchParams;
+        const sendEmail = query.get('sendEmail') !== 'false';
+        store.setStatus(user, operation.to || (user.password ? 'ACTIVE' : 'PROVISIONED'));
+        if (operationName === 'unlock') user.failedLogins = 0;
+        recordChange(ctx, operation.eventType, operation.displayMessage, [userRef(user)]);
+
+        let result = {};
+        if ((operationName === 'activate' || operationName === 'reactivate') && !sendEmail) {
+            const activationToken = crypto.randomBytes(10).toString('hex');
+            result = { activationUrl: `${config.baseUrl}/welcome/${activationToken}`, activationToken };
+        } else if (operationName === 'reset_password' && !sendEmail) {
+            result = { resetPasswordUrl: `${config.baseUrl}/reset_password/${crypto.randomBytes(10).toString('hex')}` };
+        } else if (operationName === 'expire_password') {
+            if (query.get('tempPassword') === 'true') {
+                user.password = crypto.randomBytes(6).toString('base64url');
+                user.passwordChanged = new Date().toISOString();
+                result = { tempPassword: user.password };
+            } else {
+                result = store.toOktaUser(user);
+            }
+        }
+        sendJson(ctx.res, 200, result, ctx.headers);
+    }
+
+    function clearUserSessions(ctx, user) {
+        if (ctx.url.searchParams.get('oauthTokens') === 'true') {
+            oauth.revokeUserTokens(user.id);
+        }
+        recordChange(ctx, 'user.session.clear', 'Clear user session', [userRef(user)]);
+        sendJson(ctx.res, 204, null, ctx.headers);
+    }
+
+    // --- Groups ---
+
+    function listGroups(ctx) {
+        let groups = applyExpressions(ctx, store.listGroups(), store.toOktaGroup);
+        if (!groups) return;
+        const q = ctx.url.searchParams.get('q')?.toLowerCase();
+        if (q) groups = groups.filter(group => group.profile.name.toLowerCase().startsWith(q));
+        sendPage(ctx, groups, GROUP_PAGE, store.toOktaGroup);
+    }
+
+    /**
+     * Checks a group profile for create and rename.
+     * @param {object} profile - The requested profile.
+     * @param {string} [groupId] - The group being renamed.
+     * @returns {string[]|null} Validation causes, or null if valid.
+     */
+    function validateGroupProfile(profile, groupId) {
+        if (!profile?.name) return ['name: The field cannot be left blank'];
+        const existing = store.findGroupByName(profile.name);
+        if (existing && existing.id !== groupId) return ['name: An object with this field already exists in the current organization'];
+        return null;
+    }
+
+    function createGroup(ctx) {
+        const causes = validateGroupProfile(ctx.body.profile);
+        if (causes) return validationFailed(ctx.res, 'name', causes);
+        const group = store.createGroup({ name: ctx.body.profile.name, description: ctx.body.profile.description || '' });
+        recordChange(ctx, 'group.lifecycle.create', 'Create Okta group', [groupRef(group)]);
+        sendJson(ctx.res, 200, store.toOktaGroup(group), ctx.headers);
+    }
+
+    function getGroup(ctx, group) {
+        sendJson(ctx.res, 200, store.toOktaGroup(group), ctx.headers);
+    }
+
+    function updateGroup(ctx, group) {
+        if (group.type !== 'OKTA_GROUP') return forbidden(ctx.res);
+        const causes = validateGroupProfile(ctx.body.profile, group.id);
+        if (causes) return validationFailed(ctx.res, 'name', causes);
+        group.profile = { name: ctx.body.profile.name, description: ctx.body.profile.description || '' };
+        group.lastUpdated = new Date().toISOString();
+        recordChange(ctx, 'group.profile.update', 'Update Okta group profile', [groupRef(group)]);
+        sendJson(ctx.res, 200, store.toOktaGroup(group), ctx.headers);
+    }
+
+    function deleteGroup(ctx, group) {
+        if (group.type !== 'OKTA_GROUP') return forbidden(ctx.res);
+        store.deleteGroup(group);
+        recordChange(ctx, 'group.lifecycle.delete', 'Delete Okta group', [groupRef(group)]);
+        sendJson(ctx.res, 204, null, ctx.headers);
+    }
+
+    function listGroupMembers(ctx, group) {
+        sendPage(ctx, store.listGroupMembers(group), MEMBER_PAGE, store.toOktaUser);
+    }
+
+    function changeMembership(ctx, group, user) {
+        if (group.type !== 'OKTA_GROUP') return forbidden(ctx.res);
+        const add = ctx.method === 'PUT';
+        if (store.setMembership(group, user, add)) {
+            recordChange(ctx, add ? 'group.user_membership.add' : 'group.user_membership.remove',
+                add ? 'Add user to group membership' : 'Remove user from group membership', [userRef(user), groupRef(group)]);
+        }
+        sendJson(ctx.res, 204, null, ctx.headers);
+    }
+
+    // --- System Log ---
+
+    function listLogEvents(ctx) {
+        const query = ctx.url.searchParams;
+        const range = {};
+        for (const param of ['since', 'until']) {
+            if (!query.get(param)) continue;
+            const date = new Date(query.get(param));
+            if (Number.isNaN(date.getTime())) return validationFailed(ctx.res, param, [`${param}: Invalid date.`]);
+            range[param] = date.toISOString();
+        }
+        const since = range.since || new Date(Date.now() - DEFAULT_LOG_WINDOW_MS).toISOString();
+        let events = store.listEvents().filter(event => event.published >= since && (!range.until || event.published < range.until));
+        events = applyExpressions(ctx, events, event => event);
+        if (!events) return;
+        if ((query.get('sortOrder') || 'ASCENDING').toUpperCase() === 'DESCENDING') {
+            events = [...events].reverse();
+        }
+        // Without `until` the request is a poll: Okta always links to a next page, for events still to come.
+        const { page } = paginate(events, query, LOG_PAGE);
+        const pollCursor = range.until ? null : (page.length > 0 ? page[page.length - 1].uuid : query.get('after'));
+        sendPage(ctx, events, LOG_PAGE, event => event, pollCursor);
+    }
+
+    /**
+     * Matches a path below /api/v1 to a handler and the resources it addresses.
+     * @param {object} ctx - The request context.
+     * @param {string[]} segments - The path segments below /api/v1.
+     * @returns {function|null|undefined} A function that runs the handler (it may send a 404 itself), or undefined if no route matches.
+     */
+    function route(ctx, segments) {
+        const { method, res } = ctx;
+        const [collection, id, sub, subId, ...rest] = segments;
+        if (rest.length > 0) return undefined;
+        const withUser = handler => (...args) => {
+            const user = store.findUser(id);
+            return user ? handler(ctx, user, ...args) : notFound(res, id, 'User');
+        };
+        const withGroup = handler => () => {
+            const group = store.findGroup(id);
+            return group ? handler(ctx, group) : notFound(res, id, 'UserGroup');
+        };
+
+        if (collection === 'users') {
+            if (!id) return { GET: () => listUsers(ctx), POST: () => createUser(ctx) }[method];
+            if (!sub) return { GET: withUser(getUser), POST: withUser(updateUser), PUT: withUser(updateUser), DELETE: withUser(deleteUser) }[method];
+            if (sub === 'groups' && !subId) return method === 'GET' ? withUser(listUserGroups) : undefined;
+            if (sub === 'lifecycle' && subId) return method === 'POST' ? () => withUser(performLifecycle)(subId) : undefined;
+            if (sub === 'sessions' && !subId) return method === 'DELETE' ? withUser(clearUserSessions) : undefined;
+        } else if (collection === 'groups') {
+            if (!id) return { GET: () => listGroups(ctx), POST: () => createGroup(ctx) }[method];
+            if (!sub) return { GET: withGroup(getGroup), PUT: withGroup(updateGroup), DELETE: withGroup(deleteGroup) }[method];
+            if (sub === 'users' && !subId) return method === 'GET' ? withGroup(listGroupMembers) : undefined;
+            if (sub === 'users' && subId && (method === 'PUT' || method === 'DELETE')) {
+                return withGroup((_ctx, group) => {
+                    const user = store.findUser(subId);
+                    return user ? changeMembership(ctx, group, user) : notFound(res, subId, 'User');
+                });
+            }
+        } else if (collection === 'logs' && !id) {
+            return method === 'GET' ? () => listLogEvents(ctx) : undefined;
+        }
+        return undefined;
+    }
+
+    /**
+     * Handles a request under /api/v1.
+     * @param {object} ctx - The request context: `{ req, res, method, url, body, client }`.
+     * @returns {Promise<boolean>} False if no route matched.
+     */
+    async function handle(ctx) {
+        const path = ctx.url.pathname.slice('/api/v1'.length);
+        const segments = path.split('/').filter(Boolean).map(decodeURIComponent);
+        const handler = route(ctx, segments);
+        if (!handler) return false;
+
+        const { headers, exceeded } = countRequest(getRateLimitBucket(path));
+        ctx.headers = headers;
+        if (exceeded) {
+            sendJson(ctx.res, 429, {
+                errorCode: 'E0000047',
+                errorSummary: 'API call exceeded rate limit due to too many requests.',
+                errorLink: 'E0000047',
+                errorId: `oae${crypto.randomBytes(5).toString('hex')}`,
+                errorCauses: [],
+            }, headers);
+            return true;
+        }
+
+        ctx.caller = oauth.authenticateManagementRequest(ctx.req);
+        if (!ctx.caller) {
+            sendOktaError(ctx.res, 401, 'E0000011', 'Invalid token provided');
+            return true;
+        }
+        const resource = segments[0];
+        const acceptedScopes = ctx.method === 'GET' ? [`okta.${resource}.read`, `okta.${resource}.manage`] : [`okta.${resource}.manage`];
+        if (!acceptedScopes.some(scope => ctx.caller.scopes.includes(scope))) {
+            sendOktaError(ctx.res, 403, 'E0000006', 'You do not have permission to perform the requested action');
+            return true;
+        }
+        handler();
+        return true;
+    }
+
+    return { handle };
+}
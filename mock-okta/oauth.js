@@ -0,0 +1,535 @@
+// mock-okta/oauth.js
+// The OAuth 2.0 / OpenID Connect side of the mock Okta org:
+//   /oauth2/default/v1/authorize  sign-in form; issues an authorization code (PKCE S256 supported)
+//   /oauth2/default/v1/token      authorization_code and refresh_token grants; RS256-signed ID and access tokens
+//   /oauth2/default/v1/userinfo   claims for a valid access token
+//   /oauth2/default/v1/keys       the JWKS used to verify the tokens
+//   /oauth2/default/v1/revoke     revokes an access or refresh token
+//   /oauth2/default/v1/logout     redirects to post_logout_redirect_uri
+//   /oauth2/v1/token              client_credentials grant with private_key_jwt, for the Management API
+// There is no browser session: every authorize request shows the sign-in form.
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { userRef } from './store.js';
+import { sendJson, sendOAuthError, redirect, sendHtml, escapeHtml } from './http.js';
+
+const TOKEN_LIFETIME_SECONDS = 3600;
+const AUTHORIZATION_CODE_LIFETIME_MS = 60 * 1000;
+// Consecutive wrong passwords after which a user is locked out, as with Okta's default password policy.
+const MAX_FAILED_LOGINS = 5;
+// Statuses whose users may sign in.
+const SIGN_IN_STATUSES = ['ACTIVE', 'PASSWORD_EXPIRED'];
+const SUPPORTED_SCOPES = ['openid', 'profile', 'email', 'offline_access', 'groups'];
+const MANAGEMENT_SCOPES = ['okta.users.read', 'okta.users.manage', 'okta.groups.read', 'okta.groups.manage', 'okta.logs.read'];
+const CLIENT_ASSERTION_TYPE = 'urn:ietf:params:oauth:client-assertion-type:jwt-bearer';
+
+const randomToken = () => crypto.randomBytes(32).toString('base64url');
+
+/**
+ * Creates the OAuth routes.
+ * @param {object} store - The mock store.
+ * @param {object} config - Server configuration (see createMockOktaServer); `baseUrl` is read per request.
+ * @returns {{ handle: function(object): Promise<boolean>, authenticateManagementRequest: function(object): object|null, revokeUserTokens: function(string): void }}
+ */
+export function createOAuthRoutes(store, config) {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const keyId = crypto.randomBytes(8).toString('hex');
+    const authorizationCodes = new Map(); // code -> { clientId, redirectUri, scopes, nonce, codeChallenge, userId, expiresAt }
+    const refreshTokens = new Map();      // token -> { clientId, scopes, userId }
+    const accessTokenIdsByUser = new Map(); // user id -> Set of access token `jti`s, for revoking all of a user's tokens
+    const revokedAccessTokenIds = new Set();
+    const managementTokens = new Map();   // token -> { clientId, scopes, expiresAt }
+    const usedAssertionIds = new Map();   // client assertion `jti` -> expiry (ms), to reject replays
+
+    const issuer = () => `${config.baseUrl}/oauth2/default`;
+
+    /**
+     * Checks an authorize request's parameters.
+     * @param {URLSearchParams} params - The authorize parameters.
+     * @returns {{ error?: string, description?: string, redirectable?: boolean, request?: object }} The request, or an error.
+     *   Errors about the client or redirect URI are shown as a page; others are sent back to the redirect URI.
+     */
+    function validateAuthorizeRequest(params) {
+        const clientId = params.get('client_id');
+        const redirectUri = params.get('redirect_uri');
+        if (!clientId || (config.clientId && clientId !== config.clientId)) {
+            return { error: 'invalid_client', description: `Unknown client_id '${clientId || ''}'.` };
+        }
+        let parsedRedirectUri;
+        try {
+            parsedRedirectUri = new URL(redirectUri);
+        } catch {
+            return { error: 'invalid_request', description: 'redirect_uri must be an absolute URL.' };
+        }
+        if (!['http:', 'https:'].includes(parsedRedirectUri.protocol) || (config.redirectUris && !config.redirectUris.includes(redirectUri))) {
+            return { error: 'invalid_request', description: `redirect_uri '${redirectUri}' is not allowed for this client.` };
+        }
+
+        const scopes = (params.get('scope') || '').split(' ').filter(Boolean);
+        if (params.get('response_type') !== 'code') {
+            return { error: 'unsupported_response_type', description: 'Only response_type=code is supported.', redirectable: true };
+        }
+        if (!scopes.includes('openid')) {
+            return { error: 'invalid_scope', description: "The 'openid' scope is required.", redirectable: true };
+        }
+        const unknownScopes = scopes.filter(scope => !SUPPORTED_SCOPES.includes(scope));
+        if (unknownScopes.length > 0) {
+            return { error: 'invalid_scope', description: `Unsupported scope(s): ${unknownScopes.join(', ')}.`, redirectable: true };
+        }
+        const codeChallenge = params.get('code_challenge');
+        if (codeChallenge && params.get('code_challenge_method') !== 'S256') {
+            return { error: 'invalid_request', description: 'code_challenge_method must be S256.', redirectable: true };
+        }
+        return {
+            request: { clientId, redirectUri, scopes, state: params.get('state'), nonce: params.get('nonce'), codeChallenge },
+        };
+    }
+
+    /**
+     * Sends the browser back to the client with an authorize error.
+     * @param {object} res - The response.
+     * @param {URLSearchParams} params - The authorize parameters.
+     * @param {string} error - The OAuth error code.
+     * @param {string} description - The description.
+     */
+    function redirectWithError(res, params, error, description) {
+        const target = new URL(params.get('redirect_uri'));
+        target.searchParams.set('error', error);
+        target.searchParams.set('error_description', description);
+        if (params.get('state')) target.searchParams.set('state', params.get('state'));
+        redirect(res, target.toString());
+    }
+
+    /**
+     * Renders the sign-in form.
+     * @param {object} res - The response.
+     * @param {URLSearchParams} params - The authorize parameters, carried through the form.
+     * @param {string} [error] - A message to show above the form.
+     * @param {string} [login] - The login to prefill.
+     */
+    function sendSignInPage(res, params, error = '', login = '') {
+        const logins = store.listUsers().filter(user => SIGN_IN_STATUSES.includes(user.status)).map(user => user.profile.login);
+        sendHtml(res, error ? 401 : 200, `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="UTF-8">
+  <title>Sign in - Mock Okta</title>
+  <style>
+    body { font-family: system-ui, sans-serif; background: #f4f4f7; display: flex; justify-content: center; padding-top: 10vh; }
+    form { background: #fff; padding: 2rem; border-radius: 8px; box-shadow: 0 2px 10px rgba(0,0,0,.1); width: 320px; }
+    label, input, button { display: block; width: 100%; box-sizing: border-box; }
+    input { margin: .25rem 0 1rem; padding: .5rem; }
+    button { padding: .6rem; background: #7A5CBA; color: #fff; border: 0; border-radius: 4px; cursor: pointer; }
+    .error { color: #dc3545; }
+    .note { color: #5a6268; font-size: .8rem; }
+  </style>
+</head>
+<body>
+  <form method="post" action="/oauth2/default/v1/authorize">
+    <h1>Sign in</h1>
+    <p class="note">Local mock Okta. No data leaves this machine.</p>
+    ${error ? `<p class="error">${escapeHtml(error)}</p>` : ''}
+    <input type="hidden" name="authorize_query" value="${escapeHtml(params.toString())}">
+    <label for="login">Username</label>
+    <input id="login" name="login" list="known-logins" autocomplete="username" value="${escapeHtml(login)}" required autofocus>
+    <datalist id="known-logins">${logins.map(value => `<option value="${escapeHtml(value)}">`).join('')}</datalist>
+    <label for="password">Password</label>
+    <input id="password" name="password" type="password" autocomplete="current-password" required>
+    <button type="submit">Sign in</button>
+  </form>
+</body>
+</html>`);
+    }
+
+    /**
+     * Checks a sign-in attempt, recording it in the System Log and locking the user out after repeated failures.
+     * @param {string} login - The submitted login.
+     * @param {string} password - The submitted password.
+     * @param {object} client - Request details for the System Log.
+     * @returns {{ user?: object, error?: string }} The signed-in user, or a message for the form.
+     */
+    function signIn(login, password, client) {
+        const user = store.findUser(login || '');
+        const fail = (reason, message) => {
+            store.recordEvent({
+                eventType: 'user.session.start',
+                displayMessage: 'User login to Okta',
+                actor: user ? userRef(user) : { id: 'unknown', type: 'User', alternateId: login, displayName: 'unknown' },
+                result: 'FAILURE',
+                reason,
+                client,
+            });
+            return { error: message };
+        };
+
+        if (!user) return fail('VERIFICATION_ERROR', 'Unable to sign in.');
+        if (user.status === 'LOCKED_OUT') return fail('LOCKED_OUT', 'Your account is locked. Contact an administrator.');
+        if (!SIGN_IN_STATUSES.includes(user.status)) return fail('INVALID_CREDENTIALS', 'Unable to sign in.');
+        if (!user.password || user.password !== password) {
+            user.failedLogins += 1;
+            const result = fail('INVALID_CREDENTIALS', 'Unable to sign in.');
+            if (user.failedLogins >= MAX_FAILED_LOGINS) {
+                store.setStatus(user, 'LOCKED_OUT');
+                store.recordEvent({ eventType: 'user.account.lock', displayMessage: 'Max sign in attempts exceeded', actor: userRef(user), targets: [userRef(user)], client });
+            }
+            return result;
+        }
+
+        user.failedLogins = 0;
+        user.lastLogin = new Date().toISOString();
+        store.recordEvent({ eventType: 'user.session.start', displayMessage: 'User login to Okta', actor: userRef(user), client });
+        return { user };
+    }
+
+    /**
+     * Identifies the client calling the token or revoke endpoint (client_secret_post or client_secret_basic).
+     * @param {object} req - The request.
+     * @param {object} body - The form body.
+     * @returns {string|null} The client ID, or null if the client could not be authenticated.
+     */
+    function authenticateClient(req, body) {
+        let clientId = body.client_id;
+        let clientSecret = body.client_secret;
+        const basic = (req.headers.authorization || '').match(/^Basic\s+(.+)$/i);
+        if (basic) {
+            const [id, secret] = Buffer.from(basic[1], 'base64').toString('utf8').split(':');
+            clientId = decodeURIComponent(id || '');
+            clientSecret = decodeURIComponent(secret || '');
+        }
+        if (!clientId || (config.clientId && clientId !== config.clientId)) return null;
+        if (config.clientSecret && clientSecret !== config.clientSecret) return null;
+        return clientId;
+    }
+
+    /**
+     * Issues the token response for a user.
+     * @param {object} user - The user record.
+     * @param {string} clientId - The client ID (the ID token audience).
+     * @param {string[]} scopes - The granted scopes.
+     * @param {object} [options]
+     * @param {string} [options.nonce] - Echoed in the ID token.
+     * @param {string} [options.refreshToken] - The refresh token to return (a new one is created with offline_access).
+     * @returns {object} The token endpoint response.
+     */
+    function issueTokens(user, clientId, scopes, { nonce, refreshToken } = {}) {
+        const now = Math.floor(Date.now() / 1000);
+        const groups = scopes.includes('groups') ? store.listUserGroups(user).map(group => group.profile.name) : undefined;
+        const signOptions = { algorithm: 'RS256', keyid: keyId };
+
+        const accessTokenId = `AT.${randomToken()}`;
+        const accessToken = jwt.sign({
+            ver: 1, jti: accessTokenId, iss: issuer(), aud: config.audience, iat: now, exp: now + TOKEN_LIFETIME_SECONDS,
+            cid: clientId, uid: user.id, scp: scopes, sub: user.profile.login,
+            ...(groups ? { groups } : {}),
+        }, privateKey, signOptions);
+        if (!accessTokenIdsByUser.has(user.id)) accessTokenIdsByUser.set(user.id, new Set());
+        accessTokenIdsByUser.get(user.id).add(accessTokenId);
+
+        const idToken = jwt.sign({
+            sub: user.id, ver: 1, iss: issuer(), aud: clientId, iat: now, exp: now + TOKEN_LIFETIME_SECONDS,
+            jti: `ID.${randomToken()}`, amr: ['pwd'], idp: 'mockokta', auth_time: now,
+            ...(nonce ? { nonce } : {}),
+            ...claimsForScopes(user, scopes, groups),
+        }, privateKey, signOptions);
+
+        let issuedRefreshToken = refreshToken;
+        if (!issuedRefreshToken && scopes.includes('offline_access')) {
+            issuedRefreshToken = randomToken();
+            refreshTokens.set(issuedRefreshToken, { clientId, scopes, userId: user.id });
+        }
+        return {
+            token_type: 'Bearer',
+            expires_in: TOKEN_LIFETIME_SECONDS,
+            access_token: accessToken,
+            scope: scopes.join(' '),
+            id_token: idToken,
+            ...(issuedRefreshToken ? { refresh_token: issuedRefreshToken } : {}),
+        };
+    }
+
+    /**
+     * The profile claims a user's tokens and userinfo carry for the granted scopes.
+     * @param {object} user - The user record.
+     * @param {string[]} scopes - The granted scopes.
+     * @param {string[]} [groups] - Group names, when the groups scope was granted.
+     * @returns {object} The claims.
+     */
+    function claimsForScopes(user, scopes, groups) {
+        return {
+            ...(scopes.includes('profile') ? {
+                name: `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim(),
+                given_name: user.profile.firstName,
+                family_name: user.profile.lastName,
+                preferred_username: user.profile.login,
+                updated_at: Math.floor(new Date(user.lastUpdated).getTime() / 1000),
+            } : {}),
+            ...(scopes.includes('email') ? { email: user.profile.email, email_verified: true } : {}),
+            ...(groups ? { groups } : {}),
+        };
+    }
+
+    /**
+     * Verifies an access token issued by this server.
+     * @param {string} token - The access token.
+     * @returns {object|null} The token payload, or null if it is invalid, expired or revoked.
+     */
+    function verifyAccessToken(token) {
+        try {
+            const payload = jwt.verify(token, publicKey, { algorithms: ['RS256'], issuer: issuer() });
+            return payload.uid && !revokedAccessTokenIds.has(payload.jti) ? payload : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Handles POST /oauth2/default/v1/token.
+     * @param {object} ctx - The request context.
+     */
+    function handleToken({ req, res, body }) {
+        const clientId = authenticateClient(req, body);
+        if (!clientId) {
+            return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed.');
+        }
+
+        if (body.grant_type === 'authorization_code') {
+            const grant = authorizationCodes.get(body.code);
+            authorizationCodes.delete(body.code); // Codes are single-use, even when the exchange fails.
+            if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'The authorization code is invalid or has expired.');
+            }
+            if (grant.redirectUri !== body.redirect_uri) {
+                return sendOAuthError(res, 400, 'invalid_grant', "The 'redirect_uri' does not match the redirection URI used in the authorization request.");
+            }
+            if (grant.codeChallenge) {
+                const computed = body.code_verifier ? crypto.createHash('sha256').update(body.code_verifier).digest('base64url') : null;
+                if (computed !== grant.codeChallenge) {
+                    return sendOAuthError(res, 400, 'invalid_grant', 'PKCE verification failed.');
+                }
+            }
+            const user = store.findUser(grant.userId);
+            if (!user || !SIGN_IN_STATUSES.includes(user.status)) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'The user is no longer active.');
+            }
+            return sendJson(res, 200, issueTokens(user, clientId, grant.scopes, { nonce: grant.nonce }));
+        }
+
+        if (body.grant_type === 'refresh_token') {
+            const grant = refreshTokens.get(body.refresh_token);
+            if (!grant || grant.clientId !== clientId) {
+                return sendOAuthError(res, 400, 'invalid_grant', 'The refresh token is invalid or expired.');
+            }
+            const user = store.findUser(grant.userId);
+            if (!user || !SIGN_IN_STATUSES.includes(user.status)) {
+                refreshTokens.delete(body.refresh_token);
+                return sendOAuthError(res, 400, 'invalid_grant', 'The refresh token is invalid or expired.');
+            }
+            // No rotation: the same refresh token stays valid, as with rotation disabled in Okta.
+            return sendJson(res, 200, issueTokens(user, clientId, grant.scopes, { refreshToken: body.refresh_token }));
+        }
+
+        return sendOAuthError(res, 400, 'unsupported_grant_type', `The grant type '${body.grant_type || ''}' is not supported.`);
+    }
+
+    /**
+     * Handles POST /oauth2/v1/token: the client_credentials grant authenticated with a private_key_jwt
+     * client assertion. The assertion's signature is checked when the server knows the client's public key.
+     * @param {object} ctx - The request context.
+     */
+    function handleManagementToken({ res, body }) {
+        if (body.grant_type !== 'client_credentials') {
+            return sendOAuthError(res, 400, 'unsupported_grant_type', 'Only the client_credentials grant is supported here.');
+        }
+        if (body.client_assertion_type !== CLIENT_ASSERTION_TYPE || !body.client_assertion) {
+            return sendOAuthError(res, 401, 'invalid_client', 'A private_key_jwt client assertion is required.');
+        }
+        const tokenUrl = `${config.baseUrl}/oauth2/v1/token`;
+        let claims;
+        try {
+            claims = config.m2mPublicKey
+                ? jwt.verify(body.client_assertion, config.m2mPublicKey, { algorithms: ['RS256'], audience: tokenUrl })
+                : jwt.decode(body.client_assertion);
+        } catch (error) {
+            return sendOAuthError(res, 401, 'invalid_client', `The client_assertion is invalid: ${error.message}`);
+        }
+        const now = Math.floor(Date.now() / 1000);
+        if (!claims || !claims.iss || claims.iss !== claims.sub || !claims.jti || !(claims.exp > now) || claims.aud !== tokenUrl) {
+            return sendOAuthError(res, 401, 'invalid_client', `The client_assertion must have iss = sub = client ID, a jti, a future exp and aud '${tokenUrl}'.`);
+        }
+        if ((body.client_id && body.client_id !== claims.iss) || (config.m2mClientId && claims.iss !== config.m2mClientId)) {
+            return sendOAuthError(res, 401, 'invalid_client', `Unknown client '${claims.iss}'.`);
+        }
+        usedAssertionIds.forEach((expiresAt, id) => expiresAt < Date.now() && usedAssertionIds.delete(id));
+        if (usedAssertionIds.has(claims.jti)) {
+            return sendOAuthError(res, 401, 'invalid_client', 'The client_assertion jti has already been used.');
+        }
+        usedAssertionIds.set(claims.jti, claims.exp * 1000);
+
+        const scopes = (body.scope || '').split(' ').filter(Boolean);
+        const unknownScopes = scopes.filter(scope => !MANAGEMENT_SCOPES.includes(scope));
+        if (scopes.length === 0 || unknownScopes.length > 0) {
+            return sendOAuthError(res, 400, 'invalid_scope', `Requested scopes must be among: ${MANAGEMENT_SCOPES.join(', ')}.`);
+        }
+        const accessToken = randomToken();
+        managementTokens.set(accessToken, { clientId: claims.iss, scopes, expiresAt: Date.now() + TOKEN_LIFETIME_SECONDS * 1000 });
+        return sendJson(res, 200, { token_type: 'Bearer', expires_in: TOKEN_LIFETIME_SECONDS, access_token: accessToken, scope: scopes.join(' ') });
+    }
+
+    /**
+     * Handles GET /oauth2/default/.well-known/openid-configuration.
+     * @param {object} ctx - The request context.
+     */
+    function handleDiscovery({ res }) {
+        sendJson(res, 200, {
+            issuer: issuer(),
+            authorization_endpoint: `${issuer()}/v1/authorize`,
+            token_endpoint: `${issuer()}/v1/token`,
+            userinfo_endpoint: `${issuer()}/v1/userinfo`,
+            jwks_uri: `${issuer()}/v1/keys`,
+            revocation_endpoint: `${issuer()}/v1/revoke`,
+            end_session_endpoint: `${issuer()}/v1/logout`,
+            response_types_supported: ['code'],
+            grant_types_supported: ['authorization_code', 'refresh_token'],
+            scopes_supported: SUPPORTED_SCOPES,
+            code_challenge_methods_supported: ['S256'],
+            id_token_signing_alg_values_supported: ['RS256'],
+            subject_types_supported: ['public'],
+        });
+    }
+
+    /**
+     * Handles GET /oauth2/default/v1/keys.
+     * @param {object} ctx - The request context.
+     */
+    function handleKeys({ res }) {
+        sendJson(res, 200, { keys: [{ ...publicKey.export({ format: 'jwk' }), kid: keyId, alg: 'RS256', use: 'sig' }] });
+    }
+
+    /**
+     * Handles /oauth2/default/v1/authorize: GET shows the sign-in form, POST (the form) signs in and
+     * redirects back to the client with an authorization code.
+     * @param {object} ctx - The request context.
+     */
+    function handleAuthorize({ res, method, url, body, client }) {
+        const params = method === 'GET' ? url.searchParams : new URLSearchParams(body.authorize_query || '');
+        const validation = validateAuthorizeRequest(params);
+        if (validation.error && !validation.redirectable) {
+            return sendHtml(res, 400, `<!DOCTYPE html><title>Error - Mock Okta</title><h1>${escapeHtml(validation.error)}</h1><p>${escapeHtml(validation.description)}</p>`);
+        }
+        if (validation.error) {
+            return redirectWithError(res, params, validation.error, validation.description);
+        }
+        if (method === 'GET') {
+            return sendSignInPage(res, params);
+        }
+
+        const { user, error } = signIn(body.login, body.password, client);
+        if (error) {
+            return sendSignInPage(res, params, error, body.login);
+        }
+        const { request } = validation;
+        const code = randomToken();
+        authorizationCodes.set(code, { ...request, userId: user.id, expiresAt: Date.now() + AUTHORIZATION_CODE_LIFETIME_MS });
+        const target = new URL(request.redirectUri);
+        target.searchParams.set('code', code);
+        if (request.state) target.searchParams.set('state', request.state);
+        redirect(res, target.toString());
+    }
+
+    /**
+     * Handles /oauth2/default/v1/userinfo.
+     * @param {object} ctx - The request context.
+     */
+    function handleUserinfo({ req, res }) {
+        const token = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+        const payload = token && verifyAccessToken(token);
+        const user = payload && store.findUser(payload.uid);
+        if (!user || !SIGN_IN_STATUSES.includes(user.status)) {
+            return sendOAuthError(res, 401, 'invalid_token', 'The access token is invalid.');
+        }
+        const groups = payload.scp.includes('groups') ? store.listUserGroups(user).map(group => group.profile.name) : undefined;
+        sendJson(res, 200, { sub: user.id, ...claimsForScopes(user, payload.scp, groups) });
+    }
+
+    /**
+     * Handles POST /oauth2/default/v1/revoke.
+     * @param {object} ctx - The request context.
+     */
+    function handleRevoke({ req, res, body }) {
+        if (!authenticateClient(req, body)) {
+            return sendOAuthError(res, 401, 'invalid_client', 'Client authentication failed.');
+        }
+        if (refreshTokens.has(body.token)) {
+            refreshTokens.delete(body.token);
+        } else {
+            const payload = jwt.decode(body.token || '');
+            if (payload?.jti) revokedAccessTokenIds.add(payload.jti);
+        }
+        sendJson(res, 200, {}); // RFC 7009: unknown tokens are not an error.
+    }
+
+    /**
+     * Handles GET /oauth2/default/v1/logout.
+     * @param {object} ctx - The request context.
+     */
+    function handleLogout({ res, url }) {
+        const postLogoutRedirectUri = url.searchParams.get('post_logout_redirect_uri');
+        if (!postLogoutRedirectUri || !/^https?:\/\//.test(postLogoutRedirectUri)) {
+            return sendHtml(res, 200, '<!DOCTYPE html><title>Signed out - Mock Okta</title><p>You have been signed out.</p>');
+        }
+        const target = new URL(postLogoutRedirectUri);
+        if (url.searchParams.get('state')) target.searchParams.set('state', url.searchParams.get('state'));
+        redirect(res, target.toString());
+    }
+
+    const routes = {
+        'GET /oauth2/default/.well-known/openid-configuration': handleDiscovery,
+        'GET /oauth2/default/v1/keys': handleKeys,
+        'GET /oauth2/default/v1/authorize': handleAuthorize,
+        'POST /oauth2/default/v1/authorize': handleAuthorize,
+        'POST /oauth2/default/v1/token': handleToken,
+        'GET /oauth2/default/v1/userinfo': handleUserinfo,
+        'POST /oauth2/default/v1/userinfo': handleUserinfo,
+        'POST /oauth2/default/v1/revoke': handleRevoke,
+        'GET /oauth2/default/v1/logout': handleLogout,
+        'POST /oauth2/v1/token': handleManagementToken,
+    };
+
+    /**
+     * Handles a request under /oauth2.
+     * @param {object} ctx - The request context: `{ req, res, method, url, body, client }`.
+     * @returns {Promise<boolean>} False if no route matched.
+     */
+    async function handle(ctx) {
+        const route = routes[`${ctx.method} ${ctx.url.pathname}`];
+        if (!route) return false;
+        await route(ctx);
+        return true;
+    }
+
+    return {
+        handle,
+
+        /**
+         * Identifies the caller of a Management API request from its bearer token.
+         * @param {object} req - The request.
+         * @returns {{ clientId: string, scopes: string[] }|null} The caller, or null if the token is missing, unknown or expired.
+         */
+        authenticateManagementRequest(req) {
+            const token = (req.headers.authorization || '').match(/^Bearer\s+(.+)$/i)?.[1];
+            const grant = token && managementTokens.get(token);
+            if (!grant || grant.expiresAt < Date.now()) return null;
+            return grant;
+        },
+
+        /**
+         * Revokes every access and refresh token issued to a user (for DELETE /users/{id}/sessions?oauthTokens=true).
+         * @param {string} userId - The user ID.
+         */
+        revokeUserTokens(userId) {
+            (accessTokenIdsByUser.get(userId) || []).forEach(id => revokedAccessTokenIds.add(id));
+            accessTokenIdsByUser.delete(userId);
+            refreshTokens.forEach((grant, token) => grant.userId === userId && refreshTokens.delete(token));
+        },
+    };
+}
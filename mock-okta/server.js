@@ -0,0 +1,207 @@
+// mock-okta/server.js
+// A local stand-in for an Okta org, for offline development and tests. It serves the OpenID Connect endpoints
+// of the default authorization server, the Management API token endpoint (private_key_jwt) and the
+// /api/v1 users, groups and logs endpoints the app uses, all backed by seedable in-memory fixtures.
+//
+// Run it next to `vercel dev` with the app pointed at it:
+//   OKTA_BASE_URL=http://localhost:4000 npm run mock-okta
+// Or start it from code (tests):
+//   const mock = createMockOktaServer({ fixtures });
+//   const { baseUrl } = await mock.listen();
+//   mock.failNext({ path: '/api/v1/groups', status: 503 }); // simulate an outage for the next matching request
+//   ...
+//   await mock.close();
+import http from 'http';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { createMockStore } from './store.js';
+import { createOAuthRoutes } from './oauth.js';
+import { createManagementApiRoutes } from './management-api.js';
+import { readBody, sendOktaError } from './http.js';
+
+const DEFAULT_PORT = 4000;
+const DEFAULT_FIXTURES_PATH = fileURLToPath(new URL('./fixtures.json', import.meta.url));
+const METHODS_WITH_BODY = ['POST', 'PUT', 'DELETE'];
+
+/**
+ * Creates a mock Okta server. It does not listen until `listen()` is called.
+ * @param {object} [options]
+ * @param {object} [options.fixtures] - Seed users and groups (see store.js).
+ * @param {string} [options.baseUrl] - The public base URL; defaults to http://localhost:<port> once listening.
+ * @param {string} [options.clientId] - The OIDC app's client ID; any client ID is accepted if unset.
+ * @param {string} [options.clientSecret] - The OIDC app's client secret; not checked if unset.
+ * @param {string} [options.audience='api://default'] - The `aud` of issued access tokens.
+ * @param {string[]} [options.redirectUris] - Allowed redirect URIs; any http(s) URI is accepted if unset.
+ * @param {string} [options.m2mClientId] - The API Services app's client ID; any issuer is accepted if unset.
+ * @param {crypto.KeyObject|string} [options.m2mPublicKey] - Verifies client assertions; signatures are not checked if unset.
+ * @param {number} [options.rateLimit=600] - Management API requests allowed per bucket per minute.
+ * @returns {{ server: http.Server, store: object, listen: function(number=, string=): Promise<{ port: number, baseUrl: string }>, failNext: function(object): void, close: function(): Promise<void> }}
+ */
+export function createMockOktaServer({
+    fixtures,
+    baseUrl,
+    clientId,
+    clientSecret,
+    audience = 'api://default',
+    redirectUris,
+    m2mClientId,
+    m2mPublicKey,
+    rateLimit = 600,
+} = {}) {
+    const config = {
+        baseUrl: baseUrl ? baseUrl.replace(/\/+$/, '') : '',
+        clientId, clientSecret, audience, redirectUris, m2mClientId, m2mPublicKey, rateLimit,
+    };
+    const store = createMockStore(fixtures);
+    const oauth = createOAuthRoutes(store, config);
+    const managementApi = createManagementApiRoutes(store, config, oauth);
+    const faults = []; // Pending failures from failNext(): { method, path, status, headers, errorCode, errorSummary, body, disconnect, remaining }
+
+    /**
+     * Handles one request.
+     * @param {http.IncomingMessage} req - The request.
+     * @param {http.ServerResponse} res - The response.
+     */
+    async function handleRequest(req, res) {
+        const url = new URL(req.url, config.baseUrl || 'http://localhost');
+        res.on('finish', () => console.log(`[Mock Okta] ${req.method} ${url.pathname} ${res.statusCode}`));
+
+        let body = {};
+        if (METHODS_WITH_BODY.includes(req.method)) {
+            try {
+                body = await readBody(req);
+            } catch (error) {
+                return sendOktaError(res, 400, 'E0000003', 'The request body was not well-formed.', [error.message]);
+            }
+        }
+        const fault = faults.find(candidate => (!candidate.method || candidate.method === req.method) && url.pathname.startsWith(candidate.path));
+        if (fault) {
+            if (--fault.remaining === 0) faults.splice(faults.indexOf(fault), 1);
+            if (fault.disconnect) return req.socket.destroy();
+            Object.entries(fault.headers).forEach(([name, value]) => res.setHeader(name, value));
+            if (fault.body !== undefined) {
+                res.writeHead(fault.status, { 'Content-Type': 'text/html' });
+                return res.end(fault.body);
+            }
+            return sendOktaError(res, fault.status, fault.errorCode, fault.errorSummary);
+        }
+
+        const ctx = {
+            req, res, url, body,
+            method: req.method,
+            client: { ipAddress: req.socket.remoteAddress, userAgent: req.headers['user-agent'] || null },
+        };
+
+        try {
+            let handled = false;
+            if (url.pathname.startsWith('/oauth2/')) {
+                handled = await oauth.handle(ctx);
+            } else if (url.pathname.startsWith('/api/v1/')) {
+                handled = await managementApi.handle(ctx);
+            }
+            if (!handled) {
+                sendOktaError(res, 404, 'E0000007', `Not found: Resource not found: ${url.pathname} (GenericResource)`);
+            }
+        } catch (error) {
+            console.error(`[Mock Okta] Error handling ${req.method} ${url.pathname}:`, error);
+            if (!res.headersSent) {
+                sendOktaError(res, 500, 'E0000009', 'Internal Server Error');
+            }
+        }
+    }
+
+    const server = http.createServer(handleRequest);
+
+    return {
+        server,
+        store,
+
+        /**
+         * Starts listening.
+         * @param {number} [port=0] - The port; 0 picks a free one.
+         * @param {string} [host] - The interface to bind.
+         * @returns {Promise<{ port: number, baseUrl: string }>} The bound port and the server's base URL.
+         */
+        listen(port = 0, host) {
+            return new Promise((resolve, reject) => {
+                server.once('error', reject);
+                server.listen(port, host, () => {
+                    server.off('error', reject);
+                    const boundPort = server.address().port;
+                    if (!config.baseUrl) config.baseUrl = `http://localhost:${boundPort}`;
+                    resolve({ port: boundPort, baseUrl: config.baseUrl });
+                });
+            });
+        },
+
+        /**
+         * Makes the next request(s) matching a method and path prefix fail, to test how callers handle
+         * Okta errors, outages and rate limiting. The request is answered before it reaches any route.
+         * @param {object} fault
+         * @param {string} fault.path - Path prefix to match, e.g. '/api/v1/groups'.
+         * @param {number} fault.status - The HTTP status to answer with.
+         * @param {string} [fault.method] - Only fail requests with this method (any method if unset).
+         * @param {number} [fault.times=1] - How many matching requests fail.
+         * @param {object} [fault.headers] - Extra response headers, e.g. X-Rate-Limit-Reset for a 429.
+         * @param {string} [fault.errorCode='E0000009'] - The Okta error code in the body.
+         * @param {string} [fault.errorSummary='Internal Server Error'] - The error message in the body.
+         * @param {string} [fault.body] - A raw (HTML) body to send instead of an Okta error, like a proxy's error page.
+         * @param {boolean} [fault.disconnect=false] - Drop the connection without answering (a network error); `status` is ignored.
+         */
+        failNext({ path, status, method, times = 1, headers = {}, errorCode = 'E0000009', errorSummary = 'Internal Server Error', body, disconnect = false }) {
+            faults.push({ path, status, method, headers, errorCode, errorSummary, body, disconnect, remaining: times });
+        },
+
+        /**
+         * Stops the server, closing idle keep-alive connections.
+         * @returns {Promise<void>}
+         */
+        close() {
+            return new Promise((resolve, reject) => {
+                server.close(error => (error ? reject(error) : resolve()));
+                server.closeIdleConnections();
+            });
+        },
+    };
+}
+
+/**
+ * Runs the server from the command line, configured from the same .env as the app.
+ */
+async function main() {
+    await import('dotenv/config');
+    const fixturesPath = process.env.MOCK_OKTA_FIXTURES || DEFAULT_FIXTURES_PATH;
+    const fixtures = JSON.parse(fs.readFileSync(path.resolve(fixturesPath), 'utf8'));
+
+    const baseUrl = process.env.OKTA_BASE_URL ? process.env.OKTA_BASE_URL.replace(/\/+$/, '') : undefined;
+    const port = Number(process.env.MOCK_OKTA_PORT) || Number(baseUrl && new URL(baseUrl).port) || DEFAULT_PORT;
+
+    let m2mPublicKey;
+    if (process.env.OKTA_M2M_PRIVATE_KEY) {
+        const privateKeyPem = Buffer.from(process.env.OKTA_M2M_PRIVATE_KEY, 'base64').toString('utf8');
+        m2mPublicKey = crypto.createPublicKey(privateKeyPem);
+    } else {
+        console.warn('[Mock Okta] OKTA_M2M_PRIVATE_KEY is not set; Management API client assertions will not be signature-checked.');
+    }
+
+    const mock = createMockOktaServer({
+        fixtures,
+        baseUrl: baseUrl || `http://localhost:${port}`,
+        clientId: process.env.AUTH0_CLIENT_ID,
+        clientSecret: process.env.AUTH0_CLIENT_SECRET,
+        audience: process.env.AUTH0_AUDIENCE || undefined,
+        m2mClientId: process.env.OKTA_M2M_CLIENT_ID,
+        m2mPublicKey,
+    });
+    const { baseUrl: listeningUrl } = await mock.listen(port);
+    console.log(`[Mock Okta] Listening on ${listeningUrl} with ${mock.store.listUsers().length} users and ${mock.store.listGroups().length} groups from ${fixturesPath}`);
+}
+
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+    main().catch(error => {
+        console.error('[Mock Okta] Failed to start:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,316 @@
+// mock-okta/store.js
+// In-memory state of the mock Okta org: users, groups, memberships and System Log events, seeded from fixtures.
+// Fixtures are a JSON object (see fixtures.json):
+//   {
+//     "groups": [{ "id"?, "name", "description"?, "type"?: "OKTA_GROUP" | "BUILT_IN" }],
+//     "users":  [{ "id"?, "login", "email"?, "firstName", "lastName", "password"?, "status"?: "ACTIVE",
+//                  "groups"?: ["<group name>"], "profile"?: { <other profile attributes> } }]
+//   }
+// IDs default to stable values derived from the login or group name, so they survive restarts.
+// Passwords are kept in plain text: this server is for local development and tests only.
+import crypto from 'crypto';
+
+// Oldest System Log events are dropped beyond this many.
+const MAX_EVENTS = 10000;
+
+/**
+ * Creates an Okta-style ID: a three-character type prefix and 17 characters.
+ * @param {string} prefix - '00u' for users, '00g' for groups.
+ * @param {string} [seed] - Derive the ID from this value instead of randomly.
+ * @returns {string} The ID.
+ */
+function makeId(prefix, seed) {
+    const source = seed ? crypto.createHash('sha256').update(seed).digest('hex') : crypto.randomBytes(16).toString('hex');
+    return `${prefix}${source.slice(0, 17)}`;
+}
+
+/**
+ * Creates the store.
+ * @param {object} [fixtures] - The seed data.
+ * @returns {object} The store.
+ */
+export function createMockStore(fixtures = {}) {
+    const users = new Map();       // id -> user record (Okta user fields plus `password` and `failedLogins`)
+    const groups = new Map();      // id -> Okta group
+    const memberships = new Map(); // group id -> Set of user ids (BUILT_IN groups contain every user instead)
+    const events = [];             // System Log events, oldest first
+
+    const store = {
+        /**
+         * Returns the Okta API representation of a user (without the password).
+         * @param {object} user - The user record.
+         * @returns {object} The Okta user.
+         */
+        toOktaUser(user) {
+            const { password, failedLogins, ...oktaUser } = user;
+            return {
+                ...oktaUser,
+                profile: { ...user.profile },
+                credentials: {
+                    ...(password ? { password: {} } : {}),
+                    provider: { type: 'OKTA', name: 'OKTA' },
+                },
+            };
+        },
+
+        /**
+         * Finds a user by ID or login (Okta accepts either in /users/{id}).
+         * @param {string} idOrLogin - The user ID or login.
+         * @returns {object|undefined} The user record.
+         */
+        findUser(idOrLogin) {
+            if (users.has(idOrLogin)) return users.get(idOrLogin);
+            const login = String(idOrLogin).toLowerCase();
+            return [...users.values()].find(user => user.profile.login.toLowerCase() === login);
+        },
+
+        /** @returns {object[]} Every user record, oldest first. */
+        listUsers() {
+            return [...users.values()];
+        },
+
+        /**
+         * Whether a login is taken by a user other than `exceptId`.
+         * @param {string} login - The login.
+         * @param {string} [exceptId] - A user ID to ignore (the user being updated).
+         * @returns {boolean} True if taken.
+         */
+        isLoginTaken(login, exceptId) {
+            const existing = store.findUser(login);
+            return Boolean(existing && existing.id !== exceptId);
+        },
+
+        /**
+         * Adds a user and puts them in the built-in groups.
+         * @param {object} options
+         * @param {object} options.profile - The profile (login, email, firstName, lastName, ...).
+         * @param {string} [options.password] - The password.
+         * @param {string} [options.status='ACTIVE'] - The initial status.
+         * @param {string} [options.id] - A fixed ID.
+         * @returns {object} The user record.
+         */
+        createUser({ profile, password, status = 'ACTIVE', id }) {
+            const now = new Date().toISOString();
+            const user = {
+                id: id || makeId('00u'),
+                status,
+                created: now,
+                activated: status === 'STAGED' ? null : now,
+                statusChanged: status === 'STAGED' ? null : now,
+                lastLogin: null,
+                lastUpdated: now,
+                passwordChanged: password ? now : null,
+                type: { id: 'otymockdefaultusertype' },
+                profile: { ...profile, email: profile.email || profile.login },
+                password: password || null,
+                failedLogins: 0,
+            };
+            users.set(user.id, user);
+            return user;
+        },
+
+        /**
+         * Changes a user's status, recording when it happened.
+         * @param {object} user - The user record.
+         * @param {string} status - The new status.
+         */
+        setStatus(user, status) {
+            const now = new Date().toISOString();
+            if (status === 'PROVISIONED' || (status === 'ACTIVE' && !user.activated)) user.activated = now;
+            user.status = status;
+            user.statusChanged = now;
+            user.lastUpdated = now;
+        },
+
+        /**
+         * Removes a user and their memberships.
+         * @param {object} user - The user record.
+         */
+        deleteUser(user) {
+            users.delete(user.id);
+            memberships.forEach(members => members.delete(user.id));
+        },
+
+        /**
+         * Returns the Okta API representation of a group.
+         * @param {object} group - The group.
+         * @returns {object} A copy of the group.
+         */
+        toOktaGroup(group) {
+            return { ...group, profile: { ...group.profile } };
+        },
+
+        /**
+         * Finds a group by ID.
+         * @param {string} groupId - The group ID.
+         * @returns {object|undefined} The group.
+         */
+        findGroup(groupId) {
+            return groups.get(groupId);
+        },
+
+        /**
+         * Finds a group by exact name (case-insensitive, as Okta enforces unique names that way).
+         * @param {string} name - The group name.
+         * @returns {object|undefined} The group.
+         */
+        findGroupByName(name) {
+            const needle = String(name).toLowerCase();
+            return [...groups.values()].find(group => group.profile.name.toLowerCase() === needle);
+        },
+
+        /** @returns {object[]} Every group, oldest first. */
+        listGroups() {
+            return [...groups.values()];
+        },
+
+        /**
+         * Adds a group.
+         * @param {object} options
+         * @param {string} options.name - The group name.
+         * @param {string} [options.description] - The description.
+         * @param {string} [options.type='OKTA_GROUP'] - The group type.
+         * @param {string} [options.id] - A fixed ID.
+         * @returns {object} The group.
+         */
+        createGroup({ name, description = '', type = 'OKTA_GROUP', id }) {
+            const now = new Date().toISOString();
+            const group = {
+                id: id || makeId('00g'),
+                created: now,
+                lastUpdated: now,
+                lastMembershipUpdated: now,
+                objectClass: ['okta:user_group'],
+                type,
+                profile: { name, description },
+            };
+            groups.set(group.id, group);
+            memberships.set(group.id, new Set());
+            return group;
+        },
+
+        /**
+         * Removes a group and its memberships.
+         * @param {object} group - The group.
+         */
+        deleteGroup(group) {
+            groups.delete(group.id);
+            memberships.delete(group.id);
+        },
+
+        /**
+         * Lists a group's members.
+         * @param {object} group - The group.
+         * @returns {object[]} The member user records.
+         */
+        listGroupMembers(group) {
+            if (group.type === 'BUILT_IN') return store.listUsers();
+            return [...memberships.get(group.id)].map(userId => users.get(userId)).filter(Boolean);
+        },
+
+        /**
+         * Lists the groups a user belongs to.
+         * @param {object} user - The user record.
+         * @returns {object[]} The groups.
+         */
+        listUserGroups(user) {
+            return store.listGroups().filter(group => group.type === 'BUILT_IN' || memberships.get(group.id).has(user.id));
+        },
+
+        /**
+         * Adds a user to or removes them from a group.
+         * @param {object} group - The group (not BUILT_IN).
+         * @param {object} user - The user record.
+         * @param {boolean} member - True to add, false to remove.
+         * @returns {boolean} Whether the membership changed.
+         */
+        setMembership(group, user, member) {
+            const members = memberships.get(group.id);
+            if (members.has(user.id) === member) return false;
+            if (member) members.add(user.id);
+            else members.delete(user.id);
+            group.lastMembershipUpdated = new Date().toISOString();
+            return true;
+        },
+
+        /** @returns {object[]} The System Log events, oldest first. */
+        listEvents() {
+            return events;
+        },
+
+        /**
+         * Appends a System Log event.
+         * @param {object} event
+         * @param {string} event.eventType - E.g. 'user.lifecycle.suspend'.
+         * @param {string} event.displayMessage - E.g. 'Suspend Okta user'.
+         * @param {object} event.actor - From userRef() or clientRef().
+         * @param {object[]} [event.targets] - From userRef() or groupRef().
+         * @param {string} [event.result='SUCCESS'] - The outcome.
+         * @param {string} [event.reason] - The outcome reason.
+         * @param {object} [event.client] - Request details: `{ ipAddress, userAgent }`.
+         */
+        recordEvent({ eventType, displayMessage, actor, targets = [], result = 'SUCCESS', reason = null, client = {} }) {
+            events.push({
+                uuid: crypto.randomUUID(),
+                published: new Date().toISOString(),
+                eventType,
+                displayMessage,
+                severity: result === 'SUCCESS' ? 'INFO' : 'WARN',
+                outcome: { result, reason },
+                actor,
+                client: {
+                    ipAddress: client.ipAddress || '127.0.0.1',
+                    userAgent: { rawUserAgent: client.userAgent || null },
+                    geographicalContext: { city: null, country: null },
+                },
+                target: targets,
+            });
+            if (events.length > MAX_EVENTS) events.shift();
+        },
+    };
+
+    for (const fixture of fixtures.groups || []) {
+        store.createGroup({ ...fixture, id: fixture.id || makeId('00g', `group:${fixture.name}`) });
+    }
+    for (const fixture of fixtures.users || []) {
+        const user = store.createUser({
+            id: fixture.id || makeId('00u', `user:${fixture.login}`),
+            profile: { ...fixture.profile, login: fixture.login, email: fixture.email || fixture.login, firstName: fixture.firstName, lastName: fixture.lastName },
+            password: fixture.password,
+            status: fixture.status || 'ACTIVE',
+        });
+        for (const groupName of fixture.groups || []) {
+            const group = store.findGroupByName(groupName);
+            if (!group) throw new Error(`Fixture user '${fixture.login}' refers to unknown group '${groupName}'.`);
+            if (group.type !== 'BUILT_IN') store.setMembership(group, user, true);
+        }
+    }
+    return store;
+}
+
+/**
+ * Describes a user as a System Log actor or target.
+ * @param {object} user - The user record.
+ * @returns {object} The reference.
+ */
+export function userRef(user) {
+    return { id: user.id, type: 'User', alternateId: user.profile.login, displayName: `${user.profile.firstName || ''} ${user.profile.lastName || ''}`.trim() };
+}
+
+/**
+ * Describes a group as a System Log target.
+ * @param {object} group - The group.
+ * @returns {object} The reference.
+ */
+export function groupRef(group) {
+    return { id: group.id, type: 'UserGroup', alternateId: 'unknown', displayName: group.profile.name };
+}
+
+/**
+ * Describes an OAuth client (the app's M2M client) as a System Log actor.
+ * @param {string} clientId - The client ID.
+ * @returns {object} The reference.
+ */
+export function clientRef(clientId) {
+    return { id: clientId, type: 'PublicClientApp', alternateId: clientId, displayName: 'Management API client' };
+}
@@ -0,0 +1,164 @@
+// test/auth.test.js
+// /api/auth: the authorization code exchange and the refresh mode, in token and cookie session modes.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, authorize, invoke, USERS, REDIRECT_URI } from './helpers.js';
+
+const { mock, baseUrl } = await startMockOkta();
+const { default: handler } = await import('../api/auth.js');
+
+after(() => mock.close());
+
+/**
+ * Signs a user in at the mock and completes the login through the handler.
+ * @param {object} user - Fixture credentials.
+ * @param {object} [overrides] - Body fields to replace.
+ * @returns {Promise<object>} The handler's response.
+ */
+async function login(user, overrides = {}) {
+    const { code, codeVerifier, nonce } = await authorize(baseUrl, user);
+    return invoke(handler, {
+        method: 'POST',
+        body: { code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier, nonce, ...overrides },
+    });
+}
+
+describe('code exchange', () => {
+    test('returns the tokens, the profile and the roles from the verified ID token', async () => {
+        const res = await login(USERS.admin);
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.accessToken && res.body.idToken && res.body.refreshToken);
+        assert.equal(res.body.expiresIn, 3600);
+        assert.equal(res.body.profile.id, mock.store.findUser(USERS.admin.login).id);
+        assert.deepEqual(
+            { firstName: res.body.profile.firstName, lastName: res.body.profile.lastName, email: res.body.profile.email, name: res.body.profile.name },
+            { firstName: 'Ada', lastName: 'Admin', email: USERS.admin.login, name: 'Ada Admin' },
+        );
+        assert.deepEqual(res.body.roles.sort(), ['AccessBoardUsers', 'Admin', 'Everyone']);
+    });
+
+    for (const [field, message] of [
+        ['code', /Authorization code is missing/],
+        ['redirect_uri', /Redirect URI is missing/],
+        ['code_verifier', /code_verifier is missing/],
+        ['nonce', /Nonce is missing/],
+    ]) {
+        test(`rejects a request without ${field} with 400`, async () => {
+            const res = await login(USERS.user, { [field]: undefined });
+
+            assert.equal(res.statusCode, 400);
+            assert.match(res.body.error, message);
+        });
+    }
+
+    test('rejects a malformed code_verifier with 400', async () => {
+        const res = await login(USERS.user, { code_verifier: 'too-short' });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /code_verifier is malformed/);
+    });
+
+    test("passes on Okta's error when the PKCE verifier does not match", async () => {
+        const res = await login(USERS.user, { code_verifier: 'x'.repeat(43) });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Okta token exchange failed.');
+        assert.equal(res.body.details.error, 'invalid_grant');
+    });
+
+    test('rejects a code that was already used', async () => {
+        const { code, codeVerifier, nonce } = await authorize(baseUrl, USERS.user);
+        const body = { code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier, nonce };
+        assert.equal((await invoke(handler, { method: 'POST', body })).statusCode, 200);
+
+        const res = await invoke(handler, { method: 'POST', body });
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.details.error, 'invalid_grant');
+    });
+
+    test('rejects an ID token whose nonce does not match with 401', async () => {
+        const res = await login(USERS.user, { nonce: 'another-nonce' });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'ID token verification failed.');
+        assert.match(res.body.details, /nonce/);
+    });
+
+    test("passes on Okta's status when the token endpoint fails", async () => {
+        mock.failNext({ path: '/oauth2/default/v1/token', status: 503 });
+        const res = await login(USERS.user);
+
+        assert.equal(res.statusCode, 503);
+        assert.equal(res.body.error, 'Okta token exchange failed.');
+    });
+
+    test('rejects methods other than POST', async () => {
+        const res = await invoke(handler, { method: 'GET' });
+
+        assert.equal(res.statusCode, 405);
+        assert.deepEqual(res.headers.allow, ['POST']);
+    });
+});
+
+describe('refresh mode', () => {
+    test('returns fresh tokens, keeping the refresh token when Okta does not rotate it', async () => {
+        const { body: tokens } = await login(USERS.helpdesk);
+        const res = await invoke(handler, { method: 'POST', body: { grant_type: 'refresh_token', refresh_token: tokens.refreshToken } });
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.accessToken);
+        assert.notEqual(res.body.accessToken, tokens.accessToken);
+        assert.equal(res.body.refreshToken, tokens.refreshToken);
+        assert.equal(res.body.profile.email, USERS.helpdesk.login);
+        assert.ok(res.body.roles.includes('Helpdesk'));
+    });
+
+    test('reports a rejected refresh token as 401 so the client signs in again', async () => {
+        const res = await invoke(handler, { method: 'POST', body: { grant_type: 'refresh_token', refresh_token: 'not-a-refresh-token' } });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.details.error, 'invalid_grant');
+    });
+
+    test('rejects a request without a refresh token with 400', async () => {
+        const res = await invoke(handler, { method: 'POST', body: { grant_type: 'refresh_token' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /Refresh token is missing/);
+    });
+});
+
+describe('cookie session mode', () => {
+    before(() => {
+        Object.assign(process.env, { SESSION_MODE: 'cookie', SESSION_SECRET: 'test-session-secret-that-is-long-enough' });
+    });
+    after(() => {
+        delete process.env.SESSION_MODE;
+        delete process.env.SESSION_SECRET;
+    });
+
+    test('keeps the tokens server-side and sets an HttpOnly session cookie', async () => {
+        const res = await login(USERS.admin);
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.sessionMode, 'cookie');
+        assert.equal(res.body.accessToken, undefined);
+        assert.equal(res.body.refreshToken, undefined);
+        assert.match(res.headers['set-cookie'], /^app_session=[^;]+;.*HttpOnly/);
+
+        const cookie = res.headers['set-cookie'].split(';')[0];
+        const refreshed = await invoke(handler, { method: 'POST', body: { grant_type: 'refresh_token' }, headers: { cookie } });
+        assert.equal(refreshed.statusCode, 200);
+        assert.equal(refreshed.body.sessionMode, 'cookie');
+        assert.equal(refreshed.body.accessToken, undefined);
+        assert.ok(refreshed.body.roles.includes('Admin'));
+    });
+
+    test('rejects a refresh without a session with 401', async () => {
+        const res = await invoke(handler, { method: 'POST', body: { grant_type: 'refresh_token' } });
+
+        assert.equal(res.statusCode, 401);
+        assert.match(res.body.error, /No active session/);
+    });
+});
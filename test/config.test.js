@@ -0,0 +1,75 @@
+// test/config.test.js
+// /api/config: the public client configuration. It reads the environment on every request, so no mock Okta is needed.
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { invoke, ROLE_PERMISSIONS } from './helpers.js';
+
+const { default: handler } = await import('../api/config.js');
+
+beforeEach(() => {
+    for (const name of ['OKTA_BASE_URL', 'SESSION_MODE']) delete process.env[name];
+    Object.assign(process.env, {
+        AUTH0_DOMAIN: 'dev-123456.okta.com',
+        AUTH0_CLIENT_ID: 'web-client',
+        AUTH0_AUDIENCE: 'api://default',
+        ROLE_PERMISSIONS: JSON.stringify(ROLE_PERMISSIONS),
+    });
+});
+
+test('GET returns the client configuration and the role policy', async () => {
+    const res = await invoke(handler);
+
+    assert.equal(res.statusCode, 200);
+    assert.deepEqual(res.body, {
+        oktaDomain: 'dev-123456.okta.com',
+        oktaBaseUrl: 'https://dev-123456.okta.com',
+        oktaClientId: 'web-client',
+        oktaAudience: 'api://default',
+        sessionMode: 'token',
+        rolePermissions: {
+            Admin: ['users:read', 'users:write', 'users:lifecycle', 'users:credentials', 'users:delete', 'roles:manage', 'groups:manage', 'audit:read', 'logs:read'],
+            Helpdesk: ['users:read', 'users:lifecycle'],
+        },
+    });
+});
+
+test('OKTA_BASE_URL overrides the domain, without a trailing slash', async () => {
+    process.env.OKTA_BASE_URL = 'http://localhost:4000/';
+    const res = await invoke(handler);
+
+    assert.equal(res.statusCode, 200);
+    assert.equal(res.body.oktaBaseUrl, 'http://localhost:4000');
+});
+
+test('reports cookie session mode', async () => {
+    process.env.SESSION_MODE = 'cookie';
+    const res = await invoke(handler);
+
+    assert.equal(res.body.sessionMode, 'cookie');
+});
+
+test('fails with 500 when the Okta domain or client ID is missing', async () => {
+    delete process.env.AUTH0_DOMAIN;
+    assert.equal((await invoke(handler)).statusCode, 500);
+
+    process.env.AUTH0_DOMAIN = 'dev-123456.okta.com';
+    delete process.env.AUTH0_CLIENT_ID;
+    const res = await invoke(handler);
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body.error, /Essential client configurations are missing/);
+});
+
+test('fails with 500 when ROLE_PERMISSIONS is invalid', async () => {
+    process.env.ROLE_PERMISSIONS = '{not json';
+    const res = await invoke(handler);
+
+    assert.equal(res.statusCode, 500);
+    assert.match(res.body.error, /Internal server error/);
+});
+
+test('rejects methods other than GET', async () => {
+    const res = await invoke(handler, { method: 'POST', body: {} });
+
+    assert.equal(res.statusCode, 405);
+    assert.deepEqual(res.headers.allow, ['GET']);
+});
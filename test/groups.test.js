@@ -0,0 +1,135 @@
+// test/groups.test.js
+// /api/groups: the group and membership resource routes. vercel.json passes the path segments as
+// `groupId`, `members` and `userId` query parameters.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, signIn, invoke, bearer, USERS } from './helpers.js';
+
+const { mock, baseUrl } = await startMockOkta();
+const { default: handler } = await import('../api/groups.js');
+
+const tokens = {};
+
+before(async () => {
+    for (const name of ['admin', 'helpdesk']) {
+        tokens[name] = (await signIn(baseUrl, USERS[name])).access_token;
+    }
+});
+after(() => mock.close());
+
+/**
+ * Calls /api/groups as a fixture user.
+ * @param {string} method - The HTTP method.
+ * @param {object} [query] - Path segments (`groupId`, `members`, `userId`) and query parameters.
+ * @param {object} [body] - The JSON body.
+ * @param {string} [as='admin'] - A key of `tokens`.
+ * @returns {Promise<object>} The response.
+ */
+function call(method, query = {}, body, as = 'admin') {
+    return invoke(handler, { method, query, body, headers: bearer(tokens[as]) });
+}
+
+const groupId = name => mock.store.findGroupByName(name).id;
+const memberLogins = name => mock.store.listGroupMembers(mock.store.findGroupByName(name)).map(user => user.profile.login);
+
+describe('/api/groups', () => {
+    test('GET lists groups, filtered by name prefix', async () => {
+        const all = await call('GET');
+        assert.equal(all.statusCode, 200);
+        assert.ok(all.body.some(group => group.name === 'Everyone'));
+
+        const filtered = await call('GET', { q: 'Adm' });
+        assert.deepEqual(filtered.body.map(group => group.name), ['Admin']);
+    });
+
+    test('GET pages with a Link header that keeps the filter', async () => {
+        const res = await call('GET', { q: 'A', limit: '1' });
+
+        assert.equal(res.body.length, 1);
+        assert.equal(res.headers.link, `</api/groups?q=A&limit=1&after=${res.body[0].id}>; rel="next"`);
+    });
+
+    test('POST creates a group and points to it', async () => {
+        const res = await call('POST', {}, { name: 'Field Team', description: 'On-site staff' });
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.name, 'Field Team');
+        assert.equal(res.headers.location, `/api/groups/${groupId('Field Team')}`);
+        assert.equal((await call('POST', {}, { name: 'Admin' })).statusCode, 409);
+    });
+
+    test('POST is refused without groups:manage', async () => {
+        const res = await call('POST', {}, { name: 'Helpdesk Made' }, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+    });
+});
+
+describe('/api/groups/:groupId', () => {
+    test('GET reads a group', async () => {
+        const res = await call('GET', { groupId: groupId('Admin') });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, { id: groupId('Admin'), name: 'Admin', description: res.body.description, type: 'OKTA_GROUP', protected: true });
+    });
+
+    test('PATCH renames a group, but not a protected one', async () => {
+        const res = await call('PATCH', { groupId: groupId('Field Team') }, { name: 'Field Crew' });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.name, 'Field Crew');
+        assert.equal(res.body.description, 'On-site staff');
+
+        assert.equal((await call('PATCH', { groupId: groupId('Admin') }, { name: 'Admins' })).statusCode, 403);
+    });
+
+    test('DELETE deletes a group', async () => {
+        await call('POST', {}, { name: 'Disposable' });
+        const res = await call('DELETE', { groupId: groupId('Disposable') });
+
+        assert.equal(res.statusCode, 204);
+        assert.equal(mock.store.findGroupByName('Disposable'), undefined);
+    });
+
+    test('rejects other methods with 405', async () => {
+        const res = await call('POST', { groupId: groupId('Admin') }, {});
+
+        assert.equal(res.statusCode, 405);
+        assert.deepEqual(res.headers.allow, ['GET', 'PATCH', 'DELETE']);
+    });
+});
+
+describe('/api/groups/:groupId/members', () => {
+    test('PUT and DELETE on a member add and remove them', async () => {
+        const group = groupId('Field Crew');
+        const user = mock.store.findUser(USERS.user.login).id;
+
+        const added = await call('PUT', { groupId: group, userId: user });
+        assert.equal(added.statusCode, 204);
+        assert.deepEqual(memberLogins('Field Crew'), [USERS.user.login]);
+
+        const listed = await call('GET', { groupId: group, members: 'true' });
+        assert.equal(listed.statusCode, 200);
+        assert.deepEqual(listed.body.map(member => member.email), [USERS.user.login]);
+
+        const removed = await call('DELETE', { groupId: group, userId: user });
+        assert.equal(removed.statusCode, 204);
+        assert.deepEqual(memberLogins('Field Crew'), []);
+    });
+
+    test('membership changes are refused without roles:manage', async () => {
+        const res = await call('PUT', { groupId: groupId('Admin'), userId: mock.store.findUser(USERS.helpdesk.login).id }, undefined, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+        assert.ok(!memberLogins('Admin').includes(USERS.helpdesk.login));
+    });
+
+    test('rejects other methods with 405', async () => {
+        const members = await call('POST', { groupId: groupId('Admin'), members: 'true' }, {});
+        assert.equal(members.statusCode, 405);
+        assert.deepEqual(members.headers.allow, ['GET']);
+
+        const member = await call('GET', { groupId: groupId('Admin'), userId: 'someone' });
+        assert.equal(member.statusCode, 405);
+        assert.deepEqual(member.headers.allow, ['PUT', 'DELETE']);
+    });
+});
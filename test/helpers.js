@@ -0,0 +1,214 @@
+// test/helpers.js
+// Shared setup for the API handler tests: an in-process mock Okta (mock-okta/server.js) seeded with
+// mock-okta/fixtures.json, the environment the handlers read, sign-in helpers, and fake Vercel req/res objects.
+//
+// The handlers and lib/okta-management-client.js read their configuration when first imported, so a test file
+// calls startMockOkta() first and imports the handler afterwards:
+//   const okta = await startMockOkta();
+//   const { default: handler } = await import('../api/config.js');
+// Handler and mock logs are silenced; set TEST_LOGS=1 to see them.
+import crypto from 'crypto';
+import fs from 'fs';
+import { createMockOktaServer } from '../mock-okta/server.js';
+
+export const WEB_CLIENT_ID = 'test-web-client';
+export const WEB_CLIENT_SECRET = 'test-web-secret';
+export const M2M_CLIENT_ID = 'test-m2m-client';
+export const REDIRECT_URI = 'http://localhost:3000/callback.html';
+
+// Fixture users (see mock-okta/fixtures.json) and their passwords.
+export const USERS = {
+    admin: { login: 'admin@example.com', password: 'Admin123!' },
+    helpdesk: { login: 'helpdesk@example.com', password: 'Helpdesk123!' },
+    user: { login: 'user@example.com', password: 'User123!' },
+    suspended: { login: 'suspended@example.com', password: 'Suspended123!' },
+    staged: { login: 'staged@example.com' },
+};
+
+// Admin has every permission; Helpdesk may read users and run lifecycle actions; plain users have none.
+export const ROLE_PERMISSIONS = { Admin: ['*'], Helpdesk: ['users:read', 'users:lifecycle'] };
+
+if (!process.env.TEST_LOGS) {
+    for (const level of ['log', 'info', 'warn', 'error']) {
+        console[level] = () => {};
+    }
+}
+
+/**
+ * Starts a mock Okta on a free port and points the app's environment at it.
+ * @returns {Promise<{ mock: object, baseUrl: string }>} The mock server (see createMockOktaServer) and its base URL.
+ */
+export async function startMockOkta() {
+    const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+    const fixtures = JSON.parse(fs.readFileSync(new URL('../mock-okta/fixtures.json', import.meta.url), 'utf8'));
+    const mock = createMockOktaServer({
+        fixtures,
+        clientId: WEB_CLIENT_ID,
+        clientSecret: WEB_CLIENT_SECRET,
+        m2mClientId: M2M_CLIENT_ID,
+        m2mPublicKey: publicKey,
+    });
+    const { baseUrl } = await mock.listen();
+
+    delete process.env.AUTH0_DOMAIN;
+    delete process.env.SESSION_MODE;
+    Object.assign(process.env, {
+        OKTA_BASE_URL: baseUrl,
+        AUTH0_CLIENT_ID: WEB_CLIENT_ID,
+        AUTH0_CLIENT_SECRET: WEB_CLIENT_SECRET,
+        AUTH0_AUDIENCE: 'api://default',
+        OKTA_M2M_CLIENT_ID: M2M_CLIENT_ID,
+        OKTA_M2M_PRIVATE_KEY: Buffer.from(privateKey.export({ type: 'pkcs8', format: 'pem' })).toString('base64'),
+        ROLE_PERMISSIONS: JSON.stringify(ROLE_PERMISSIONS),
+        AUDIT_STORE: 'memory',
+        SESSION_STORE: 'memory',
+    });
+    return { mock, baseUrl };
+}
+
+/**
+ * Signs a fixture user in at the mock's authorize endpoint, as the browser would, and returns the authorization code.
+ * @param {string} baseUrl - The mock's base URL.
+ * @param {{ login: string, password: string }} user - The credentials.
+ * @param {object} [options]
+ * @param {string} [options.scope] - The requested scopes.
+ * @returns {Promise<{ code: string, codeVerifier: string, nonce: string }>} The code and the PKCE verifier and nonce sent with it.
+ */
+export async function authorize(baseUrl, { login, password }, { scope = 'openid profile email offline_access groups' } = {}) {
+    const codeVerifier = crypto.randomBytes(32).toString('base64url');
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const authorizeQuery = new URLSearchParams({
+        client_id: WEB_CLIENT_ID,
+        redirect_uri: REDIRECT_URI,
+        response_type: 'code',
+        scope,
+        state: 'test-state',
+        nonce,
+        code_challenge: crypto.createHash('sha256').update(codeVerifier).digest('base64url'),
+        code_challenge_method: 'S256',
+    });
+    const response = await fetch(`${baseUrl}/oauth2/default/v1/authorize`, {
+        method: 'POST',
+        redirect: 'manual',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({ authorize_query: authorizeQuery.toString(), login, password }),
+    });
+    const location = response.headers.get('location');
+    if (response.status !== 302 || !location) {
+        throw new Error(`Sign-in as ${login} failed with status ${response.status}.`);
+    }
+    return { code: new URL(location).searchParams.get('code'), codeVerifier, nonce };
+}
+
+/**
+ * Signs a fixture user in and exchanges the code for tokens directly at the mock (bypassing /api/auth).
+ * @param {string} baseUrl - The mock's base URL.
+ * @param {{ login: string, password: string }} user - The credentials.
+ * @param {object} [options] - Passed to authorize().
+ * @returns {Promise<object>} Okta's token response (`access_token`, `id_token`, `refresh_token`, ...).
+ */
+export async function signIn(baseUrl, user, options) {
+    const { code, codeVerifier } = await authorize(baseUrl, user, options);
+    const response = await fetch(`${baseUrl}/oauth2/default/v1/token`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: new URLSearchParams({
+            grant_type: 'authorization_code',
+            client_id: WEB_CLIENT_ID,
+            client_secret: WEB_CLIENT_SECRET,
+            code,
+            code_verifier: codeVerifier,
+            redirect_uri: REDIRECT_URI,
+        }),
+    });
+    if (!response.ok) {
+        throw new Error(`Token exchange for ${user.login} failed with status ${response.status}.`);
+    }
+    return response.json();
+}
+
+/**
+ * Creates a fake Vercel request.
+ * @param {object} [options]
+ * @param {string} [options.method='GET'] - The HTTP method.
+ * @param {object} [options.query] - The parsed query string.
+ * @param {object} [options.body] - The parsed body.
+ * @param {object} [options.headers] - Request headers (lower-case names).
+ * @returns {object} The request.
+ */
+export function createRequest({ method = 'GET', query = {}, body, headers = {} } = {}) {
+    const search = new URLSearchParams(query).toString();
+    return { method, query, body, headers, url: `/api/test${search ? `?${search}` : ''}` };
+}
+
+/**
+ * Creates a fake Vercel response that records what the handler sends.
+ * `body` holds the JSON body (as the client would parse it), `text` anything written with send/write/end.
+ * @returns {object} The response.
+ */
+export function createResponse() {
+    const res = {
+        statusCode: 200,
+        headers: {},
+        body: undefined,
+        text: '',
+        headersSent: false,
+        finished: false,
+        destroyedWith: null,
+        status(code) {
+            res.statusCode = code;
+            return res;
+        },
+        setHeader(name, value) {
+            res.headers[name.toLowerCase()] = value;
+            return res;
+        },
+        getHeader(name) {
+            return res.headers[name.toLowerCase()];
+        },
+        json(body) {
+            res.setHeader('Content-Type', 'application/json; charset=utf-8');
+            res.body = body === undefined ? undefined : JSON.parse(JSON.stringify(body));
+            return res.end();
+        },
+        send(body) {
+            return res.end(body);
+        },
+        write(chunk) {
+            res.headersSent = true;
+            res.text += chunk;
+            return true;
+        },
+        end(chunk) {
+            if (chunk !== undefined) res.text += chunk;
+            res.headersSent = true;
+            res.finished = true;
+            return res;
+        },
+        destroy(error) {
+            res.destroyedWith = error || new Error('Response destroyed.');
+        },
+    };
+    return res;
+}
+
+/**
+ * Runs a handler with a fake request and returns the response once it has finished.
+ * @param {function(object, object): Promise<void>} handler - The API handler.
+ * @param {object} [requestOptions] - See createRequest().
+ * @returns {Promise<object>} The response (see createResponse()).
+ */
+export async function invoke(handler, requestOptions) {
+    const res = createResponse();
+    await handler(createRequest(requestOptions), res);
+    return res;
+}
+
+/**
+ * Returns the Authorization header for an access token.
+ * @param {string} accessToken - The token.
+ * @returns {{ authorization: string }} The header.
+ */
+export function bearer(accessToken) {
+    return { authorization: `Bearer ${accessToken}` };
+}
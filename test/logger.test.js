@@ -0,0 +1,135 @@
+// test/logger.test.js
+// lib/logger.js: redaction, and what the handlers log at the most verbose level. Passwords, authorization
+// codes, tokens and personal data must never reach the log; every entry names its module, action and actor.
+import { test, describe, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, authorize, signIn, invoke, bearer, REDIRECT_URI, USERS } from './helpers.js';
+
+// Request and response bodies are only logged at debug level.
+process.env.LOG_LEVEL = 'debug';
+
+const { mock, baseUrl } = await startMockOkta();
+const { redact, createLogger, runWithLogContext, setLogContext } = await import('../lib/logger.js');
+const { default: managementHandler } = await import('../api/okta-user-management.js');
+const { default: authHandler } = await import('../api/auth.js');
+
+after(() => mock.close());
+
+/**
+ * Runs a function and collects everything it writes to the console.
+ * @param {function(): Promise<void>} fn - The function.
+ * @returns {Promise<{ lines: string[], entries: object[] }>} Every line, and the parsed JSON log entries among them.
+ */
+async function captureLogs(fn) {
+    const lines = [];
+    const originals = { log: console.log, warn: console.warn, error: console.error };
+    for (const name of Object.keys(originals)) {
+        console[name] = (...args) => lines.push(args.join(' '));
+    }
+    try {
+        await fn();
+    } finally {
+        Object.assign(console, originals);
+    }
+    return { lines, entries: lines.filter(line => line.startsWith('{')).map(line => JSON.parse(line)) };
+}
+
+describe('redact', () => {
+    test('replaces secrets and personal data at any depth', () => {
+        const redacted = redact({
+            action: 'createUser',
+            userData: { firstName: 'Ada', lastName: 'Lovelace', email: 'ada@example.com', password: 'Secret-123' },
+            credentials: { password: { value: 'Secret-123' } },
+            grants: [{ access_token: 'at', refresh_token: 'rt', client_assertion: 'ca' }],
+            authorizationCode: 'auth-code',
+            headers: { Authorization: 'Bearer abc' },
+            status: 'ACTIVE',
+        });
+
+        assert.deepEqual(redacted, {
+            action: 'createUser',
+            userData: { firstName: '[REDACTED]', lastName: '[REDACTED]', email: '[REDACTED]', password: '[REDACTED]' },
+            credentials: { password: '[REDACTED]' },
+            grants: [{ access_token: '[REDACTED]', refresh_token: '[REDACTED]', client_assertion: '[REDACTED]' }],
+            authorizationCode: '[REDACTED]',
+            headers: { Authorization: '[REDACTED]' },
+            status: 'ACTIVE',
+        });
+    });
+
+    test('keeps fields that only mention a secret', () => {
+        const fields = { tokenType: 'refresh_token', refreshTokenRotated: true, code: 'VALIDATION_FAILED', passwordChanged: '2024-01-01T00:00:00.000Z' };
+
+        assert.deepEqual(redact(fields), fields);
+    });
+
+    test('masks bearer tokens, JWTs and email addresses in strings', () => {
+        assert.equal(
+            redact('GET /users?search=profile.email eq "ada@example.com" with Bearer abc.def and eyJhbGciOi.eyJzdWIi.c2ln'),
+            'GET /users?search=profile.email eq "[REDACTED]" with Bearer [REDACTED] and [REDACTED]'
+        );
+    });
+
+    test('keeps the name, message and Okta details of errors', () => {
+        const error = new Error('Okta API Error (400): Api validation failed: login');
+        Object.assign(error, { name: 'OktaApiError', upstreamStatus: 400, errorCode: 'E0000001', errorCauses: ['login: taken'] });
+
+        const redacted = redact(error);
+        assert.equal(redacted.name, 'OktaApiError');
+        assert.equal(redacted.upstreamStatus, 400);
+        assert.deepEqual(redacted.errorCauses, ['login: taken']);
+    });
+});
+
+describe('log entries', () => {
+    test('carry the module and the context of the request', async () => {
+        const log = createLogger('test/logger');
+        const { entries } = await captureLogs(() => runWithLogContext({ action: 'testAction', requestId: 'req-1' }, async () => {
+            log.info('Before authentication.');
+            setLogContext({ actor: '00u1' });
+            log.warn('After authentication.', { userId: '00u2', module: 'ignored' });
+        }));
+
+        assert.deepEqual(entries.map(({ time, ...entry }) => entry), [
+            { level: 'info', module: 'test/logger', action: 'testAction', actor: null, requestId: 'req-1', msg: 'Before authentication.' },
+            { level: 'warn', module: 'test/logger', action: 'testAction', actor: '00u1', requestId: 'req-1', msg: 'After authentication.', userId: '00u2' },
+        ]);
+    });
+
+    test('createUser logs neither the password nor the new user\'s email', async () => {
+        const { access_token: accessToken } = await signIn(baseUrl, USERS.admin);
+        const password = 'Very-Secret-Password-1';
+        const { lines, entries } = await captureLogs(async () => {
+            const res = await invoke(managementHandler, {
+                method: 'POST',
+                body: { action: 'createUser', userData: { firstName: 'Logged', lastName: 'Safely', email: 'logged.safely@example.com', password } },
+                headers: bearer(accessToken),
+            });
+            assert.equal(res.statusCode, 201);
+        });
+
+        assert.ok(entries.length > 0);
+        assert.ok(lines.every(line => !line.includes(password) && !line.includes('logged.safely@example.com')));
+        assert.ok(entries.some(entry => entry.level === 'debug' && entry.msg === 'Request parameters.'));
+        const adminId = mock.store.findUser(USERS.admin.login).id;
+        const created = entries.find(entry => entry.module === 'lib/okta-management-client' && entry.method === 'POST');
+        assert.equal(created.action, 'createUser');
+        assert.equal(created.actor, adminId);
+    });
+
+    test('the code exchange logs neither the code nor the tokens', async () => {
+        const { code, codeVerifier, nonce } = await authorize(baseUrl, USERS.user);
+        let body;
+        const { lines, entries } = await captureLogs(async () => {
+            const res = await invoke(authHandler, { method: 'POST', body: { code, redirect_uri: REDIRECT_URI, code_verifier: codeVerifier, nonce } });
+            assert.equal(res.statusCode, 200);
+            body = res.body;
+        });
+
+        for (const secret of [code, codeVerifier, nonce, body.accessToken, body.idToken, body.refreshToken, USERS.user.login]) {
+            assert.ok(lines.every(line => !line.includes(secret)), 'a secret was logged');
+        }
+        assert.ok(entries.every(entry => entry.module === 'api/auth' && entry.action === 'login'));
+        assert.equal(entries.at(-1).actor, mock.store.findUser(USERS.user.login).id);
+    });
+});
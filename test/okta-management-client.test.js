@@ -0,0 +1,156 @@
+// test/okta-management-client.test.js
+// lib/okta-management-client.js: the M2M token cache and how Management API failures are retried and reported.
+import { test, describe, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, USERS } from './helpers.js';
+
+const { mock } = await startMockOkta();
+const { getM2MAccessToken, fetchOktaAPI, fetchOktaAPIPage } = await import('../lib/okta-management-client.js');
+
+// Every request the mock receives, as 'METHOD /path'.
+const requests = [];
+mock.server.on('request', req => requests.push(`${req.method} ${req.url.split('?')[0]}`));
+const countRequests = (method, path) => requests.filter(request => request === `${method} ${path}`).length;
+
+beforeEach(() => {
+    requests.length = 0;
+});
+after(() => mock.close());
+
+describe('getM2MAccessToken', () => {
+    test('reports a rejected token request and caches nothing', async () => {
+        mock.failNext({ path: '/oauth2/v1/token', status: 401 });
+
+        await assert.rejects(getM2MAccessToken(), { name: 'OktaUpstreamError', upstreamStatus: 401, statusCode: 502, message: /^Okta M2M Token Error \(401\)/ });
+        assert.ok(await getM2MAccessToken());
+        assert.equal(countRequests('POST', '/oauth2/v1/token'), 2);
+    });
+
+    test('reuses the cached token until shortly before it expires', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+        const token = await getM2MAccessToken();
+
+        t.mock.timers.tick(3000 * 1000);
+        assert.equal(await getM2MAccessToken(), token);
+        assert.equal(countRequests('POST', '/oauth2/v1/token'), 0);
+
+        // Tokens live 3600 s and are renewed 30 s early.
+        t.mock.timers.tick(575 * 1000);
+        const renewed = await getM2MAccessToken();
+        assert.notEqual(renewed, token);
+        assert.equal(countRequests('POST', '/oauth2/v1/token'), 1);
+        assert.equal(await fetchOktaAPI(`/users/${encodeURIComponent(USERS.admin.login)}`).then(user => user.profile.login), USERS.admin.login);
+    });
+
+    test('retries a token request that failed with a 5xx', async (t) => {
+        const tokenBefore = await getM2MAccessToken();
+        // Far enough ahead that any token cached by the tests above has expired.
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 10 * 3600 * 1000 });
+        mock.failNext({ path: '/oauth2/v1/token', status: 503 });
+
+        const token = await getM2MAccessToken();
+        assert.notEqual(token, tokenBefore);
+        assert.equal(countRequests('POST', '/oauth2/v1/token'), 2);
+    });
+
+    test('reports an HTML error page from the token endpoint as Okta being unavailable', async (t) => {
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 20 * 3600 * 1000 });
+        mock.failNext({ path: '/oauth2/v1/token', status: 503, times: 4, body: '<html><body>Service Unavailable</body></html>' });
+
+        await assert.rejects(getM2MAccessToken(), { name: 'OktaUpstreamError', upstreamStatus: 503, statusCode: 503, message: /^Okta M2M Token Error \(503\)/ });
+        assert.equal(countRequests('POST', '/oauth2/v1/token'), 4);
+    });
+});
+
+describe('fetchOktaAPI', () => {
+    test('returns the parsed body, or null for 204 responses', async () => {
+        const groups = await fetchOktaAPI('/groups?q=Admin');
+        assert.deepEqual(groups.map(group => group.profile.name), ['Admin']);
+
+        const user = mock.store.findUser(USERS.user.login);
+        assert.equal(await fetchOktaAPI(`/groups/${groups[0].id}/users/${user.id}`, 'PUT'), null);
+        assert.equal(await fetchOktaAPI(`/groups/${groups[0].id}/users/${user.id}`, 'DELETE'), null);
+    });
+
+    test("throws Okta's error summary with the upstream status", async () => {
+        await assert.rejects(fetchOktaAPI('/users/00unknown'), error => {
+            assert.equal(error.upstreamStatus, 404);
+            assert.match(error.message, /^Okta API Error \(404\): Not found: Resource not found: 00unknown \(User\)$/);
+            return true;
+        });
+    });
+
+    test('retries idempotent requests after a 5xx', async () => {
+        mock.failNext({ path: '/api/v1/groups', status: 502, times: 2 });
+
+        const groups = await fetchOktaAPI('/groups');
+        assert.ok(groups.length > 0);
+        assert.equal(countRequests('GET', '/api/v1/groups'), 3);
+    });
+
+    test('gives up on idempotent requests once the retries are used up', async () => {
+        mock.failNext({ path: '/api/v1/groups', status: 503, times: 4 });
+
+        await assert.rejects(fetchOktaAPI('/groups'), { upstreamStatus: 503 });
+        assert.equal(countRequests('GET', '/api/v1/groups'), 4);
+    });
+
+    test('never retries a POST after a 5xx', async () => {
+        mock.failNext({ path: '/api/v1/groups', method: 'POST', status: 503 });
+
+        await assert.rejects(fetchOktaAPI('/groups', 'POST', { profile: { name: 'Never Created' } }), { upstreamStatus: 503 });
+        assert.equal(countRequests('POST', '/api/v1/groups'), 1);
+        assert.equal(mock.store.findGroupByName('Never Created'), undefined);
+    });
+
+    test('reports a network failure as an upstream error', async () => {
+        mock.failNext({ path: '/api/v1/groups', method: 'POST', disconnect: true });
+
+        await assert.rejects(fetchOktaAPI('/groups', 'POST', { profile: { name: 'Never Created' } }), error => {
+            assert.equal(error.name, 'OktaUpstreamError');
+            assert.equal(error.upstreamStatus, null);
+            assert.equal(error.statusCode, 502);
+            assert.match(error.message, /^Could not reach Okta: /);
+            return true;
+        });
+    });
+
+    test('fails fast with a rate-limit error when the limit resets too late to wait for', async () => {
+        const resetAt = Math.floor(Date.now() / 1000) + 120;
+        mock.failNext({
+            path: '/api/v1/logs',
+            status: 429,
+            errorCode: 'E0000047',
+            errorSummary: 'API call exceeded rate limit due to too many requests.',
+            headers: { 'X-Rate-Limit-Limit': '600', 'X-Rate-Limit-Remaining': '0', 'X-Rate-Limit-Reset': String(resetAt) },
+        });
+
+        await assert.rejects(fetchOktaAPI('/logs'), error => {
+            assert.equal(error.statusCode, 429);
+            assert.ok(error.retryAfter >= 100 && error.retryAfter <= 121, `retryAfter was ${error.retryAfter}`);
+            return true;
+        });
+        assert.equal(countRequests('GET', '/api/v1/logs'), 1);
+
+        // The bucket stays exhausted until it resets, so the next request is refused without calling Okta.
+        await assert.rejects(fetchOktaAPI('/logs'), { statusCode: 429 });
+        assert.equal(countRequests('GET', '/api/v1/logs'), 1);
+    });
+});
+
+describe('fetchOktaAPIPage', () => {
+    test("follows Okta's Link header through every page", async () => {
+        const first = await fetchOktaAPIPage('/users', { limit: 2 });
+        assert.equal(first.data.length, 2);
+        assert.equal(first.nextCursor, first.data[1].id);
+
+        const logins = first.data.map(user => user.profile.login);
+        let after = first.nextCursor;
+        while (after) {
+            const page = await fetchOktaAPIPage('/users', { limit: 2, after });
+            logins.push(...page.data.map(user => user.profile.login));
+            after = page.nextCursor;
+        }
+        assert.deepEqual(logins.sort(), mock.store.listUsers().map(user => user.profile.login).sort());
+    });
+});
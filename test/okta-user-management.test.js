@@ -0,0 +1,647 @@
+// test/okta-user-management.test.js
+// /api/okta-user-management: authorization, every action against the mock Okta, and how Okta failures reach the client.
+// The tests share one mock org; those that change it create their own users and groups first.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, signIn, invoke, bearer, USERS } from './helpers.js';
+
+const { mock, baseUrl } = await startMockOkta();
+const { default: handler } = await import('../api/okta-user-management.js');
+
+// Access tokens by fixture user: admin (every permission), helpdesk (users:read, users:lifecycle) and user (none).
+const tokens = {};
+
+before(async () => {
+    for (const name of ['admin', 'helpdesk', 'user']) {
+        tokens[name] = (await signIn(baseUrl, USERS[name])).access_token;
+    }
+});
+after(() => mock.close());
+
+/**
+ * Calls the handler as a fixture user.
+ * @param {string} as - A key of `tokens`.
+ * @param {string} method - The HTTP method.
+ * @param {object} [options] - `query`, `body` and extra `headers`.
+ * @returns {Promise<object>} The response.
+ */
+function call(as, method, { query, body, headers } = {}) {
+    return invoke(handler, { method, query, body, headers: { ...bearer(tokens[as]), ...headers } });
+}
+const get = (query, as = 'admin') => call(as, 'GET', { query });
+const post = (body, as = 'admin') => call(as, 'POST', { body });
+const put = (body, as = 'admin') => call(as, 'PUT', { body });
+const del = (body, as = 'admin') => call(as, 'DELETE', { body });
+
+const userId = login => mock.store.findUser(login).id;
+const groupId = name => mock.store.findGroupByName(name).id;
+const memberLogins = name => mock.store.listGroupMembers(mock.store.findGroupByName(name)).map(user => user.profile.login);
+
+let createdCount = 0;
+/**
+ * Creates an active user through the handler.
+ * @returns {Promise<{ id: string, login: string }>} The new user.
+ */
+async function createTestUser() {
+    const login = `test.user${++createdCount}@example.com`;
+    const res = await post({ action: 'createUser', userData: { firstName: 'Test', lastName: `User${createdCount}`, email: login, password: 'Password123!' } });
+    assert.equal(res.statusCode, 201);
+    return { id: res.body.id, login };
+}
+
+describe('authorization', () => {
+    test('rejects a request without an access token with 401', async () => {
+        const res = await invoke(handler, { method: 'GET', query: { action: 'listUsers' } });
+
+        assert.equal(res.statusCode, 401);
+        assert.match(res.body.error, /^Unauthorized/);
+    });
+
+    test('rejects a malformed Authorization header with 401', async () => {
+        const res = await invoke(handler, { method: 'GET', query: { action: 'listUsers' }, headers: { authorization: `Basic ${tokens.admin}` } });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    test('rejects an opaque token that Okta does not recognise with 401', async () => {
+        const res = await invoke(handler, { method: 'GET', query: { action: 'listUsers' }, headers: bearer('not-a-real-token') });
+
+        assert.equal(res.statusCode, 401);
+    });
+
+    test('rejects a JWT with a bad signature with 401', async () => {
+        const [header, payload, signature] = tokens.admin.split('.');
+        const tampered = `${header}.${payload}.${signature.startsWith('A') ? 'B' : 'A'}${signature.slice(1)}`;
+        const res = await invoke(handler, { method: 'GET', query: { action: 'listUsers' }, headers: bearer(tampered) });
+
+        assert.equal(res.statusCode, 401);
+        assert.equal(res.body.error, 'Unauthorized: Invalid or expired access token.');
+    });
+
+    test('rejects an expired token with 401', async (t) => {
+        const { access_token: accessToken } = await signIn(baseUrl, USERS.helpdesk);
+        assert.equal((await invoke(handler, { method: 'GET', query: { action: 'listUsers' }, headers: bearer(accessToken) })).statusCode, 200);
+
+        t.mock.timers.enable({ apis: ['Date'], now: Date.now() + 2 * 3600 * 1000 });
+        const res = await invoke(handler, { method: 'GET', query: { action: 'listUsers' }, headers: bearer(accessToken) });
+        assert.equal(res.statusCode, 401);
+    });
+
+    test('rejects users without administrative privileges with 403', async () => {
+        const res = await get({ action: 'listUsers' }, 'user');
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, 'Forbidden: User does not have administrative privileges.');
+    });
+
+    test("rejects actions outside the caller's permissions with 403", async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'No', lastName: 'Access', email: 'no.access@example.com', password: 'Password123!' } }, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, "Forbidden: The 'createUser' action requires the 'users:write' permission.");
+        assert.equal(mock.store.findUser('no.access@example.com'), undefined);
+    });
+
+    test('lets Helpdesk read users', async () => {
+        assert.equal((await get({ action: 'listUsers' }, 'helpdesk')).statusCode, 200);
+    });
+
+    test('echoes a valid X-Request-Id and generates one otherwise', async () => {
+        const res = await call('admin', 'GET', { query: { action: 'listGroups' }, headers: { 'x-request-id': 'req-123' } });
+        assert.equal(res.headers['x-request-id'], 'req-123');
+
+        const generated = await call('admin', 'GET', { query: { action: 'listGroups' }, headers: { 'x-request-id': 'not valid!' } });
+        assert.match(generated.headers['x-request-id'], /^[0-9a-f-]{36}$/);
+    });
+});
+
+describe('GET actions', () => {
+    test('listUsers pages through users with a Link header', async () => {
+        const res = await get({ action: 'listUsers', limit: '2' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.length, 2);
+        assert.deepEqual(Object.keys(res.body[0]).sort(), ['email', 'family_name', 'given_name', 'id', 'last_updated', 'status', 'user_id']);
+        const next = new URL(res.headers.link.match(/^<([^>]+)>; rel="next"$/)[1], 'http://localhost');
+        assert.equal(next.searchParams.get('action'), 'listUsers');
+        assert.equal(next.searchParams.get('after'), res.body[1].id);
+    });
+
+    test('listUsers rejects an out-of-range limit with 400', async () => {
+        const res = await get({ action: 'listUsers', limit: '201' });
+
+        assert.equal(res.statusCode, 400);
+        assert.match(res.body.error, /limit must be an integer between 1 and 200/);
+        assert.deepEqual(res.body.fields, { limit: 'must be an integer between 1 and 200' });
+    });
+
+    test('rejects unexpected and repeated query parameters with 400', async () => {
+        const res = await get({ action: 'listGroups', q: ['A', 'B'], sort: 'name' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(res.body.fields, { q: 'must be given once', sort: 'is not allowed' });
+    });
+
+    test('searchUsers matches profile attributes and statuses', async () => {
+        const byDepartment = await get({ action: 'searchUsers', 'profile.department': 'Sal' });
+        assert.equal(byDepartment.statusCode, 200);
+        assert.deepEqual(byDepartment.body.map(user => user.email), [USERS.user.login]);
+
+        const suspended = await get({ action: 'searchUsers', status: 'SUSPENDED' });
+        assert.ok(suspended.body.some(user => user.email === USERS.suspended.login));
+        assert.ok(suspended.body.every(user => user.status === 'SUSPENDED'));
+    });
+
+    test('searchUsers rejects an unknown status with 400', async () => {
+        const res = await get({ action: 'searchUsers', status: 'HAPPY' });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    test('getUser returns one user', async () => {
+        const res = await get({ action: 'getUser', userId: userId(USERS.user.login) });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.email, USERS.user.login);
+        assert.equal(res.body.status, 'ACTIVE');
+        assert.equal((await get({ action: 'getUser' })).statusCode, 400);
+    });
+
+    test('listUsersInRole lists the members of a group found by name', async () => {
+        const res = await get({ action: 'listUsersInRole', roleName: 'Admin' });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.map(member => member.email), [USERS.admin.login]);
+        assert.equal(res.body[0].name, 'Ada Admin');
+    });
+
+    test('listUsersInRole answers 404 for an unknown role and 400 without one', async () => {
+        const unknown = await get({ action: 'listUsersInRole', roleName: 'NoSuchRole' });
+        assert.equal(unknown.statusCode, 404);
+        assert.equal(unknown.body.error, "Group (role) 'NoSuchRole' not found.");
+
+        assert.equal((await get({ action: 'listUsersInRole' })).statusCode, 400);
+    });
+
+    test('listGroups filters by name prefix and flags protected groups', async () => {
+        const res = await get({ action: 'listGroups', q: 'Help' });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body, [{ id: groupId('Helpdesk'), name: 'Helpdesk', description: res.body[0].description, type: 'OKTA_GROUP', protected: true }]);
+    });
+
+    test('listGroupMembers lists a group by ID', async () => {
+        const res = await get({ action: 'listGroupMembers', groupId: groupId('AccessBoardUsers') });
+
+        assert.equal(res.statusCode, 200);
+        for (const login of [USERS.admin.login, USERS.helpdesk.login, USERS.user.login]) {
+            assert.ok(res.body.some(member => member.email === login), `${login} is listed`);
+        }
+        assert.equal((await get({ action: 'listGroupMembers' })).statusCode, 400);
+    });
+
+    test('exportUsers streams CSV with the requested columns', async () => {
+        const res = await get({ action: 'exportUsers', columns: 'login,status,groups', 'profile.department': 'Sales' });
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.finished);
+        const lines = res.text.trim().split(/\r?\n/);
+        assert.equal(lines[0], 'login,status,groups');
+        assert.deepEqual(lines.slice(1), [`${USERS.user.login},ACTIVE,Everyone;AccessBoardUsers`]);
+    });
+
+    test('exportUsers streams JSON', async () => {
+        const res = await get({ action: 'exportUsers', format: 'json', columns: 'login' });
+
+        assert.equal(res.statusCode, 200);
+        const exported = JSON.parse(res.text);
+        assert.ok(exported.some(user => user.login === USERS.admin.login));
+        assert.deepEqual(Object.keys(exported[0]), ['login']);
+    });
+
+    test('exportUsers rejects unknown formats and columns with 400', async () => {
+        assert.equal((await get({ action: 'exportUsers', format: 'xml' })).statusCode, 400);
+        assert.equal((await get({ action: 'exportUsers', columns: 'password' })).statusCode, 400);
+    });
+
+    test("getSystemLog returns Okta's events for a user", async () => {
+        const res = await get({ action: 'getSystemLog', userId: userId(USERS.admin.login) });
+
+        assert.equal(res.statusCode, 200);
+        assert.ok(res.body.length > 0);
+        assert.ok(res.body.every(event => event.actor?.id === userId(USERS.admin.login) || event.targets.some(target => target.id === userId(USERS.admin.login))));
+        assert.equal((await get({ action: 'getSystemLog', outcome: 'MAYBE' })).statusCode, 400);
+    });
+
+    test('getSystemLog is refused without logs:read', async () => {
+        const res = await get({ action: 'getSystemLog' }, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+    });
+
+    test('rejects an unknown action with 400', async () => {
+        const res = await get({ action: 'dropUsers' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid action for GET request.');
+    });
+});
+
+describe('POST actions', () => {
+    test('createUser creates an active user in the default access group', async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'New', lastName: 'Hire', email: 'new.hire@example.com', password: 'Password123!' } });
+
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(res.body, { id: res.body.id, user_id: res.body.id, email: 'new.hire@example.com', status: 'ACTIVE' });
+        assert.ok(memberLogins('AccessBoardUsers').includes('new.hire@example.com'));
+    });
+
+    test('createUser invites a user without a password', async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'Invited', lastName: 'User', email: 'invited@example.com', invite: true } });
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.status, 'PROVISIONED');
+        assert.equal(res.body.invited, true);
+        assert.equal(res.body.activationEmailSent, true);
+        assert.equal(mock.store.findUser('invited@example.com').status, 'PROVISIONED');
+    });
+
+    test('createUser rejects missing fields with 400', async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'No', lastName: 'Password', email: 'no.password@example.com' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.error, 'Invalid request: userData.password is required unless invite is true.');
+        assert.deepEqual(res.body.fields, { 'userData.password': 'is required unless invite is true' });
+    });
+
+    test('createUser reports every invalid field', async () => {
+        const res = await post({
+            action: 'createUser',
+            userData: { firstName: '', lastName: 'x'.repeat(51), email: 'not-an-email', password: 'Password123!', nickname: 'Nick' },
+            sendEmail: true,
+        });
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body.fields, {
+            'userData.firstName': 'must not be empty',
+            'userData.lastName': 'must be at most 50 characters',
+            'userData.email': 'must be a valid email address',
+            'userData.nickname': 'is not allowed',
+            sendEmail: 'is not allowed',
+        });
+        assert.equal(mock.store.findUser('not-an-email'), undefined);
+    });
+
+    test('validateImport reports rows that clash with existing users', async () => {
+        const res = await post({
+            action: 'validateImport',
+            format: 'json',
+            data: [
+                { firstName: 'Import', lastName: 'One', email: 'import.one@example.com' },
+                { firstName: 'Ada', lastName: 'Again', email: USERS.admin.login },
+            ],
+        });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.valid, false);
+        assert.equal(res.body.invalid, 1);
+        assert.deepEqual(res.body.rows[1].errors, [`A user with '${USERS.admin.login}' already exists in Okta.`]);
+        assert.equal(mock.store.findUser('import.one@example.com'), undefined);
+    });
+
+    test('importUsers creates every row and reports each one', async () => {
+        const res = await post({
+            action: 'importUsers',
+            format: 'csv',
+            data: 'First Name,Last Name,Email,Password,Groups\nImport,Two,import.two@example.com,Password123!,Helpdesk\nImport,Three,import.three@example.com,,\n',
+        });
+
+        assert.equal(res.statusCode, 207);
+        assert.equal(res.body.created, 2);
+        assert.deepEqual(res.body.report.map(entry => [entry.login, entry.result, entry.status]), [
+            ['import.two@example.com', 'created', 'ACTIVE'],
+            ['import.three@example.com', 'created', 'PROVISIONED'],
+        ]);
+        assert.ok(memberLogins('Helpdesk').includes('import.two@example.com'));
+    });
+
+    test('importUsers returns the report as CSV with formulas neutralized', async () => {
+        const res = await post({
+            action: 'importUsers',
+            format: 'json',
+            data: [{ firstName: 'Formula', lastName: 'Row', email: '=1+1@example.com', password: 'Password123!' }],
+        });
+
+        assert.equal(res.statusCode, 207);
+        const [header, line] = res.body.reportCsv.split('\r\n');
+        assert.equal(header, 'row,email,login,result,userId,status,errors,warnings');
+        assert.equal(line, `1,'=1+1@example.com,'=1+1@example.com,created,${res.body.report[0].userId},ACTIVE,,`);
+    });
+
+    test('importUsers imports nothing when a row is invalid', async () => {
+        const res = await post({ action: 'importUsers', format: 'json', data: [{ firstName: 'Bad', lastName: 'Email', email: 'not-an-email' }] });
+
+        assert.equal(res.statusCode, 400);
+        assert.ok(res.body.details.rows[0].errors.length > 0);
+    });
+
+    test('lifecycle actions move a user between statuses', async () => {
+        const user = await createTestUser();
+
+        const suspended = await post({ action: 'suspendUser', userId: user.id }, 'helpdesk');
+        assert.equal(suspended.statusCode, 200);
+        assert.equal(suspended.body.status, 'SUSPENDED');
+
+        const unsuspended = await post({ action: 'unsuspendUser', userId: user.id }, 'helpdesk');
+        assert.equal(unsuspended.body.status, 'ACTIVE');
+    });
+
+    test('a lifecycle action that is not valid for the current status is refused with 409', async () => {
+        const res = await post({ action: 'unsuspendUser', userId: userId(USERS.user.login) });
+
+        assert.equal(res.statusCode, 409);
+        assert.match(res.body.error, /not valid for a user whose status is ACTIVE/);
+    });
+
+    test('resetPassword with sendEmail=false returns the one-time link', async () => {
+        const user = await createTestUser();
+        const res = await post({ action: 'resetPassword', userId: user.id, sendEmail: false });
+
+        assert.equal(res.statusCode, 200);
+        assert.match(res.body.resetPasswordUrl, /\/reset_password\//);
+        assert.equal(res.body.status, 'RECOVERY');
+    });
+
+    test('resetPassword is refused without users:credentials', async () => {
+        const res = await post({ action: 'resetPassword', userId: userId(USERS.user.login) }, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+    });
+
+    test('lifecycle actions require a user ID and accept only their own options', async () => {
+        const res = await post({ action: 'deactivateUser', sendEmail: 'yes' });
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body.fields, { userId: 'is required', sendEmail: 'is not allowed' });
+
+        const wrongType = await post({ action: 'resetPassword', userId: userId(USERS.user.login), sendEmail: 'no' });
+        assert.deepEqual(wrongType.body.fields, { sendEmail: 'must be a boolean' });
+    });
+
+    test('createGroup creates a group, but not under a protected name', async () => {
+        const res = await post({ action: 'createGroup', groupData: { name: 'Contractors', description: 'External staff' } });
+        assert.equal(res.statusCode, 201);
+        assert.deepEqual(res.body, { id: groupId('Contractors'), name: 'Contractors', description: 'External staff', type: 'OKTA_GROUP', protected: false });
+
+        const reserved = await post({ action: 'createGroup', groupData: { name: 'admin' } });
+        assert.equal(reserved.statusCode, 409);
+        assert.equal((await post({ action: 'createGroup', groupData: { name: '  ' } })).statusCode, 400);
+    });
+
+    test('rejects a request without a body with 400', async () => {
+        const res = await post(undefined);
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.equal(res.body.error, 'Invalid request: action is required.');
+        assert.deepEqual(res.body.fields, { action: 'is required' });
+    });
+
+    test('rejects an unknown action with 400', async () => {
+        const res = await post({ action: 'dropUsers' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid action for POST request.');
+    });
+});
+
+describe('PUT actions', () => {
+    test("updateUser changes a user's name", async () => {
+        const user = await createTestUser();
+        const res = await put({ action: 'updateUser', userId: user.id, updates: { given_name: 'Renamed' } });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.given_name, 'Renamed');
+        assert.equal(mock.store.findUser(user.id).profile.firstName, 'Renamed');
+        assert.equal((await put({ action: 'updateUser', userId: user.id, updates: { nickname: 'x' } })).statusCode, 400);
+
+        const empty = await put({ action: 'updateUser', userId: user.id, updates: {} });
+        assert.deepEqual(empty.body.fields, { updates: 'must include given_name or family_name' });
+    });
+
+    test('assignRoles and unassignRoles report a result per role', async () => {
+        const user = await createTestUser();
+
+        const assigned = await put({ action: 'assignRoles', userId: user.id, roles: ['Helpdesk', 'NoSuchRole'] });
+        assert.equal(assigned.statusCode, 207);
+        assert.deepEqual(assigned.body.results.map(result => [result.role, result.status, result.outcome]), [
+            ['Helpdesk', 200, 'assigned'],
+            ['NoSuchRole', 404, 'not_found'],
+        ]);
+        assert.ok(memberLogins('Helpdesk').includes(user.login));
+
+        const again = await put({ action: 'assignRoles', userId: user.id, roles: ['Helpdesk'] });
+        assert.equal(again.body.results[0].outcome, 'already_member');
+
+        const unassigned = await put({ action: 'unassignRoles', userId: user.id, roles: ['Helpdesk'] });
+        assert.equal(unassigned.body.results[0].outcome, 'unassigned');
+        assert.ok(!memberLogins('Helpdesk').includes(user.login));
+    });
+
+    test('assignRoles requires a list of role names', async () => {
+        const res = await put({ action: 'assignRoles', userId: userId(USERS.user.login), roles: [] });
+
+        assert.equal(res.statusCode, 400);
+    });
+
+    test('renameGroup renames a group, but not a protected one', async () => {
+        await post({ action: 'createGroup', groupData: { name: 'Temps' } });
+        const res = await put({ action: 'renameGroup', groupId: groupId('Temps'), groupData: { name: 'Temporary Staff' } });
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.name, 'Temporary Staff');
+        assert.equal(mock.store.findGroupByName('Temps'), undefined);
+
+        const protectedGroup = await put({ action: 'renameGroup', groupId: groupId('Admin'), groupData: { name: 'Admins' } });
+        assert.equal(protectedGroup.statusCode, 403);
+    });
+
+    test('addGroupMember and removeGroupMember change a membership', async () => {
+        const user = await createTestUser();
+        await post({ action: 'createGroup', groupData: { name: 'Project X' } });
+
+        const added = await put({ action: 'addGroupMember', groupId: groupId('Project X'), userId: user.id });
+        assert.equal(added.statusCode, 204);
+        assert.deepEqual(memberLogins('Project X'), [user.login]);
+
+        const removed = await put({ action: 'removeGroupMember', groupId: groupId('Project X'), userId: user.id });
+        assert.equal(removed.statusCode, 204);
+        assert.deepEqual(memberLogins('Project X'), []);
+    });
+
+    test('rejects an unknown action with 400', async () => {
+        const res = await put({ action: 'dropUsers' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid action for PUT request.');
+    });
+});
+
+describe('DELETE actions', () => {
+    test('deleteUser deactivates and deletes a user', async () => {
+        const user = await createTestUser();
+        const res = await del({ action: 'deleteUser', userId: user.id });
+
+        assert.equal(res.statusCode, 204);
+        assert.equal(mock.store.findUser(user.id), undefined);
+        assert.equal((await del({ action: 'deleteUser' })).statusCode, 400);
+    });
+
+    test('deleteUser is refused without users:delete', async () => {
+        const res = await del({ action: 'deleteUser', userId: userId(USERS.user.login) }, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+        assert.ok(mock.store.findUser(USERS.user.login));
+    });
+
+    test('deleteGroup deletes a group, but not a protected one', async () => {
+        await post({ action: 'createGroup', groupData: { name: 'Short Lived' } });
+        const res = await del({ action: 'deleteGroup', groupId: groupId('Short Lived') });
+        assert.equal(res.statusCode, 204);
+        assert.equal(mock.store.findGroupByName('Short Lived'), undefined);
+
+        const builtIn = await del({ action: 'deleteGroup', groupId: groupId('Everyone') });
+        assert.equal(builtIn.statusCode, 403);
+        assert.match(builtIn.body.error, /protected/);
+    });
+
+    test('rejects an unknown action with 400', async () => {
+        const res = await del({ action: 'dropUsers' });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.error, 'Invalid action for DELETE request.');
+    });
+
+    test('rejects other methods with 405', async () => {
+        const res = await call('admin', 'PATCH', { body: { action: 'updateUser' } });
+
+        assert.equal(res.statusCode, 405);
+        assert.deepEqual(res.headers.allow, ['GET', 'POST', 'PUT', 'DELETE']);
+    });
+});
+
+describe('audit trail', () => {
+    test('records successful and refused admin actions', async () => {
+        const user = await createTestUser();
+        await post({ action: 'suspendUser', userId: user.id }, 'helpdesk');
+        await del({ action: 'deleteUser', userId: user.id }, 'helpdesk');
+
+        const res = await get({ action: 'getAuditLog', targetId: user.id });
+        assert.equal(res.statusCode, 200);
+        const helpdesk = userId(USERS.helpdesk.login);
+        assert.deepEqual(res.body.map(event => [event.action, event.result, event.statusCode, event.actor.sub]), [
+            ['deleteUser', 'failure', 403, helpdesk],
+            ['suspendUser', 'success', 200, helpdesk],
+            ['createUser', 'success', 201, userId(USERS.admin.login)],
+        ]);
+        assert.deepEqual(res.body[1].changes, { status: { from: 'ACTIVE', to: 'SUSPENDED' } });
+    });
+
+    test('does not record read-only actions', async () => {
+        const target = userId(USERS.admin.login);
+        await get({ action: 'getUser', userId: target });
+
+        const res = await get({ action: 'getAuditLog', targetId: target });
+        assert.deepEqual(res.body, []);
+    });
+
+    test('getAuditLog is refused without audit:read', async () => {
+        assert.equal((await get({ action: 'getAuditLog' }, 'helpdesk')).statusCode, 403);
+    });
+});
+
+describe('Okta failures', () => {
+    test('passes on a missing resource as 404 with the Okta error', async () => {
+        const res = await get({ action: 'getUser', userId: '00unknown' });
+
+        assert.equal(res.statusCode, 404);
+        assert.equal(res.body.code, 'NOT_FOUND');
+        assert.match(res.body.error, /^Okta rejected the request: Not found/);
+        assert.match(res.body.details, /Okta API Error \(404\)/);
+        assert.equal(res.body.upstream.status, 404);
+        assert.equal(res.body.upstream.errorCode, 'E0000007');
+        assert.ok(res.body.upstream.errorId);
+    });
+
+    test('reports a duplicate login as 409 with Okta\'s causes', async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'Admin', lastName: 'Again', email: USERS.admin.login, password: 'Password123!' } });
+
+        assert.equal(res.statusCode, 409);
+        assert.equal(res.body.code, 'CONFLICT');
+        assert.deepEqual(res.body.causes, ['login: An object with this field already exists in the current organization']);
+        assert.match(res.body.error, /login: An object with this field already exists/);
+        assert.equal(res.body.upstream.errorCode, 'E0000001');
+    });
+
+    test('reports a password rejected by the password policy as 400', async () => {
+        const res = await post({ action: 'createUser', userData: { firstName: 'Weak', lastName: 'Password', email: 'weak.password@example.com', password: 'short' } });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'INVALID_REQUEST');
+        assert.match(res.body.causes[0], /^password: Password requirements were not met/);
+        assert.equal(mock.store.findUser('weak.password@example.com'), undefined);
+    });
+
+    test('reports Okta refusing the app\'s own credentials as 502', async () => {
+        mock.failNext({ path: `/api/v1/users/${userId(USERS.user.login)}`, method: 'GET', status: 403, errorCode: 'E0000006', errorSummary: 'You do not have permission to perform the requested action' });
+        const res = await get({ action: 'getUser', userId: userId(USERS.user.login) });
+
+        assert.equal(res.statusCode, 502);
+        assert.equal(res.body.code, 'UPSTREAM_ERROR');
+        assert.equal(res.body.error, 'Okta Management API operation failed.');
+        assert.equal(res.body.upstream.errorCode, 'E0000006');
+    });
+
+    test('reports Okta being unreachable as 502', async () => {
+        mock.failNext({ path: '/api/v1/users', method: 'POST', disconnect: true });
+        const res = await post({ action: 'createUser', userData: { firstName: 'Un', lastName: 'Reachable', email: 'un.reachable@example.com', password: 'Password123!' } });
+
+        assert.equal(res.statusCode, 502);
+        assert.equal(res.body.code, 'UPSTREAM_ERROR');
+        assert.match(res.body.details, /^Could not reach Okta: /);
+        assert.deepEqual(res.body.upstream, { status: null });
+    });
+
+    test('reports an outage during a group lookup as 503', async () => {
+        mock.failNext({ path: '/api/v1/groups', method: 'GET', status: 503, times: 4 });
+        const res = await get({ action: 'listUsersInRole', roleName: 'Everyone' });
+
+        assert.equal(res.statusCode, 503);
+        assert.match(res.body.details, /Could not look up group 'Everyone'/);
+    });
+
+    test('does not retry a failed user creation', async () => {
+        mock.failNext({ path: '/api/v1/users', method: 'POST', status: 503 });
+        const res = await post({ action: 'createUser', userData: { firstName: 'Not', lastName: 'Created', email: 'not.created@example.com', password: 'Password123!' } });
+
+        assert.ok(res.statusCode >= 500);
+        assert.equal(mock.store.findUser('not.created@example.com'), undefined);
+    });
+
+    // Leaves the client's /logs rate-limit bucket exhausted, so it runs last.
+    test('passes on Okta rate limiting as 429 with Retry-After', async () => {
+        mock.failNext({
+            path: '/api/v1/logs',
+            status: 429,
+            errorCode: 'E0000047',
+            errorSummary: 'API call exceeded rate limit due to too many requests.',
+            headers: { 'X-Rate-Limit-Limit': '100', 'X-Rate-Limit-Remaining': '0', 'X-Rate-Limit-Reset': String(Math.floor(Date.now() / 1000) + 120) },
+        });
+        const res = await get({ action: 'getSystemLog' });
+
+        assert.equal(res.statusCode, 429);
+        assert.ok(Number(res.headers['retry-after']) > 60);
+        assert.match(res.body.error, /Okta is rate limiting requests/);
+    });
+});
@@ -0,0 +1,170 @@
+// test/users.test.js
+// /api/users: the user resource routes. vercel.json passes the path segments as `id` and `operation` query parameters.
+import { test, describe, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { startMockOkta, signIn, invoke, bearer, USERS } from './helpers.js';
+
+const { mock, baseUrl } = await startMockOkta();
+const { default: handler } = await import('../api/users.js');
+const { default: actionHandler } = await import('../api/okta-user-management.js');
+
+const tokens = {};
+
+before(async () => {
+    for (const name of ['admin', 'helpdesk']) {
+        tokens[name] = (await signIn(baseUrl, USERS[name])).access_token;
+    }
+});
+after(() => mock.close());
+
+/**
+ * Calls /api/users as a fixture user.
+ * @param {string} method - The HTTP method.
+ * @param {object} [query] - Path segments (`id`, `operation`) and query parameters.
+ * @param {object} [body] - The JSON body.
+ * @param {string} [as='admin'] - A key of `tokens`.
+ * @returns {Promise<object>} The response.
+ */
+function call(method, query = {}, body, as = 'admin') {
+    return invoke(handler, { method, query, body, headers: bearer(tokens[as]) });
+}
+
+const userId = login => mock.store.findUser(login).id;
+
+describe('/api/users', () => {
+    test('GET lists users with a Link header to the next page', async () => {
+        const res = await call('GET', { limit: '2' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.length, 2);
+        assert.equal(res.headers.link, `</api/users?limit=2&after=${res.body[1].id}>; rel="next"`);
+    });
+
+    test('GET searches when search parameters are given', async () => {
+        const res = await call('GET', { 'profile.department': 'Sales' });
+
+        assert.equal(res.statusCode, 200);
+        assert.deepEqual(res.body.map(user => user.email), [USERS.user.login]);
+        assert.equal((await call('GET', { status: 'HAPPY' })).statusCode, 400);
+    });
+
+    test('POST creates a user and points to it', async () => {
+        const res = await call('POST', {}, { firstName: 'Rest', lastName: 'User', email: 'rest.user@example.com', password: 'Password123!' });
+
+        assert.equal(res.statusCode, 201);
+        assert.equal(res.body.status, 'ACTIVE');
+        assert.equal(res.headers.location, `/api/users/${res.body.id}`);
+        assert.equal(mock.store.findUser('rest.user@example.com').id, res.body.id);
+    });
+
+    test('POST rejects missing fields with 400', async () => {
+        const res = await call('POST', {}, { firstName: 'Rest', invite: true });
+
+        assert.equal(res.statusCode, 400);
+        assert.equal(res.body.code, 'VALIDATION_FAILED');
+        assert.deepEqual(res.body.fields, { lastName: 'is required', email: 'is required' });
+    });
+
+    test('GET rejects unknown query parameters', async () => {
+        const res = await call('GET', { 'profile.password': 'x' });
+
+        assert.equal(res.statusCode, 400);
+        assert.deepEqual(res.body.fields, { 'profile.password': 'is not allowed' });
+    });
+
+    test('rejects other methods with 405', async () => {
+        const res = await call('DELETE');
+
+        assert.equal(res.statusCode, 405);
+        assert.deepEqual(res.headers.allow, ['GET', 'POST']);
+    });
+
+    test('requires a valid access token', async () => {
+        const res = await invoke(handler, { method: 'GET', query: {} });
+
+        assert.equal(res.statusCode, 401);
+    });
+});
+
+describe('/api/users/:id', () => {
+    test('GET reads a user', async () => {
+        const res = await call('GET', { id: userId(USERS.user.login) });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.email, USERS.user.login);
+    });
+
+    test('PATCH renames a user', async () => {
+        const id = userId('rest.user@example.com');
+        const res = await call('PATCH', { id }, { family_name: 'Patched' });
+
+        assert.equal(res.statusCode, 200);
+        assert.equal(res.body.family_name, 'Patched');
+        assert.equal((await call('PATCH', { id }, {})).statusCode, 400);
+
+        const blank = await call('PATCH', { id }, { given_name: ' ', family_name: 'Patched' });
+        assert.deepEqual(blank.body.fields, { given_name: 'must not be empty' });
+    });
+
+    test('DELETE is refused without users:delete', async () => {
+        const res = await call('DELETE', { id: userId(USERS.user.login) }, undefined, 'helpdesk');
+
+        assert.equal(res.statusCode, 403);
+        assert.equal(res.body.error, "Forbidden: The 'deleteUser' action requires the 'users:delete' permission.");
+    });
+
+    test('DELETE deletes a user and records it like the action API', async () => {
+        const id = userId('rest.user@example.com');
+        const res = await call('DELETE', { id });
+        assert.equal(res.statusCode, 204);
+        assert.equal(mock.store.findUser(id), undefined);
+
+        const auditLog = await invoke(actionHandler, { method: 'GET', query: { action: 'getAuditLog', targetId: id }, headers: bearer(tokens.admin) });
+        assert.deepEqual(auditLog.body.map(event => [event.action, event.result]), [
+            ['deleteUser', 'success'],
+            ['updateUser', 'failure'],
+            ['updateUser', 'failure'],
+            ['updateUser', 'success'],
+            ['createUser', 'success'],
+        ]);
+    });
+
+    test('rejects other methods with 405', async () => {
+        const res = await call('PUT', { id: userId(USERS.user.login) }, {});
+
+        assert.equal(res.statusCode, 405);
+        assert.deepEqual(res.headers.allow, ['GET', 'PATCH', 'DELETE']);
+    });
+});
+
+describe('/api/users/:id/lifecycle/:operation', () => {
+    test('POST runs the lifecycle operation', async () => {
+        const created = await call('POST', {}, { firstName: 'Life', lastName: 'Cycle', email: 'life.cycle@example.com', password: 'Password123!' });
+        const id = created.body.id;
+
+        const suspended = await call('POST', { id, operation: 'suspend' }, undefined, 'helpdesk');
+        assert.equal(suspended.statusCode, 200);
+        assert.equal(suspended.body.status, 'SUSPENDED');
+
+        const again = await call('POST', { id, operation: 'suspend' }, undefined, 'helpdesk');
+        assert.equal(again.statusCode, 409);
+
+        const reset = await call('POST', { id, operation: 'unsuspend' });
+        assert.equal(reset.body.status, 'ACTIVE');
+        const link = await call('POST', { id, operation: 'reset_password' }, { sendEmail: false });
+        assert.equal(link.statusCode, 200);
+        assert.ok(link.body.resetPasswordUrl);
+    });
+
+    test('answers 404 for an unknown operation and 405 for other methods', async () => {
+        const id = userId(USERS.user.login);
+
+        const unknown = await call('POST', { id, operation: 'promote' });
+        assert.equal(unknown.statusCode, 404);
+        assert.match(unknown.body.error, /Unknown lifecycle operation 'promote'/);
+
+        const wrongMethod = await call('GET', { id, operation: 'suspend' });
+        assert.equal(wrongMethod.statusCode, 405);
+        assert.deepEqual(wrongMethod.headers.allow, ['POST']);
+    });
+});